@@ -3,14 +3,19 @@
 const fp = require('fastify-plugin');
 
 async function apitallyPlugin(fastify) {
+    const clientId = process.env.APITALLY_CLIENT_ID;
+    if (!clientId) {
+        fastify.log.info('Apitally monitoring disabled (APITALLY_CLIENT_ID is not set)');
+        return;
+    }
+
     try {
-        
         // Import the apitally plugin
         const { apitallyPlugin: apitally } = require('apitally/fastify');
         
         // Register Apitally monitoring plugin
         await fastify.register(apitally, {
-            clientId: "2bc34028-fe1e-4756-aa88-d0b0af3851f0",
+            clientId,
             env: process.env.NODE_ENV === 'production' ? 'prod' : 'dev',
             requestLogging: {
                 enabled: true,
@@ -9,22 +9,45 @@ const ServerRepository = require("../src/domains/server/repositories/ServerRepos
 const ServerTypeRepository = require("../src/domains/server/repositories/ServerTypeRepository");
 const ServerDataRepository = require("../src/domains/server/repositories/ServerDataRepository");
 const VotifierRepository = require("../src/domains/votifier/repositories/VotifierRepository");
+const VotifierQueueRepository = require("../src/domains/votifier/repositories/VotifierQueueRepository");
 
 // Import domain services
 const UserProfileService = require("../src/domains/user/services/UserProfileService");
 const UserProfileAggregator = require("../src/domains/user/aggregators/UserProfileAggregator");
 const DomainAuthService = require("../src/domains/auth/services/AuthService");
 const LoginLogRepository = require("../src/domains/auth/repositories/LoginLogRepository");
+const AuthSessionRepository = require("../src/domains/auth/repositories/AuthSessionRepository");
+const ApiKeyRepository = require("../src/domains/auth/repositories/ApiKeyRepository");
+const ApiKeyService = require("../src/domains/auth/services/ApiKeyService");
+const UserTokenRepository = require("../src/domains/auth/repositories/UserTokenRepository");
+const TwoFactorRepository = require("../src/domains/auth/repositories/TwoFactorRepository");
+const TwoFactorService = require("../src/domains/auth/services/TwoFactorService");
+const AccountSecurityService = require("../src/domains/auth/services/AccountSecurityService");
+const MailService = require("../src/services/mail/MailService");
 const ServerService = require("../src/domains/server/services/ServerService");
 const ServerTypeService = require("../src/domains/server/services/ServerTypeService");
 const ServerPingService = require("../src/domains/server/services/ServerPingService");
+const ServerOwnershipService = require("../src/domains/server/services/ServerOwnershipService");
+const ServerEmbedService = require("../src/domains/server/services/ServerEmbedService");
+const ServerOwnershipRepository = require("../src/domains/server/repositories/ServerOwnershipRepository");
 const ServerAggregator = require("../src/domains/server/aggregators/ServerAggregator");
 const VotifierService = require("../src/domains/votifier/services/VotifierService");
+const VotifierQueueService = require("../src/domains/votifier/services/VotifierQueueService");
+const VotifierClient = require("../src/domains/server/services/VotifierService");
 const VoteService = require("../src/domains/vote/services/VoteService");
 const SecurityService = require("../src/services/SecurityService");
 const StartupService = require("../src/services/StartupService");
+const SchedulerService = require("../src/services/SchedulerService");
+const ScheduledJobRepository = require("../src/repositories/ScheduledJobRepository");
+const RateLimitRepository = require("../src/repositories/RateLimitRepository");
+const RateLimitService = require("../src/services/RateLimitService");
+const MemoryRateLimitStore = require("../src/services/MemoryRateLimitStore");
+const { createHousekeepingJobs } = require("../src/services/jobs/housekeepingJobs");
+const { createVotifierJobs } = require("../src/services/jobs/votifierJobs");
 const MinecraftVersionRepository = require("../src/domains/server/repositories/MinecraftVersionRepository");
 const MinecraftVersionService = require("../src/domains/server/services/MinecraftVersionService");
+const FaviconUtils = require("../src/utils/faviconUtils");
+const BannerService = require("../src/services/banner/BannerService");
 
 // Import vote repositories
 const VoteRepository = require("../src/domains/vote/repositories/VoteRepository");
@@ -33,13 +56,16 @@ const VoteRepository = require("../src/domains/vote/repositories/VoteRepository"
 const SeoService = require("../src/services/SeoService");
 const SeoRepository = require("../src/repositories/SeoRepository");
 const VoteStatsRepository = require("../src/domains/vote/repositories/VoteStatsRepository");
+const VotePolicyRepository = require("../src/domains/vote/repositories/VotePolicyRepository");
 
 // Import vote controllers
 const VoteController = require("../src/domains/vote/controllers/VoteController");
 
 // Import config domain
 const ConfigRepository = require("../src/domains/config/repositories/ConfigRepository");
+const ConfigHistoryRepository = require("../src/domains/config/repositories/ConfigHistoryRepository");
 const ConfigService = require("../src/domains/config/services/ConfigService");
+const SecretCipher = require("../src/utils/secretCipher");
 const ConfigController = require("../src/domains/config/controllers/ConfigController");
 const MinecraftVersionController = require("../src/domains/server/controllers/MinecraftVersionController");
 
@@ -66,6 +92,10 @@ async function containerPlugin(fastify, options) {
     return new ServerTypeRepository(fastify.db);
   });
 
+  container.register("serverOwnershipRepository", () => {
+    return new ServerOwnershipRepository(fastify.db);
+  });
+
   container.register("serverDataRepository", () => {
     return new ServerDataRepository(fastify.db);
   });
@@ -75,6 +105,10 @@ async function containerPlugin(fastify, options) {
     return new VotifierRepository(fastify.db);
   });
 
+  container.register("votifierQueueRepository", () => {
+    return new VotifierQueueRepository(fastify.db);
+  });
+
   container.register("voteRepository", () => {
     return new VoteRepository(fastify.db);
   });
@@ -87,10 +121,18 @@ async function containerPlugin(fastify, options) {
     return new VoteStatsRepository(fastify.db);
   });
 
+  container.register("votePolicyRepository", () => {
+    return new VotePolicyRepository(fastify.db);
+  });
+
   container.register("configRepository", () => {
     return new ConfigRepository(fastify.db);
   });
 
+  container.register("configHistoryRepository", () => {
+    return new ConfigHistoryRepository(fastify.db);
+  });
+
   container.register("minecraftVersionRepository", () => {
     return new MinecraftVersionRepository(fastify.db);
   });
@@ -113,12 +155,66 @@ async function containerPlugin(fastify, options) {
     return new LoginLogRepository(fastify.db);
   });
 
+  container.register("authSessionRepository", () => {
+    return new AuthSessionRepository(fastify.db);
+  });
+
+  container.register("userTokenRepository", () => {
+    return new UserTokenRepository(fastify.db);
+  });
+
+  container.register("twoFactorRepository", () => {
+    return new TwoFactorRepository(fastify.db);
+  });
+
+  container.register("twoFactorService", (container) => {
+    return new TwoFactorService(
+      container.get("twoFactorRepository"),
+      container.get("userRepository"),
+      container.get("authSessionRepository"),
+      container.get("configService"),
+      fastify.log,
+    );
+  });
+
+  container.register("apiKeyRepository", () => {
+    return new ApiKeyRepository(fastify.db);
+  });
+
+  container.register("apiKeyService", (container) => {
+    return new ApiKeyService(
+      container.get("apiKeyRepository"),
+      container.get("serverRepository"),
+      container.get("configService"),
+      fastify.log,
+    );
+  });
+
+  container.register("accountSecurityService", (container) => {
+    return new AccountSecurityService(
+      container.get("loginLogRepository"),
+      container.get("authSessionRepository"),
+      container.get("configService"),
+      fastify.log,
+    );
+  });
+
+  container.register("mailService", () => {
+    return new MailService(MailService.createTransport(process.env, fastify.log), {
+      from: process.env.MAIL_FROM,
+      frontendUrl: process.env.FRONTEND_URL,
+    }, fastify.log);
+  });
+
   container.register("authService", (container) => {
     const userRepository = container.get("userRepository");
     const userProfileAggregator = container.get("userProfileAggregator");
     const securityService = container.get("securityService");
     const configService = container.get("configService");
     const loginLogRepository = container.get("loginLogRepository");
+    const authSessionRepository = container.get("authSessionRepository");
+    const userTokenRepository = container.get("userTokenRepository");
+    const mailService = container.get("mailService");
     return new DomainAuthService(
       userRepository,
       userProfileAggregator,
@@ -127,6 +223,10 @@ async function containerPlugin(fastify, options) {
       configService,
       loginLogRepository,
       fastify.log,
+      authSessionRepository,
+      userTokenRepository,
+      mailService,
+      container.get("twoFactorService"),
     );
   });
 
@@ -140,11 +240,41 @@ async function containerPlugin(fastify, options) {
     );
   });
 
+  container.register("faviconUtils", () => {
+    return new FaviconUtils(fastify.log);
+  });
+
+  container.register("bannerService", (container) => {
+    const serverRepository = container.get("serverRepository");
+    const faviconUtils = container.get("faviconUtils");
+    return new BannerService(serverRepository, faviconUtils, fastify.log, {
+      siteName: new URL(process.env.FRONTEND_URL || "https://mclist.lt").host,
+    });
+  });
+
+  container.register("serverEmbedService", (container) => {
+    const serverRepository = container.get("serverRepository");
+    const configService = container.get("configService");
+    return new ServerEmbedService(serverRepository, configService, fastify.log, {
+      frontendUrl: process.env.FRONTEND_URL,
+      apiUrl: process.env.API_URL,
+    });
+  });
+
   container.register("serverPingService", (container) => {
     const serverRepository = container.get("serverRepository");
     const serverDataRepository = container.get("serverDataRepository");
     const configService = container.get("configService");
-    return new ServerPingService(serverRepository, serverDataRepository, configService, fastify.log);
+    const faviconUtils = container.get("faviconUtils");
+    const serverOwnershipService = container.get("serverOwnershipService");
+    return new ServerPingService(serverRepository, serverDataRepository, configService, fastify.log, faviconUtils, serverOwnershipService);
+  });
+
+  container.register("serverOwnershipService", (container) => {
+    const serverOwnershipRepository = container.get("serverOwnershipRepository");
+    const serverRepository = container.get("serverRepository");
+    const configService = container.get("configService");
+    return new ServerOwnershipService(serverOwnershipRepository, serverRepository, configService, fastify.log);
   });
 
   container.register("serverTypeService", (container) => {
@@ -154,7 +284,21 @@ async function containerPlugin(fastify, options) {
 
   container.register("votifierService", (container) => {
     const votifierRepository = container.get("votifierRepository");
-    return new VotifierService(votifierRepository, fastify.log);
+    const votifierClient = container.get("votifierClient");
+    return new VotifierService(votifierRepository, fastify.log, votifierClient);
+  });
+
+  // Native Votifier protocol client (socket level)
+  container.register("votifierClient", () => {
+    return new VotifierClient(fastify.log);
+  });
+
+  container.register("votifierQueueService", (container) => {
+    const votifierQueueRepository = container.get("votifierQueueRepository");
+    const votifierRepository = container.get("votifierRepository");
+    const votifierClient = container.get("votifierClient");
+    const configService = container.get("configService");
+    return new VotifierQueueService(votifierQueueRepository, votifierRepository, votifierClient, configService, fastify.log);
   });
 
   container.register("securityService", (container) => {
@@ -170,7 +314,9 @@ async function containerPlugin(fastify, options) {
     const configService = container.get("configService");
     const seoService = container.get("seoService");
     const serverService = container.get("serverService");
-    return new VoteService(voteRepository, voteStatsRepository, votifierService, securityService, configService, seoService, serverService, fastify.log);
+    const votifierQueueService = container.get("votifierQueueService");
+    const authService = container.get("authService");
+    return new VoteService(voteRepository, voteStatsRepository, votifierService, securityService, configService, seoService, serverService, fastify.log, votifierQueueService, container.get("votePolicyRepository"), authService);
   });
 
   container.register("seoService", (container) => {
@@ -185,6 +331,7 @@ async function containerPlugin(fastify, options) {
     const serverPingService = container.get("serverPingService");
     const configService = container.get("configService");
     const seoService = container.get("seoService");
+    const authService = container.get("authService");
     return new ServerService(
       serverRepository,
       serverTypeRepository,
@@ -192,29 +339,71 @@ async function containerPlugin(fastify, options) {
       serverPingService,
       configService,
       seoService,
-      fastify.log
+      fastify.log,
+      authService
     );
   });
 
   container.register("configService", (container) => {
     const configRepository = container.get("configRepository");
-    return new ConfigService(configRepository, fastify.log);
+    const configHistoryRepository = container.get("configHistoryRepository");
+    return new ConfigService(configRepository, fastify.log, SecretCipher.fromEnv(process.env), process.env, configHistoryRepository);
   });
 
   container.register("minecraftVersionService", (container) => {
     return new MinecraftVersionService(fastify.db);
   });
 
+  container.register("rateLimitRepository", () => {
+    return new RateLimitRepository(fastify.db);
+  });
+
+  // Postgres counters are shared by all PM2 instances; memory is per process
+  container.register("rateLimitService", (container) => {
+    const store = process.env.RATE_LIMIT_STORE === "memory"
+      ? new MemoryRateLimitStore()
+      : container.get("rateLimitRepository");
+    return new RateLimitService(store, container.get("configService"), fastify.log);
+  });
+
+  container.register("scheduledJobRepository", () => {
+    return new ScheduledJobRepository(fastify.db);
+  });
+
+  container.register("schedulerService", (container) => {
+    const scheduledJobRepository = container.get("scheduledJobRepository");
+    const schedulerService = new SchedulerService(scheduledJobRepository, fastify.db, fastify.log);
+
+    createHousekeepingJobs({
+      voteStatsRepository: container.get("voteStatsRepository"),
+      serverDataRepository: container.get("serverDataRepository"),
+      loginLogRepository: container.get("loginLogRepository"),
+      authSessionRepository: container.get("authSessionRepository"),
+      userTokenRepository: container.get("userTokenRepository"),
+      serverRepository: container.get("serverRepository"),
+      faviconUtils: container.get("faviconUtils"),
+      rateLimitRepository: container.get("rateLimitRepository"),
+      configService: container.get("configService"),
+    }).forEach((job) => schedulerService.registerJob(job));
+
+    createVotifierJobs({
+      votifierQueueService: container.get("votifierQueueService"),
+    }).forEach((job) => schedulerService.registerJob(job));
+
+    return schedulerService;
+  });
+
   container.register("startupService", (container) => {
     const serverPingService = container.get("serverPingService");
     const minecraftVersionService = container.get("minecraftVersionService");
-    return new StartupService(serverPingService, minecraftVersionService, fastify.log);
+    const schedulerService = container.get("schedulerService");
+    return new StartupService(serverPingService, minecraftVersionService, fastify.log, schedulerService);
   });
 
   // Register domain controllers
   container.register("authController", (container) => {
     const authService = container.get("authService");
-    return new DomainAuthController(authService, fastify.log);
+    return new DomainAuthController(authService, fastify.log, container.get("twoFactorService"));
   });
 
   container.register("userProfileController", (container) => {
@@ -234,7 +423,8 @@ async function containerPlugin(fastify, options) {
 
   container.register("votifierController", (container) => {
     const votifierService = container.get("votifierService");
-    return new VotifierController(votifierService, fastify.log);
+    const votifierQueueService = container.get("votifierQueueService");
+    return new VotifierController(votifierService, fastify.log, votifierQueueService);
   });
 
   container.register("voteController", (container) => {
@@ -9,7 +9,7 @@ module.exports = fp(async function (fastify, opts) {
     // Allow all methods
     methods: ['GET', 'PUT', 'POST', 'DELETE', 'OPTIONS', 'PATCH'],
     // Allow all headers
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-Language'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-Language', 'X-API-Key'],
     // Allow credentials
     credentials: true,
     // Handle preflight requests
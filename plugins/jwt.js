@@ -2,6 +2,19 @@
 
 const fp = require('fastify-plugin');
 
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a JWT-style duration ('15m', '7d', or plain seconds) into milliseconds
+ */
+function parseDuration(value) {
+    const match = String(value).trim().match(/^(\d+)\s*([smhd])?$/);
+    if (!match) {
+        throw new Error(`Invalid duration: ${value}`);
+    }
+    return parseInt(match[1]) * DURATION_UNITS[match[2] || 's'];
+}
+
 async function jwtPlugin(fastify, options) {
     try {
         // Validate required environment variables
@@ -41,25 +54,19 @@ async function jwtPlugin(fastify, options) {
                 });
             },
 
-            // Generate refresh token
-            generateRefreshToken: async (payload) => {
-                return fastify.jwt.sign(payload, {
-                    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
-                });
-            },
+            // Refresh tokens are opaque and stored server-side (see AuthService), only their lifetime lives here
+            refreshTokenTtlMs: parseDuration(process.env.JWT_REFRESH_EXPIRES_IN || '7d'),
 
-            // Generate token pair
-            generateTokenPair: async (payload) => {
-                const accessToken = await fastify.jwtUtils.generateAccessToken(payload);
-                const refreshToken = await fastify.jwtUtils.generateRefreshToken(payload);
+            accessTokenExpiresIn: process.env.JWT_EXPIRES_IN || '24h',
 
-                return {
-                    accessToken,
-                    refreshToken,
-                    expiresIn: process.env.JWT_EXPIRES_IN || '24h'
-                };
+            // Short-lived token between password and second-factor login steps.
+            // It carries no session id, so authenticate() never accepts it as an access token.
+            generateChallengeToken: async (payload) => {
+                return fastify.jwt.sign(payload, { expiresIn: '5m' });
             },
 
+            challengeTokenExpiresIn: '5m',
+
             // Verify and decode token
             verifyToken: async (token) => {
                 try {
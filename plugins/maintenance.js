@@ -0,0 +1,63 @@
+'use strict'
+
+const fp = require('fastify-plugin');
+const { optionalAuthenticate } = require('../src/middleware/auth');
+const { matchesRoute } = require('../src/utils/routePattern');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const DEFAULT_RETRY_AFTER = 300; // seconds, when no ETA is set
+
+function retryAfterSeconds(eta) {
+    const etaTime = eta ? new Date(eta).getTime() : NaN;
+    const remaining = Math.ceil((etaTime - Date.now()) / 1000);
+    return remaining > 0 ? remaining : DEFAULT_RETRY_AFTER;
+}
+
+/**
+ * Maintenance mode: while site.maintenance_mode is on, non-admin requests to
+ * mutating routes get 503. Reads and allowlisted routes keep working.
+ */
+async function maintenancePlugin(fastify) {
+    fastify.addHook('onRequest', async (request, reply) => {
+        const url = request.routeOptions.url;
+        if (SAFE_METHODS.includes(request.method) || !url) {
+            return;
+        }
+
+        const configService = fastify.getService('configService');
+        const status = await configService.getMaintenanceStatus();
+        if (!status.enabled) {
+            return;
+        }
+
+        const allowlist = await configService.getMaintenanceAllowedRoutes();
+        if (matchesRoute(allowlist, request.method, url)) {
+            return;
+        }
+
+        await optionalAuthenticate.call(fastify, request, reply);
+        if (request.user?.role === 'admin') {
+            return;
+        }
+
+        const retryAfter = retryAfterSeconds(status.eta);
+        const response = fastify.response.error(
+            status.message || 'Vyksta techniniai darbai, bandykite vėliau',
+            [],
+            503,
+            'MAINTENANCE_MODE'
+        );
+        response.maintenance = { message: status.message, eta: status.eta, retry_after: retryAfter };
+        response.meta.requestId = request.id;
+        response.meta.language = 'lt';
+
+        return reply.code(503).header('Retry-After', String(retryAfter)).send(response);
+    });
+
+    fastify.log.info('🚧 Maintenance mode plugin registered');
+}
+
+module.exports = fp(maintenancePlugin, {
+    name: 'maintenance',
+    dependencies: ['container', 'jwt', 'response']
+});
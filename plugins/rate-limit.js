@@ -0,0 +1,76 @@
+'use strict'
+
+const fp = require('fastify-plugin');
+const ApiKeyService = require('../src/domains/auth/services/ApiKeyService');
+
+/**
+ * User id from a valid access token or API key; the session itself is checked later by authenticate.
+ * API key requests count toward their owner's limits, so extra keys do not add capacity.
+ */
+async function tokenUserId(fastify, request) {
+    const apiKey = ApiKeyService.extractKey(request);
+    if (apiKey) {
+        // Kept on the request so authenticate does not look the key up again
+        request.apiKey = await fastify.getService('apiKeyService').findActiveKey(apiKey);
+        return request.apiKey ? request.apiKey.user_id : null;
+    }
+
+    const token = request.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+        return null;
+    }
+
+    try {
+        const decoded = await fastify.jwtUtils.verifyToken(token);
+        return decoded.sid ? decoded.id : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Request rate limiting with RateLimit-* headers; rules are managed in the config table
+ */
+async function rateLimitPlugin(fastify) {
+    fastify.addHook('onRequest', async (request, reply) => {
+        const url = request.routeOptions.url;
+        if (!url || request.method === 'OPTIONS') {
+            return;
+        }
+
+        let state;
+        try {
+            state = await fastify.getService('rateLimitService').consume({
+                method: request.method,
+                url,
+                ip: request.ip,
+                userId: await tokenUserId(fastify, request)
+            });
+        } catch (error) {
+            // Fail open: an unavailable counter store must not take the API down
+            request.log.warn({ error: error.message }, 'Rate limit check failed');
+            return;
+        }
+
+        if (!state) {
+            return;
+        }
+
+        reply.header('RateLimit-Limit', state.limit);
+        reply.header('RateLimit-Remaining', state.remaining);
+        reply.header('RateLimit-Reset', state.reset);
+
+        if (state.exceeded) {
+            request.log.info({ rule: state.rule, ip: request.ip, url }, 'Rate limit exceeded');
+            reply.header('Retry-After', state.reset);
+            return reply.apiError('Per daug užklausų, bandykite vėliau', [], 429, 'RATE_LIMITED');
+        }
+    });
+
+    fastify.log.info('🚦 Rate limit plugin registered');
+}
+
+module.exports = fp(rateLimitPlugin, {
+    name: 'rate-limit',
+    dependencies: ['container', 'jwt', 'response']
+});
@@ -16,7 +16,10 @@ const {
     bulkUpdateBody,
     configQuery,
     configKeyParam,
-    categoryParam
+    categoryParam,
+    historyIdParam,
+    configHistoryQuery,
+    configHistoryResponse
 } = require('../../../../src/domains/config/schemas/ConfigSchemas');
 
 module.exports = async function (fastify) {
@@ -116,7 +119,7 @@ module.exports = async function (fastify) {
         },
         preHandler: [authenticate, requireRole('admin')],
         handler: async (request, reply) => {
-            const config = await configService.create(request.body);
+            const config = await configService.create(request.body, request.user.id);
             
             return reply.code(201).send({
                 success: true,
@@ -147,7 +150,7 @@ module.exports = async function (fastify) {
         preHandler: [authenticate, requireRole('admin')],
         handler: async (request, reply) => {
             const { key } = request.params;
-            const config = await configService.update(key, request.body);
+            const config = await configService.update(key, request.body, request.user.id);
             
             return reply.success({
                 config: config.toJSON()
@@ -161,7 +164,7 @@ module.exports = async function (fastify) {
       tags: ['Admin - Configuration'],
             security: [{ bearerAuth: [] }],
             summary: 'Bulk update configurations',
-            description: 'Update multiple configurations at once',
+            description: 'Update multiple configurations at once; if any value is invalid nothing is saved',
             // Validation handled by service layer
             response: {
                 200: bulkUpdateResponse,
@@ -173,8 +176,8 @@ module.exports = async function (fastify) {
         },
         preHandler: [authenticate, requireRole('admin')],
         handler: async (request, reply) => {
-            const { updates } = request.body;
-            const results = await configService.bulkUpdate(updates);
+            const { updates } = request.body || {};
+            const results = await configService.bulkUpdate(updates, request.user.id);
             
             const successful = results.filter(r => r.success).length;
             const failed = results.length - successful;
@@ -219,7 +222,7 @@ module.exports = async function (fastify) {
         preHandler: [authenticate, requireRole('admin')],
         handler: async (request, reply) => {
             const { key } = request.params;
-            const deleted = await configService.delete(key);
+            const deleted = await configService.delete(key, request.user.id);
             
             if (!deleted) {
                 return reply.code(404).send({
@@ -235,6 +238,57 @@ module.exports = async function (fastify) {
         }
     });
 
+    // Config change history (admin only)
+    fastify.get('/history', {
+        schema: {
+      tags: ['Admin - Configuration'],
+            security: [{ bearerAuth: [] }],
+            summary: 'Get configuration change history',
+            description: 'Value changes with the admin who made them; secret values are masked',
+            querystring: configHistoryQuery,
+            response: {
+                200: configHistoryResponse,
+                401: errorResponse,
+                403: errorResponse,
+                500: errorResponse
+            }
+        },
+        preHandler: [authenticate, requireRole('admin')],
+        handler: async (request, reply) => {
+            const result = await configService.getHistory(request.query);
+
+            return reply.success(result, 'Configuration history retrieved successfully');
+        }
+    });
+
+    // Roll back a config change (admin only)
+    fastify.post('/history/:id/rollback', {
+        schema: {
+      tags: ['Admin - Configuration'],
+            security: [{ bearerAuth: [] }],
+            summary: 'Roll back configuration change',
+            description: 'Restore the value the config had before the given history entry',
+            params: historyIdParam,
+            response: {
+                200: configResponse,
+                400: errorResponse,
+                401: errorResponse,
+                403: errorResponse,
+                404: errorResponse,
+                409: errorResponse,
+                500: errorResponse
+            }
+        },
+        preHandler: [authenticate, requireRole('admin')],
+        handler: async (request, reply) => {
+            const config = await configService.rollback(request.params.id, request.user.id);
+
+            return reply.success({
+                config: config.toJSON()
+            }, 'Configuration rolled back successfully');
+        }
+    });
+
     // Clear cache (admin only)
     fastify.post('/cache/clear', {
         schema: {
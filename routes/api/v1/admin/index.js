@@ -7,6 +7,10 @@ module.exports = async function (fastify) {
     await fastify.register(require('./users'), { prefix: '/users' });
     await fastify.register(require('./config'), { prefix: '/config' });
     await fastify.register(require('./stats'), { prefix: '/stats' });
+    await fastify.register(require('./jobs'), { prefix: '/jobs' });
+    await fastify.register(require('./votifier'), { prefix: '/votifier' });
+    await fastify.register(require('./votes'), { prefix: '/votes' });
+    await fastify.register(require('./security'), { prefix: '/security' });
 
     fastify.log.info('👑 Admin routes registered');
 };
\ No newline at end of file
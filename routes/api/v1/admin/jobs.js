@@ -0,0 +1,80 @@
+'use strict'
+
+const { authenticate, requireRole } = require('../../../../src/middleware/auth');
+const {
+  createApiResponse,
+  errorResponse,
+} = require('../../../../src/shared/schemas/components/BaseSchemaComponents');
+const { scheduledJobObject, jobRunResultObject } = require('../../../../src/domains/admin/schemas/AdminSchemas');
+const ErrorHandler = require('../../../../src/lib/ErrorHandler');
+
+module.exports = async function (fastify) {
+  fastify.get('/', {
+    schema: {
+      tags: ['Admin - Jobs'],
+      security: [{ bearerAuth: [] }],
+      summary: 'List scheduled jobs with last-run status',
+      response: {
+        200: createApiResponse({
+          type: 'object',
+          properties: {
+            jobs: { type: 'array', items: scheduledJobObject },
+          },
+        }),
+        401: errorResponse,
+        403: errorResponse,
+        500: errorResponse,
+      },
+    },
+    preHandler: [authenticate, requireRole('admin')],
+    handler: async (request, reply) => {
+      const schedulerService = fastify.getService('schedulerService');
+      const jobs = await schedulerService.getStatus();
+
+      return reply.apiSuccess({ jobs }, 'Suplanuotos užduotys gautos');
+    },
+  });
+
+  fastify.post('/:name/run', {
+    schema: {
+      tags: ['Admin - Jobs'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Run a scheduled job now',
+      params: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100 },
+        },
+      },
+      response: {
+        200: createApiResponse({
+          type: 'object',
+          properties: {
+            run: jobRunResultObject,
+          },
+        }),
+        401: errorResponse,
+        403: errorResponse,
+        404: errorResponse,
+        500: errorResponse,
+      },
+    },
+    preHandler: [authenticate, requireRole('admin')],
+    handler: async (request, reply) => {
+      const schedulerService = fastify.getService('schedulerService');
+      const { name } = request.params;
+
+      if (!schedulerService.hasJob(name)) {
+        throw ErrorHandler.notFound('Užduotis nerasta');
+      }
+
+      const run = await schedulerService.runJob(name, { manual: true });
+      request.log.info({ job: name, status: run.status, adminId: request.user.id }, 'Scheduled job run manually');
+
+      return reply.apiSuccess({ run }, 'Užduotis įvykdyta');
+    },
+  });
+
+  fastify.log.info('⏰ Admin job routes registered');
+};
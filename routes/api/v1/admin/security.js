@@ -0,0 +1,110 @@
+'use strict'
+
+const { authenticate, requireRole } = require('../../../../src/middleware/auth');
+const { errorResponse } = require('../../../../src/shared/schemas/components/BaseSchemaComponents');
+const {
+  loginLogsQuery,
+  loginLogsResponse,
+  suspiciousActivityQuery,
+  suspiciousActivityResponse,
+  lockStatusQuery,
+  lockStatusResponse,
+  unlockAccountBody,
+  unlockAccountResponse,
+} = require('../../../../src/domains/auth/schemas/SecuritySchemas');
+
+module.exports = async function (fastify) {
+  fastify.get('/login-logs', {
+    schema: {
+      tags: ['Admin - Security'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Browse login attempts',
+      description: 'Filter by email (contains), IP address or CIDR subnet, result and time range',
+      querystring: loginLogsQuery,
+      response: {
+        200: loginLogsResponse,
+        400: errorResponse,
+        401: errorResponse,
+        403: errorResponse,
+        500: errorResponse,
+      },
+    },
+    preHandler: [authenticate, requireRole('admin')],
+    handler: async (request, reply) => {
+      const accountSecurityService = fastify.getService('accountSecurityService');
+      const result = await accountSecurityService.getLoginLogs(request.query);
+
+      return reply.apiSuccess(result, 'Prisijungimų žurnalas gautas');
+    },
+  });
+
+  fastify.get('/suspicious', {
+    schema: {
+      tags: ['Admin - Security'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Accounts with suspicious failed logins',
+      description: 'Emails with failed attempts from more than 2 IPs or more than 10 failures in the period',
+      querystring: suspiciousActivityQuery,
+      response: {
+        200: suspiciousActivityResponse,
+        400: errorResponse,
+        401: errorResponse,
+        403: errorResponse,
+        500: errorResponse,
+      },
+    },
+    preHandler: [authenticate, requireRole('admin')],
+    handler: async (request, reply) => {
+      const accountSecurityService = fastify.getService('accountSecurityService');
+      const accounts = await accountSecurityService.getSuspiciousActivity(request.query);
+
+      return reply.apiSuccess({ accounts }, 'Įtartina veikla gauta');
+    },
+  });
+
+  fastify.get('/lockout', {
+    schema: {
+      tags: ['Admin - Security'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Check whether an account is locked',
+      querystring: lockStatusQuery,
+      response: {
+        200: lockStatusResponse,
+        401: errorResponse,
+        403: errorResponse,
+        500: errorResponse,
+      },
+    },
+    preHandler: [authenticate, requireRole('admin')],
+    handler: async (request, reply) => {
+      const accountSecurityService = fastify.getService('accountSecurityService');
+      const status = await accountSecurityService.getLockStatus(request.query.email);
+
+      return reply.apiSuccess({ email: request.query.email, ...status }, 'Paskyros būsena gauta');
+    },
+  });
+
+  fastify.post('/unlock', {
+    schema: {
+      tags: ['Admin - Security'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Unlock an account locked after failed logins',
+      description: 'Failed attempts logged before the unlock no longer count towards a new lockout',
+      body: unlockAccountBody,
+      response: {
+        200: unlockAccountResponse,
+        401: errorResponse,
+        403: errorResponse,
+        409: errorResponse,
+        500: errorResponse,
+      },
+    },
+    preHandler: [authenticate, requireRole('admin')],
+    handler: async (request, reply) => {
+      const accountSecurityService = fastify.getService('accountSecurityService');
+      const result = await accountSecurityService.unlockAccount(request.body.email, request.user, request.ip);
+
+      return reply.apiSuccess(result, 'Paskyra atblokuota');
+    },
+  });
+};
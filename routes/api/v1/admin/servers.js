@@ -12,11 +12,16 @@ const {
     getServersResponse,
     deleteServerResponse,
     updateServerBody,
-    updateServerResponse
+    updateServerResponse,
+    ownershipClaimsQuery,
+    ownershipClaimsResponse,
+    ownershipClaimResponse,
+    resolveOwnershipClaimBody
 } = require('../../../../src/domains/server/schemas/ServerSchemas');
 
 module.exports = async function (fastify) {
     const serverService = fastify.getService('serverService');
+    const serverOwnershipService = fastify.getService('serverOwnershipService');
 
     const premiumUpdateBody = {
         type: 'object',
@@ -224,5 +229,62 @@ module.exports = async function (fastify) {
         }
     });
 
+    // GET /ownership-claims - ownership claims and disputes
+    fastify.get('/ownership-claims', {
+        schema: {
+            tags: ['Admin - Servers'],
+            security: [{ bearerAuth: [] }],
+            summary: 'List server ownership claims',
+            description: 'Claims newest first; disputed=true limits to claims against another user\'s listing',
+            querystring: ownershipClaimsQuery,
+            response: {
+                200: ownershipClaimsResponse,
+                400: errorResponse,
+                401: errorResponse,
+                403: errorResponse,
+                500: errorResponse
+            }
+        },
+        preHandler: [authenticate, requireRole('admin')],
+        handler: async (request, reply) => {
+            const result = await serverOwnershipService.listClaims(request.query);
+            return reply.apiSuccess(result, 'Ownership claims retrieved');
+        }
+    });
+
+    // Approve a pending claim without proof: verifies and transfers the listing
+    fastify.post('/ownership-claims/:id/approve', {
+        schema: {
+            tags: ['Admin - Servers'],
+            security: [{ bearerAuth: [] }],
+            summary: 'Approve a server ownership claim',
+            params: idParam,
+            body: resolveOwnershipClaimBody,
+            response: { 200: ownershipClaimResponse, 400: errorResponse, 401: errorResponse, 403: errorResponse, 404: errorResponse, 500: errorResponse }
+        },
+        preHandler: [authenticate, requireRole('admin')],
+        handler: async (request, reply) => {
+            const claim = await serverOwnershipService.resolveClaim(request.params.id, request.user.id, true, request.body?.note || null);
+            return reply.apiSuccess({ claim }, 'Ownership claim approved');
+        }
+    });
+
+    // Reject a pending claim
+    fastify.post('/ownership-claims/:id/reject', {
+        schema: {
+            tags: ['Admin - Servers'],
+            security: [{ bearerAuth: [] }],
+            summary: 'Reject a server ownership claim',
+            params: idParam,
+            body: resolveOwnershipClaimBody,
+            response: { 200: ownershipClaimResponse, 400: errorResponse, 401: errorResponse, 403: errorResponse, 404: errorResponse, 500: errorResponse }
+        },
+        preHandler: [authenticate, requireRole('admin')],
+        handler: async (request, reply) => {
+            const claim = await serverOwnershipService.resolveClaim(request.params.id, request.user.id, false, request.body?.note || null);
+            return reply.apiSuccess({ claim }, 'Ownership claim rejected');
+        }
+    });
+
     fastify.log.info('👑 Admin server premium routes registered');
 };
@@ -0,0 +1,155 @@
+'use strict'
+
+const { authenticate, requireRole } = require('../../../../src/middleware/auth');
+const { errorResponse } = require('../../../../src/shared/schemas/components/BaseSchemaComponents');
+const {
+  reviewQueueQuery,
+  reviewQueueResponse,
+  bulkModerateBody,
+  bulkModerateResponse,
+  votePolicyBody,
+  votePolicyResponse,
+} = require('../../../../src/domains/vote/schemas/VoteSchemas');
+
+module.exports = async function (fastify) {
+  fastify.get('/review', {
+    schema: {
+      tags: ['Admin - Votes'],
+      security: [{ bearerAuth: [] }],
+      summary: 'List suspicious votes for review, riskiest first',
+      description: 'Defaults to pending and flagged votes',
+      querystring: reviewQueueQuery,
+      response: {
+        200: reviewQueueResponse,
+        401: errorResponse,
+        403: errorResponse,
+        500: errorResponse,
+      },
+    },
+    preHandler: [authenticate, requireRole('admin')],
+    handler: async (request, reply) => {
+      const voteService = fastify.getService('voteService');
+      const result = await voteService.getReviewQueue(request.query);
+
+      return reply.apiSuccess({
+        votes: result.votes.map(vote => vote.toAdminJSON()),
+        pagination: result.pagination,
+      }, 'Peržiūros eilė gauta');
+    },
+  });
+
+  fastify.post('/moderate', {
+    schema: {
+      tags: ['Admin - Votes'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Apply a moderation action to several votes',
+      description: 'Votes that cannot make the transition are skipped and listed in the response',
+      body: bulkModerateBody,
+      response: {
+        200: bulkModerateResponse,
+        400: errorResponse,
+        401: errorResponse,
+        403: errorResponse,
+        500: errorResponse,
+      },
+    },
+    preHandler: [authenticate, requireRole('admin')],
+    handler: async (request, reply) => {
+      const voteService = fastify.getService('voteService');
+      const { vote_ids, action, reason } = request.body;
+      const result = await voteService.bulkModerate(vote_ids, action, { reason, adminId: request.user.id });
+
+      request.log.info({
+        action,
+        adminId: request.user.id,
+        updated: result.updated.length,
+        skipped: result.skipped.length,
+      }, 'Bulk vote moderation applied');
+
+      return reply.apiSuccess({
+        updated: result.updated.map(vote => vote.toAdminJSON()),
+        skipped: result.skipped,
+      }, 'Moderavimo veiksmas pritaikytas');
+    },
+  });
+
+  const serverParams = {
+    type: 'object',
+    required: ['serverId'],
+    properties: {
+      serverId: { type: 'integer', minimum: 1 },
+    },
+  };
+
+  fastify.get('/policy/servers/:serverId', {
+    schema: {
+      tags: ['Admin - Votes'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Get the vote eligibility policy of a server',
+      params: serverParams,
+      response: {
+        200: votePolicyResponse,
+        401: errorResponse,
+        403: errorResponse,
+        500: errorResponse,
+      },
+    },
+    preHandler: [authenticate, requireRole('admin')],
+    handler: async (request, reply) => {
+      const voteService = fastify.getService('voteService');
+      const policy = await voteService.getServerVotePolicy(request.params.serverId);
+
+      return reply.apiSuccess(policy, 'Balsavimo taisyklės gautos');
+    },
+  });
+
+  fastify.put('/policy/servers/:serverId', {
+    schema: {
+      tags: ['Admin - Votes'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Override the global vote eligibility policy for a server',
+      description: 'Omitted or null fields fall back to the global vote.* config',
+      params: serverParams,
+      body: votePolicyBody,
+      response: {
+        200: votePolicyResponse,
+        400: errorResponse,
+        401: errorResponse,
+        403: errorResponse,
+        404: errorResponse,
+        500: errorResponse,
+      },
+    },
+    preHandler: [authenticate, requireRole('admin')],
+    handler: async (request, reply) => {
+      const voteService = fastify.getService('voteService');
+      const policy = await voteService.setServerVotePolicy(request.params.serverId, request.body, request.user.id);
+
+      return reply.apiSuccess(policy, 'Balsavimo taisyklės atnaujintos');
+    },
+  });
+
+  fastify.delete('/policy/servers/:serverId', {
+    schema: {
+      tags: ['Admin - Votes'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Remove server overrides and use the global vote policy',
+      params: serverParams,
+      response: {
+        200: votePolicyResponse,
+        401: errorResponse,
+        403: errorResponse,
+        500: errorResponse,
+      },
+    },
+    preHandler: [authenticate, requireRole('admin')],
+    handler: async (request, reply) => {
+      const voteService = fastify.getService('voteService');
+      const policy = await voteService.resetServerVotePolicy(request.params.serverId, request.user.id);
+
+      return reply.apiSuccess(policy, 'Taikomos bendros balsavimo taisyklės');
+    },
+  });
+
+  fastify.log.info('🗳️  Admin vote routes registered');
+};
@@ -0,0 +1,73 @@
+'use strict'
+
+const { authenticate, requireRole } = require('../../../../src/middleware/auth');
+const { errorResponse } = require('../../../../src/shared/schemas/components/BaseSchemaComponents');
+const {
+  votifierQueueQuery,
+  votifierQueueResponse,
+  votifierRedeliverResponse,
+} = require('../../../../src/domains/votifier/schemas/VotifierSchemas');
+
+module.exports = async function (fastify) {
+  fastify.get('/queue', {
+    schema: {
+      tags: ['Admin - Votifier'],
+      security: [{ bearerAuth: [] }],
+      summary: 'List votifier delivery queue across all servers',
+      querystring: {
+        ...votifierQueueQuery,
+        properties: {
+          ...votifierQueueQuery.properties,
+          server_id: { type: 'integer', minimum: 1 },
+        },
+      },
+      response: {
+        200: votifierQueueResponse,
+        401: errorResponse,
+        403: errorResponse,
+        500: errorResponse,
+      },
+    },
+    preHandler: [authenticate, requireRole('admin')],
+    handler: async (request, reply) => {
+      const votifierQueueService = fastify.getService('votifierQueueService');
+      const { server_id, status, page, limit } = request.query;
+      const queue = await votifierQueueService.getQueue({ serverId: server_id, status, page, limit });
+
+      return reply.apiSuccess(queue, 'Votifier eilė gauta');
+    },
+  });
+
+  fastify.post('/queue/:voteId/redeliver', {
+    schema: {
+      tags: ['Admin - Votifier'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Redeliver a vote through Votifier',
+      params: {
+        type: 'object',
+        required: ['voteId'],
+        properties: {
+          voteId: { type: 'integer', minimum: 1 },
+        },
+      },
+      response: {
+        200: votifierRedeliverResponse,
+        400: errorResponse,
+        401: errorResponse,
+        403: errorResponse,
+        404: errorResponse,
+        500: errorResponse,
+      },
+    },
+    preHandler: [authenticate, requireRole('admin')],
+    handler: async (request, reply) => {
+      const votifierQueueService = fastify.getService('votifierQueueService');
+      const vote = await votifierQueueService.redeliver(request.params.voteId);
+      request.log.info({ voteId: request.params.voteId, adminId: request.user.id }, 'Vote redelivery requested by admin');
+
+      return reply.apiSuccess({ vote }, 'Balsas įtrauktas į pakartotinio siuntimo eilę');
+    },
+  });
+
+  fastify.log.info('🗳️  Admin votifier routes registered');
+};
@@ -6,6 +6,17 @@ const {
   loginSchema,
   refreshTokenSchema,
   logoutSchema,
+  logoutAllSchema,
+  requestEmailVerificationSchema,
+  confirmEmailVerificationSchema,
+  requestPasswordResetSchema,
+  confirmPasswordResetSchema,
+  twoFactorLoginSchema,
+  twoFactorStatusSchema,
+  twoFactorSetupSchema,
+  twoFactorEnableSchema,
+  twoFactorDisableSchema,
+  regenerateRecoveryCodesSchema,
 } = require('../../../../src/domains/auth/schemas/AuthSchemas');
 
 module.exports = async function (fastify) {
@@ -32,6 +43,11 @@ module.exports = async function (fastify) {
     handler: authController.login.bind(authController),
   });
 
+  fastify.post('/login/2fa', {
+    schema: { ...twoFactorLoginSchema },
+    handler: authController.loginTwoFactor.bind(authController),
+  });
+
   fastify.post('/refresh', {
     schema: {
       ...refreshTokenSchema,
@@ -48,5 +64,65 @@ module.exports = async function (fastify) {
     handler: authController.logout.bind(authController),
   });
 
+  fastify.post('/logout-all', {
+    schema: { ...logoutAllSchema },
+    preHandler: [authenticate],
+    handler: authController.logoutAll.bind(authController),
+  });
+
+  // Email verification
+  fastify.post('/verify-email/request', {
+    schema: { ...requestEmailVerificationSchema },
+    preHandler: [authenticate],
+    handler: authController.requestEmailVerification.bind(authController),
+  });
+
+  fastify.post('/verify-email/confirm', {
+    schema: { ...confirmEmailVerificationSchema },
+    handler: authController.confirmEmailVerification.bind(authController),
+  });
+
+  // Password reset
+  fastify.post('/password-reset/request', {
+    schema: { ...requestPasswordResetSchema },
+    handler: authController.requestPasswordReset.bind(authController),
+  });
+
+  fastify.post('/password-reset/confirm', {
+    schema: { ...confirmPasswordResetSchema },
+    handler: authController.confirmPasswordReset.bind(authController),
+  });
+
+  // Two-factor authentication (TOTP)
+  fastify.get('/2fa', {
+    schema: { ...twoFactorStatusSchema },
+    preHandler: [authenticate],
+    handler: authController.twoFactorStatus.bind(authController),
+  });
+
+  fastify.post('/2fa/setup', {
+    schema: { ...twoFactorSetupSchema },
+    preHandler: [authenticate],
+    handler: authController.setupTwoFactor.bind(authController),
+  });
+
+  fastify.post('/2fa/enable', {
+    schema: { ...twoFactorEnableSchema },
+    preHandler: [authenticate],
+    handler: authController.enableTwoFactor.bind(authController),
+  });
+
+  fastify.post('/2fa/disable', {
+    schema: { ...twoFactorDisableSchema },
+    preHandler: [authenticate],
+    handler: authController.disableTwoFactor.bind(authController),
+  });
+
+  fastify.post('/2fa/recovery-codes', {
+    schema: { ...regenerateRecoveryCodesSchema },
+    preHandler: [authenticate],
+    handler: authController.regenerateRecoveryCodes.bind(authController),
+  });
+
   fastify.log.info('🔐 Authentication routes registered');
 };
\ No newline at end of file
@@ -14,17 +14,21 @@ module.exports = async function (fastify) {
         schema: {
       tags: ['Configuration'],
             summary: 'Get public configurations',
-            description: 'Get publicly visible system configurations',
+            description: 'Get publicly visible system configurations and the maintenance banner state',
             response: {
                 200: getPublicConfigsResponse,
                 500: errorResponse
             }
         },
         handler: async (request, reply) => {
-            const configs = await configService.getPublic();
+            const [configs, maintenance] = await Promise.all([
+                configService.getPublic(),
+                configService.getMaintenanceStatus()
+            ]);
             
             return reply.success({
-                configs
+                configs,
+                maintenance
             }, 'Public configurations retrieved successfully');
         }
     });
@@ -1,9 +1,95 @@
 'use strict'
 
 const { errorResponse } = require('../../../../src/shared/schemas/components/BaseSchemaComponents');
+const ServerDTO = require('../../../../src/domains/server/dto/ServerDTO');
+const BannerService = require('../../../../src/services/banner/BannerService');
+
+const bannerQuery = {
+  type: 'object',
+  properties: {
+    size: { type: 'string', enum: BannerService.SIZES, default: 'large' }
+  }
+};
 
 module.exports = async function (fastify) {
-  const serverController = fastify.getService('serverController');
+  const serverRepository = fastify.getService('serverRepository');
+  const faviconUtils = fastify.getService('faviconUtils');
+  const bannerService = fastify.getService('bannerService');
+  const serverService = fastify.getService('serverService');
+
+  // Rendered images change only when their inputs do, so the ETag is derived from those
+  function sendImage(request, reply, image) {
+    reply
+      .header('ETag', image.etag)
+      .header('Cache-Control', 'public, max-age=300');
+
+    const ifNoneMatch = request.headers['if-none-match'];
+    if (ifNoneMatch && ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === image.etag)) {
+      return reply.code(304).send();
+    }
+
+    return reply.type(image.contentType).send(image.body);
+  }
+
+  function bannerRoute(format) {
+    return {
+      schema: {
+        tags: ['Servers'],
+        summary: `Get server status banner as ${format.toUpperCase()}`,
+        description: 'Status banner with favicon, name, MOTD, players, version and vote rank. Sizes: small (468x60), medium (560x95), large (728x90). Supports If-None-Match.',
+        querystring: bannerQuery,
+        response: { 200: { type: 'string', format: 'binary' }, 404: errorResponse }
+      },
+      handler: async (request, reply) => {
+        try {
+          const image = await bannerService.getBanner(parseInt(request.params.id), { size: request.query.size, format });
+          if (!image) {
+            return reply.code(404).send('Server not found');
+          }
+
+          return sendImage(request, reply, image);
+
+        } catch (error) {
+          fastify.log.error({ error: error.message, stack: error.stack }, 'Failed to render server banner');
+          return reply.code(500).send('Internal server error');
+        }
+      }
+    };
+  }
+
+  // GET /:id/banner.png and /:id/banner.svg - status banners
+  fastify.get('/:id(\\d+)/banner.png', bannerRoute('png'));
+  fastify.get('/:id(\\d+)/banner.svg', bannerRoute('svg'));
+
+  // GET /slug/:slug/og.png - OpenGraph card (1200x630)
+  fastify.get('/slug/:slug/og.png', {
+    schema: {
+      tags: ['Servers'],
+      summary: 'Get server OpenGraph image',
+      description: 'Social preview card for a server. Former slugs redirect to the current image. Supports If-None-Match.',
+      response: { 200: { type: 'string', format: 'binary' }, 404: errorResponse }
+    },
+    handler: async (request, reply) => {
+      try {
+        const { slug } = request.params;
+        const image = await bannerService.getOgImage(slug);
+        if (image) {
+          return sendImage(request, reply, image);
+        }
+
+        const currentSlug = await serverService.findSlugRedirect(slug);
+        if (currentSlug) {
+          return reply.redirect(`/api/v1/servers/slug/${encodeURIComponent(currentSlug)}/og.png`, 301);
+        }
+
+        return reply.code(404).send('Server not found');
+
+      } catch (error) {
+        fastify.log.error({ error: error.message, stack: error.stack }, 'Failed to render server OpenGraph image');
+        return reply.code(500).send('Internal server error');
+      }
+    }
+  });
 
   // GET /:id/favicon - favicon metadata
   fastify.get('/:id(\\d+)/favicon', {
@@ -37,22 +123,20 @@ module.exports = async function (fastify) {
           return reply.apiError('Invalid server ID', [], 400, 'INVALID_SERVER_ID');
         }
 
-        const server = await serverController.serverService.getServerById(serverId);
-        if (!server) {
+        const favicon = await serverRepository.getFavicon(serverId);
+        if (!favicon) {
           return reply.apiError('Server not found', [], 404, 'SERVER_NOT_FOUND');
         }
 
-        const serverDataRepository = fastify.container.get('serverDataRepository');
-        const serverData = await serverDataRepository.findByServerId(serverId);
-
-        if (!serverData || !serverData.favicon) {
+        const faviconUrl = ServerDTO.getIconUrl({ id: serverId, favicon_path: favicon.favicon_path });
+        if (!faviconUrl) {
           return reply.apiSuccess({ favicon_url: null, has_favicon: false, updated_at: null }, 'No favicon available');
         }
 
         return reply.apiSuccess({
-          favicon_url: serverData.getFaviconUrl(),
-          has_favicon: serverData.hasFavicon(),
-          updated_at: null
+          favicon_url: faviconUrl,
+          has_favicon: true,
+          updated_at: favicon.favicon_updated_at ? new Date(favicon.favicon_updated_at).toISOString() : null
         }, 'Favicon retrieved successfully');
 
       } catch (error) {
@@ -67,7 +151,7 @@ module.exports = async function (fastify) {
     schema: {
       tags: ['Servers'],
       summary: 'Get server favicon as image',
-      description: 'Get the favicon for a specific server as a PNG image',
+      description: 'Get the favicon for a specific server as a PNG image. Supports If-None-Match.',
       response: { 200: { type: 'string', format: 'binary' }, 404: errorResponse }
     },
     handler: async (request, reply) => {
@@ -77,24 +161,29 @@ module.exports = async function (fastify) {
           return reply.code(404).send('Server not found');
         }
 
-        const server = await serverController.serverService.getServerById(serverId);
-        if (!server) {
+        const favicon = await serverRepository.getFavicon(serverId);
+        if (!favicon) {
           return reply.code(404).send('Server not found');
         }
 
-        const serverDataRepository = fastify.container.get('serverDataRepository');
-        const serverData = await serverDataRepository.findByServerId(serverId);
-
-        if (!serverData || !serverData.favicon) {
+        const file = await faviconUtils.readFavicon(favicon.favicon_path);
+        if (!file) {
           return reply.code(404).send('No favicon available');
         }
 
-        const faviconUrl = serverData.getFaviconUrl();
-        if (!faviconUrl) {
-          return reply.code(404).send('No favicon available');
+        // Files are content-addressed, so the hash is a strong validator
+        const etag = `"${file.hash}"`;
+        reply
+          .header('ETag', etag)
+          .header('Cache-Control', 'public, max-age=3600')
+          .header('Last-Modified', file.mtime.toUTCString());
+
+        const ifNoneMatch = request.headers['if-none-match'];
+        if (ifNoneMatch && ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag)) {
+          return reply.code(304).send();
         }
 
-        return reply.redirect(301, faviconUrl);
+        return reply.type('image/png').send(file.buffer);
 
       } catch (error) {
         fastify.log.error({ error: error.message, stack: error.stack }, 'Failed to serve server favicon');
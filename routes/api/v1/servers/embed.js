@@ -0,0 +1,63 @@
+'use strict'
+
+const { authenticate } = require('../../../../src/middleware/auth');
+const {
+  embedSettingsResponse,
+  updateEmbedSettingsBody
+} = require('../../../../src/domains/server/schemas/ServerSchemas');
+const { errorResponse } = require('../../../../src/shared/schemas/components/BaseSchemaComponents');
+
+module.exports = async function (fastify) {
+  const serverEmbedService = fastify.getService('serverEmbedService');
+
+  // GET /:id/embed - allowed origins and ready-to-paste widget snippets
+  fastify.get('/:id(\\d+)/embed', {
+    schema: {
+      tags: ['Servers'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Get server widget settings',
+      description: 'Allowed origins, widget URLs and iframe snippets for the status and vote-button widgets (owner or admin only)',
+      response: {
+        200: embedSettingsResponse,
+        401: errorResponse,
+        403: errorResponse,
+        404: errorResponse,
+        500: errorResponse
+      }
+    },
+    preHandler: [authenticate],
+    handler: async (request, reply) => {
+      const settings = await serverEmbedService.getSettings(parseInt(request.params.id), request.user.id, request.user.role);
+      return reply.apiSuccess(settings, 'Valdiklių nustatymai gauti');
+    }
+  });
+
+  // PUT /:id/embed - replace the allowed origins
+  fastify.put('/:id(\\d+)/embed', {
+    schema: {
+      tags: ['Servers'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Update server widget settings',
+      description: 'Set which sites may embed the widgets and read the status feed. An empty list allows any site.',
+      body: updateEmbedSettingsBody,
+      response: {
+        200: embedSettingsResponse,
+        400: errorResponse,
+        401: errorResponse,
+        403: errorResponse,
+        404: errorResponse,
+        500: errorResponse
+      }
+    },
+    preHandler: [authenticate],
+    handler: async (request, reply) => {
+      const settings = await serverEmbedService.updateSettings(
+        parseInt(request.params.id),
+        request.body.allowed_origins,
+        request.user.id,
+        request.user.role
+      );
+      return reply.apiSuccess(settings, 'Valdiklių nustatymai atnaujinti');
+    }
+  });
+};
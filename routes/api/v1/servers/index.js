@@ -23,7 +23,9 @@ module.exports = async function (fastify) {
     await fastify.register(require('./owned'), { prefix: '/owned' });
     await fastify.register(require('./item'));
     await fastify.register(require('./mutations'));
+    await fastify.register(require('./ownership'));
     await fastify.register(require('./assets'));
+    await fastify.register(require('./embed'));
     await fastify.register(require('./admin'));
 
     fastify.log.info('🖥️  Server routes registered');
@@ -42,6 +42,7 @@ module.exports = async function (fastify) {
         500: errorResponse
       }
     },
+    config: { apiKeyScope: 'read:stats' },
     preHandler: [authenticate],
     handler: serverController.checkServerOwnership.bind(serverController)
   });
@@ -106,7 +107,12 @@ module.exports = async function (fastify) {
                     properties: {
                       timestamp: { type: 'string', format: 'date-time' },
                       player_count: { type: 'integer' },
-                      online: { type: 'boolean' }
+                      online: { type: 'boolean' },
+                      min_players: { type: 'integer' },
+                      max_players: { type: 'integer' },
+                      avg_players: { type: 'number' },
+                      uptime_percentage: { type: 'number' },
+                      samples: { type: 'integer' }
                     },
                     required: ['timestamp', 'player_count', 'online']
                   }
@@ -117,9 +123,11 @@ module.exports = async function (fastify) {
                     type: 'object',
                     properties: {
                       date: { type: 'string', format: 'date' },
+                      min_players: { type: 'integer' },
                       max_players: { type: 'integer' },
                       avg_players: { type: 'number' },
-                      uptime_percentage: { type: 'number' }
+                      uptime_percentage: { type: 'number' },
+                      samples: { type: 'integer' }
                     },
                     required: ['date', 'max_players', 'avg_players', 'uptime_percentage']
                   }
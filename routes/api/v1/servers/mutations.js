@@ -7,7 +7,9 @@ const {
   createServerResponse,
   updateServerResponse,
   deleteServerResponse,
-  pingServerResponse
+  pingServerResponse,
+  updateServerSlugBody,
+  updateServerSlugResponse
 } = require('../../../../src/domains/server/schemas/ServerSchemas');
 const { errorResponse } = require('../../../../src/shared/schemas/components/BaseSchemaComponents');
 
@@ -26,6 +28,7 @@ module.exports = async function (fastify) {
         201: createServerResponse,
         400: errorResponse,
         401: errorResponse,
+        403: errorResponse,
         409: errorResponse,
         500: errorResponse
       }
@@ -63,6 +66,28 @@ module.exports = async function (fastify) {
     handler: serverController.updateServer.bind(serverController)
   });
 
+  // PUT /:id/slug - change slug; the old one keeps redirecting
+  fastify.put('/:id(\\d+)/slug', {
+    schema: {
+      tags: ['Servers'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Update server slug',
+      description: 'Change the SEO-friendly URL slug (owner or admin only). The previous slug returns a permanent redirect hint.',
+      body: updateServerSlugBody,
+      response: {
+        200: updateServerSlugResponse,
+        400: errorResponse,
+        401: errorResponse,
+        403: errorResponse,
+        404: errorResponse,
+        409: errorResponse,
+        500: errorResponse
+      }
+    },
+    preHandler: [authenticate],
+    handler: serverController.updateServerSlug.bind(serverController)
+  });
+
   // DELETE /:id - delete
   fastify.delete('/:id(\\d+)', {
     schema: {
@@ -25,6 +25,7 @@ module.exports = async function (fastify) {
         500: errorResponse
       }
     },
+    config: { apiKeyScope: 'read:stats' },
     preHandler: [
       authenticate,
       async function setOwnedFlag(request, reply) {
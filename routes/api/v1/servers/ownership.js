@@ -0,0 +1,93 @@
+'use strict'
+
+const { authenticate } = require('../../../../src/middleware/auth');
+const {
+  createOwnershipClaimBody,
+  ownershipStatusResponse,
+  ownershipClaimResponse
+} = require('../../../../src/domains/server/schemas/ServerSchemas');
+const { errorResponse } = require('../../../../src/shared/schemas/components/BaseSchemaComponents');
+
+module.exports = async function (fastify) {
+  const serverOwnershipService = fastify.getService('serverOwnershipService');
+  const serverPingService = fastify.getService('serverPingService');
+
+  // GET /:id/ownership - verification state and the user's latest claim
+  fastify.get('/:id(\\d+)/ownership', {
+    schema: {
+      tags: ['Servers'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Get server ownership verification state',
+      response: {
+        200: ownershipStatusResponse,
+        401: errorResponse,
+        404: errorResponse,
+        500: errorResponse
+      }
+    },
+    preHandler: [authenticate],
+    handler: async (request, reply) => {
+      const status = await serverOwnershipService.getOwnershipStatus(parseInt(request.params.id), request.user.id);
+      return reply.apiSuccess(status, 'Nuosavybės būsena gauta');
+    }
+  });
+
+  // POST /:id/ownership/claims - issue a verification token (owner or disputing claimant)
+  fastify.post('/:id(\\d+)/ownership/claims', {
+    schema: {
+      tags: ['Servers'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Claim server ownership',
+      description: 'Issues a token to put into the server MOTD or a DNS TXT record. A verified claim by another user transfers the listing.',
+      body: createOwnershipClaimBody,
+      response: {
+        201: ownershipClaimResponse,
+        400: errorResponse,
+        401: errorResponse,
+        404: errorResponse,
+        409: errorResponse,
+        500: errorResponse
+      }
+    },
+    preHandler: [authenticate],
+    handler: async (request, reply) => {
+      const claim = await serverOwnershipService.createClaim(
+        parseInt(request.params.id),
+        request.user.id,
+        request.body?.method || 'motd'
+      );
+      return reply.status(201).apiSuccess({ claim }, 'Patvirtinimo kodas sukurtas');
+    }
+  });
+
+  // POST /:id/ownership/verify - check the token now
+  fastify.post('/:id(\\d+)/ownership/verify', {
+    schema: {
+      tags: ['Servers'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Verify server ownership',
+      description: 'Pings the server (MOTD claims) or looks up the TXT record (DNS claims) and completes the claim when the token is found',
+      response: {
+        200: ownershipClaimResponse,
+        400: errorResponse,
+        401: errorResponse,
+        404: errorResponse,
+        429: errorResponse,
+        500: errorResponse
+      }
+    },
+    preHandler: [authenticate],
+    handler: async (request, reply) => {
+      const serverId = parseInt(request.params.id);
+
+      // A fresh ping runs MOTD token detection; only pending MOTD claims need one
+      const openClaim = await serverOwnershipService.findOpenClaim(serverId, request.user.id);
+      if (openClaim.status === 'pending' && openClaim.method === 'motd') {
+        await serverPingService.pingServer(serverId, { forceRefresh: true });
+      }
+
+      const claim = await serverOwnershipService.verifyClaim(serverId, request.user.id);
+      return reply.apiSuccess({ claim }, 'Serverio nuosavybė patvirtinta');
+    }
+  });
+};
@@ -6,7 +6,8 @@ const {
   getServersResponse,
   getServerResponse,
   getServerStatsResponse,
-  getTopServersResponse
+  getTopServersResponse,
+  slugRedirectResponse
 } = require('../../../../src/domains/server/schemas/ServerSchemas');
 const { errorResponse } = require('../../../../src/shared/schemas/components/BaseSchemaComponents');
 
@@ -63,9 +64,10 @@ module.exports = async function (fastify) {
     schema: {
       tags: ['Servers'],
       summary: 'Get server by slug',
-      description: 'Get detailed information about a specific server using SEO-friendly slug',
+      description: 'Get detailed information about a specific server using SEO-friendly slug. A former slug answers 301 with the current one.',
       response: {
         200: getServerResponse,
+        301: slugRedirectResponse,
         400: errorResponse,
         404: errorResponse,
         500: errorResponse
@@ -0,0 +1,101 @@
+'use strict'
+
+const { authenticate } = require('../../../../src/middleware/auth');
+const { errorResponse } = require('../../../../src/shared/schemas/components/BaseSchemaComponents');
+const ApiKeyService = require('../../../../src/domains/auth/services/ApiKeyService');
+const {
+  apiKeysResponse,
+  createApiKeyBody,
+  issuedApiKeyResponse,
+  apiKeyParams,
+  revokeApiKeyResponse,
+} = require('../../../../src/domains/auth/schemas/ApiKeySchemas');
+
+// Keys are managed with a signed-in session only; API keys cannot create or rotate keys
+module.exports = async function (fastify) {
+  const apiKeyService = fastify.getService('apiKeyService');
+
+  fastify.get('/', {
+    schema: {
+      tags: ['Users'],
+      security: [{ bearerAuth: [] }],
+      summary: 'List API keys',
+      description: 'Your API keys with scopes, server binding and last use. Full keys are never returned here.',
+      response: {
+        200: apiKeysResponse,
+        401: errorResponse,
+        500: errorResponse,
+      },
+    },
+    preHandler: [authenticate],
+    handler: async (request, reply) => {
+      const apiKeys = await apiKeyService.listKeys(request.user.id);
+      return reply.apiSuccess({ api_keys: apiKeys, scopes: ApiKeyService.SCOPES }, 'API raktai gauti');
+    },
+  });
+
+  fastify.post('/', {
+    schema: {
+      tags: ['Users'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Create API key',
+      description: 'Scopes: read:stats, read:votes, votifier:manage. Send the key as "Authorization: Bearer <key>" or "X-API-Key: <key>". The full key is returned only in this response.',
+      body: createApiKeyBody,
+      response: {
+        201: issuedApiKeyResponse,
+        400: errorResponse,
+        401: errorResponse,
+        403: errorResponse,
+        404: errorResponse,
+        409: errorResponse,
+        500: errorResponse,
+      },
+    },
+    preHandler: [authenticate],
+    handler: async (request, reply) => {
+      const apiKey = await apiKeyService.createKey(request.user, request.body);
+      return reply.status(201).apiSuccess({ api_key: apiKey }, 'API raktas sukurtas. Išsaugokite jį – daugiau jo nematysite');
+    },
+  });
+
+  fastify.post('/:keyId/rotate', {
+    schema: {
+      tags: ['Users'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Rotate API key',
+      description: 'Issues a new secret for the key and invalidates the old one immediately. Name, scopes and server binding are kept.',
+      params: apiKeyParams,
+      response: {
+        200: issuedApiKeyResponse,
+        401: errorResponse,
+        404: errorResponse,
+        500: errorResponse,
+      },
+    },
+    preHandler: [authenticate],
+    handler: async (request, reply) => {
+      const apiKey = await apiKeyService.rotateKey(request.params.keyId, request.user.id);
+      return reply.apiSuccess({ api_key: apiKey }, 'API raktas pakeistas. Išsaugokite naują raktą');
+    },
+  });
+
+  fastify.delete('/:keyId', {
+    schema: {
+      tags: ['Users'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Revoke API key',
+      params: apiKeyParams,
+      response: {
+        200: revokeApiKeyResponse,
+        401: errorResponse,
+        404: errorResponse,
+        500: errorResponse,
+      },
+    },
+    preHandler: [authenticate],
+    handler: async (request, reply) => {
+      await apiKeyService.revokeKey(request.params.keyId, request.user.id);
+      return reply.apiSuccess({ revoked: true }, 'API raktas atšauktas');
+    },
+  });
+};
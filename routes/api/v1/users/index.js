@@ -66,5 +66,8 @@ module.exports = async function (fastify) {
         handler: userProfileController.changePassword.bind(userProfileController)
     });
 
+    await fastify.register(require('./security'), { prefix: '/me/security' });
+    await fastify.register(require('./api-keys'), { prefix: '/me/api-keys' });
+
     fastify.log.info('👤 User routes registered');
 };
\ No newline at end of file
@@ -0,0 +1,93 @@
+'use strict'
+
+const { authenticate } = require('../../../../src/middleware/auth');
+const { errorResponse } = require('../../../../src/shared/schemas/components/BaseSchemaComponents');
+const {
+  securityOverviewResponse,
+  loginHistoryQuery,
+  loginHistoryResponse,
+  sessionsResponse,
+  sessionParams,
+  revokeSessionResponse,
+} = require('../../../../src/domains/auth/schemas/SecuritySchemas');
+
+module.exports = async function (fastify) {
+  const accountSecurityService = fastify.getService('accountSecurityService');
+
+  fastify.get('/', {
+    schema: {
+      tags: ['Users'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Account security overview',
+      description: 'Recent login attempts (including failed ones against your email), result counts for the last 30 days and active sessions',
+      response: {
+        200: securityOverviewResponse,
+        401: errorResponse,
+        500: errorResponse,
+      },
+    },
+    preHandler: [authenticate],
+    handler: async (request, reply) => {
+      const overview = await accountSecurityService.getOverview(request.user);
+      return reply.apiSuccess(overview, 'Paskyros saugumo informacija gauta');
+    },
+  });
+
+  fastify.get('/logins', {
+    schema: {
+      tags: ['Users'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Login history',
+      querystring: loginHistoryQuery,
+      response: {
+        200: loginHistoryResponse,
+        400: errorResponse,
+        401: errorResponse,
+        500: errorResponse,
+      },
+    },
+    preHandler: [authenticate],
+    handler: async (request, reply) => {
+      const result = await accountSecurityService.getLoginHistory(request.user, request.query);
+      return reply.apiSuccess(result, 'Prisijungimų istorija gauta');
+    },
+  });
+
+  fastify.get('/sessions', {
+    schema: {
+      tags: ['Users'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Active sessions',
+      response: {
+        200: sessionsResponse,
+        401: errorResponse,
+        500: errorResponse,
+      },
+    },
+    preHandler: [authenticate],
+    handler: async (request, reply) => {
+      const sessions = await accountSecurityService.listSessions(request.user);
+      return reply.apiSuccess({ sessions }, 'Aktyvios sesijos gautos');
+    },
+  });
+
+  fastify.delete('/sessions/:sessionId', {
+    schema: {
+      tags: ['Users'],
+      security: [{ bearerAuth: [] }],
+      summary: 'Sign out a session',
+      params: sessionParams,
+      response: {
+        200: revokeSessionResponse,
+        401: errorResponse,
+        404: errorResponse,
+        500: errorResponse,
+      },
+    },
+    preHandler: [authenticate],
+    handler: async (request, reply) => {
+      const result = await accountSecurityService.revokeSession(request.user, request.params.sessionId);
+      return reply.apiSuccess(result, 'Sesija atšaukta');
+    },
+  });
+};
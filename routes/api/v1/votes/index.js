@@ -1,12 +1,13 @@
 'use strict'
 
-const { authenticate, requireRole } = require('../../../../src/middleware/auth');
+const { authenticate, optionalAuthenticate, requireRole } = require('../../../../src/middleware/auth');
 const {
     createVoteBody,
     createVoteResponse,
     getVotesResponse,
     adminVoteResponse,
-    canVoteResponse
+    canVoteResponse,
+    canVoteQuery
 } = require('../../../../src/domains/vote/schemas/VoteSchemas');
 const {
     paginationQuery,
@@ -22,17 +23,20 @@ module.exports = async function (fastify) {
         schema: {
       tags: ['Votes'],
             summary: 'Vote for a server',
-            description: 'Cast a vote for a server',
+            description: 'Cast a vote for a server. A bearer token is optional unless auth.require_verified_email is enabled.',
             
             // Validation handled by service layer
             response: {
                 201: createVoteResponse,
                 400: errorResponse,
+                401: errorResponse,
+                403: errorResponse,
                 404: errorResponse,
                 409: errorResponse,
                 500: errorResponse
             }
         },
+        preHandler: [optionalAuthenticate],
         handler: voteController.createVote.bind(voteController)
     });
 
@@ -54,6 +58,7 @@ module.exports = async function (fastify) {
                 500: errorResponse
             }
         },
+        config: { apiKeyScope: 'read:votes' },
         preHandler: [authenticate],
         handler: voteController.getServerVotes.bind(voteController)
     });
@@ -63,8 +68,8 @@ module.exports = async function (fastify) {
         schema: {
       tags: ['Votes'],
             summary: 'Check if can vote for server',
-            description: 'Check if the current IP can vote for a server today',
-            
+            description: 'Check the current IP (and optionally a Minecraft username) against the server vote policy',
+            querystring: canVoteQuery,
             response: {
                 200: canVoteResponse,
                 400: errorResponse,
@@ -107,6 +112,7 @@ module.exports = async function (fastify) {
                 401: errorResponse,
                 403: errorResponse,
                 404: errorResponse,
+                409: errorResponse,
                 500: errorResponse
             }
         },
@@ -133,6 +139,7 @@ module.exports = async function (fastify) {
                 401: errorResponse,
                 403: errorResponse,
                 404: errorResponse,
+                409: errorResponse,
                 500: errorResponse
             }
         },
@@ -140,5 +147,44 @@ module.exports = async function (fastify) {
         handler: voteController.verifyVote.bind(voteController)
     });
 
+    fastify.post('/votes/:voteId/remove', {
+        schema: {
+            tags: ['Votes'],
+            security: [{ bearerAuth: [] }],
+            summary: 'Remove a vote',
+            description: 'Exclude a vote from server counts while keeping it for audit (admin only)',
+            params: {
+                type: 'object',
+                properties: {
+                    voteId: { type: 'string', pattern: '^\\d+$' }
+                },
+                required: ['voteId']
+            },
+            body: {
+                type: 'object',
+                required: ['reason'],
+                properties: {
+                    reason: {
+                        type: 'string',
+                        minLength: 1,
+                        maxLength: 500,
+                        description: 'Reason for removal'
+                    }
+                }
+            },
+            response: {
+                200: adminVoteResponse,
+                400: errorResponse,
+                401: errorResponse,
+                403: errorResponse,
+                404: errorResponse,
+                409: errorResponse,
+                500: errorResponse
+            }
+        },
+        preHandler: [authenticate, requireRole('admin')],
+        handler: voteController.removeVote.bind(voteController)
+    });
+
     fastify.log.info('🗳️  Vote routes registered');
 };
\ No newline at end of file
@@ -5,7 +5,12 @@ const {
     votifierConfigBody,
     updateVotifierConfigBody,
     votifierConfigResponse,
-    votifierPublicResponse
+    votifierPublicResponse,
+    votifierTestBody,
+    votifierTestResponse,
+    votifierQueueQuery,
+    votifierQueueResponse,
+    votifierRedeliverResponse
 } = require('../../../../src/domains/votifier/schemas/VotifierSchemas');
 const { 
     createApiResponse,
@@ -33,6 +38,7 @@ module.exports = async function (fastify) {
                 500: errorResponse
             }
         },
+        config: { apiKeyScope: 'votifier:manage' },
         preHandler: [authenticate],
         handler: votifierController.getServerVotifier.bind(votifierController)
     });
@@ -56,6 +62,7 @@ module.exports = async function (fastify) {
                 500: errorResponse
             }
         },
+        config: { apiKeyScope: 'votifier:manage' },
         preHandler: [authenticate],
         handler: votifierController.createServerVotifier.bind(votifierController)
     });
@@ -79,6 +86,7 @@ module.exports = async function (fastify) {
                 500: errorResponse
             }
         },
+        config: { apiKeyScope: 'votifier:manage' },
         preHandler: [authenticate],
         handler: votifierController.updateServerVotifier.bind(votifierController)
     });
@@ -100,6 +108,7 @@ module.exports = async function (fastify) {
                 500: errorResponse
             }
         },
+        config: { apiKeyScope: 'votifier:manage' },
         preHandler: [authenticate],
         handler: votifierController.deleteServerVotifier.bind(votifierController)
     });
@@ -121,9 +130,83 @@ module.exports = async function (fastify) {
                 500: errorResponse
             }
         },
+        config: { apiKeyScope: 'votifier:manage' },
         preHandler: [authenticate],
         handler: votifierController.toggleServerVotifier.bind(votifierController)
     });
 
+    // Send a test vote (authenticated - server owner only)
+    fastify.post('/servers/:id/test', {
+        schema: {
+            tags: ['Votifier'],
+            security: [{ bearerAuth: [] }],
+            summary: 'Send test vote',
+            description: 'Full handshake and signed test vote with per-phase latency and error classification; the result is stored as the last test',
+            body: votifierTestBody,
+            response: {
+                200: votifierTestResponse,
+                400: errorResponse,
+                401: errorResponse,
+                403: errorResponse,
+                404: errorResponse,
+                500: errorResponse
+            }
+        },
+        config: { apiKeyScope: 'votifier:manage' },
+        preHandler: [authenticate],
+        handler: votifierController.testServerVotifier.bind(votifierController)
+    });
+
+    // Get votifier delivery queue (authenticated - server owner only)
+    fastify.get('/servers/:id/queue', {
+        schema: {
+            tags: ['Votifier'],
+            security: [{ bearerAuth: [] }],
+            summary: 'Get votifier delivery queue',
+            description: 'List queued, delivered and dead votes for a server with per-status totals',
+            querystring: votifierQueueQuery,
+            response: {
+                200: votifierQueueResponse,
+                400: errorResponse,
+                401: errorResponse,
+                403: errorResponse,
+                404: errorResponse,
+                500: errorResponse
+            }
+        },
+        config: { apiKeyScope: 'votifier:manage' },
+        preHandler: [authenticate],
+        handler: votifierController.getServerQueue.bind(votifierController)
+    });
+
+    // Redeliver a vote (authenticated - server owner only)
+    fastify.post('/servers/:id/queue/:voteId/redeliver', {
+        schema: {
+            tags: ['Votifier'],
+            security: [{ bearerAuth: [] }],
+            summary: 'Redeliver vote',
+            description: 'Put a vote back into the votifier queue with a fresh attempt budget',
+            params: {
+                type: 'object',
+                required: ['id', 'voteId'],
+                properties: {
+                    id: { type: 'integer', minimum: 1 },
+                    voteId: { type: 'integer', minimum: 1 }
+                }
+            },
+            response: {
+                200: votifierRedeliverResponse,
+                400: errorResponse,
+                401: errorResponse,
+                403: errorResponse,
+                404: errorResponse,
+                500: errorResponse
+            }
+        },
+        config: { apiKeyScope: 'votifier:manage' },
+        preHandler: [authenticate],
+        handler: votifierController.redeliverServerVote.bind(votifierController)
+    });
+
     fastify.log.info('🗳️  Votifier routes registered');
 };
\ No newline at end of file
@@ -0,0 +1,127 @@
+'use strict'
+
+const ServerEmbedService = require('../../src/domains/server/services/ServerEmbedService');
+const { embedWidgetQuery, embedStatusResponse } = require('../../src/domains/server/schemas/ServerSchemas');
+const { errorResponse } = require('../../src/shared/schemas/components/BaseSchemaComponents');
+
+/**
+ * Widgets embedded on server owners' own sites.
+ * These routes opt out of the global CORS policy (any origin, with credentials):
+ * the feed is public, never credentialed and limited to the owner's allowed origins.
+ */
+module.exports = async function (fastify) {
+  const serverEmbedService = fastify.getService('serverEmbedService');
+
+  // The widget's own refresh requests come from the API origin
+  function originAllowed(request, allowedOrigins) {
+    const origin = request.headers.origin;
+    return origin === `${request.protocol}://${request.host}` || ServerEmbedService.isOriginAllowed(allowedOrigins, origin);
+  }
+
+  function setFeedCors(request, reply, allowedOrigins) {
+    if (allowedOrigins.length === 0) {
+      reply.header('Access-Control-Allow-Origin', '*');
+    } else {
+      const origin = ServerEmbedService.normalizeOrigin(request.headers.origin);
+      if (allowedOrigins.includes(origin)) reply.header('Access-Control-Allow-Origin', origin);
+    }
+    reply.header('Vary', 'Origin');
+  }
+
+  function widgetRoute(summary, render) {
+    return {
+      config: { cors: false },
+      schema: {
+        tags: ['Servers'],
+        summary,
+        description: 'Self-contained HTML page meant for an iframe. Only sites in the owner\'s allowed origins may frame it (Content-Security-Policy frame-ancestors).',
+        querystring: embedWidgetQuery,
+        response: { 200: { type: 'string' }, 404: { type: 'string' } }
+      },
+      handler: async (request, reply) => {
+        try {
+          const widget = await serverEmbedService.getWidget(parseInt(request.params.id));
+          if (!widget) {
+            return reply.code(404).type('text/plain; charset=utf-8').send('Server not found');
+          }
+
+          const { html, csp } = render(widget, request.query.theme);
+          return reply
+            .header('Content-Security-Policy', csp)
+            .header('X-Content-Type-Options', 'nosniff')
+            .header('Cache-Control', 'public, max-age=60')
+            .type('text/html; charset=utf-8')
+            .send(html);
+
+        } catch (error) {
+          fastify.log.error({ error: error.message, stack: error.stack }, 'Failed to render server widget');
+          return reply.code(500).type('text/plain; charset=utf-8').send('Internal server error');
+        }
+      }
+    };
+  }
+
+  // GET /servers/:id/status - status card widget
+  fastify.get('/servers/:id(\\d+)/status', widgetRoute(
+    'Get embeddable server status widget',
+    (widget, theme) => serverEmbedService.renderStatusWidget(widget, theme)
+  ));
+
+  // GET /servers/:id/vote-button - vote button widget
+  fastify.get('/servers/:id(\\d+)/vote-button', widgetRoute(
+    'Get embeddable vote button widget',
+    (widget, theme) => serverEmbedService.renderVoteButton(widget, theme)
+  ));
+
+  // GET /servers/:id/status.json - live status feed for custom widgets
+  fastify.get('/servers/:id(\\d+)/status.json', {
+    config: { cors: false },
+    schema: {
+      tags: ['Servers'],
+      summary: 'Get embeddable server status feed',
+      description: 'Live status, players, vote rank and vote link. Cross-origin reads are limited to the owner\'s allowed origins.',
+      response: {
+        200: embedStatusResponse,
+        403: errorResponse,
+        404: errorResponse,
+        500: errorResponse
+      }
+    },
+    handler: async (request, reply) => {
+      try {
+        const widget = await serverEmbedService.getWidget(parseInt(request.params.id));
+        if (!widget) {
+          return reply.apiError('Serveris nerastas', [], 404, 'SERVER_NOT_FOUND');
+        }
+
+        reply.header('Vary', 'Origin');
+        if (!originAllowed(request, widget.allowedOrigins)) {
+          return reply.apiError('Ši svetainė negali naudoti serverio valdiklių', [], 403, 'EMBED_ORIGIN_NOT_ALLOWED');
+        }
+
+        setFeedCors(request, reply, widget.allowedOrigins);
+        reply.header('Cache-Control', 'public, max-age=30');
+        return reply.apiSuccess(widget.status, 'Serverio būsena gauta');
+
+      } catch (error) {
+        fastify.log.error({ error: error.message, stack: error.stack }, 'Failed to get server widget feed');
+        return reply.apiError('Internal server error', [], 500, 'INTERNAL_SERVER_ERROR');
+      }
+    }
+  });
+
+  // OPTIONS /servers/:id/status.json - preflight under the embed policy, not the global one
+  fastify.options('/servers/:id(\\d+)/status.json', { config: { cors: false } }, async (request, reply) => {
+    const widget = await serverEmbedService.getWidget(parseInt(request.params.id));
+    if (!widget || !originAllowed(request, widget.allowedOrigins)) {
+      return reply.code(403).send();
+    }
+
+    setFeedCors(request, reply, widget.allowedOrigins);
+    return reply
+      .header('Access-Control-Allow-Methods', 'GET')
+      .header('Access-Control-Max-Age', '600')
+      .code(204)
+      .send();
+  });
+};
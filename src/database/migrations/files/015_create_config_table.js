@@ -27,7 +27,7 @@ module.exports = {
             -- reCAPTCHA settings
             ('recaptcha.enabled', 'true', 'boolean', 'Įjungti reCAPTCHA patvirtinimą', 'security', true),
             ('recaptcha.site_key', '6LetT6QrAAAAAIJVTY5vWI3UGpnmOVlVdfsHPwAs', 'string', 'reCAPTCHA svetainės raktas (viešas)', 'security', true),
-            ('recaptcha.secret_key', '6LetT6QrAAAAAC9kqh4R8ncDLoPzZ94pkim_AzjQ', 'string', 'reCAPTCHA slaptas raktas (privatusis)', 'security', false),
+            ('recaptcha.secret_key', '', 'string', 'reCAPTCHA slaptas raktas (privatusis)', 'security', false),
             ('recaptcha.min_score', '0.5', 'float', 'Minimalus priimtinas reCAPTCHA balas', 'security', false),
             ('recaptcha.action', 'vote', 'string', 'reCAPTCHA veiksmo pavadinimas', 'security', false),
             
@@ -43,7 +43,7 @@ module.exports = {
             ('auth.attempt_window', '600', 'integer', 'Laiko langas prisijungimo bandymų skaičiavimui sekundėmis (10 minučių)', 'security', false),
             
             -- IP security
-            ('security.ip_abusedbip_api_key', '3cfcb213d8f96968da807840063a09431322343b546ee03701232aba17b80902666249393363b7f7', 'string', 'ABUSEIPDB API raktas', 'security', false),
+            ('security.ip_abusedbip_api_key', '', 'string', 'ABUSEIPDB API raktas', 'security', false),
             
             -- General settings
             ('site.name', 'MCList', 'string', 'Svetainės pavadinimas', 'general', true),
@@ -0,0 +1,18 @@
+'use strict'
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            INSERT INTO config (key, value, type, description, category, is_public) VALUES
+            ('ping.external_fallback', 'false', 'boolean', 'Naudoti mcsrvstat.us API, kai tiesioginis serverio užklausimas nepavyksta', 'server', false)
+            ON CONFLICT (key) DO NOTHING
+        `);
+
+        console.log('✅ Added ping configuration');
+    },
+
+    async down(connection) {
+        await connection.query("DELETE FROM config WHERE key = 'ping.external_fallback'");
+        console.log('✅ Removed ping configuration');
+    }
+};
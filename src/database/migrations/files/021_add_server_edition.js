@@ -0,0 +1,26 @@
+'use strict'
+
+module.exports = {
+    async up(connection) {
+        // edition: which clients the server accepts. For bedrock-only servers
+        // port mirrors bedrock_port so UNIQUE(host, port) keeps working.
+        await connection.query(`
+            ALTER TABLE servers
+                ADD COLUMN IF NOT EXISTS edition VARCHAR(10) NOT NULL DEFAULT 'java'
+                    CHECK (edition IN ('java', 'bedrock', 'both')),
+                ADD COLUMN IF NOT EXISTS bedrock_port INTEGER
+                    CHECK (bedrock_port IS NULL OR (bedrock_port BETWEEN 1 AND 65535))
+        `);
+
+        await connection.query('CREATE INDEX IF NOT EXISTS idx_servers_edition ON servers(edition)');
+
+        console.log('✅ Added edition and bedrock_port columns to servers table');
+    },
+
+    async down(connection) {
+        await connection.query('DROP INDEX IF EXISTS idx_servers_edition');
+        await connection.query('ALTER TABLE servers DROP COLUMN IF EXISTS bedrock_port');
+        await connection.query('ALTER TABLE servers DROP COLUMN IF EXISTS edition');
+        console.log('✅ Dropped edition and bedrock_port columns from servers table');
+    }
+};
@@ -0,0 +1,45 @@
+'use strict'
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS scheduled_jobs (
+                name VARCHAR(100) PRIMARY KEY,
+                schedule VARCHAR(100) NOT NULL,
+                last_slot TIMESTAMPTZ,
+                last_status VARCHAR(20) CHECK (last_status IN ('success', 'failed')),
+                last_started_at TIMESTAMPTZ,
+                last_finished_at TIMESTAMPTZ,
+                last_duration_ms INTEGER,
+                last_result JSONB,
+                last_error TEXT,
+                run_count INTEGER NOT NULL DEFAULT 0,
+                failure_count INTEGER NOT NULL DEFAULT 0,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+
+        await connection.query(`
+            DROP TRIGGER IF EXISTS set_scheduled_jobs_timestamp ON scheduled_jobs;
+            CREATE TRIGGER set_scheduled_jobs_timestamp
+            BEFORE UPDATE ON scheduled_jobs
+            FOR EACH ROW EXECUTE FUNCTION set_timestamp();
+        `);
+
+        await connection.query(`
+            INSERT INTO config (key, value, type, description, category, is_public) VALUES
+            ('jobs.server_data_retention_days', '30', 'integer', 'Kiek dienų saugoti serverių būsenos įrašus', 'jobs', false),
+            ('jobs.login_logs_retention_days', '90', 'integer', 'Kiek dienų saugoti prisijungimų žurnalą', 'jobs', false)
+            ON CONFLICT (key) DO NOTHING
+        `);
+
+        console.log('✅ Created scheduled_jobs table');
+    },
+
+    async down(connection) {
+        await connection.query("DELETE FROM config WHERE key IN ('jobs.server_data_retention_days', 'jobs.login_logs_retention_days')");
+        await connection.query('DROP TABLE IF EXISTS scheduled_jobs');
+        console.log('✅ Dropped scheduled_jobs table');
+    }
+};
@@ -0,0 +1,62 @@
+'use strict'
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            ALTER TABLE server_votes
+            ADD COLUMN IF NOT EXISTS votifier_status VARCHAR(20)
+                CHECK (votifier_status IN ('pending', 'sent', 'dead')),
+            ADD COLUMN IF NOT EXISTS votifier_attempts INTEGER NOT NULL DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS votifier_next_attempt_at TIMESTAMPTZ,
+            ADD COLUMN IF NOT EXISTS votifier_last_attempt_at TIMESTAMPTZ,
+            ADD COLUMN IF NOT EXISTS votifier_sent_at TIMESTAMPTZ
+        `);
+
+        // Already delivered votes are history; older failures are not replayed
+        await connection.query(`
+            UPDATE server_votes SET votifier_status = 'sent'
+            WHERE votifier_sent = true AND votifier_status IS NULL
+        `);
+
+        await connection.query(`
+            CREATE INDEX IF NOT EXISTS idx_server_votes_votifier_due
+                ON server_votes(votifier_next_attempt_at) WHERE votifier_status = 'pending';
+            CREATE INDEX IF NOT EXISTS idx_server_votes_votifier_status
+                ON server_votes(server_id, votifier_status) WHERE votifier_status IS NOT NULL;
+        `);
+
+        await connection.query(`
+            INSERT INTO config (key, value, type, description, category, is_public) VALUES
+            ('votifier.max_attempts', '8', 'integer', 'Kiek kartų bandyti pristatyti balsą, kol jis pažymimas kaip nepristatytas', 'votifier', false),
+            ('votifier.retry_base_seconds', '30', 'integer', 'Pirmo pakartotinio bandymo delsa sekundėmis (kas kartą dvigubinama)', 'votifier', false),
+            ('votifier.retry_max_seconds', '3600', 'integer', 'Didžiausia delsa tarp bandymų sekundėmis', 'votifier', false),
+            ('votifier.per_server_concurrency', '2', 'integer', 'Kiek balsų vienu metu siųsti į vieną serverį', 'votifier', false),
+            ('votifier.batch_size', '100', 'integer', 'Kiek balsų apdoroti per vieną eilės paleidimą', 'votifier', false)
+            ON CONFLICT (key) DO NOTHING
+        `);
+
+        console.log('✅ Added votifier delivery queue columns');
+    },
+
+    async down(connection) {
+        await connection.query(`
+            DELETE FROM config WHERE key IN (
+                'votifier.max_attempts', 'votifier.retry_base_seconds', 'votifier.retry_max_seconds',
+                'votifier.per_server_concurrency', 'votifier.batch_size'
+            )
+        `);
+        await connection.query(`
+            DROP INDEX IF EXISTS idx_server_votes_votifier_due;
+            DROP INDEX IF EXISTS idx_server_votes_votifier_status;
+        `);
+        await connection.query(`
+            ALTER TABLE server_votes
+            DROP COLUMN IF EXISTS votifier_status,
+            DROP COLUMN IF EXISTS votifier_attempts,
+            DROP COLUMN IF EXISTS votifier_next_attempt_at,
+            DROP COLUMN IF EXISTS votifier_last_attempt_at,
+            DROP COLUMN IF EXISTS votifier_sent_at
+        `);
+        console.log('✅ Removed votifier delivery queue columns');
+    }
+};
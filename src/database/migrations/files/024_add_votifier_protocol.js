@@ -0,0 +1,37 @@
+'use strict'
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            ALTER TABLE votifier_configs
+            ADD COLUMN IF NOT EXISTS protocol VARCHAR(20) NOT NULL DEFAULT 'auto'
+                CHECK (protocol IN ('auto', 'v1-rsa', 'nuvotifier-v2')),
+            ADD COLUMN IF NOT EXISTS public_key TEXT,
+            ALTER COLUMN token DROP NOT NULL
+        `);
+
+        // Each protocol needs its own credentials; "auto" needs at least one of them
+        await connection.query(`
+            ALTER TABLE votifier_configs
+            ADD CONSTRAINT votifier_configs_credentials_check CHECK (
+                (protocol = 'v1-rsa' AND public_key IS NOT NULL)
+                OR (protocol = 'nuvotifier-v2' AND token IS NOT NULL)
+                OR (protocol = 'auto' AND (token IS NOT NULL OR public_key IS NOT NULL))
+            )
+        `);
+
+        console.log('✅ Added votifier protocol and public key columns');
+    },
+
+    async down(connection) {
+        await connection.query('ALTER TABLE votifier_configs DROP CONSTRAINT IF EXISTS votifier_configs_credentials_check');
+        await connection.query("DELETE FROM votifier_configs WHERE token IS NULL");
+        await connection.query(`
+            ALTER TABLE votifier_configs
+            DROP COLUMN IF EXISTS protocol,
+            DROP COLUMN IF EXISTS public_key,
+            ALTER COLUMN token SET NOT NULL
+        `);
+        console.log('✅ Removed votifier protocol and public key columns');
+    }
+};
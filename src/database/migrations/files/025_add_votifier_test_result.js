@@ -0,0 +1,24 @@
+'use strict'
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            ALTER TABLE votifier_configs
+            ADD COLUMN IF NOT EXISTS last_test_at TIMESTAMPTZ,
+            ADD COLUMN IF NOT EXISTS last_test_success BOOLEAN,
+            ADD COLUMN IF NOT EXISTS last_test_result JSONB
+        `);
+
+        console.log('✅ Added votifier last test result columns');
+    },
+
+    async down(connection) {
+        await connection.query(`
+            ALTER TABLE votifier_configs
+            DROP COLUMN IF EXISTS last_test_at,
+            DROP COLUMN IF EXISTS last_test_success,
+            DROP COLUMN IF EXISTS last_test_result
+        `);
+        console.log('✅ Removed votifier last test result columns');
+    }
+};
@@ -0,0 +1,58 @@
+'use strict'
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            ALTER TABLE server_votes
+            ADD COLUMN IF NOT EXISTS moderation_status VARCHAR(20) NOT NULL DEFAULT 'pending'
+                CHECK (moderation_status IN ('pending', 'verified', 'flagged', 'removed')),
+            ADD COLUMN IF NOT EXISTS moderation_reason TEXT,
+            ADD COLUMN IF NOT EXISTS moderated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMPTZ,
+            ADD COLUMN IF NOT EXISTS risk_score SMALLINT NOT NULL DEFAULT 0
+                CHECK (risk_score BETWEEN 0 AND 100)
+        `);
+
+        // Seed risk from the AbuseIPDB confidence already stored for older votes
+        await connection.query(`
+            UPDATE server_votes
+            SET risk_score = LEAST(100, (ip_analysis->>'abuseConfidenceScore')::int)
+            WHERE ip_analysis->>'abuseConfidenceScore' ~ '^[0-9]+$'
+        `);
+
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS server_vote_moderation_log (
+                id SERIAL PRIMARY KEY,
+                vote_id INTEGER NOT NULL REFERENCES server_votes(id) ON DELETE CASCADE,
+                from_status VARCHAR(20) NOT NULL,
+                to_status VARCHAR(20) NOT NULL,
+                reason TEXT,
+                admin_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+
+        await connection.query(`
+            CREATE INDEX IF NOT EXISTS idx_server_votes_moderation_queue
+                ON server_votes(moderation_status, risk_score DESC, created_at DESC);
+            CREATE INDEX IF NOT EXISTS idx_server_vote_moderation_log_vote
+                ON server_vote_moderation_log(vote_id, created_at DESC);
+        `);
+
+        console.log('✅ Added vote moderation columns and log');
+    },
+
+    async down(connection) {
+        await connection.query('DROP TABLE IF EXISTS server_vote_moderation_log');
+        await connection.query('DROP INDEX IF EXISTS idx_server_votes_moderation_queue');
+        await connection.query(`
+            ALTER TABLE server_votes
+            DROP COLUMN IF EXISTS moderation_status,
+            DROP COLUMN IF EXISTS moderation_reason,
+            DROP COLUMN IF EXISTS moderated_by,
+            DROP COLUMN IF EXISTS moderated_at,
+            DROP COLUMN IF EXISTS risk_score
+        `);
+        console.log('✅ Removed vote moderation columns and log');
+    }
+};
@@ -0,0 +1,38 @@
+'use strict'
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            INSERT INTO config (key, value, type, description, category, is_public) VALUES
+            ('security.risk_scoring_enabled', 'true', 'boolean', 'Ar vertinti balsų rizikos balą', 'security', false),
+            ('security.risk_flag_threshold', '50', 'integer', 'Rizikos balas, nuo kurio balsas automatiškai pažymimas peržiūrai', 'security', false),
+            ('security.risk_reject_threshold', '85', 'integer', 'Rizikos balas, nuo kurio balsas atmetamas', 'security', false),
+            ('security.risk_weights', '{"recaptcha":30,"abuse":30,"user_agent":20,"headers":15,"velocity":30,"referrer":10}', 'json', 'Didžiausias kiekvieno signalo indėlis į rizikos balą', 'security', false),
+            ('security.velocity_window_minutes', '60', 'integer', 'Balsavimo greičio tikrinimo langas minutėmis', 'security', false),
+            ('security.velocity_ip_limit', '5', 'integer', 'Balsų iš vieno IP (visiems serveriams) riba lange', 'security', false),
+            ('security.velocity_subnet_limit', '3', 'integer', 'Balsų tam pačiam serveriui iš to paties potinklio riba lange', 'security', false),
+            ('security.velocity_username_limit', '2', 'integer', 'Balsų tam pačiam serveriui tuo pačiu slapyvardžiu iš kitų IP riba lange', 'security', false),
+            ('security.allowed_referrers', '[]', 'json', 'Leidžiami balsavimo puslapio referer hostai (tuščias - FRONTEND_URL)', 'security', false)
+            ON CONFLICT (key) DO NOTHING
+        `);
+
+        console.log('✅ Added vote risk scoring config');
+    },
+
+    async down(connection) {
+        await connection.query(`
+            DELETE FROM config WHERE key IN (
+                'security.risk_scoring_enabled',
+                'security.risk_flag_threshold',
+                'security.risk_reject_threshold',
+                'security.risk_weights',
+                'security.velocity_window_minutes',
+                'security.velocity_ip_limit',
+                'security.velocity_subnet_limit',
+                'security.velocity_username_limit',
+                'security.allowed_referrers'
+            )
+        `);
+        console.log('✅ Removed vote risk scoring config');
+    }
+};
@@ -0,0 +1,63 @@
+'use strict'
+
+module.exports = {
+    async up(connection) {
+        // The calendar-day unique index cannot express rolling windows or more
+        // than one vote per period; limits are enforced under advisory locks instead
+        await connection.query(`
+            DROP INDEX IF EXISTS idx_server_votes_daily_limit;
+            CREATE INDEX IF NOT EXISTS idx_server_votes_ip_window
+                ON server_votes(server_id, ip_address, created_at DESC);
+            CREATE INDEX IF NOT EXISTS idx_server_votes_username_window
+                ON server_votes(server_id, LOWER(username), created_at DESC);
+        `);
+
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS server_vote_policies (
+                server_id INTEGER PRIMARY KEY REFERENCES servers(id) ON DELETE CASCADE,
+                limit_scope VARCHAR(10) CHECK (limit_scope IN ('ip', 'username', 'both')),
+                reset_mode VARCHAR(10) CHECK (reset_mode IN ('rolling', 'calendar')),
+                period_hours INTEGER CHECK (period_hours BETWEEN 1 AND 720),
+                votes_per_period INTEGER CHECK (votes_per_period BETWEEN 1 AND 100),
+                updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+
+        await connection.query(`
+            INSERT INTO config (key, value, type, description, category, is_public) VALUES
+            ('vote.limit_scope', 'both', 'string', 'Kam taikoma balsų riba: ip, username arba both', 'voting', true),
+            ('vote.reset_mode', 'rolling', 'string', 'Ribos atsinaujinimas: rolling (slenkantis langas) arba calendar (vidurnaktį Vilniaus laiku)', 'voting', true),
+            ('vote.period_hours', '24', 'integer', 'Slenkančio lango trukmė valandomis', 'voting', true)
+            ON CONFLICT (key) DO NOTHING
+        `);
+
+        await connection.query(`
+            UPDATE config
+            SET description = 'Balsų skaičius per laikotarpį (IP ir/arba slapyvardžiui)'
+            WHERE key = 'vote.daily_limit'
+        `);
+
+        console.log('✅ Added vote eligibility policies');
+    },
+
+    async down(connection) {
+        await connection.query('DROP TABLE IF EXISTS server_vote_policies');
+        await connection.query(`
+            DROP INDEX IF EXISTS idx_server_votes_ip_window;
+            DROP INDEX IF EXISTS idx_server_votes_username_window;
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_server_votes_daily_limit
+                ON server_votes(server_id, ip_address, DATE(created_at));
+        `);
+        await connection.query(`
+            DELETE FROM config WHERE key IN ('vote.limit_scope', 'vote.reset_mode', 'vote.period_hours')
+        `);
+        await connection.query(`
+            UPDATE config
+            SET description = 'Maksimalus balsų skaičius per IP per dieną'
+            WHERE key = 'vote.daily_limit'
+        `);
+        console.log('✅ Removed vote eligibility policies');
+    }
+};
@@ -0,0 +1,129 @@
+'use strict'
+
+module.exports = {
+    async up(connection) {
+        // Latest ping per server for listing queries (replaces ROW_NUMBER() over server_data)
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS latest_server_status (
+                server_id INTEGER PRIMARY KEY REFERENCES servers(id) ON DELETE CASCADE,
+                server_data_id INTEGER NOT NULL,
+                data JSONB NOT NULL,
+                online BOOLEAN NOT NULL DEFAULT false,
+                players_online INTEGER,
+                players_max INTEGER,
+                last_online_at TIMESTAMP,
+                created_at TIMESTAMP NOT NULL,
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+
+        // Buckets are Vilnius local time, like server_data.created_at
+        for (const [table, bucketType] of [['server_status_hourly', 'TIMESTAMP'], ['server_status_daily', 'DATE']]) {
+            await connection.query(`
+                CREATE TABLE IF NOT EXISTS ${table} (
+                    server_id INTEGER NOT NULL REFERENCES servers(id) ON DELETE CASCADE,
+                    bucket ${bucketType} NOT NULL,
+                    samples INTEGER NOT NULL DEFAULT 0,
+                    online_samples INTEGER NOT NULL DEFAULT 0,
+                    min_players INTEGER,
+                    max_players INTEGER,
+                    sum_players BIGINT NOT NULL DEFAULT 0,
+                    max_slots INTEGER,
+                    avg_players NUMERIC GENERATED ALWAYS AS (sum_players::numeric / NULLIF(online_samples, 0)) STORED,
+                    uptime_ratio NUMERIC GENERATED ALWAYS AS (online_samples::numeric / NULLIF(samples, 0)) STORED,
+                    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                    PRIMARY KEY (server_id, bucket)
+                )
+            `);
+        }
+
+        await connection.query(`
+            CREATE INDEX IF NOT EXISTS idx_server_data_server_created
+                ON server_data(server_id, created_at DESC);
+            CREATE INDEX IF NOT EXISTS idx_server_status_hourly_bucket ON server_status_hourly(bucket);
+        `);
+
+        // Backfill from existing raw rows
+        await connection.query(`
+            INSERT INTO latest_server_status (server_id, server_data_id, data, online, players_online, players_max, created_at)
+            SELECT DISTINCT ON (server_id)
+                server_id,
+                id,
+                data,
+                COALESCE((data->>'online')::boolean, false),
+                (data->'players'->>'online')::integer,
+                (data->'players'->>'max')::integer,
+                created_at
+            FROM server_data
+            ORDER BY server_id, created_at DESC, id DESC
+            ON CONFLICT (server_id) DO NOTHING
+        `);
+
+        await connection.query(`
+            UPDATE latest_server_status lss
+            SET last_online_at = seen.last_online_at
+            FROM (
+                SELECT server_id, MAX(created_at) AS last_online_at
+                FROM server_data
+                WHERE (data->>'online')::boolean = true
+                GROUP BY server_id
+            ) seen
+            WHERE seen.server_id = lss.server_id
+        `);
+
+        for (const [table, bucket] of [['server_status_hourly', "date_trunc('hour', created_at)"], ['server_status_daily', 'created_at::date']]) {
+            await connection.query(`
+                INSERT INTO ${table} (server_id, bucket, samples, online_samples, min_players, max_players, sum_players, max_slots)
+                SELECT
+                    server_id,
+                    ${bucket},
+                    COUNT(*),
+                    COUNT(*) FILTER (WHERE online),
+                    MIN(players) FILTER (WHERE online),
+                    MAX(players) FILTER (WHERE online),
+                    COALESCE(SUM(players) FILTER (WHERE online), 0),
+                    MAX(slots)
+                FROM (
+                    SELECT
+                        server_id,
+                        created_at,
+                        COALESCE((data->>'online')::boolean, false) AS online,
+                        (data->'players'->>'online')::integer AS players,
+                        (data->'players'->>'max')::integer AS slots
+                    FROM server_data
+                    WHERE (data->>'initial') IS NULL
+                ) samples
+                GROUP BY 1, 2
+                ON CONFLICT (server_id, bucket) DO NOTHING
+            `);
+        }
+
+        await connection.query(`
+            INSERT INTO config (key, value, type, description, category, is_public) VALUES
+            ('jobs.server_status_hourly_retention_days', '90', 'integer', 'Kiek dienų saugoti valandines serverių būsenos suvestines', 'jobs', false)
+            ON CONFLICT (key) DO NOTHING
+        `);
+
+        await connection.query(`
+            UPDATE config
+            SET description = 'Kiek dienų saugoti neapdorotus serverių būsenos įrašus (suvestinės lieka)'
+            WHERE key = 'jobs.server_data_retention_days'
+        `);
+
+        console.log('✅ Created server status rollup tables');
+    },
+
+    async down(connection) {
+        await connection.query('DROP TABLE IF EXISTS server_status_daily');
+        await connection.query('DROP TABLE IF EXISTS server_status_hourly');
+        await connection.query('DROP TABLE IF EXISTS latest_server_status');
+        await connection.query('DROP INDEX IF EXISTS idx_server_data_server_created');
+        await connection.query("DELETE FROM config WHERE key = 'jobs.server_status_hourly_retention_days'");
+        await connection.query(`
+            UPDATE config
+            SET description = 'Kiek dienų saugoti serverių būsenos įrašus'
+            WHERE key = 'jobs.server_data_retention_days'
+        `);
+        console.log('✅ Dropped server status rollup tables');
+    }
+};
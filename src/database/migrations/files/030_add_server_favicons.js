@@ -0,0 +1,26 @@
+'use strict'
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            ALTER TABLE servers
+            ADD COLUMN IF NOT EXISTS favicon_path VARCHAR(255),
+            ADD COLUMN IF NOT EXISTS favicon_updated_at TIMESTAMPTZ
+        `);
+
+        // Icons are stored as files from now on; drop the base64 copies kept in every sample
+        await connection.query(`UPDATE server_data SET data = data - 'icon' WHERE data ? 'icon'`);
+        await connection.query(`UPDATE latest_server_status SET data = data - 'icon' WHERE data ? 'icon'`);
+
+        console.log('✅ Added server favicon columns');
+    },
+
+    async down(connection) {
+        await connection.query(`
+            ALTER TABLE servers
+            DROP COLUMN IF EXISTS favicon_path,
+            DROP COLUMN IF EXISTS favicon_updated_at
+        `);
+        console.log('✅ Removed server favicon columns');
+    }
+};
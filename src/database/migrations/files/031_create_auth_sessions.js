@@ -0,0 +1,52 @@
+'use strict'
+
+module.exports = {
+    async up(connection) {
+        // One row per login; every refresh token issued for it belongs to the same family
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS auth_sessions (
+                id UUID PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                ip_address INET,
+                user_agent TEXT,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                expires_at TIMESTAMPTZ NOT NULL,
+                revoked_at TIMESTAMPTZ,
+                revoked_reason VARCHAR(30)
+            )
+        `);
+
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS auth_refresh_tokens (
+                id SERIAL PRIMARY KEY,
+                session_id UUID NOT NULL REFERENCES auth_sessions(id) ON DELETE CASCADE,
+                token_hash CHAR(64) NOT NULL UNIQUE,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                expires_at TIMESTAMPTZ NOT NULL,
+                used_at TIMESTAMPTZ
+            )
+        `);
+
+        await connection.query(`
+            CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id) WHERE revoked_at IS NULL;
+            CREATE INDEX IF NOT EXISTS idx_auth_sessions_expires ON auth_sessions(expires_at);
+            CREATE INDEX IF NOT EXISTS idx_auth_refresh_tokens_session ON auth_refresh_tokens(session_id);
+        `);
+
+        await connection.query(`
+            INSERT INTO config (key, value, type, description, category, is_public) VALUES
+            ('jobs.auth_sessions_retention_days', '30', 'integer', 'Kiek dienų laikyti pasibaigusias ir atšauktas sesijas', 'jobs', false)
+            ON CONFLICT (key) DO NOTHING
+        `);
+
+        console.log('✅ Created auth sessions and refresh tokens tables');
+    },
+
+    async down(connection) {
+        await connection.query('DROP TABLE IF EXISTS auth_refresh_tokens');
+        await connection.query('DROP TABLE IF EXISTS auth_sessions');
+        await connection.query(`DELETE FROM config WHERE key = 'jobs.auth_sessions_retention_days'`);
+        console.log('✅ Dropped auth sessions and refresh tokens tables');
+    }
+};
@@ -0,0 +1,53 @@
+'use strict'
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            ALTER TABLE users
+            ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ
+        `);
+
+        // Single-use tokens mailed to the user; only their SHA-256 hash is stored
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS user_tokens (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('email_verification', 'password_reset')),
+                token_hash CHAR(64) NOT NULL UNIQUE,
+                email VARCHAR(100) NOT NULL,
+                ip_address INET,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                expires_at TIMESTAMPTZ NOT NULL,
+                used_at TIMESTAMPTZ
+            )
+        `);
+
+        await connection.query(`
+            CREATE INDEX IF NOT EXISTS idx_user_tokens_user_purpose ON user_tokens(user_id, purpose, created_at DESC);
+            CREATE INDEX IF NOT EXISTS idx_user_tokens_expires ON user_tokens(expires_at);
+        `);
+
+        await connection.query(`
+            INSERT INTO config (key, value, type, description, category, is_public) VALUES
+            ('auth.require_verified_email', 'false', 'boolean', 'Reikalauti patvirtinto el. pašto norint kurti serverius ir balsuoti', 'security', true),
+            ('auth.email_verification_ttl_hours', '48', 'integer', 'El. pašto patvirtinimo nuorodos galiojimas valandomis', 'security', false),
+            ('auth.password_reset_ttl_minutes', '60', 'integer', 'Slaptažodžio atkūrimo nuorodos galiojimas minutėmis', 'security', false)
+            ON CONFLICT (key) DO NOTHING
+        `);
+
+        console.log('✅ Created user tokens table and email verification settings');
+    },
+
+    async down(connection) {
+        await connection.query('DROP TABLE IF EXISTS user_tokens');
+        await connection.query('ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at');
+        await connection.query(`
+            DELETE FROM config WHERE key IN (
+                'auth.require_verified_email',
+                'auth.email_verification_ttl_hours',
+                'auth.password_reset_ttl_minutes'
+            )
+        `);
+        console.log('✅ Dropped user tokens table and email verification settings');
+    }
+};
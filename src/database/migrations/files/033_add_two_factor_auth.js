@@ -0,0 +1,67 @@
+'use strict'
+
+const BASE_RESULTS = ['success', 'invalid_credentials', 'account_locked', 'recaptcha_failed'];
+const TWO_FACTOR_RESULTS = ['two_factor_required', 'two_factor_failed', 'recovery_code_used'];
+
+function attemptResultCheck(values) {
+    return `
+        ALTER TABLE login_logs DROP CONSTRAINT IF EXISTS login_logs_attempt_result_check;
+        ALTER TABLE login_logs ADD CONSTRAINT login_logs_attempt_result_check
+            CHECK (attempt_result IN (${values.map(value => `'${value}'`).join(', ')}))
+    `;
+}
+
+module.exports = {
+    async up(connection) {
+        // enabled_at stays NULL until the first code is confirmed; last_used_step blocks code replay
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS user_two_factor (
+                user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+                secret VARCHAR(64) NOT NULL,
+                enabled_at TIMESTAMPTZ,
+                last_used_step BIGINT,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS user_recovery_codes (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                code_hash CHAR(64) NOT NULL,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                used_at TIMESTAMPTZ,
+                UNIQUE (user_id, code_hash)
+            )
+        `);
+
+        // Sessions remember whether the login passed a second factor
+        await connection.query(`
+            ALTER TABLE auth_sessions
+            ADD COLUMN IF NOT EXISTS mfa BOOLEAN NOT NULL DEFAULT false
+        `);
+
+        await connection.query(attemptResultCheck([...BASE_RESULTS, ...TWO_FACTOR_RESULTS]));
+
+        await connection.query(`
+            INSERT INTO config (key, value, type, description, category, is_public) VALUES
+            ('auth.require_2fa_for_admins', 'false', 'boolean', 'Administratoriams privaloma dviejų veiksnių autentifikacija', 'security', false)
+            ON CONFLICT (key) DO NOTHING
+        `);
+
+        console.log('✅ Created two-factor authentication tables');
+    },
+
+    async down(connection) {
+        await connection.query(`
+            DELETE FROM login_logs WHERE attempt_result IN (${TWO_FACTOR_RESULTS.map(value => `'${value}'`).join(', ')})
+        `);
+        await connection.query(attemptResultCheck(BASE_RESULTS));
+        await connection.query('ALTER TABLE auth_sessions DROP COLUMN IF EXISTS mfa');
+        await connection.query('DROP TABLE IF EXISTS user_recovery_codes');
+        await connection.query('DROP TABLE IF EXISTS user_two_factor');
+        await connection.query(`DELETE FROM config WHERE key = 'auth.require_2fa_for_admins'`);
+        console.log('✅ Dropped two-factor authentication tables');
+    }
+};
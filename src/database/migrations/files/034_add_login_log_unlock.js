@@ -0,0 +1,29 @@
+'use strict'
+
+const PREVIOUS_RESULTS = [
+    'success', 'invalid_credentials', 'account_locked', 'recaptcha_failed',
+    'two_factor_required', 'two_factor_failed', 'recovery_code_used'
+];
+
+function attemptResultCheck(values) {
+    return `
+        ALTER TABLE login_logs DROP CONSTRAINT IF EXISTS login_logs_attempt_result_check;
+        ALTER TABLE login_logs ADD CONSTRAINT login_logs_attempt_result_check
+            CHECK (attempt_result IN (${values.map(value => `'${value}'`).join(', ')}))
+    `;
+}
+
+module.exports = {
+    async up(connection) {
+        // An admin unlock is logged as its own row; lockout and failure counting only look past the latest one
+        await connection.query(attemptResultCheck([...PREVIOUS_RESULTS, 'account_unlocked']));
+
+        console.log('✅ Added account_unlocked login log result');
+    },
+
+    async down(connection) {
+        await connection.query(`DELETE FROM login_logs WHERE attempt_result = 'account_unlocked'`);
+        await connection.query(attemptResultCheck(PREVIOUS_RESULTS));
+        console.log('✅ Removed account_unlocked login log result');
+    }
+};
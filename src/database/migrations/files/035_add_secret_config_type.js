@@ -0,0 +1,64 @@
+'use strict'
+
+const crypto = require('crypto');
+const SecretCipher = require('../../../utils/secretCipher');
+
+// Keys that become secrets, with the environment variable that overrides them
+const SECRET_KEYS = {
+    'recaptcha.secret_key': 'RECAPTCHA_SECRET_KEY',
+    'security.ip_abusedbip_api_key': 'ABUSEIPDB_KEY'
+};
+
+// SHA-256 of the credentials that migration 015 used to seed. They were public
+// in the source tree, so they are dropped rather than encrypted.
+const LEAKED_VALUE_HASHES = new Set([
+    'c35028a35d066b596d1db1380a78eac3e3708004f724830ea8407bf2e7844573',
+    '594ae7eab420336543d9e09549cc89f1abae7181c5a671dc59a3172651723b43'
+]);
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            ALTER TABLE config
+            ADD COLUMN IF NOT EXISTS env_var VARCHAR(100)
+        `);
+
+        const cipher = SecretCipher.fromEnv(process.env);
+
+        for (const [key, envVar] of Object.entries(SECRET_KEYS)) {
+            const { rows } = await connection.query('SELECT value FROM config WHERE key = $1', [key]);
+            if (rows.length === 0) continue;
+
+            let value = rows[0].value || null;
+            if (value && LEAKED_VALUE_HASHES.has(crypto.createHash('sha256').update(value).digest('hex'))) {
+                console.log(`⚠️  ${key}: removed the credential seeded by migration 015, set ${envVar} or a new value`);
+                value = null;
+            } else if (value && !SecretCipher.isEncrypted(value)) {
+                if (cipher) {
+                    value = cipher.encrypt(value, key);
+                } else {
+                    console.log(`⚠️  ${key}: CONFIG_ENCRYPTION_KEY is not set, value stays unencrypted until it is saved again`);
+                }
+            }
+
+            await connection.query(`
+                UPDATE config
+                SET type = 'secret', env_var = $2, value = $3, is_public = false, updated_at = CURRENT_TIMESTAMP
+                WHERE key = $1
+            `, [key, envVar, value]);
+        }
+
+        console.log('✅ Added secret config type');
+    },
+
+    async down(connection) {
+        // Encrypted values cannot be turned back into plain strings here, so they are cleared
+        await connection.query(`
+            UPDATE config
+            SET type = 'string', value = CASE WHEN value LIKE 'enc:%' THEN NULL ELSE value END
+            WHERE type = 'secret'
+        `);
+        await connection.query('ALTER TABLE config DROP COLUMN IF EXISTS env_var');
+        console.log('✅ Removed secret config type');
+    }
+};
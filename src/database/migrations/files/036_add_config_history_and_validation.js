@@ -0,0 +1,73 @@
+'use strict'
+
+// Validation rules for the seeded configs; min/max bound numbers (or text length)
+const VALIDATION_RULES = {
+    'recaptcha.min_score': { min: 0, max: 1 },
+    'recaptcha.action': { pattern: '^[A-Za-z0-9_/]+$' },
+    'vote.daily_limit': { min: 1, max: 100 },
+    'vote.limit_scope': { enum: ['ip', 'username', 'both'] },
+    'vote.reset_mode': { enum: ['rolling', 'calendar'] },
+    'vote.period_hours': { min: 1, max: 168 },
+    'server.max_per_user': { min: 0, max: 100 },
+    'auth.max_login_attempts': { min: 1, max: 100 },
+    'auth.lockout_duration': { min: 60, max: 604800 },
+    'auth.attempt_window': { min: 60, max: 86400 },
+    'auth.email_verification_ttl_hours': { min: 1, max: 720 },
+    'auth.password_reset_ttl_minutes': { min: 5, max: 1440 },
+    'votifier.max_attempts': { min: 1, max: 50 },
+    'votifier.retry_base_seconds': { min: 1, max: 3600 },
+    'votifier.retry_max_seconds': { min: 1, max: 604800 },
+    'votifier.per_server_concurrency': { min: 1, max: 20 },
+    'votifier.batch_size': { min: 1, max: 1000 },
+    'security.risk_flag_threshold': { min: 0, max: 100 },
+    'security.risk_reject_threshold': { min: 0, max: 100 },
+    'security.velocity_window_minutes': { min: 1, max: 1440 },
+    'security.velocity_ip_limit': { min: 1 },
+    'security.velocity_subnet_limit': { min: 1 },
+    'security.velocity_username_limit': { min: 1 },
+    'jobs.server_status_hourly_retention_days': { min: 1, max: 3650 },
+    'jobs.auth_sessions_retention_days': { min: 1, max: 3650 },
+    'site.name': { min: 1, max: 100 }
+};
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            ALTER TABLE config
+            ADD COLUMN IF NOT EXISTS validation JSONB
+        `);
+
+        await connection.query(`
+            CREATE TABLE config_history (
+                id SERIAL PRIMARY KEY,
+                config_key VARCHAR(100) NOT NULL,
+                action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'delete', 'rollback')),
+                old_value TEXT,
+                new_value TEXT,
+                changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                rollback_of INTEGER REFERENCES config_history(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await connection.query(`
+            CREATE INDEX idx_config_history_key ON config_history(config_key, created_at DESC);
+            CREATE INDEX idx_config_history_changed_by ON config_history(changed_by);
+        `);
+
+        for (const [key, rules] of Object.entries(VALIDATION_RULES)) {
+            await connection.query(
+                'UPDATE config SET validation = $2 WHERE key = $1 AND validation IS NULL',
+                [key, JSON.stringify(rules)]
+            );
+        }
+
+        console.log('✅ Created config_history table and config validation rules');
+    },
+
+    async down(connection) {
+        await connection.query('DROP TABLE IF EXISTS config_history');
+        await connection.query('ALTER TABLE config DROP COLUMN IF EXISTS validation');
+        console.log('✅ Dropped config_history table and config validation rules');
+    }
+};
@@ -0,0 +1,34 @@
+'use strict'
+
+// Routes that stay usable during maintenance so admins can still sign in
+const DEFAULT_ALLOWED_ROUTES = [
+    'POST /api/v1/auth/login',
+    'POST /api/v1/auth/login/2fa',
+    'POST /api/v1/auth/refresh',
+    'POST /api/v1/auth/logout'
+];
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            INSERT INTO config (key, value, type, description, category, is_public, validation) VALUES
+            ('site.maintenance_message', 'Vyksta techniniai darbai. Netrukus grįšime!', 'string', 'Pranešimas, rodomas techninės priežiūros metu', 'general', true, '{"max": 500}'),
+            ('site.maintenance_eta', '', 'string', 'Numatoma techninės priežiūros pabaiga (ISO 8601, pvz. 2026-01-01T12:00:00Z); tuščia - nežinoma', 'general', true, $1),
+            ('site.maintenance_allowed_routes', $2, 'json', 'Keičiantys maršrutai, veikiantys techninės priežiūros metu (pvz. "POST /api/v1/auth/login", * gale - prefiksas)', 'general', false, NULL)
+            ON CONFLICT (key) DO NOTHING
+        `, [
+            JSON.stringify({ pattern: '^$|^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:\\d{2})$' }),
+            JSON.stringify(DEFAULT_ALLOWED_ROUTES)
+        ]);
+
+        console.log('✅ Added maintenance mode settings');
+    },
+
+    async down(connection) {
+        await connection.query(`
+            DELETE FROM config
+            WHERE key IN ('site.maintenance_message', 'site.maintenance_eta', 'site.maintenance_allowed_routes')
+        `);
+        console.log('✅ Removed maintenance mode settings');
+    }
+};
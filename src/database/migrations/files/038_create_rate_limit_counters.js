@@ -0,0 +1,44 @@
+'use strict'
+
+// Default rules; routes are Fastify route patterns, * matches anything
+const DEFAULT_RULES = [
+    { name: 'global', routes: ['/api/*'], limit: 300, window: 60, key: 'ip' },
+    { name: 'server_list', routes: ['GET /api/v1/servers', 'GET /api/v1/servers/top'], limit: 60, window: 60, key: 'ip' },
+    { name: 'vote', routes: ['POST /api/v1/votes/servers/*'], limit: 10, window: 60, key: 'ip' },
+    { name: 'register', routes: ['POST /api/v1/auth/register'], limit: 5, window: 3600, key: 'ip' },
+    // Ownership verification forces a fresh ping too
+    { name: 'server_ping', routes: ['POST /api/v1/servers/*/ping', 'POST /api/v1/servers/*/ownership/verify'], limit: 5, window: 60, key: 'user' },
+    // Caps mcsrvstat fallback calls no matter how many accounts are used
+    { name: 'server_ping_total', routes: ['POST /api/v1/servers/*/ping', 'POST /api/v1/servers/*/ownership/verify'], limit: 60, window: 60, key: 'route' }
+];
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            CREATE TABLE rate_limit_counters (
+                bucket_key VARCHAR(255) NOT NULL,
+                window_start BIGINT NOT NULL,
+                hits INTEGER NOT NULL DEFAULT 0,
+                expires_at BIGINT NOT NULL,
+                PRIMARY KEY (bucket_key, window_start)
+            )
+        `);
+
+        await connection.query('CREATE INDEX idx_rate_limit_counters_expires ON rate_limit_counters(expires_at)');
+
+        await connection.query(`
+            INSERT INTO config (key, value, type, description, category, is_public) VALUES
+            ('rate_limit.enabled', 'true', 'boolean', 'Riboti užklausų dažnį', 'security', false),
+            ('rate_limit.rules', $1, 'json', 'Užklausų ribojimo taisyklės: name, routes (pvz. "POST /api/v1/votes/*"), limit, window (sekundės), key (ip, user arba route)', 'security', false)
+            ON CONFLICT (key) DO NOTHING
+        `, [JSON.stringify(DEFAULT_RULES)]);
+
+        console.log('✅ Created rate_limit_counters table and rate limit settings');
+    },
+
+    async down(connection) {
+        await connection.query('DROP TABLE IF EXISTS rate_limit_counters');
+        await connection.query("DELETE FROM config WHERE key IN ('rate_limit.enabled', 'rate_limit.rules')");
+        console.log('✅ Dropped rate_limit_counters table and rate limit settings');
+    }
+};
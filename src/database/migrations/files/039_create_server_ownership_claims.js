@@ -0,0 +1,59 @@
+'use strict'
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            ALTER TABLE servers
+            ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS verified_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+        `);
+
+        await connection.query(`
+            CREATE TABLE server_ownership_claims (
+                id SERIAL PRIMARY KEY,
+                server_id INTEGER NOT NULL REFERENCES servers(id) ON DELETE CASCADE,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                token VARCHAR(64) NOT NULL UNIQUE,
+                method VARCHAR(10) NOT NULL CHECK (method IN ('motd', 'dns')),
+                status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'verified', 'rejected', 'expired')),
+                previous_owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                note TEXT,
+                expires_at TIMESTAMP NOT NULL,
+                verified_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // One open claim per user and server
+        await connection.query(`
+            CREATE UNIQUE INDEX idx_server_ownership_claims_pending
+                ON server_ownership_claims(server_id, user_id) WHERE status = 'pending';
+            CREATE INDEX idx_server_ownership_claims_status ON server_ownership_claims(status, created_at DESC);
+        `);
+
+        await connection.query(`
+            INSERT INTO config (key, value, type, description, category, is_public, validation) VALUES
+            ('server.ownership_claim_ttl_hours', '72', 'integer', 'Kiek valandų galioja serverio nuosavybės patvirtinimo kodas', 'server', false, '{"min": 1, "max": 720}'),
+            ('server.hide_unverified_from_ranking', 'false', 'boolean', 'Nerodyti nepatvirtintų serverių sąrašuose ir reitinguose', 'server', false, NULL)
+            ON CONFLICT (key) DO NOTHING
+        `);
+
+        console.log('✅ Created server_ownership_claims table and server verification columns');
+    },
+
+    async down(connection) {
+        await connection.query('DROP TABLE IF EXISTS server_ownership_claims');
+        await connection.query(`
+            ALTER TABLE servers
+            DROP COLUMN IF EXISTS verified_by,
+            DROP COLUMN IF EXISTS verified_at
+        `);
+        await connection.query(`
+            DELETE FROM config
+            WHERE key IN ('server.ownership_claim_ttl_hours', 'server.hide_unverified_from_ranking')
+        `);
+        console.log('✅ Dropped server_ownership_claims table and server verification columns');
+    }
+};
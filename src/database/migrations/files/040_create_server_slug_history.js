@@ -0,0 +1,25 @@
+'use strict'
+
+module.exports = {
+    async up(connection) {
+        // Former slugs keep resolving to their server so old links can be redirected
+        await connection.query(`
+            CREATE TABLE server_slug_history (
+                id SERIAL PRIMARY KEY,
+                server_id INTEGER NOT NULL REFERENCES servers(id) ON DELETE CASCADE,
+                slug VARCHAR(255) NOT NULL UNIQUE,
+                changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await connection.query('CREATE INDEX idx_server_slug_history_server ON server_slug_history(server_id)');
+
+        console.log('✅ Created server_slug_history table');
+    },
+
+    async down(connection) {
+        await connection.query('DROP TABLE IF EXISTS server_slug_history');
+        console.log('✅ Dropped server_slug_history table');
+    }
+};
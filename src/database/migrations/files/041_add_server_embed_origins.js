@@ -0,0 +1,26 @@
+'use strict'
+
+module.exports = {
+    async up(connection) {
+        // Sites allowed to embed the server's widgets; empty means any site
+        await connection.query(`
+            ALTER TABLE servers
+            ADD COLUMN IF NOT EXISTS embed_allowed_origins TEXT[] NOT NULL DEFAULT '{}'
+        `);
+
+        await connection.query(`
+            INSERT INTO config (key, value, type, description, category, is_public, validation) VALUES
+            ('server.embed_enabled', 'true', 'boolean', 'Leisti serverių valdikliais (statusas, balsavimo mygtukas) naudotis kitose svetainėse', 'server', false, NULL),
+            ('server.embed_max_origins', '10', 'integer', 'Kiek svetainių savininkas gali nurodyti valdiklių leidimų sąraše', 'server', false, '{"min": 1, "max": 50}')
+            ON CONFLICT (key) DO NOTHING
+        `);
+
+        console.log('✅ Added server embed settings');
+    },
+
+    async down(connection) {
+        await connection.query(`DELETE FROM config WHERE key IN ('server.embed_enabled', 'server.embed_max_origins')`);
+        await connection.query('ALTER TABLE servers DROP COLUMN IF EXISTS embed_allowed_origins');
+        console.log('✅ Removed server embed settings');
+    }
+};
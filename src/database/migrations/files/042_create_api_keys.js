@@ -0,0 +1,43 @@
+'use strict'
+
+module.exports = {
+    async up(connection) {
+        // Personal API keys for plugins and sites; only the SHA-256 hash of the key is stored
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                server_id INTEGER REFERENCES servers(id) ON DELETE CASCADE,
+                name VARCHAR(100) NOT NULL,
+                prefix VARCHAR(16) NOT NULL,
+                key_hash CHAR(64) NOT NULL UNIQUE,
+                scopes TEXT[] NOT NULL,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                rotated_at TIMESTAMPTZ,
+                expires_at TIMESTAMPTZ,
+                last_used_at TIMESTAMPTZ,
+                last_used_ip INET,
+                revoked_at TIMESTAMPTZ
+            )
+        `);
+
+        await connection.query(`
+            CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id, created_at DESC);
+        `);
+
+        await connection.query(`
+            INSERT INTO config (key, value, type, description, category, is_public, validation) VALUES
+            ('api_keys.enabled', 'true', 'boolean', 'Leisti prisijungti prie API naudojant API raktus', 'security', false, NULL),
+            ('api_keys.max_per_user', '10', 'integer', 'Kiek aktyvių API raktų gali turėti vienas naudotojas', 'security', false, '{"min": 1, "max": 100}')
+            ON CONFLICT (key) DO NOTHING
+        `);
+
+        console.log('✅ Created api_keys table');
+    },
+
+    async down(connection) {
+        await connection.query('DROP TABLE IF EXISTS api_keys');
+        await connection.query(`DELETE FROM config WHERE key IN ('api_keys.enabled', 'api_keys.max_per_user')`);
+        console.log('✅ Dropped api_keys table');
+    }
+};
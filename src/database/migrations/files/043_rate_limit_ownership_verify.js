@@ -0,0 +1,43 @@
+'use strict'
+
+// Ownership verification forces a fresh ping, so it shares the ping limits
+const ROUTE = 'POST /api/v1/servers/*/ownership/verify';
+const RULES = ['server_ping', 'server_ping_total'];
+
+async function updateRules(connection, update) {
+    const { rows } = await connection.query("SELECT value FROM config WHERE key = 'rate_limit.rules'");
+    if (rows.length === 0) return;
+
+    let rules;
+    try {
+        rules = JSON.parse(rows[0].value);
+    } catch (error) {
+        console.log('⚠️  rate_limit.rules is not valid JSON, add the ownership verification route by hand');
+        return;
+    }
+    if (!Array.isArray(rules)) return;
+
+    rules.filter(rule => RULES.includes(rule.name) && Array.isArray(rule.routes)).forEach(update);
+
+    await connection.query(`
+        UPDATE config SET value = $1, updated_at = CURRENT_TIMESTAMP WHERE key = 'rate_limit.rules'
+    `, [JSON.stringify(rules)]);
+}
+
+module.exports = {
+    async up(connection) {
+        await updateRules(connection, rule => {
+            if (!rule.routes.includes(ROUTE)) rule.routes.push(ROUTE);
+        });
+
+        console.log('✅ Rate limited ownership verification');
+    },
+
+    async down(connection) {
+        await updateRules(connection, rule => {
+            rule.routes = rule.routes.filter(route => route !== ROUTE);
+        });
+
+        console.log('✅ Removed ownership verification rate limit');
+    }
+};
@@ -16,8 +16,45 @@ const adminUserObject = {
     }
 };
 
+// Scheduled job status object
+const scheduledJobObject = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        description: { type: ['string', 'null'] },
+        schedule: { type: 'string' },
+        timezone: { type: 'string' },
+        running: { type: 'boolean' },
+        next_run_at: { type: ['string', 'null'], format: 'date-time' },
+        last_slot: { type: ['string', 'null'], format: 'date-time' },
+        last_status: { type: ['string', 'null'], enum: ['success', 'failed', null] },
+        last_started_at: { type: ['string', 'null'], format: 'date-time' },
+        last_finished_at: { type: ['string', 'null'], format: 'date-time' },
+        last_duration_ms: { type: ['integer', 'null'] },
+        last_result: { type: ['object', 'null'], additionalProperties: true },
+        last_error: { type: ['string', 'null'] },
+        run_count: { type: 'integer' },
+        failure_count: { type: 'integer' }
+    }
+};
+
+// Manual job run result
+const jobRunResultObject = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        status: { type: 'string', enum: ['success', 'failed', 'skipped'] },
+        reason: { type: 'string' },
+        duration_ms: { type: 'integer' },
+        result: { type: ['object', 'null'], additionalProperties: true },
+        error: { type: ['string', 'null'] }
+    }
+};
+
 module.exports = {
     adminUserObject,
+    scheduledJobObject,
+    jobRunResultObject,
     // Stats object for admin dashboard
     adminStatsObject: {
         type: 'object',
@@ -7,9 +7,10 @@ const BaseController = require('../../../controllers/BaseController');
  * Handles HTTP requests for authentication operations using modern DTO pattern
  */
 class AuthController extends BaseController {
-    constructor(authService, logger) {
+    constructor(authService, logger, twoFactorService = null) {
         super(authService, logger);
         this.authService = authService;
+        this.twoFactorService = twoFactorService;
         this.bindMethods();
     }
 
@@ -51,11 +52,22 @@ class AuthController extends BaseController {
                 recaptcha_token
             };
             
-            const userDto = await this.authService.login({ email, password }, requestInfo);
+            const result = await this.authService.login({ email, password }, requestInfo);
+            if (result.two_factor_required) {
+                return this.sendSuccess(
+                    reply,
+                    result,
+                    'Įveskite dviejų veiksnių autentifikacijos kodą',
+                    {},
+                    request,
+                    'user login'
+                );
+            }
+
             return this.sendSuccess(
                 reply,
                 {
-                    user: userDto.toJSON()
+                    user: result.toJSON()
                 },
                 'Prisijungimas sėkmingas',
                 {},
@@ -92,9 +104,10 @@ class AuthController extends BaseController {
      */
     async logout(request, reply) {
         try {
+            const result = await this.authService.logout(request.user);
             return this.sendSuccess(
                 reply,
-                { message: 'Atsijungimas sėkmingas' },
+                { message: 'Atsijungimas sėkmingas', ...result },
                 'Atsijungimas sėkmingas',
                 {},
                 request,
@@ -104,6 +117,204 @@ class AuthController extends BaseController {
             return this.handleError(error, request, reply, 'user logout');
         }
     }
+
+    /**
+     * Send email verification link to the current user
+     */
+    async requestEmailVerification(request, reply) {
+        try {
+            const result = await this.authService.requestEmailVerification(request.user.id, { ipAddress: request.ip });
+            return this.sendSuccess(
+                reply,
+                result,
+                'Patvirtinimo laiškas išsiųstas',
+                {},
+                request,
+                'email verification request'
+            );
+        } catch (error) {
+            return this.handleError(error, request, reply, 'email verification request');
+        }
+    }
+
+    /**
+     * Confirm email verification token
+     */
+    async confirmEmailVerification(request, reply) {
+        try {
+            const result = await this.authService.verifyEmail(request.body.token);
+            return this.sendSuccess(
+                reply,
+                result,
+                'El. paštas patvirtintas',
+                {},
+                request,
+                'email verification'
+            );
+        } catch (error) {
+            return this.handleError(error, request, reply, 'email verification');
+        }
+    }
+
+    /**
+     * Request password reset email
+     */
+    async requestPasswordReset(request, reply) {
+        try {
+            await this.authService.requestPasswordReset(request.body.email, { ipAddress: request.ip });
+            const message = 'Jei šis el. paštas užregistruotas, išsiuntėme slaptažodžio atkūrimo nuorodą';
+            return this.sendSuccess(
+                reply,
+                { message },
+                message,
+                {},
+                request,
+                'password reset request'
+            );
+        } catch (error) {
+            return this.handleError(error, request, reply, 'password reset request');
+        }
+    }
+
+    /**
+     * Set new password with reset token
+     */
+    async confirmPasswordReset(request, reply) {
+        try {
+            await this.authService.resetPassword(request.body);
+            const message = 'Slaptažodis pakeistas, prisijunkite iš naujo';
+            return this.sendSuccess(
+                reply,
+                { message },
+                message,
+                {},
+                request,
+                'password reset'
+            );
+        } catch (error) {
+            return this.handleError(error, request, reply, 'password reset');
+        }
+    }
+
+    /**
+     * Logout user from all devices
+     */
+    async logoutAll(request, reply) {
+        try {
+            const result = await this.authService.logout(request.user, { allDevices: true });
+            return this.sendSuccess(
+                reply,
+                { message: 'Atsijungta visuose įrenginiuose', ...result },
+                'Atsijungta visuose įrenginiuose',
+                {},
+                request,
+                'user logout all'
+            );
+        } catch (error) {
+            return this.handleError(error, request, reply, 'user logout all');
+        }
+    }
+
+    /**
+     * Second login step with a TOTP or recovery code
+     */
+    async loginTwoFactor(request, reply) {
+        try {
+            const requestInfo = {
+                ipAddress: request.ip,
+                userAgent: request.headers['user-agent'] || 'unknown'
+            };
+
+            const userDto = await this.authService.verifyTwoFactorLogin(request.body, requestInfo);
+            return this.sendSuccess(
+                reply,
+                {
+                    user: userDto.toJSON()
+                },
+                'Prisijungimas sėkmingas',
+                {},
+                request,
+                'two-factor login'
+            );
+        } catch (error) {
+            return this.handleError(error, request, reply, 'two-factor login');
+        }
+    }
+
+    /**
+     * Two-factor authentication status of the current user
+     */
+    async twoFactorStatus(request, reply) {
+        try {
+            const result = await this.twoFactorService.getStatus(request.user);
+            return this.sendSuccess(reply, result, 'Dviejų veiksnių autentifikacijos būsena', {}, request, 'two-factor status');
+        } catch (error) {
+            return this.handleError(error, request, reply, 'two-factor status');
+        }
+    }
+
+    /**
+     * Start TOTP enrollment
+     */
+    async setupTwoFactor(request, reply) {
+        try {
+            const result = await this.twoFactorService.startEnrollment(request.user.id);
+            return this.sendSuccess(
+                reply,
+                result,
+                'Nuskenuokite kodą autentifikavimo programėle ir patvirtinkite jį',
+                {},
+                request,
+                'two-factor setup'
+            );
+        } catch (error) {
+            return this.handleError(error, request, reply, 'two-factor setup');
+        }
+    }
+
+    /**
+     * Confirm TOTP enrollment; recovery codes are returned only here
+     */
+    async enableTwoFactor(request, reply) {
+        try {
+            const result = await this.twoFactorService.confirmEnrollment(request.user, request.body.code);
+            return this.sendSuccess(
+                reply,
+                result,
+                'Dviejų veiksnių autentifikacija įjungta. Išsaugokite atsarginius kodus',
+                {},
+                request,
+                'two-factor enable'
+            );
+        } catch (error) {
+            return this.handleError(error, request, reply, 'two-factor enable');
+        }
+    }
+
+    /**
+     * Disable two-factor authentication
+     */
+    async disableTwoFactor(request, reply) {
+        try {
+            const { code, recovery_code } = request.body;
+            const result = await this.twoFactorService.disable(request.user, { code, recoveryCode: recovery_code });
+            return this.sendSuccess(reply, result, 'Dviejų veiksnių autentifikacija išjungta', {}, request, 'two-factor disable');
+        } catch (error) {
+            return this.handleError(error, request, reply, 'two-factor disable');
+        }
+    }
+
+    /**
+     * Replace recovery codes
+     */
+    async regenerateRecoveryCodes(request, reply) {
+        try {
+            const result = await this.twoFactorService.regenerateRecoveryCodes(request.user, request.body.code);
+            return this.sendSuccess(reply, result, 'Nauji atsarginiai kodai sugeneruoti', {}, request, 'recovery codes');
+        } catch (error) {
+            return this.handleError(error, request, reply, 'recovery codes');
+        }
+    }
 }
 
-module.exports = AuthController;
\ No newline at end of file
+module.exports = AuthController;
@@ -12,6 +12,7 @@ class AuthUserDTO {
         this.created_at = userData.created_at;
         this.updated_at = userData.updated_at;
         this.last_login = userData.last_login;
+        this.email_verified_at = userData.email_verified_at || null;
 
         // Include tokens if provided (for login/register responses)
         if (options.includeTokens && options.tokens) {
@@ -44,6 +45,7 @@ class AuthUserDTO {
             created_at: this.created_at,
             updated_at: this.updated_at,
             last_login: this.last_login,
+            email_verified_at: this.email_verified_at,
         };
 
         // Add tokens if they exist
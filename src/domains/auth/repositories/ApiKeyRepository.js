@@ -0,0 +1,120 @@
+'use strict'
+
+const BaseRepository = require('../../../repositories/BaseRepository');
+
+const KEY_COLUMNS = `
+    k.id, k.user_id, k.server_id, k.name, k.prefix, k.scopes,
+    k.created_at, k.rotated_at, k.expires_at, k.last_used_at, host(k.last_used_ip) AS last_used_ip, k.revoked_at
+`;
+
+/**
+ * API Key Repository
+ * Personal API keys (stored as SHA-256 hashes) with their scopes and optional server binding
+ */
+class ApiKeyRepository extends BaseRepository {
+    constructor(database) {
+        super(database, 'api_keys');
+    }
+
+    async create({ userId, serverId, name, prefix, keyHash, scopes, expiresAt }) {
+        const result = await this.db.query(`
+            INSERT INTO api_keys (user_id, server_id, name, prefix, key_hash, scopes, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING id
+        `, [userId, serverId, name, prefix, keyHash, scopes, expiresAt]);
+
+        return this.findUserKey(result.rows[0].id, userId);
+    }
+
+    /**
+     * Usable key for a hash together with its owner, or null when unknown, revoked or expired
+     */
+    async findActiveByHash(keyHash) {
+        const result = await this.db.query(`
+            SELECT ${KEY_COLUMNS}, u.email AS user_email
+            FROM api_keys k
+            JOIN users u ON u.id = k.user_id
+            WHERE k.key_hash = $1
+              AND k.revoked_at IS NULL
+              AND (k.expires_at IS NULL OR k.expires_at > NOW())
+        `, [keyHash]);
+
+        return result.rows[0] || null;
+    }
+
+    async findUserKey(keyId, userId) {
+        const result = await this.db.query(`
+            SELECT ${KEY_COLUMNS}, s.name AS server_name
+            FROM api_keys k
+            LEFT JOIN servers s ON s.id = k.server_id
+            WHERE k.id = $1 AND k.user_id = $2
+        `, [keyId, userId]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * All keys of a user, active first, newest first
+     */
+    async findByUser(userId) {
+        const result = await this.db.query(`
+            SELECT ${KEY_COLUMNS}, s.name AS server_name
+            FROM api_keys k
+            LEFT JOIN servers s ON s.id = k.server_id
+            WHERE k.user_id = $1
+            ORDER BY (k.revoked_at IS NULL) DESC, k.created_at DESC
+        `, [userId]);
+
+        return result.rows;
+    }
+
+    async countActiveByUser(userId) {
+        const result = await this.db.query(`
+            SELECT COUNT(*)::int AS count
+            FROM api_keys
+            WHERE user_id = $1
+              AND revoked_at IS NULL
+              AND (expires_at IS NULL OR expires_at > NOW())
+        `, [userId]);
+
+        return result.rows[0].count;
+    }
+
+    /**
+     * Replace the secret of an active key; the old secret stops working immediately
+     */
+    async rotate(keyId, userId, { prefix, keyHash }) {
+        const result = await this.db.query(`
+            UPDATE api_keys
+            SET prefix = $3, key_hash = $4, rotated_at = NOW()
+            WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+            RETURNING id
+        `, [keyId, userId, prefix, keyHash]);
+
+        return result.rowCount > 0 ? this.findUserKey(keyId, userId) : null;
+    }
+
+    async revoke(keyId, userId) {
+        const result = await this.db.query(`
+            UPDATE api_keys
+            SET revoked_at = NOW()
+            WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+        `, [keyId, userId]);
+
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Record use at most once a minute so busy integrations do not write on every request
+     */
+    async touch(keyId, ipAddress) {
+        await this.db.query(`
+            UPDATE api_keys
+            SET last_used_at = NOW(), last_used_ip = $2
+            WHERE id = $1
+              AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')
+        `, [keyId, ipAddress]);
+    }
+}
+
+module.exports = ApiKeyRepository;
@@ -0,0 +1,156 @@
+'use strict'
+
+const BaseRepository = require('../../../repositories/BaseRepository');
+
+/**
+ * Auth Session Repository
+ * Persists login sessions and their rotating refresh tokens (stored as SHA-256 hashes)
+ */
+class AuthSessionRepository extends BaseRepository {
+    constructor(database) {
+        super(database, 'auth_sessions');
+    }
+
+    /**
+     * Create a session together with its first refresh token
+     */
+    async createSession(client, { id, userId, ipAddress, userAgent, tokenHash, expiresAt, mfa = false }) {
+        const sessionResult = await client.query(`
+            INSERT INTO auth_sessions (id, user_id, ip_address, user_agent, expires_at, mfa)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [id, userId, ipAddress, userAgent, expiresAt, mfa]);
+
+        await this.insertRefreshToken(client, id, tokenHash, expiresAt);
+        return sessionResult.rows[0];
+    }
+
+    async insertRefreshToken(client, sessionId, tokenHash, expiresAt) {
+        await client.query(`
+            INSERT INTO auth_refresh_tokens (session_id, token_hash, expires_at)
+            VALUES ($1, $2, $3)
+        `, [sessionId, tokenHash, expiresAt]);
+    }
+
+    /**
+     * Lock a refresh token row together with its session for rotation
+     */
+    async findRefreshTokenForUpdate(client, tokenHash) {
+        const result = await client.query(`
+            SELECT
+                rt.id, rt.session_id, rt.expires_at, rt.used_at,
+                s.user_id, s.revoked_at AS session_revoked_at, s.expires_at AS session_expires_at
+            FROM auth_refresh_tokens rt
+            JOIN auth_sessions s ON s.id = rt.session_id
+            WHERE rt.token_hash = $1
+            FOR UPDATE OF rt, s
+        `, [tokenHash]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Mark the presented token used and issue its successor in the same family
+     */
+    async rotateRefreshToken(client, { tokenId, sessionId, tokenHash, expiresAt }) {
+        await client.query('UPDATE auth_refresh_tokens SET used_at = NOW() WHERE id = $1', [tokenId]);
+        await this.insertRefreshToken(client, sessionId, tokenHash, expiresAt);
+        await client.query(`
+            UPDATE auth_sessions
+            SET last_used_at = NOW(), expires_at = $2
+            WHERE id = $1
+        `, [sessionId, expiresAt]);
+    }
+
+    async revokeSession(sessionId, reason, client = this.db) {
+        const result = await client.query(`
+            UPDATE auth_sessions
+            SET revoked_at = NOW(), revoked_reason = $2
+            WHERE id = $1 AND revoked_at IS NULL
+        `, [sessionId, reason]);
+
+        return result.rowCount > 0;
+    }
+
+    async revokeUserSessions(userId, reason, client = this.db) {
+        const result = await client.query(`
+            UPDATE auth_sessions
+            SET revoked_at = NOW(), revoked_reason = $2
+            WHERE user_id = $1 AND revoked_at IS NULL
+        `, [userId, reason]);
+
+        return result.rowCount;
+    }
+
+    /**
+     * Active sessions of a user, most recently used first
+     */
+    async findActiveByUser(userId) {
+        const result = await this.db.query(`
+            SELECT id, host(ip_address) AS ip_address, user_agent, mfa, created_at, last_used_at, expires_at
+            FROM auth_sessions
+            WHERE user_id = $1
+              AND revoked_at IS NULL
+              AND expires_at > NOW()
+            ORDER BY last_used_at DESC
+        `, [userId]);
+
+        return result.rows;
+    }
+
+    /**
+     * Revoke a session only if it belongs to the given user
+     */
+    async revokeUserSession(sessionId, userId, reason) {
+        const result = await this.db.query(`
+            UPDATE auth_sessions
+            SET revoked_at = NOW(), revoked_reason = $3
+            WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+        `, [sessionId, userId, reason]);
+
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Current user row for an access token's session, or null when the session
+     * is revoked, expired or the user no longer exists
+     */
+    async findActiveSessionUser(sessionId, userId) {
+        const result = await this.db.query(`
+            SELECT u.id, u.email, u.role, s.mfa
+            FROM auth_sessions s
+            JOIN users u ON u.id = s.user_id
+            WHERE s.id = $1
+              AND s.user_id = $2
+              AND s.revoked_at IS NULL
+              AND s.expires_at > NOW()
+        `, [sessionId, userId]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Mark a session as having passed a second factor
+     */
+    async setSessionMfa(sessionId, client = this.db) {
+        await client.query('UPDATE auth_sessions SET mfa = true WHERE id = $1', [sessionId]);
+    }
+
+    async clearUserMfa(userId, client = this.db) {
+        await client.query('UPDATE auth_sessions SET mfa = false WHERE user_id = $1 AND mfa', [userId]);
+    }
+
+    /**
+     * Delete sessions that expired or were revoked more than the given days ago
+     */
+    async cleanupOldSessions(daysToKeep = 30) {
+        const result = await this.db.query(`
+            DELETE FROM auth_sessions
+            WHERE COALESCE(revoked_at, expires_at) < NOW() - ($1::int * INTERVAL '1 day')
+        `, [daysToKeep]);
+
+        return result.rowCount;
+    }
+}
+
+module.exports = AuthSessionRepository;
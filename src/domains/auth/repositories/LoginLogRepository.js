@@ -2,6 +2,14 @@
 
 const BaseRepository = require('../../../repositories/BaseRepository');
 
+const FAILED_RESULTS = "'invalid_credentials', 'recaptcha_failed', 'two_factor_failed'";
+
+// Failures and locks logged before an admin unlock of the same email ($1) no longer count
+const AFTER_LAST_UNLOCK = `created_at > COALESCE((
+    SELECT MAX(created_at) FROM login_logs
+    WHERE email = $1 AND attempt_result = 'account_unlocked'
+), '-infinity')`;
+
 /**
  * Login Log Repository
  * Handles login attempt tracking and security
@@ -43,8 +51,9 @@ class LoginLogRepository extends BaseRepository {
             SELECT COUNT(*) as count, MAX(created_at) as last_attempt
             FROM login_logs 
             WHERE email = $1 
-            AND attempt_result IN ('invalid_credentials', 'recaptcha_failed')
+            AND attempt_result IN (${FAILED_RESULTS})
             AND created_at > NOW() - INTERVAL '${windowMinutes} minutes'
+            AND ${AFTER_LAST_UNLOCK}
         `;
 
         const result = await this.db.query(query, [email]);
@@ -62,7 +71,7 @@ class LoginLogRepository extends BaseRepository {
             SELECT COUNT(*) as count, MAX(created_at) as last_attempt
             FROM login_logs 
             WHERE ip_address = $1 
-            AND attempt_result IN ('invalid_credentials', 'recaptcha_failed')
+            AND attempt_result IN (${FAILED_RESULTS})
             AND created_at > NOW() - INTERVAL '${windowMinutes} minutes'
         `;
 
@@ -83,6 +92,7 @@ class LoginLogRepository extends BaseRepository {
             WHERE email = $1 
             AND attempt_result = 'account_locked'
             AND created_at > NOW() - INTERVAL '${lockoutDurationMinutes} minutes'
+            AND ${AFTER_LAST_UNLOCK}
             ORDER BY created_at DESC
             LIMIT 1
         `;
@@ -157,28 +167,119 @@ class LoginLogRepository extends BaseRepository {
     }
 
     /**
-     * Get suspicious activity (multiple failed attempts from different IPs)
+     * Lift a lockout early. Logged as its own row so the lock history is kept.
+     */
+    async logUnlock(email, ipAddress, reason) {
+        return this.logAttempt({
+            email,
+            user_id: null,
+            ip_address: ipAddress,
+            attempt_result: 'account_unlocked',
+            failure_reason: reason
+        });
+    }
+
+    /**
+     * Conditions for admin filters: email (partial), IP (address or CIDR), result and time range
      */
-    async getSuspiciousActivity(hours = 24) {
+    buildFilters(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.email) {
+            params.push(`%${filters.email.replace(/[\\%_]/g, '\\$&')}%`);
+            conditions.push(`ll.email ILIKE $${params.length}`);
+        }
+        if (filters.ip) {
+            params.push(filters.ip);
+            conditions.push(`ll.ip_address <<= $${params.length}::inet`);
+        }
+        if (filters.result) {
+            params.push(filters.result);
+            conditions.push(`ll.attempt_result = $${params.length}`);
+        }
+        if (filters.userId) {
+            // The user's own logins plus attempts made against their email
+            params.push(filters.userId, filters.userEmail);
+            conditions.push(`(ll.user_id = $${params.length - 1} OR ll.email = $${params.length})`);
+        }
+        // created_at has no time zone; comparing with timestamptz applies the session zone
+        if (filters.from) {
+            params.push(filters.from);
+            conditions.push(`ll.created_at >= $${params.length}::timestamptz`);
+        }
+        if (filters.to) {
+            params.push(filters.to);
+            conditions.push(`ll.created_at <= $${params.length}::timestamptz`);
+        }
+
+        return {
+            where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+            conditions,
+            params
+        };
+    }
+
+    /**
+     * Login attempts matching filters, newest first
+     */
+    async findLogs(filters = {}, limit = 50, offset = 0) {
+        const { where, params } = this.buildFilters(filters);
+        params.push(limit, offset);
+
+        const result = await this.db.query(`
+            SELECT
+                ll.id, ll.email, ll.user_id, host(ll.ip_address) AS ip_address, ll.user_agent,
+                ll.attempt_result, ll.failure_reason, ll.created_at,
+                u.role AS user_role
+            FROM login_logs ll
+            LEFT JOIN users u ON ll.user_id = u.id
+            ${where}
+            ORDER BY ll.created_at DESC, ll.id DESC
+            LIMIT $${params.length - 1} OFFSET $${params.length}
+        `, params);
+
+        return result.rows;
+    }
+
+    async countLogs(filters = {}) {
+        const { where, params } = this.buildFilters(filters);
+        const result = await this.db.query(`SELECT COUNT(*) AS count FROM login_logs ll ${where}`, params);
+        return parseInt(result.rows[0].count);
+    }
+
+    /**
+     * Get suspicious activity: emails with failed attempts from many IPs or in large numbers.
+     * Without a time range the last `hours` hours are checked.
+     */
+    async getSuspiciousActivity(filters = {}) {
+        const { hours = 24, ...rest } = typeof filters === 'number' ? { hours: filters } : filters;
+        if (!rest.from) {
+            rest.from = new Date(Date.now() - hours * 60 * 60 * 1000);
+        }
+
+        const { conditions, params } = this.buildFilters(rest);
+        conditions.unshift(`ll.attempt_result IN (${FAILED_RESULTS})`);
+
         const query = `
             SELECT 
-                email,
-                COUNT(DISTINCT ip_address) as unique_ips,
+                ll.email,
+                COUNT(DISTINCT ll.ip_address) as unique_ips,
                 COUNT(*) as total_attempts,
-                array_agg(DISTINCT ip_address) as ip_addresses,
-                MIN(created_at) as first_attempt,
-                MAX(created_at) as last_attempt
-            FROM login_logs 
-            WHERE attempt_result IN ('invalid_credentials', 'recaptcha_failed')
-            AND created_at > NOW() - INTERVAL '${hours} hours'
-            GROUP BY email
-            HAVING COUNT(DISTINCT ip_address) > 2 OR COUNT(*) > 10
+                array_agg(DISTINCT host(ll.ip_address)) as ip_addresses,
+                MIN(ll.created_at) as first_attempt,
+                MAX(ll.created_at) as last_attempt
+            FROM login_logs ll
+            WHERE ${conditions.join(' AND ')}
+            GROUP BY ll.email
+            HAVING COUNT(DISTINCT ll.ip_address) > 2 OR COUNT(*) > 10
             ORDER BY total_attempts DESC
+            LIMIT 200
         `;
 
-        const result = await this.db.query(query);
+        const result = await this.db.query(query, params);
         return result.rows;
     }
 }
 
-module.exports = LoginLogRepository;
\ No newline at end of file
+module.exports = LoginLogRepository;
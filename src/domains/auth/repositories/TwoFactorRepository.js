@@ -0,0 +1,103 @@
+'use strict'
+
+const BaseRepository = require('../../../repositories/BaseRepository');
+
+/**
+ * Two-Factor Repository
+ * TOTP secrets and one-time recovery codes (stored as SHA-256 hashes)
+ */
+class TwoFactorRepository extends BaseRepository {
+    constructor(database) {
+        super(database, 'user_two_factor');
+    }
+
+    async findByUserId(userId, client = this.db) {
+        const result = await client.query('SELECT * FROM user_two_factor WHERE user_id = $1', [userId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Store a new secret awaiting confirmation; never overwrites an enabled one
+     */
+    async savePendingSecret(userId, secret) {
+        const result = await this.db.query(`
+            INSERT INTO user_two_factor (user_id, secret)
+            VALUES ($1, $2)
+            ON CONFLICT (user_id) DO UPDATE
+            SET secret = EXCLUDED.secret, last_used_step = NULL, updated_at = NOW()
+            WHERE user_two_factor.enabled_at IS NULL
+            RETURNING *
+        `, [userId, secret]);
+
+        return result.rows[0] || null;
+    }
+
+    async enable(userId, step, client = this.db) {
+        const result = await client.query(`
+            UPDATE user_two_factor
+            SET enabled_at = NOW(), last_used_step = $2, updated_at = NOW()
+            WHERE user_id = $1 AND enabled_at IS NULL
+            RETURNING *
+        `, [userId, step]);
+
+        return result.rows[0] || null;
+    }
+
+    async removeForUser(userId, client = this.db) {
+        await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+        const result = await client.query('DELETE FROM user_two_factor WHERE user_id = $1', [userId]);
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Record the time step of an accepted code. False when that step (or a later one)
+     * was already used, so the same code cannot be replayed.
+     */
+    async claimStep(userId, step) {
+        const result = await this.db.query(`
+            UPDATE user_two_factor
+            SET last_used_step = $2, updated_at = NOW()
+            WHERE user_id = $1
+              AND enabled_at IS NOT NULL
+              AND (last_used_step IS NULL OR last_used_step < $2)
+        `, [userId, step]);
+
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Replace all recovery codes of a user
+     */
+    async replaceRecoveryCodes(userId, codeHashes, client = this.db) {
+        await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+        await client.query(`
+            INSERT INTO user_recovery_codes (user_id, code_hash)
+            SELECT $1, UNNEST($2::char(64)[])
+        `, [userId, codeHashes]);
+    }
+
+    /**
+     * Mark a recovery code used; false when unknown or already used
+     */
+    async useRecoveryCode(userId, codeHash) {
+        const result = await this.db.query(`
+            UPDATE user_recovery_codes
+            SET used_at = NOW()
+            WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+        `, [userId, codeHash]);
+
+        return result.rowCount > 0;
+    }
+
+    async countRemainingRecoveryCodes(userId) {
+        const result = await this.db.query(`
+            SELECT COUNT(*) AS count
+            FROM user_recovery_codes
+            WHERE user_id = $1 AND used_at IS NULL
+        `, [userId]);
+
+        return parseInt(result.rows[0].count);
+    }
+}
+
+module.exports = TwoFactorRepository;
@@ -0,0 +1,79 @@
+'use strict'
+
+const BaseRepository = require('../../../repositories/BaseRepository');
+
+/**
+ * User Token Repository
+ * Single-use email verification and password reset tokens (stored as SHA-256 hashes)
+ */
+class UserTokenRepository extends BaseRepository {
+    constructor(database) {
+        super(database, 'user_tokens');
+    }
+
+    async create({ userId, purpose, tokenHash, email, ipAddress, expiresAt }) {
+        const result = await this.db.query(`
+            INSERT INTO user_tokens (user_id, purpose, token_hash, email, ip_address, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING id, user_id, purpose, email, created_at, expires_at
+        `, [userId, purpose, tokenHash, email, ipAddress, expiresAt]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Mark a token used and return it; null when unknown, expired or already used.
+     * A single UPDATE keeps concurrent confirmations from both succeeding.
+     */
+    async consume(tokenHash, purpose, client = this.db) {
+        const result = await client.query(`
+            UPDATE user_tokens
+            SET used_at = NOW()
+            WHERE token_hash = $1
+              AND purpose = $2
+              AND used_at IS NULL
+              AND expires_at > NOW()
+            RETURNING id, user_id, purpose, email
+        `, [tokenHash, purpose]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Invalidate every outstanding token of a purpose for the user
+     */
+    async invalidateForUser(userId, purpose, client = this.db) {
+        const result = await client.query(`
+            UPDATE user_tokens
+            SET used_at = NOW()
+            WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL
+        `, [userId, purpose]);
+
+        return result.rowCount;
+    }
+
+    /**
+     * Seconds since the newest token of a purpose was issued, or null if none
+     */
+    async getSecondsSinceLastIssued(userId, purpose) {
+        const result = await this.db.query(`
+            SELECT EXTRACT(EPOCH FROM (NOW() - MAX(created_at)))::int AS seconds
+            FROM user_tokens
+            WHERE user_id = $1 AND purpose = $2
+        `, [userId, purpose]);
+
+        const seconds = result.rows[0]?.seconds;
+        return seconds === null || seconds === undefined ? null : seconds;
+    }
+
+    async cleanupOldTokens(daysToKeep = 7) {
+        const result = await this.db.query(`
+            DELETE FROM user_tokens
+            WHERE COALESCE(used_at, expires_at) < NOW() - ($1::int * INTERVAL '1 day')
+        `, [daysToKeep]);
+
+        return result.rowCount;
+    }
+}
+
+module.exports = UserTokenRepository;
@@ -0,0 +1,95 @@
+'use strict'
+
+const { createApiResponse } = require('../../../shared/schemas/components/BaseSchemaComponents');
+const ApiKeyService = require('../services/ApiKeyService');
+
+const API_KEY_SCOPES = ApiKeyService.SCOPES;
+
+const apiKeyObject = {
+    type: 'object',
+    properties: {
+        id: { type: 'integer' },
+        name: { type: 'string' },
+        prefix: { type: 'string', description: 'First characters of the key, for telling keys apart' },
+        scopes: { type: 'array', items: { type: 'string', enum: API_KEY_SCOPES } },
+        server: {
+            type: ['object', 'null'],
+            properties: {
+                id: { type: 'integer' },
+                name: { type: ['string', 'null'] }
+            }
+        },
+        created_at: { type: 'string', format: 'date-time' },
+        rotated_at: { type: ['string', 'null'], format: 'date-time' },
+        expires_at: { type: ['string', 'null'], format: 'date-time' },
+        last_used_at: { type: ['string', 'null'], format: 'date-time' },
+        last_used_ip: { type: ['string', 'null'] },
+        revoked_at: { type: ['string', 'null'], format: 'date-time' },
+        active: { type: 'boolean' }
+    }
+};
+
+// Only returned on creation and rotation
+const issuedApiKeyObject = {
+    type: 'object',
+    properties: {
+        ...apiKeyObject.properties,
+        key: { type: 'string', description: 'Full key; shown only once, store it securely' }
+    }
+};
+
+const apiKeysResponse = createApiResponse({
+    type: 'object',
+    properties: {
+        api_keys: { type: 'array', items: apiKeyObject },
+        scopes: { type: 'array', items: { type: 'string' } }
+    }
+});
+
+const createApiKeyBody = {
+    type: 'object',
+    required: ['name', 'scopes'],
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        scopes: {
+            type: 'array',
+            minItems: 1,
+            uniqueItems: true,
+            items: { type: 'string', enum: API_KEY_SCOPES }
+        },
+        server_id: { type: ['integer', 'null'], minimum: 1, description: 'Limit the key to one of your servers' },
+        expires_in_days: { type: ['integer', 'null'], minimum: 1, maximum: 365 }
+    },
+    additionalProperties: false
+};
+
+const issuedApiKeyResponse = createApiResponse({
+    type: 'object',
+    properties: {
+        api_key: issuedApiKeyObject
+    }
+});
+
+const apiKeyParams = {
+    type: 'object',
+    required: ['keyId'],
+    properties: {
+        keyId: { type: 'integer', minimum: 1 }
+    }
+};
+
+const revokeApiKeyResponse = createApiResponse({
+    type: 'object',
+    properties: {
+        revoked: { type: 'boolean' }
+    }
+});
+
+module.exports = {
+    apiKeyObject,
+    apiKeysResponse,
+    createApiKeyBody,
+    issuedApiKeyResponse,
+    apiKeyParams,
+    revokeApiKeyResponse
+};
@@ -5,6 +5,21 @@ const {
 } = require('../../../shared/schemas/components/UserSchemaComponents');
 const { createApiResponse, errorResponse } = require('../../../shared/schemas/components/BaseSchemaComponents');
 
+const authUserProperty = {
+    type: 'object',
+    properties: {
+        ...privateUserSchema.properties,
+        tokens: {
+            type: 'object',
+            properties: {
+                accessToken: { type: 'string' },
+                refreshToken: { type: 'string' },
+                expiresIn: { type: 'string' }
+            }
+        }
+    }
+};
+
 const registerSchema = {
     tags: ['Authentication'],
     summary: 'Register new user',
@@ -44,20 +59,7 @@ const registerSchema = {
         200: createApiResponse({
             type: 'object',
             properties: {
-                user: {
-                    type: 'object',
-                    properties: {
-                        ...privateUserSchema.properties,
-                        tokens: {
-                            type: 'object',
-                            properties: {
-                                accessToken: { type: 'string' },
-                                refreshToken: { type: 'string' },
-                                expiresIn: { type: 'string' }
-                            }
-                        }
-                    }
-                }
+                user: authUserProperty
             },
             required: ['user']
         }),
@@ -96,25 +98,15 @@ const loginSchema = {
         additionalProperties: false
     },
     response: {
+        // Either the user with tokens, or a challenge when two-factor authentication is enabled
         200: createApiResponse({
             type: 'object',
             properties: {
-                user: {
-                    type: 'object',
-                    properties: {
-                        ...privateUserSchema.properties,
-                        tokens: {
-                            type: 'object',
-                            properties: {
-                                accessToken: { type: 'string' },
-                                refreshToken: { type: 'string' },
-                                expiresIn: { type: 'string' }
-                            }
-                        }
-                    }
-                }
-            },
-            required: ['user']
+                user: authUserProperty,
+                two_factor_required: { type: 'boolean' },
+                challenge_token: { type: 'string' },
+                expires_in: { type: 'string' }
+            }
         }),
         400: errorResponse,
         401: errorResponse,
@@ -125,7 +117,7 @@ const loginSchema = {
 const refreshTokenSchema = {
     tags: ['Authentication'],
     summary: 'Refresh access token',
-    description: 'Get new access token using refresh token',
+    description: 'Exchange a refresh token for a new token pair. Refresh tokens are single-use; reusing one revokes the whole session.',
     body: {
         type: 'object',
         required: ['refreshToken'],
@@ -158,26 +150,317 @@ const refreshTokenSchema = {
     }
 };
 
+const logoutResponse = createApiResponse({
+    type: 'object',
+    properties: {
+        message: { type: 'string' },
+        revoked_sessions: { type: 'integer' }
+    },
+    required: ['message']
+});
+
 const logoutSchema = {
     tags: ['Authentication'],
     summary: 'Logout user',
-    description: 'Logout current user',
+    description: 'Revoke the current session',
     security: [{ bearerAuth: [] }],
+    response: {
+        200: logoutResponse,
+        401: errorResponse
+    }
+};
+
+const logoutAllSchema = {
+    tags: ['Authentication'],
+    summary: 'Logout from all devices',
+    description: 'Revoke every session of the current user',
+    security: [{ bearerAuth: [] }],
+    response: {
+        200: logoutResponse,
+        401: errorResponse
+    }
+};
+
+const messageResponse = createApiResponse({
+    type: 'object',
+    properties: {
+        message: { type: 'string' }
+    },
+    required: ['message']
+});
+
+const tokenProperty = {
+    type: 'string',
+    minLength: 1,
+    maxLength: 200,
+    description: 'Token from the email link'
+};
+
+const requestEmailVerificationSchema = {
+    tags: ['Authentication'],
+    summary: 'Send email verification link',
+    description: 'Email a single-use verification link to the current user (at most once per minute)',
+    security: [{ bearerAuth: [] }],
+    response: {
+        200: createApiResponse({
+            type: 'object',
+            properties: {
+                email: { type: 'string' }
+            }
+        }),
+        401: errorResponse,
+        409: errorResponse,
+        429: errorResponse,
+        502: errorResponse
+    }
+};
+
+const confirmEmailVerificationSchema = {
+    tags: ['Authentication'],
+    summary: 'Confirm email address',
+    description: 'Confirm the email address with the token from the verification link',
+    body: {
+        type: 'object',
+        required: ['token'],
+        properties: {
+            token: tokenProperty
+        },
+        additionalProperties: false
+    },
     response: {
         200: createApiResponse({
             type: 'object',
             properties: {
-                message: { type: 'string' }
+                email: { type: 'string' },
+                email_verified_at: { type: 'string', format: 'date-time' }
+            }
+        }),
+        400: errorResponse
+    }
+};
+
+const requestPasswordResetSchema = {
+    tags: ['Authentication'],
+    summary: 'Request password reset',
+    description: 'Email a password reset link. The response is the same whether or not the address is registered.',
+    body: {
+        type: 'object',
+        required: ['email'],
+        properties: {
+            email: {
+                type: 'string',
+                format: 'email',
+                maxLength: 100,
+                description: 'Account email address'
+            }
+        },
+        additionalProperties: false
+    },
+    response: {
+        200: messageResponse,
+        400: errorResponse
+    }
+};
+
+const confirmPasswordResetSchema = {
+    tags: ['Authentication'],
+    summary: 'Set new password',
+    description: 'Set a new password with the token from the reset link. All sessions are logged out.',
+    body: {
+        type: 'object',
+        required: ['token', 'password', 'password_confirmation'],
+        properties: {
+            token: tokenProperty,
+            password: {
+                type: 'string',
+                minLength: 8,
+                maxLength: 128,
+                description: 'New password (minimum 8 characters)'
             },
-            required: ['message']
+            password_confirmation: {
+                type: 'string',
+                minLength: 8,
+                maxLength: 128,
+                description: 'New password confirmation'
+            }
+        },
+        additionalProperties: false
+    },
+    response: {
+        200: messageResponse,
+        400: errorResponse
+    }
+};
+
+const totpCodeProperty = {
+    type: 'string',
+    pattern: '^[0-9]{6}$',
+    description: '6-digit code from the authenticator app'
+};
+
+const recoveryCodeProperty = {
+    type: 'string',
+    minLength: 10,
+    maxLength: 20,
+    description: 'One-time recovery code'
+};
+
+const recoveryCodesResponse = createApiResponse({
+    type: 'object',
+    properties: {
+        recovery_codes: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['recovery_codes']
+});
+
+const twoFactorLoginSchema = {
+    tags: ['Authentication'],
+    summary: 'Complete two-factor login',
+    description: 'Exchange the challenge token from /login and a TOTP or recovery code for tokens',
+    body: {
+        type: 'object',
+        required: ['challenge_token'],
+        properties: {
+            challenge_token: { type: 'string', minLength: 1, maxLength: 2000 },
+            code: totpCodeProperty,
+            recovery_code: recoveryCodeProperty
+        },
+        anyOf: [{ required: ['code'] }, { required: ['recovery_code'] }],
+        additionalProperties: false
+    },
+    response: {
+        200: createApiResponse({
+            type: 'object',
+            properties: {
+                user: authUserProperty
+            },
+            required: ['user']
+        }),
+        400: errorResponse,
+        401: errorResponse,
+        423: errorResponse
+    }
+};
+
+const twoFactorStatusSchema = {
+    tags: ['Authentication'],
+    summary: 'Two-factor authentication status',
+    security: [{ bearerAuth: [] }],
+    response: {
+        200: createApiResponse({
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                enabled_at: { type: ['string', 'null'], format: 'date-time' },
+                recovery_codes_remaining: { type: 'integer' },
+                required: { type: 'boolean' },
+                session_verified: { type: 'boolean' }
+            }
         }),
         401: errorResponse
     }
 };
 
+const twoFactorSetupSchema = {
+    tags: ['Authentication'],
+    summary: 'Start two-factor enrollment',
+    description: 'Generate a TOTP secret and otpauth URI. 2FA is enabled only after a code is confirmed.',
+    security: [{ bearerAuth: [] }],
+    response: {
+        200: createApiResponse({
+            type: 'object',
+            properties: {
+                secret: { type: 'string' },
+                otpauth_url: { type: 'string' }
+            }
+        }),
+        401: errorResponse,
+        409: errorResponse
+    }
+};
+
+const twoFactorEnableSchema = {
+    tags: ['Authentication'],
+    summary: 'Confirm two-factor enrollment',
+    description: 'Enable 2FA with a code from the app. Returns recovery codes once.',
+    security: [{ bearerAuth: [] }],
+    body: {
+        type: 'object',
+        required: ['code'],
+        properties: {
+            code: totpCodeProperty
+        },
+        additionalProperties: false
+    },
+    response: {
+        200: recoveryCodesResponse,
+        400: errorResponse,
+        401: errorResponse,
+        409: errorResponse
+    }
+};
+
+const twoFactorDisableSchema = {
+    tags: ['Authentication'],
+    summary: 'Disable two-factor authentication',
+    security: [{ bearerAuth: [] }],
+    body: {
+        type: 'object',
+        properties: {
+            code: totpCodeProperty,
+            recovery_code: recoveryCodeProperty
+        },
+        anyOf: [{ required: ['code'] }, { required: ['recovery_code'] }],
+        additionalProperties: false
+    },
+    response: {
+        200: createApiResponse({
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' }
+            }
+        }),
+        400: errorResponse,
+        401: errorResponse,
+        409: errorResponse
+    }
+};
+
+const regenerateRecoveryCodesSchema = {
+    tags: ['Authentication'],
+    summary: 'Regenerate recovery codes',
+    description: 'Replace all recovery codes. Requires a current TOTP code.',
+    security: [{ bearerAuth: [] }],
+    body: {
+        type: 'object',
+        required: ['code'],
+        properties: {
+            code: totpCodeProperty
+        },
+        additionalProperties: false
+    },
+    response: {
+        200: recoveryCodesResponse,
+        400: errorResponse,
+        401: errorResponse,
+        409: errorResponse
+    }
+};
+
 module.exports = {
     registerSchema,
     loginSchema,
     refreshTokenSchema,
-    logoutSchema
+    logoutSchema,
+    logoutAllSchema,
+    requestEmailVerificationSchema,
+    confirmEmailVerificationSchema,
+    requestPasswordResetSchema,
+    confirmPasswordResetSchema,
+    twoFactorLoginSchema,
+    twoFactorStatusSchema,
+    twoFactorSetupSchema,
+    twoFactorEnableSchema,
+    twoFactorDisableSchema,
+    regenerateRecoveryCodesSchema
 };
@@ -0,0 +1,203 @@
+'use strict'
+
+const { createApiResponse, createPaginatedResponse } = require('../../../shared/schemas/components/BaseSchemaComponents');
+
+const ATTEMPT_RESULTS = [
+    'success', 'invalid_credentials', 'account_locked', 'recaptcha_failed',
+    'two_factor_required', 'two_factor_failed', 'recovery_code_used', 'account_unlocked'
+];
+
+const loginObject = {
+    type: 'object',
+    properties: {
+        id: { type: 'integer' },
+        email: { type: 'string' },
+        ip_address: { type: 'string' },
+        user_agent: { type: ['string', 'null'] },
+        attempt_result: { type: 'string' },
+        failure_reason: { type: ['string', 'null'] },
+        created_at: { type: 'string', format: 'date-time' }
+    }
+};
+
+const adminLoginObject = {
+    type: 'object',
+    properties: {
+        ...loginObject.properties,
+        user_id: { type: ['integer', 'null'] },
+        user_role: { type: ['string', 'null'] }
+    }
+};
+
+const sessionObject = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', format: 'uuid' },
+        ip_address: { type: ['string', 'null'] },
+        user_agent: { type: ['string', 'null'] },
+        two_factor_verified: { type: 'boolean' },
+        created_at: { type: 'string', format: 'date-time' },
+        last_used_at: { type: 'string', format: 'date-time' },
+        expires_at: { type: 'string', format: 'date-time' },
+        current: { type: 'boolean' }
+    }
+};
+
+const timeRangeProperties = {
+    from: { type: 'string', format: 'date-time', description: 'Start of the time range' },
+    to: { type: 'string', format: 'date-time', description: 'End of the time range' }
+};
+
+const adminFilterProperties = {
+    email: { type: 'string', minLength: 1, maxLength: 100, description: 'Email contains' },
+    ip: { type: 'string', minLength: 2, maxLength: 50, description: 'IP address or CIDR subnet' },
+    ...timeRangeProperties
+};
+
+const securityOverviewResponse = createApiResponse({
+    type: 'object',
+    properties: {
+        recent_logins: { type: 'array', items: loginObject },
+        login_stats: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    attempt_result: { type: 'string' },
+                    count: { type: 'integer' },
+                    last_occurrence: { type: 'string', format: 'date-time' }
+                }
+            }
+        },
+        sessions: { type: 'array', items: sessionObject }
+    }
+});
+
+const loginHistoryQuery = {
+    type: 'object',
+    properties: {
+        page: { type: 'integer', minimum: 1, default: 1 },
+        limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+        result: { type: 'string', enum: ATTEMPT_RESULTS },
+        ...timeRangeProperties
+    }
+};
+
+const loginHistoryResponse = createPaginatedResponse(loginObject, 'logins');
+
+const sessionsResponse = createApiResponse({
+    type: 'object',
+    properties: {
+        sessions: { type: 'array', items: sessionObject }
+    }
+});
+
+const sessionParams = {
+    type: 'object',
+    required: ['sessionId'],
+    properties: {
+        sessionId: { type: 'string', format: 'uuid' }
+    }
+};
+
+const revokeSessionResponse = createApiResponse({
+    type: 'object',
+    properties: {
+        revoked: { type: 'boolean' },
+        current: { type: 'boolean' }
+    }
+});
+
+const loginLogsQuery = {
+    type: 'object',
+    properties: {
+        page: { type: 'integer', minimum: 1, default: 1 },
+        limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
+        result: { type: 'string', enum: ATTEMPT_RESULTS },
+        ...adminFilterProperties
+    }
+};
+
+const loginLogsResponse = createPaginatedResponse(adminLoginObject, 'logs');
+
+const suspiciousActivityQuery = {
+    type: 'object',
+    properties: {
+        hours: { type: 'integer', minimum: 1, maximum: 720, default: 24, description: 'Look-back window when no time range is given' },
+        ...adminFilterProperties
+    }
+};
+
+const suspiciousActivityResponse = createApiResponse({
+    type: 'object',
+    properties: {
+        accounts: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    email: { type: 'string' },
+                    unique_ips: { type: 'integer' },
+                    total_attempts: { type: 'integer' },
+                    ip_addresses: { type: 'array', items: { type: 'string' } },
+                    first_attempt: { type: 'string', format: 'date-time' },
+                    last_attempt: { type: 'string', format: 'date-time' }
+                }
+            }
+        }
+    }
+});
+
+const lockStatusQuery = {
+    type: 'object',
+    required: ['email'],
+    properties: {
+        email: { type: 'string', minLength: 1, maxLength: 100 }
+    }
+};
+
+const lockStatusResponse = createApiResponse({
+    type: 'object',
+    properties: {
+        email: { type: 'string' },
+        locked: { type: 'boolean' },
+        locked_at: { type: 'string', format: 'date-time' },
+        unlock_at: { type: 'string', format: 'date-time' },
+        reason: { type: ['string', 'null'] }
+    }
+});
+
+const unlockAccountBody = {
+    type: 'object',
+    required: ['email'],
+    properties: {
+        email: { type: 'string', minLength: 1, maxLength: 100 }
+    },
+    additionalProperties: false
+};
+
+const unlockAccountResponse = createApiResponse({
+    type: 'object',
+    properties: {
+        email: { type: 'string' },
+        locked_at: { type: 'string', format: 'date-time' },
+        unlocked: { type: 'boolean' }
+    }
+});
+
+module.exports = {
+    securityOverviewResponse,
+    loginHistoryQuery,
+    loginHistoryResponse,
+    sessionsResponse,
+    sessionParams,
+    revokeSessionResponse,
+    loginLogsQuery,
+    loginLogsResponse,
+    suspiciousActivityQuery,
+    suspiciousActivityResponse,
+    lockStatusQuery,
+    lockStatusResponse,
+    unlockAccountBody,
+    unlockAccountResponse
+};
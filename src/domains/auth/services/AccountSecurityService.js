@@ -0,0 +1,207 @@
+'use strict'
+
+const net = require('net');
+const ErrorHandler = require('../../../lib/ErrorHandler');
+
+const RECENT_LOGINS_LIMIT = 10;
+
+/**
+ * Account Security Service
+ * Login history and sessions for users; login logs, suspicious activity and lockouts for admins
+ */
+class AccountSecurityService {
+    constructor(loginLogRepository, authSessionRepository, configService, logger) {
+        this.loginLogRepository = loginLogRepository;
+        this.authSessionRepository = authSessionRepository;
+        this.configService = configService;
+        this.logger = logger;
+    }
+
+    log(level, data, message) {
+        if (this.logger) {
+            this.logger[level](data, message);
+        }
+    }
+
+    static paginate(page, limit, total) {
+        return {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            hasNext: page * limit < total,
+            hasPrev: page > 1
+        };
+    }
+
+    /**
+     * Validate query filters; bad IPs or ranges would otherwise surface as database errors
+     */
+    static parseFilters(query = {}) {
+        const filters = {
+            email: query.email || null,
+            ip: query.ip || null,
+            result: query.result || null,
+            from: query.from ? new Date(query.from) : null,
+            to: query.to ? new Date(query.to) : null
+        };
+
+        if (filters.ip) {
+            const [address, prefix] = filters.ip.split('/');
+            const version = net.isIP(address);
+            const maxPrefix = version === 4 ? 32 : 128;
+            if (!version || (prefix !== undefined && !(/^\d+$/.test(prefix) && parseInt(prefix) <= maxPrefix))) {
+                throw ErrorHandler.createError('Neteisingas IP adresas arba potinklis', 400, 'VALIDATION_ERROR');
+            }
+        }
+
+        if (filters.from && filters.to && filters.from > filters.to) {
+            throw ErrorHandler.createError('Laikotarpio pradžia turi būti ankstesnė už pabaigą', 400, 'VALIDATION_ERROR');
+        }
+
+        return filters;
+    }
+
+    static toLoginJSON(row) {
+        return {
+            id: row.id,
+            email: row.email,
+            ip_address: row.ip_address,
+            user_agent: row.user_agent,
+            attempt_result: row.attempt_result,
+            failure_reason: row.failure_reason,
+            created_at: row.created_at
+        };
+    }
+
+    static toSessionJSON(row, currentSessionId) {
+        return {
+            id: row.id,
+            ip_address: row.ip_address,
+            user_agent: row.user_agent,
+            two_factor_verified: row.mfa,
+            created_at: row.created_at,
+            last_used_at: row.last_used_at,
+            expires_at: row.expires_at,
+            current: row.id === currentSessionId
+        };
+    }
+
+    /**
+     * Security overview of the current user: recent logins, result counts and active sessions
+     */
+    async getOverview(authUser) {
+        const [recentLogins, stats, sessions] = await Promise.all([
+            this.loginLogRepository.findLogs({ userId: authUser.id, userEmail: authUser.email }, RECENT_LOGINS_LIMIT, 0),
+            this.loginLogRepository.getLoginStats(authUser.email, 30),
+            this.authSessionRepository.findActiveByUser(authUser.id)
+        ]);
+
+        return {
+            recent_logins: recentLogins.map(AccountSecurityService.toLoginJSON),
+            login_stats: stats.map(row => ({
+                attempt_result: row.attempt_result,
+                count: parseInt(row.count),
+                last_occurrence: row.last_occurrence
+            })),
+            sessions: sessions.map(row => AccountSecurityService.toSessionJSON(row, authUser.sid))
+        };
+    }
+
+    /**
+     * Paginated login history of the current user
+     */
+    async getLoginHistory(authUser, query = {}) {
+        const page = Math.max(1, parseInt(query.page) || 1);
+        const limit = Math.max(1, Math.min(parseInt(query.limit) || 20, 100));
+        const { from, to, result } = AccountSecurityService.parseFilters(query);
+        const filters = { userId: authUser.id, userEmail: authUser.email, from, to, result };
+
+        const [logins, total] = await Promise.all([
+            this.loginLogRepository.findLogs(filters, limit, (page - 1) * limit),
+            this.loginLogRepository.countLogs(filters)
+        ]);
+
+        return {
+            logins: logins.map(AccountSecurityService.toLoginJSON),
+            pagination: AccountSecurityService.paginate(page, limit, total)
+        };
+    }
+
+    async listSessions(authUser) {
+        const sessions = await this.authSessionRepository.findActiveByUser(authUser.id);
+        return sessions.map(row => AccountSecurityService.toSessionJSON(row, authUser.sid));
+    }
+
+    /**
+     * Sign out one of the current user's sessions (e.g. a lost device)
+     */
+    async revokeSession(authUser, sessionId) {
+        const revoked = await this.authSessionRepository.revokeUserSession(sessionId, authUser.id, 'revoked_by_user');
+        if (!revoked) {
+            throw ErrorHandler.createError('Sesija nerasta', 404, 'SESSION_NOT_FOUND');
+        }
+
+        this.log('info', { userId: authUser.id, sessionId }, 'Vartotojas atšaukė sesiją');
+        return { revoked: true, current: sessionId === authUser.sid };
+    }
+
+    /**
+     * Login logs for admins, filtered by email, IP, result and time range
+     */
+    async getLoginLogs(query = {}) {
+        const page = Math.max(1, parseInt(query.page) || 1);
+        const limit = Math.max(1, Math.min(parseInt(query.limit) || 50, 100));
+        const filters = AccountSecurityService.parseFilters(query);
+
+        const [logs, total] = await Promise.all([
+            this.loginLogRepository.findLogs(filters, limit, (page - 1) * limit),
+            this.loginLogRepository.countLogs(filters)
+        ]);
+
+        return {
+            logs: logs.map(row => ({
+                ...AccountSecurityService.toLoginJSON(row),
+                user_id: row.user_id,
+                user_role: row.user_role
+            })),
+            pagination: AccountSecurityService.paginate(page, limit, total)
+        };
+    }
+
+    async getSuspiciousActivity(query = {}) {
+        const { email, ip, from, to } = AccountSecurityService.parseFilters(query);
+        const rows = await this.loginLogRepository.getSuspiciousActivity({ hours: query.hours || 24, email, ip, from, to });
+
+        return rows.map(row => ({
+            email: row.email,
+            unique_ips: parseInt(row.unique_ips),
+            total_attempts: parseInt(row.total_attempts),
+            ip_addresses: row.ip_addresses,
+            first_attempt: row.first_attempt,
+            last_attempt: row.last_attempt
+        }));
+    }
+
+    async getLockStatus(email) {
+        const lockoutDuration = await this.configService.getLockoutDuration();
+        return this.loginLogRepository.isAccountLocked(email, lockoutDuration / 60);
+    }
+
+    /**
+     * Clear a lockout before it expires; earlier failed attempts stop counting as well
+     */
+    async unlockAccount(email, admin, ipAddress) {
+        const status = await this.getLockStatus(email);
+        if (!status.locked) {
+            throw ErrorHandler.createError('Paskyra nėra užblokuota', 409, 'ACCOUNT_NOT_LOCKED');
+        }
+
+        await this.loginLogRepository.logUnlock(email, ipAddress, `Unlocked by admin #${admin.id}`);
+
+        this.log('info', { email, adminId: admin.id }, 'Administratorius atblokavo paskyrą');
+        return { email, locked_at: status.locked_at, unlocked: true };
+    }
+}
+
+module.exports = AccountSecurityService;
@@ -0,0 +1,193 @@
+'use strict'
+
+const crypto = require('crypto');
+const net = require('net');
+const ErrorHandler = require('../../../lib/ErrorHandler');
+
+const KEY_PREFIX = 'mcl_';
+// Enough of the key to tell keys apart in the dashboard and logs
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+const SCOPES = ['read:stats', 'read:votes', 'votifier:manage'];
+
+/**
+ * API Key Service
+ * Personal API keys for Minecraft plugins and websites. A key acts as its owner
+ * (never with admin rights), only on routes that declare an apiKeyScope it holds,
+ * and only for its server when bound to one. The full key is shown once on
+ * creation or rotation; afterwards only its prefix is known.
+ */
+class ApiKeyService {
+    constructor(apiKeyRepository, serverRepository, configService, logger) {
+        this.apiKeyRepository = apiKeyRepository;
+        this.serverRepository = serverRepository;
+        this.configService = configService;
+        this.logger = logger;
+    }
+
+    static get SCOPES() {
+        return SCOPES;
+    }
+
+    static generateKey() {
+        return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    }
+
+    static hashKey(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    static isApiKey(value) {
+        return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+    }
+
+    /**
+     * API key from the X-API-Key header or a Bearer token that looks like one
+     */
+    static extractKey(request) {
+        const header = request.headers['x-api-key'];
+        if (ApiKeyService.isApiKey(header)) {
+            return header;
+        }
+
+        const bearer = request.headers.authorization?.replace('Bearer ', '');
+        return ApiKeyService.isApiKey(bearer) ? bearer : null;
+    }
+
+    static toJSON(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            prefix: row.prefix,
+            scopes: row.scopes,
+            server: row.server_id ? { id: row.server_id, name: row.server_name ?? null } : null,
+            created_at: row.created_at,
+            rotated_at: row.rotated_at ?? null,
+            expires_at: row.expires_at ?? null,
+            last_used_at: row.last_used_at ?? null,
+            last_used_ip: row.last_used_ip ?? null,
+            revoked_at: row.revoked_at ?? null,
+            active: !row.revoked_at && (!row.expires_at || new Date(row.expires_at) > new Date())
+        };
+    }
+
+    async listKeys(userId) {
+        const rows = await this.apiKeyRepository.findByUser(userId);
+        return rows.map(ApiKeyService.toJSON);
+    }
+
+    /**
+     * Create a key; the returned object is the only place the full key appears
+     */
+    async createKey(user, { name, scopes, server_id: serverId = null, expires_in_days: expiresInDays = null }) {
+        const uniqueScopes = [...new Set(scopes)];
+        const invalid = uniqueScopes.filter(scope => !SCOPES.includes(scope));
+        if (uniqueScopes.length === 0 || invalid.length > 0) {
+            throw ErrorHandler.createValidationError({ scopes: `Galimos teisės: ${SCOPES.join(', ')}` });
+        }
+
+        if (serverId !== null) {
+            const server = await this.serverRepository.findById(serverId);
+            if (!server) {
+                throw ErrorHandler.createError('Serveris nerastas', 404, 'SERVER_NOT_FOUND');
+            }
+            if (!server.isOwnedBy(user.id)) {
+                throw ErrorHandler.createError('API raktą galima susieti tik su savo serveriu', 403, 'INSUFFICIENT_PERMISSIONS');
+            }
+        }
+
+        const maxKeys = await this.configService.get('api_keys.max_per_user', 10);
+        if (await this.apiKeyRepository.countActiveByUser(user.id) >= maxKeys) {
+            throw ErrorHandler.createError(`Galite turėti ne daugiau kaip ${maxKeys} aktyvių API raktų`, 409, 'API_KEY_LIMIT_REACHED');
+        }
+
+        const key = ApiKeyService.generateKey();
+        const row = await this.apiKeyRepository.create({
+            userId: user.id,
+            serverId,
+            name: name.trim(),
+            prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+            keyHash: ApiKeyService.hashKey(key),
+            scopes: uniqueScopes,
+            expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+        });
+
+        this.logger.info({ userId: user.id, keyId: row.id, scopes: uniqueScopes, serverId }, 'API key created');
+        return { ...ApiKeyService.toJSON(row), key };
+    }
+
+    /**
+     * Issue a new secret for a key, keeping its name, scopes and binding
+     */
+    async rotateKey(keyId, userId) {
+        const key = ApiKeyService.generateKey();
+        const row = await this.apiKeyRepository.rotate(keyId, userId, {
+            prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+            keyHash: ApiKeyService.hashKey(key)
+        });
+        if (!row) {
+            throw ErrorHandler.createError('API raktas nerastas', 404, 'API_KEY_NOT_FOUND');
+        }
+
+        this.logger.info({ userId, keyId }, 'API key rotated');
+        return { ...ApiKeyService.toJSON(row), key };
+    }
+
+    async revokeKey(keyId, userId) {
+        const revoked = await this.apiKeyRepository.revoke(keyId, userId);
+        if (!revoked) {
+            throw ErrorHandler.createError('API raktas nerastas', 404, 'API_KEY_NOT_FOUND');
+        }
+
+        this.logger.info({ userId, keyId }, 'API key revoked');
+    }
+
+    /**
+     * Active key row for a raw key, or null when unknown, revoked, expired or keys are disabled
+     */
+    async findActiveKey(rawKey) {
+        if (!ApiKeyService.isApiKey(rawKey) || !await this.configService.get('api_keys.enabled', true)) {
+            return null;
+        }
+        return this.apiKeyRepository.findActiveByHash(ApiKeyService.hashKey(rawKey));
+    }
+
+    /**
+     * Authenticate a request made with an API key
+     * @param {string} rawKey - Key as presented by the client
+     * @param {Object} context - { scope (route's apiKeyScope), serverId (route :id), ipAddress, resolved (row looked up earlier in the request) }
+     * @returns {Promise<Object>} request.user for the key's owner
+     */
+    async authenticate(rawKey, { scope = null, serverId = null, ipAddress = null, resolved } = {}) {
+        const key = resolved !== undefined ? resolved : await this.findActiveKey(rawKey);
+        if (!key) {
+            throw ErrorHandler.createError('Neteisingas, pasibaigęs arba atšauktas API raktas', 401, 'INVALID_API_KEY');
+        }
+
+        if (!scope) {
+            throw ErrorHandler.createError('Šiam veiksmui API raktai negalimi', 403, 'API_KEY_NOT_ALLOWED');
+        }
+        if (!key.scopes.includes(scope)) {
+            throw ErrorHandler.createError(`API raktas neturi teisės „${scope}“`, 403, 'INSUFFICIENT_SCOPE');
+        }
+        if (key.server_id && key.server_id !== serverId) {
+            throw ErrorHandler.createError(`API raktas skirtas tik serveriui #${key.server_id}`, 403, 'API_KEY_SERVER_MISMATCH');
+        }
+
+        try {
+            await this.apiKeyRepository.touch(key.id, net.isIP(ipAddress || '') ? ipAddress : null);
+        } catch (error) {
+            this.logger.warn({ keyId: key.id, error: error.message }, 'Failed to record API key use');
+        }
+
+        // Keys never carry admin rights, whoever created them
+        return {
+            id: key.user_id,
+            email: key.user_email,
+            role: 'user',
+            mfa: false,
+            apiKey: { id: key.id, scopes: key.scopes, server_id: key.server_id }
+        };
+    }
+}
+
+module.exports = ApiKeyService;
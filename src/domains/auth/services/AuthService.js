@@ -4,13 +4,20 @@ const Validator = require('../../../lib/Validator');
 const ErrorHandler = require('../../../lib/ErrorHandler');
 const AuthUserDTO = require('../dto/AuthUserDTO');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+
+// Minimum gap between two verification or reset emails for the same user
+const RESEND_INTERVAL_SECONDS = 60;
+
+// `purpose` claim of the token issued between the password and second-factor steps
+const TWO_FACTOR_CHALLENGE = 'two_factor_challenge';
 
 /**
  * Auth Service
  * Handles authentication operations using modern DTO pattern
  */
 class AuthService {
-    constructor(userRepository, userProfileAggregator, jwtUtils, securityService, configService, loginLogRepository, logger) {
+    constructor(userRepository, userProfileAggregator, jwtUtils, securityService, configService, loginLogRepository, logger, authSessionRepository, userTokenRepository = null, mailService = null, twoFactorService = null) {
         this.userRepository = userRepository;
         this.userProfileAggregator = userProfileAggregator;
         this.jwtUtils = jwtUtils;
@@ -18,6 +25,10 @@ class AuthService {
         this.configService = configService;
         this.loginLogRepository = loginLogRepository;
         this.logger = logger;
+        this.authSessionRepository = authSessionRepository;
+        this.userTokenRepository = userTokenRepository;
+        this.mailService = mailService;
+        this.twoFactorService = twoFactorService;
     }
 
     /**
@@ -120,14 +131,14 @@ class AuthService {
                 includePrivateData: true
             });
 
-            // Generate tokens
-            const tokenPayload = {
-                id: user.id,
-                email: user.email,
-                role: user.role
-            };
+            const tokens = await this.createSession(user, requestInfo);
 
-            const tokens = await this.jwtUtils.generateTokenPair(tokenPayload);
+            // Registration succeeds even if the mail cannot be sent; the user can ask again
+            try {
+                await this.sendAccountToken(user, 'email_verification', requestInfo);
+            } catch (mailError) {
+                this.log('warn', { userId: user.id, error: mailError.message }, 'Failed to send verification email');
+            }
 
             this.log('info', {
                 userId: user.id,
@@ -150,7 +161,8 @@ class AuthService {
      * @param {string} email - User email
      * @param {string} password - User password
      * @param {Object} requestInfo - Request information
-     * @returns {Promise<AuthUserDTO>} Logged in user with tokens
+     * @returns {Promise<AuthUserDTO|Object>} Logged in user with tokens, or
+     *   { two_factor_required, challenge_token, expires_in } when 2FA is enabled
      */
     async login(loginData, requestInfo = {}) {
         const { email, password } = loginData;
@@ -180,34 +192,7 @@ class AuthService {
             }
 
             // 2. Check if account is locked
-            if (this.loginLogRepository && this.configService) {
-                const lockoutDuration = await this.configService.getLockoutDuration();
-                const lockStatus = await this.loginLogRepository.isAccountLocked(email, lockoutDuration / 60);
-                
-                if (lockStatus.locked) {
-                    failureReason = 'Account locked due to too many failed attempts';
-                    loginStatus = 'account_locked';
-                    
-                    // Log the blocked attempt
-                    await this.loginLogRepository.logAttempt({
-                        email,
-                        user_id: null,
-                        ip_address: ipAddress,
-                        user_agent: userAgent,
-                        attempt_result: 'account_locked',
-                        failure_reason: failureReason
-                    });
-
-                    const unlockTime = lockStatus.unlock_at;
-                    const minutesLeft = Math.ceil((unlockTime - new Date()) / (1000 * 60));
-                    
-                    throw ErrorHandler.createError(
-                        `Paskyra užblokuota dėl per daug nesėkmingų prisijungimo bandymų. Bandykite vėl po ${minutesLeft} minučių.`, 
-                        423, 
-                        'ACCOUNT_LOCKED'
-                    );
-                }
-            }
+            await this.assertAccountNotLocked(email, ipAddress, userAgent);
 
             // Verify reCAPTCHA if enabled
             if (this.securityService && this.configService) {
@@ -275,39 +260,18 @@ class AuthService {
                 throw ErrorHandler.createError('Neteisingi prisijungimo duomenys', 401, 'INVALID_CREDENTIALS');
             }
 
-            // Successful login - log it
-            if (this.loginLogRepository) {
-                await this.loginLogRepository.logAttempt({
-                    email,
-                    user_id: user.id,
-                    ip_address: ipAddress,
-                    user_agent: userAgent,
-                    attempt_result: 'success',
-                    failure_reason: null
-                });
-            }
-
-            // Get complete user profile using aggregator
-            const userWithCompleteProfile = await this.userProfileAggregator.getUserProfile(user.id, {
-                includePrivateData: true
-            });
-
-            // Generate tokens
-            const tokenPayload = {
-                id: user.id,
-                email: user.email,
-                role: user.role
-            };
-
-            const tokens = await this.jwtUtils.generateTokenPair(tokenPayload);
+            // With 2FA enabled the password only earns a short-lived challenge token
+            if (this.twoFactorService && await this.twoFactorService.isEnabled(user.id)) {
+                await this.logFailedAttempt(email, user.id, ipAddress, userAgent, 'two_factor_required', null);
 
-            this.log('info', {
-                userId: user.id,
-                email: user.email,
-                ipAddress
-            }, 'Vartotojas sėkmingai prisijungė');
+                return {
+                    two_factor_required: true,
+                    challenge_token: await this.jwtUtils.generateChallengeToken({ id: user.id, purpose: TWO_FACTOR_CHALLENGE }),
+                    expires_in: this.jwtUtils.challengeTokenExpiresIn
+                };
+            }
 
-            return AuthUserDTO.forAuthResponse(userWithCompleteProfile, tokens);
+            return await this.completeLogin(user, 'success', requestInfo);
         } catch (error) {
             if (error.statusCode) {
                 throw error;
@@ -318,44 +282,422 @@ class AuthService {
     }
 
     /**
-     * Refresh authentication tokens
+     * Second login step: exchange a challenge token and a TOTP or recovery code for tokens
+     * @param {Object} data - { challenge_token, code } or { challenge_token, recovery_code }
+     * @param {Object} requestInfo - Request information
+     * @returns {Promise<AuthUserDTO>} Logged in user with tokens
+     */
+    async verifyTwoFactorLogin(data, requestInfo = {}) {
+        const { challenge_token, code, recovery_code } = data || {};
+        const { ipAddress = 'unknown', userAgent = 'unknown' } = requestInfo;
+        const expired = () => ErrorHandler.createError('Patvirtinimo laikas baigėsi, prisijunkite iš naujo', 401, 'INVALID_CHALLENGE');
+
+        if (!this.twoFactorService) {
+            throw expired();
+        }
+
+        let decoded;
+        try {
+            decoded = await this.jwtUtils.verifyToken(challenge_token);
+        } catch (error) {
+            throw expired();
+        }
+        if (decoded.purpose !== TWO_FACTOR_CHALLENGE) {
+            throw expired();
+        }
+
+        const user = await this.userRepository.findById(decoded.id);
+        if (!user) {
+            throw expired();
+        }
+
+        await this.assertAccountNotLocked(user.email, ipAddress, userAgent);
+
+        const method = await this.twoFactorService.verifyCode(user.id, { code, recoveryCode: recovery_code });
+        if (!method) {
+            await this.logFailedAttempt(user.email, user.id, ipAddress, userAgent, 'two_factor_failed', recovery_code ? 'Invalid recovery code' : 'Invalid TOTP code');
+            await this.checkAndLockAccount(user.email, ipAddress, userAgent);
+            throw ErrorHandler.createError('Neteisingas patvirtinimo kodas', 401, 'INVALID_TWO_FACTOR_CODE');
+        }
+
+        return this.completeLogin(user, method === 'recovery_code' ? 'recovery_code_used' : 'success', requestInfo, { mfa: true });
+    }
+
+    /**
+     * Log the successful attempt and start a session
+     */
+    async completeLogin(user, attemptResult, requestInfo = {}, sessionOptions = {}) {
+        const { ipAddress = 'unknown', userAgent = 'unknown' } = requestInfo;
+
+        if (this.loginLogRepository) {
+            await this.loginLogRepository.logAttempt({
+                email: user.email,
+                user_id: user.id,
+                ip_address: ipAddress,
+                user_agent: userAgent,
+                attempt_result: attemptResult,
+                failure_reason: null
+            });
+        }
+
+        // Get complete user profile using aggregator
+        const userWithCompleteProfile = await this.userProfileAggregator.getUserProfile(user.id, {
+            includePrivateData: true
+        });
+
+        const tokens = await this.createSession(user, requestInfo, sessionOptions);
+
+        this.log('info', {
+            userId: user.id,
+            email: user.email,
+            ipAddress,
+            mfa: !!sessionOptions.mfa
+        }, 'Vartotojas sėkmingai prisijungė');
+
+        return AuthUserDTO.forAuthResponse(userWithCompleteProfile, tokens);
+    }
+
+    /**
+     * Generate an opaque random token (refresh, email verification, password reset)
+     */
+    static generateToken() {
+        return crypto.randomBytes(48).toString('base64url');
+    }
+
+    /**
+     * Tokens are only stored as SHA-256 hashes
+     */
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Sign an access token bound to a session
+     */
+    async buildTokens(user, sessionId, refreshToken) {
+        const accessToken = await this.jwtUtils.generateAccessToken({
+            id: user.id,
+            email: user.email,
+            role: user.role,
+            sid: sessionId
+        });
+
+        return {
+            accessToken,
+            refreshToken,
+            expiresIn: this.jwtUtils.accessTokenExpiresIn
+        };
+    }
+
+    /**
+     * Start a new session (token family) for a user
+     * @param {Object} user - User row
+     * @param {Object} requestInfo - Request information (IP, user agent)
+     * @param {Object} options - { mfa } when a second factor was verified
+     * @returns {Promise<Object>} Token pair
+     */
+    async createSession(user, requestInfo = {}, options = {}) {
+        const { ipAddress, userAgent } = requestInfo;
+        const sessionId = crypto.randomUUID();
+        const refreshToken = AuthService.generateToken();
+
+        await this.authSessionRepository.createSession(this.authSessionRepository.db, {
+            id: sessionId,
+            userId: user.id,
+            ipAddress: ipAddress && ipAddress !== 'unknown' ? ipAddress : null,
+            userAgent: userAgent && userAgent !== 'unknown' ? userAgent : null,
+            tokenHash: AuthService.hashToken(refreshToken),
+            expiresAt: new Date(Date.now() + this.jwtUtils.refreshTokenTtlMs),
+            mfa: !!options.mfa
+        });
+
+        return this.buildTokens(user, sessionId, refreshToken);
+    }
+
+    /**
+     * Rotate a refresh token.
+     * Every token is single-use; presenting a used one means it leaked, so the whole session is revoked.
      * @param {string} refreshToken - Refresh token
      * @returns {Promise<Object>} New token pair
      */
     async refreshTokens(refreshToken) {
-        try {
-            this.validateRequiredFields({ refreshToken }, ['refreshToken']);
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            throw ErrorHandler.createError('Atnaujinimo žetonas privalomas', 400, 'VALIDATION_ERROR');
+        }
 
-            // Verify refresh token
-            const decoded = await this.jwtUtils.verifyToken(refreshToken);
+        const nextToken = AuthService.generateToken();
+        const expiresAt = new Date(Date.now() + this.jwtUtils.refreshTokenTtlMs);
 
-            // Check if user is still active
-            const user = await this.userRepository.findById(decoded.id);
-            if (!user) {
-                throw ErrorHandler.createError('Vartotojas nerastas', 404, 'USER_NOT_FOUND');
+        const outcome = await this.authSessionRepository.db.transaction(async (client) => {
+            const current = await this.authSessionRepository.findRefreshTokenForUpdate(client, AuthService.hashToken(refreshToken));
+            if (!current || current.session_revoked_at) {
+                return { status: 'invalid' };
             }
 
-            // Generate new token pair
-            const tokenPayload = {
-                id: decoded.id,
-                email: decoded.email,
-                role: decoded.role
-            };
+            // Revocation must commit, so report reuse instead of throwing inside the transaction
+            if (current.used_at) {
+                await this.authSessionRepository.revokeSession(current.session_id, 'token_reuse', client);
+                return { status: 'reused', current };
+            }
 
-            const tokens = await this.jwtUtils.generateTokenPair(tokenPayload);
+            const now = new Date();
+            if (new Date(current.expires_at) <= now || new Date(current.session_expires_at) <= now) {
+                return { status: 'invalid' };
+            }
 
-            this.log('info', {
-                userId: decoded.id,
-                email: decoded.email
-            }, 'Žetonai sėkmingai atnaujinti');
+            await this.authSessionRepository.rotateRefreshToken(client, {
+                tokenId: current.id,
+                sessionId: current.session_id,
+                tokenHash: AuthService.hashToken(nextToken),
+                expiresAt
+            });
+            return { status: 'rotated', current };
+        });
+
+        if (outcome.status === 'reused') {
+            this.log('warn', {
+                userId: outcome.current.user_id,
+                sessionId: outcome.current.session_id
+            }, 'Refresh token reuse detected, session revoked');
+            throw ErrorHandler.createError('Atnaujinimo žetonas jau panaudotas. Sesija atšaukta, prisijunkite iš naujo', 401, 'REFRESH_TOKEN_REUSED');
+        }
+
+        if (outcome.status !== 'rotated') {
+            throw ErrorHandler.createError('Neteisingas atnaujinimo žetonas', 401, 'INVALID_REFRESH_TOKEN');
+        }
+
+        // Role and email come from the database so changes apply on the next refresh
+        const user = await this.userRepository.findById(outcome.current.user_id);
+        if (!user) {
+            throw ErrorHandler.createError('Neteisingas atnaujinimo žetonas', 401, 'INVALID_REFRESH_TOKEN');
+        }
+
+        const tokens = await this.buildTokens(user, outcome.current.session_id, nextToken);
+
+        this.log('info', {
+            userId: user.id,
+            email: user.email
+        }, 'Žetonai sėkmingai atnaujinti');
+
+        return { tokens };
+    }
+
+    /**
+     * Revoke the current session, or every session of the user
+     * @param {Object} authUser - Authenticated user from the access token
+     * @param {Object} options - { allDevices }
+     * @returns {Promise<Object>} { revoked_sessions }
+     */
+    async logout(authUser, options = {}) {
+        let revoked;
+        if (options.allDevices) {
+            revoked = await this.authSessionRepository.revokeUserSessions(authUser.id, 'logout_all');
+        } else {
+            revoked = await this.authSessionRepository.revokeSession(authUser.sid, 'logout') ? 1 : 0;
+        }
+
+        this.log('info', {
+            userId: authUser.id,
+            allDevices: !!options.allDevices,
+            revoked
+        }, 'Vartotojas atsijungė');
+
+        return { revoked_sessions: revoked };
+    }
+
+    /**
+     * Check a verified access token against its session and the current user row
+     * @param {Object} decoded - Access token payload
+     * @returns {Promise<Object>} Payload for request.user
+     */
+    async validateAccessToken(decoded) {
+        // Tokens issued before sessions existed cannot be revoked, so they are not accepted
+        if (!decoded.sid) {
+            throw ErrorHandler.createError('Sesija nebegalioja, prisijunkite iš naujo', 401, 'SESSION_REVOKED');
+        }
 
-            return { tokens };
+        const user = await this.authSessionRepository.findActiveSessionUser(decoded.sid, decoded.id);
+        if (!user) {
+            throw ErrorHandler.createError('Sesija nebegalioja, prisijunkite iš naujo', 401, 'SESSION_REVOKED');
+        }
+
+        if (user.role !== decoded.role) {
+            throw ErrorHandler.createError('Jūsų teisės pasikeitė, atnaujinkite prisijungimą', 401, 'ROLE_CHANGED');
+        }
+
+        return { ...decoded, email: user.email, mfa: user.mfa };
+    }
+
+    /**
+     * Issue a single-use token and mail it to the user
+     * @param {Object} user - User row
+     * @param {string} purpose - email_verification | password_reset
+     * @param {Object} requestInfo - Request information (IP)
+     */
+    async sendAccountToken(user, purpose, requestInfo = {}) {
+        const token = AuthService.generateToken();
+        const isReset = purpose === 'password_reset';
+        const ttl = isReset
+            ? await this.configService.getPasswordResetTtlMinutes()
+            : await this.configService.getEmailVerificationTtlHours();
+        const ttlMs = ttl * (isReset ? 60 : 3600) * 1000;
+
+        await this.userTokenRepository.create({
+            userId: user.id,
+            purpose,
+            tokenHash: AuthService.hashToken(token),
+            email: user.email,
+            ipAddress: requestInfo.ipAddress && requestInfo.ipAddress !== 'unknown' ? requestInfo.ipAddress : null,
+            expiresAt: new Date(Date.now() + ttlMs)
+        });
+
+        if (isReset) {
+            await this.mailService.sendPasswordReset(user.email, token, ttl);
+        } else {
+            await this.mailService.sendEmailVerification(user.email, token, ttl);
+        }
+    }
+
+    /**
+     * Whether another token of this purpose may be mailed yet (one per minute)
+     */
+    async canResendToken(userId, purpose) {
+        const seconds = await this.userTokenRepository.getSecondsSinceLastIssued(userId, purpose);
+        return seconds === null || seconds >= RESEND_INTERVAL_SECONDS;
+    }
+
+    /**
+     * Send a verification link to the current user's address
+     * @param {number} userId - Authenticated user ID
+     * @param {Object} requestInfo - Request information
+     * @returns {Promise<Object>} { email }
+     */
+    async requestEmailVerification(userId, requestInfo = {}) {
+        const user = await this.userRepository.findById(userId);
+        if (!user) {
+            throw ErrorHandler.createError('Vartotojas nerastas', 404, 'USER_NOT_FOUND');
+        }
+        if (user.email_verified_at) {
+            throw ErrorHandler.createError('El. paštas jau patvirtintas', 409, 'EMAIL_ALREADY_VERIFIED');
+        }
+        if (!await this.canResendToken(user.id, 'email_verification')) {
+            throw ErrorHandler.createError('Laiškas ką tik išsiųstas, pabandykite po minutės', 429, 'TOO_MANY_REQUESTS');
+        }
+
+        try {
+            await this.sendAccountToken(user, 'email_verification', requestInfo);
         } catch (error) {
-            if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-                throw ErrorHandler.createError('Neteisingas atnaujinimo žetonas', 401, 'INVALID_REFRESH_TOKEN');
-            }
+            this.log('error', { userId, error: error.message }, 'Failed to send verification email');
+            throw ErrorHandler.createError('Nepavyko išsiųsti laiško, pabandykite vėliau', 502, 'MAIL_SEND_FAILED');
+        }
+
+        return { email: user.email };
+    }
+
+    /**
+     * Confirm an email verification token
+     * @param {string} token - Token from the email link
+     * @returns {Promise<Object>} { email, email_verified_at }
+     */
+    async verifyEmail(token) {
+        if (!token || typeof token !== 'string') {
+            throw ErrorHandler.createError('Patvirtinimo žetonas privalomas', 400, 'VALIDATION_ERROR');
+        }
+
+        const record = await this.userTokenRepository.consume(AuthService.hashToken(token), 'email_verification');
+        // The address may have changed since the link was sent
+        const verifiedAt = record ? await this.userRepository.markEmailVerified(record.user_id, record.email) : null;
+        if (!verifiedAt) {
+            throw ErrorHandler.createError('Nuoroda neteisinga arba nebegalioja', 400, 'INVALID_TOKEN');
+        }
+
+        this.log('info', { userId: record.user_id }, 'El. paštas patvirtintas');
+        return { email: record.email, email_verified_at: verifiedAt };
+    }
+
+    /**
+     * Mail a password reset link. Always succeeds so the response does not reveal
+     * whether the address is registered.
+     * @param {string} email - Account email
+     * @param {Object} requestInfo - Request information
+     */
+    async requestPasswordReset(email, requestInfo = {}) {
+        if (!email || typeof email !== 'string') {
+            throw ErrorHandler.createError('El. paštas yra privalomas', 400, 'VALIDATION_ERROR');
+        }
+
+        const user = await this.userRepository.findByEmail(email.trim());
+        if (!user) {
+            this.log('info', { ipAddress: requestInfo.ipAddress }, 'Password reset requested for unknown email');
+            return;
+        }
+
+        if (!await this.canResendToken(user.id, 'password_reset')) {
+            return;
+        }
+
+        try {
+            await this.sendAccountToken(user, 'password_reset', requestInfo);
+        } catch (error) {
+            this.log('error', { userId: user.id, error: error.message }, 'Failed to send password reset email');
+        }
+    }
+
+    /**
+     * Set a new password with a reset token. Every session is revoked afterwards.
+     * @param {Object} data - { token, password, password_confirmation }
+     */
+    async resetPassword(data) {
+        const validation = Validator.validatePasswordReset(data || {});
+        if (!validation.isValid) {
+            const response = Validator.createErrorResponse(validation.errors);
+            const error = new Error(response.message);
+            error.statusCode = 400;
+            error.errorCode = 'VALIDATION_ERROR';
+            error.validationResponse = response;
             throw error;
         }
+
+        const passwordHash = await this.hashPassword(data.password);
+
+        const record = await this.userTokenRepository.db.transaction(async (client) => {
+            const consumed = await this.userTokenRepository.consume(AuthService.hashToken(data.token), 'password_reset', client);
+            if (!consumed) {
+                return null;
+            }
+
+            await this.userRepository.updatePasswordHash(consumed.user_id, passwordHash, client);
+            await this.userTokenRepository.invalidateForUser(consumed.user_id, 'password_reset', client);
+            await this.authSessionRepository.revokeUserSessions(consumed.user_id, 'password_reset', client);
+            // Opening the link proves the address works
+            await this.userRepository.markEmailVerified(consumed.user_id, consumed.email, client);
+            return consumed;
+        });
+
+        if (!record) {
+            throw ErrorHandler.createError('Nuoroda neteisinga arba nebegalioja', 400, 'INVALID_TOKEN');
+        }
+
+        this.log('info', { userId: record.user_id }, 'Slaptažodis atkurtas');
+    }
+
+    /**
+     * Enforce auth.require_verified_email for actions such as creating servers or voting
+     * @param {number|null} userId - Acting user, if any
+     */
+    async assertEmailVerified(userId) {
+        if (!await this.configService.isVerifiedEmailRequired()) {
+            return;
+        }
+
+        if (!userId) {
+            throw ErrorHandler.createError('Norėdami tęsti, prisijunkite', 401, 'AUTH_REQUIRED');
+        }
+
+        const user = await this.userRepository.findById(userId);
+        if (!user?.email_verified_at) {
+            throw ErrorHandler.createError('Pirmiausia patvirtinkite savo el. pašto adresą', 403, 'EMAIL_NOT_VERIFIED');
+        }
     }
 
     /**
@@ -383,6 +725,36 @@ class AuthService {
         }
     }
 
+    /**
+     * Throw 423 while the account is locked after too many failed attempts
+     */
+    async assertAccountNotLocked(email, ipAddress, userAgent) {
+        if (!this.loginLogRepository || !this.configService) return;
+
+        const lockoutDuration = await this.configService.getLockoutDuration();
+        const lockStatus = await this.loginLogRepository.isAccountLocked(email, lockoutDuration / 60);
+
+        if (lockStatus.locked) {
+            // Log the blocked attempt
+            await this.loginLogRepository.logAttempt({
+                email,
+                user_id: null,
+                ip_address: ipAddress,
+                user_agent: userAgent,
+                attempt_result: 'account_locked',
+                failure_reason: 'Account locked due to too many failed attempts'
+            });
+
+            const minutesLeft = Math.ceil((lockStatus.unlock_at - new Date()) / (1000 * 60));
+
+            throw ErrorHandler.createError(
+                `Paskyra užblokuota dėl per daug nesėkmingų prisijungimo bandymų. Bandykite vėl po ${minutesLeft} minučių.`,
+                423,
+                'ACCOUNT_LOCKED'
+            );
+        }
+    }
+
     /**
      * Log failed login attempt
      */
@@ -0,0 +1,207 @@
+'use strict'
+
+const crypto = require('crypto');
+const ErrorHandler = require('../../../lib/ErrorHandler');
+const Totp = require('../../../utils/totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Two-Factor Service
+ * TOTP enrollment, code verification and one-time recovery codes
+ */
+class TwoFactorService {
+    constructor(twoFactorRepository, userRepository, authSessionRepository, configService, logger) {
+        this.twoFactorRepository = twoFactorRepository;
+        this.userRepository = userRepository;
+        this.authSessionRepository = authSessionRepository;
+        this.configService = configService;
+        this.logger = logger;
+    }
+
+    log(level, data, message) {
+        if (this.logger) {
+            this.logger[level](data, message);
+        }
+    }
+
+    /**
+     * Random recovery code formatted as xxxxx-xxxxx
+     */
+    static generateRecoveryCode() {
+        const raw = Totp.base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    }
+
+    /**
+     * Recovery codes are compared case- and dash-insensitively and stored as SHA-256 hashes
+     */
+    static hashRecoveryCode(code) {
+        const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+
+    async isEnabled(userId) {
+        const record = await this.twoFactorRepository.findByUserId(userId);
+        return !!record?.enabled_at;
+    }
+
+    async isRequiredFor(user) {
+        return user.role === 'admin' && await this.configService.isTwoFactorRequiredForAdmins();
+    }
+
+    /**
+     * 2FA state of the current user
+     */
+    async getStatus(authUser) {
+        const record = await this.twoFactorRepository.findByUserId(authUser.id);
+        const enabled = !!record?.enabled_at;
+
+        return {
+            enabled,
+            enabled_at: record?.enabled_at || null,
+            recovery_codes_remaining: enabled ? await this.twoFactorRepository.countRemainingRecoveryCodes(authUser.id) : 0,
+            required: await this.isRequiredFor(authUser),
+            session_verified: !!authUser.mfa
+        };
+    }
+
+    /**
+     * Generate a new secret; 2FA is enabled only after the first code is confirmed
+     * @returns {Promise<Object>} { secret, otpauth_url }
+     */
+    async startEnrollment(userId) {
+        const user = await this.userRepository.findById(userId);
+        if (!user) {
+            throw ErrorHandler.createError('Vartotojas nerastas', 404, 'USER_NOT_FOUND');
+        }
+
+        const secret = Totp.generateSecret();
+        const saved = await this.twoFactorRepository.savePendingSecret(userId, secret);
+        if (!saved) {
+            throw ErrorHandler.createError('Dviejų veiksnių autentifikacija jau įjungta', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+        }
+
+        return {
+            secret,
+            otpauth_url: Totp.buildOtpauthUrl({
+                secret,
+                issuer: await this.configService.getSiteName(),
+                account: user.email
+            })
+        };
+    }
+
+    /**
+     * Confirm enrollment with a code from the app. The current session counts as verified.
+     * @returns {Promise<Object>} { recovery_codes } - shown only once
+     */
+    async confirmEnrollment(authUser, code) {
+        const record = await this.twoFactorRepository.findByUserId(authUser.id);
+        if (!record) {
+            throw ErrorHandler.createError('Pirmiausia pradėkite dviejų veiksnių autentifikacijos nustatymą', 400, 'TWO_FACTOR_NOT_STARTED');
+        }
+        if (record.enabled_at) {
+            throw ErrorHandler.createError('Dviejų veiksnių autentifikacija jau įjungta', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+        }
+
+        const step = Totp.verify(record.secret, code);
+        if (step === null) {
+            throw ErrorHandler.createError('Neteisingas patvirtinimo kodas', 400, 'INVALID_TWO_FACTOR_CODE');
+        }
+
+        const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, () => TwoFactorService.generateRecoveryCode());
+
+        const enabled = await this.twoFactorRepository.db.transaction(async (client) => {
+            const row = await this.twoFactorRepository.enable(authUser.id, step, client);
+            if (!row) return null;
+
+            await this.twoFactorRepository.replaceRecoveryCodes(authUser.id, recoveryCodes.map(TwoFactorService.hashRecoveryCode), client);
+            if (authUser.sid) {
+                await this.authSessionRepository.setSessionMfa(authUser.sid, client);
+            }
+            return row;
+        });
+
+        if (!enabled) {
+            throw ErrorHandler.createError('Dviejų veiksnių autentifikacija jau įjungta', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+        }
+
+        this.log('info', { userId: authUser.id }, 'Dviejų veiksnių autentifikacija įjungta');
+        return { recovery_codes: recoveryCodes };
+    }
+
+    /**
+     * Verify a login code: either a TOTP code or an unused recovery code
+     * @returns {Promise<string|null>} 'totp', 'recovery_code' or null
+     */
+    async verifyCode(userId, { code, recoveryCode } = {}) {
+        const record = await this.twoFactorRepository.findByUserId(userId);
+        if (!record?.enabled_at) {
+            return null;
+        }
+
+        if (code) {
+            const step = Totp.verify(record.secret, code);
+            return step !== null && await this.twoFactorRepository.claimStep(userId, step) ? 'totp' : null;
+        }
+
+        if (recoveryCode) {
+            const used = await this.twoFactorRepository.useRecoveryCode(userId, TwoFactorService.hashRecoveryCode(recoveryCode));
+            if (used) {
+                this.log('info', { userId }, 'Recovery code used');
+                return 'recovery_code';
+            }
+        }
+
+        return null;
+    }
+
+    async assertValidCode(userId, codes) {
+        const method = await this.verifyCode(userId, codes);
+        if (!method) {
+            throw ErrorHandler.createError('Neteisingas patvirtinimo kodas', 400, 'INVALID_TWO_FACTOR_CODE');
+        }
+        return method;
+    }
+
+    /**
+     * Turn 2FA off (requires a current code) and drop the verified flag from all sessions
+     */
+    async disable(authUser, codes) {
+        if (!await this.isEnabled(authUser.id)) {
+            throw ErrorHandler.createError('Dviejų veiksnių autentifikacija neįjungta', 409, 'TWO_FACTOR_NOT_ENABLED');
+        }
+
+        await this.assertValidCode(authUser.id, codes);
+
+        await this.twoFactorRepository.db.transaction(async (client) => {
+            await this.twoFactorRepository.removeForUser(authUser.id, client);
+            await this.authSessionRepository.clearUserMfa(authUser.id, client);
+        });
+
+        this.log('info', { userId: authUser.id }, 'Dviejų veiksnių autentifikacija išjungta');
+        return { enabled: false };
+    }
+
+    /**
+     * Replace all recovery codes (requires a current TOTP code)
+     */
+    async regenerateRecoveryCodes(authUser, code) {
+        if (!await this.isEnabled(authUser.id)) {
+            throw ErrorHandler.createError('Dviejų veiksnių autentifikacija neįjungta', 409, 'TWO_FACTOR_NOT_ENABLED');
+        }
+
+        await this.assertValidCode(authUser.id, { code });
+
+        const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, () => TwoFactorService.generateRecoveryCode());
+        await this.twoFactorRepository.db.transaction(client =>
+            this.twoFactorRepository.replaceRecoveryCodes(authUser.id, recoveryCodes.map(TwoFactorService.hashRecoveryCode), client)
+        );
+
+        this.log('info', { userId: authUser.id }, 'Atsarginiai kodai pergeneruoti');
+        return { recovery_codes: recoveryCodes };
+    }
+}
+
+module.exports = TwoFactorService;
@@ -85,7 +85,7 @@ class ConfigController extends BaseController {
             const { key } = request.params;
             const updateData = request.body;
 
-            const config = await this.configService.update(key, updateData);
+            const config = await this.configService.update(key, updateData, request.user?.id);
 
             return this.sendSuccess(
                 reply,
@@ -107,7 +107,7 @@ class ConfigController extends BaseController {
         try {
             const configData = request.body;
 
-            const config = await this.configService.create(configData);
+            const config = await this.configService.create(configData, request.user?.id);
 
             return this.sendSuccess(
                 reply,
@@ -130,7 +130,7 @@ class ConfigController extends BaseController {
         try {
             const { key } = request.params;
 
-            const deleted = await this.configService.delete(key);
+            const deleted = await this.configService.delete(key, request.user?.id);
 
             if (!deleted) {
                 return reply.apiError('Konfigūracija nerasta', [], 404, 'CONFIG_NOT_FOUND');
@@ -160,7 +160,7 @@ class ConfigController extends BaseController {
                 return reply.apiError('Atnaujinimai turi būti masyvas', [], 400, 'INVALID_UPDATES');
             }
 
-            const results = await this.configService.bulkUpdate(updates);
+            const results = await this.configService.bulkUpdate(updates, request.user?.id);
 
             const successful = results.filter(r => r.success).length;
             const failed = results.length - successful;
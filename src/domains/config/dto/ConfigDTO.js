@@ -1,5 +1,9 @@
 'use strict'
 
+const SecretCipher = require('../../../utils/secretCipher');
+
+const SECRET_MASK = '********';
+
 /**
  * Configuration Data Transfer Object
  */
@@ -12,6 +16,8 @@ class ConfigDTO {
         this.description = configData.description;
         this.category = configData.category || 'general';
         this.is_public = configData.is_public || false;
+        this.env_var = configData.env_var || null;
+        this.validation = configData.validation || null;
         this.created_at = configData.created_at;
         this.updated_at = configData.updated_at;
     }
@@ -28,6 +34,8 @@ class ConfigDTO {
             description: row.description,
             category: row.category,
             is_public: row.is_public,
+            env_var: row.env_var,
+            validation: row.validation,
             created_at: row.created_at,
             updated_at: row.updated_at
         });
@@ -43,10 +51,46 @@ class ConfigDTO {
             type: this.type,
             description: this.description,
             category: this.category,
-            is_public: this.is_public
+            is_public: this.is_public,
+            validation: this.validation
+        };
+    }
+
+    /**
+     * Convert a config_history row for API responses; secret values are masked
+     */
+    static historyEntryToJSON(row) {
+        const isSecret = row.config_type === 'secret'
+            || SecretCipher.isEncrypted(row.old_value) || SecretCipher.isEncrypted(row.new_value);
+        const present = value => (isSecret && value !== null ? SECRET_MASK : value);
+
+        return {
+            id: row.id,
+            config_key: row.config_key,
+            action: row.action,
+            old_value: present(row.old_value),
+            new_value: present(row.new_value),
+            changed_by: row.changed_by,
+            changed_by_email: row.changed_by_email || null,
+            rollback_of: row.rollback_of,
+            created_at: row.created_at
         };
     }
 
+    /**
+     * Secrets are stored encrypted; their raw value is only handled by ConfigService
+     */
+    isSecret() {
+        return this.type === 'secret';
+    }
+
+    /**
+     * Whether the secret is supplied by its mapped environment variable
+     */
+    isEnvOverridden(env = process.env) {
+        return this.isSecret() && !!(this.env_var && env[this.env_var]);
+    }
+
     /**
      * Get typed value based on the type field
      */
@@ -68,6 +112,7 @@ class ConfigDTO {
                 } catch (error) {
                     return null;
                 }
+            case 'secret':
             case 'string':
             default:
                 return String(this.value);
@@ -85,7 +130,7 @@ class ConfigDTO {
 
         switch (this.type) {
             case 'boolean':
-                this.value = Boolean(value).toString();
+                this.value = (value === true || value === 'true').toString();
                 break;
             case 'integer':
                 this.value = parseInt(value, 10).toString();
@@ -94,8 +139,9 @@ class ConfigDTO {
                 this.value = parseFloat(value).toString();
                 break;
             case 'json':
-                this.value = JSON.stringify(value);
+                this.value = JSON.stringify(typeof value === 'string' ? JSON.parse(value) : value);
                 break;
+            case 'secret':
             case 'string':
             default:
                 this.value = String(value);
@@ -107,14 +153,20 @@ class ConfigDTO {
      * Convert to JSON for API responses
      */
     toJSON() {
+        const isSet = this.value !== null && this.value !== undefined && this.value !== '';
+
         return {
             id: this.id,
             key: this.key,
-            value: this.getTypedValue(),
+            // Secrets are write-only: only whether a value is set is revealed
+            value: this.isSecret() ? (isSet || this.isEnvOverridden() ? SECRET_MASK : null) : this.getTypedValue(),
             type: this.type,
             description: this.description,
             category: this.category,
             is_public: this.is_public,
+            env_var: this.env_var,
+            env_overridden: this.isEnvOverridden(),
+            validation: this.validation,
             created_at: this.created_at,
             updated_at: this.updated_at
         };
@@ -124,7 +176,7 @@ class ConfigDTO {
      * Convert to public JSON (only public configs)
      */
     toPublicJSON() {
-        if (!this.is_public) {
+        if (!this.is_public || this.isSecret()) {
             return null;
         }
 
@@ -0,0 +1,84 @@
+'use strict'
+
+const BaseRepository = require('../../../repositories/BaseRepository');
+
+/**
+ * Config History Repository
+ * Audit trail of config value changes; rows outlive the config they describe
+ */
+class ConfigHistoryRepository extends BaseRepository {
+    constructor(database) {
+        super(database, 'config_history');
+    }
+
+    async record({ key, action, oldValue = null, newValue = null, changedBy = null, rollbackOf = null }, client = this.db) {
+        const result = await client.query(`
+            INSERT INTO config_history (config_key, action, old_value, new_value, changed_by, rollback_of)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [key, action, oldValue, newValue, changedBy, rollbackOf]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * History entry with the current type of its config (null once the config is deleted)
+     */
+    async findEntry(id) {
+        const result = await this.db.query(`
+            SELECT h.*, c.type AS config_type
+            FROM config_history h
+            LEFT JOIN config c ON c.key = h.config_key
+            WHERE h.id = $1
+        `, [id]);
+
+        return result.rows[0] || null;
+    }
+
+    buildFilters(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.key) {
+            params.push(filters.key);
+            conditions.push(`h.config_key = $${params.length}`);
+        }
+        if (filters.changedBy) {
+            params.push(filters.changedBy);
+            conditions.push(`h.changed_by = $${params.length}`);
+        }
+
+        return {
+            where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    /**
+     * History entries matching filters, newest first
+     */
+    async findHistory(filters = {}, limit = 50, offset = 0) {
+        const { where, params } = this.buildFilters(filters);
+        params.push(limit, offset);
+
+        const result = await this.db.query(`
+            SELECT h.*, c.type AS config_type, u.email AS changed_by_email
+            FROM config_history h
+            LEFT JOIN config c ON c.key = h.config_key
+            LEFT JOIN users u ON u.id = h.changed_by
+            ${where}
+            ORDER BY h.created_at DESC, h.id DESC
+            LIMIT $${params.length - 1} OFFSET $${params.length}
+        `, params);
+
+        return result.rows;
+    }
+
+    async countHistory(filters = {}) {
+        const { where, params } = this.buildFilters(filters);
+        const result = await this.db.query(`SELECT COUNT(*) AS count FROM config_history h ${where}`, params);
+        return parseInt(result.rows[0].count);
+    }
+}
+
+module.exports = ConfigHistoryRepository;
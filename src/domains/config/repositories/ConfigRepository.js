@@ -9,11 +9,11 @@ class ConfigRepository extends BaseRepository {
     }
 
     /**
-     * Find config by key
+     * Find config by key; forUpdate locks the row inside a transaction
      */
-    async findByKey(key) {
-        const query = 'SELECT * FROM config WHERE key = $1';
-        const result = await this.db.query(query, [key]);
+    async findByKey(key, client = this.db, forUpdate = false) {
+        const query = `SELECT * FROM config WHERE key = $1${forUpdate ? ' FOR UPDATE' : ''}`;
+        const result = await client.query(query, [key]);
         return result.rows.length > 0 ? ConfigDTO.fromDatabase(result.rows[0]) : null;
     }
 
@@ -66,23 +66,24 @@ class ConfigRepository extends BaseRepository {
     /**
      * Create new config
      */
-    async create(configData) {
+    async create(configData, client = this.db) {
         const config = new ConfigDTO(configData);
         const data = config.toDatabase();
 
         const query = `
-            INSERT INTO config (key, value, type, description, category, is_public)
-            VALUES ($1, $2, $3, $4, $5, $6)
+            INSERT INTO config (key, value, type, description, category, is_public, validation)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
             RETURNING *
         `;
 
-        const result = await this.db.query(query, [
+        const result = await client.query(query, [
             data.key,
             data.value,
             data.type,
             data.description,
             data.category,
-            data.is_public
+            data.is_public,
+            data.validation ? JSON.stringify(data.validation) : null
         ]);
 
         return ConfigDTO.fromDatabase(result.rows[0]);
@@ -91,18 +92,18 @@ class ConfigRepository extends BaseRepository {
     /**
      * Update config by key
      */
-    async updateByKey(key, updateData) {
+    async updateByKey(key, updateData, client = this.db) {
         const fields = [];
         const values = [];
         let paramIndex = 1;
 
         // Only allow updating certain fields
-        const allowedFields = ['value', 'description', 'is_public'];
+        const allowedFields = ['value', 'description', 'is_public', 'validation'];
         
         Object.keys(updateData).forEach(field => {
             if (allowedFields.includes(field) && updateData[field] !== undefined) {
                 fields.push(`${field} = $${paramIndex}`);
-                values.push(updateData[field]);
+                values.push(field === 'validation' && updateData[field] !== null ? JSON.stringify(updateData[field]) : updateData[field]);
                 paramIndex++;
             }
         });
@@ -121,7 +122,7 @@ class ConfigRepository extends BaseRepository {
             RETURNING *
         `;
 
-        const result = await this.db.query(query, values);
+        const result = await client.query(query, values);
         
         if (result.rows.length === 0) {
             throw new Error('Config not found');
@@ -131,12 +132,12 @@ class ConfigRepository extends BaseRepository {
     }
 
     /**
-     * Delete config by key
+     * Delete config by key, returning the deleted config or null
      */
-    async deleteByKey(key) {
-        const query = 'DELETE FROM config WHERE key = $1';
-        const result = await this.db.query(query, [key]);
-        return result.rowCount > 0;
+    async deleteByKey(key, client = this.db) {
+        const query = 'DELETE FROM config WHERE key = $1 RETURNING *';
+        const result = await client.query(query, [key]);
+        return result.rows.length > 0 ? ConfigDTO.fromDatabase(result.rows[0]) : null;
     }
 
     /**
@@ -147,28 +148,6 @@ class ConfigRepository extends BaseRepository {
         return config ? config.getTypedValue() : defaultValue;
     }
 
-    /**
-     * Set config value by key
-     */
-    async setValue(key, value) {
-        const existing = await this.findByKey(key);
-        
-        if (existing) {
-            existing.setTypedValue(value);
-            return await this.updateByKey(key, { value: existing.value });
-        } else {
-            // Create new config with string type by default
-            return await this.create({
-                key,
-                value: String(value),
-                type: 'string',
-                description: `Auto-created config for ${key}`,
-                category: 'general',
-                is_public: false
-            });
-        }
-    }
-
     /**
      * Get all categories
      */
@@ -177,24 +156,6 @@ class ConfigRepository extends BaseRepository {
         const result = await this.db.query(query);
         return result.rows.map(row => row.category);
     }
-
-    /**
-     * Bulk update configs
-     */
-    async bulkUpdate(updates) {
-        const results = [];
-        
-        for (const update of updates) {
-            try {
-                const result = await this.updateByKey(update.key, { value: update.value });
-                results.push({ key: update.key, success: true, config: result });
-            } catch (error) {
-                results.push({ key: update.key, success: false, error: error.message });
-            }
-        }
-        
-        return results;
-    }
 }
 
 module.exports = ConfigRepository;
\ No newline at end of file
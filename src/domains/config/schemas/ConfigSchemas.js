@@ -1,5 +1,19 @@
 'use strict'
 
+const { paginationSchema } = require('../../../shared/schemas/components/BaseSchemaComponents');
+
+// Per-key validation rules, enforced before a value is saved
+const configValidationRules = {
+    type: ['object', 'null'],
+    properties: {
+        min: { type: 'number', description: 'Minimum number, or minimum length of text values' },
+        max: { type: 'number', description: 'Maximum number, or maximum length of text values' },
+        enum: { type: 'array', items: { type: ['string', 'number', 'boolean'] } },
+        pattern: { type: 'string', maxLength: 200, description: 'Regular expression text values must match' }
+    },
+    additionalProperties: false
+};
+
 // Config object schema
 const configObject = {
     type: 'object',
@@ -17,11 +31,14 @@ const configObject = {
         },
         type: { 
             type: 'string',
-            enum: ['string', 'integer', 'float', 'boolean', 'json']
+            enum: ['string', 'integer', 'float', 'boolean', 'json', 'secret']
         },
         description: { type: ['string', 'null'] },
         category: { type: 'string' },
         is_public: { type: 'boolean' },
+        env_var: { type: ['string', 'null'], description: 'Environment variable that overrides a secret' },
+        env_overridden: { type: 'boolean' },
+        validation: configValidationRules,
         created_at: { type: 'string', format: 'date-time' },
         updated_at: { type: 'string', format: 'date-time' }
     }
@@ -43,7 +60,7 @@ const publicConfigObject = {
         },
         type: { 
             type: 'string',
-            enum: ['string', 'integer', 'float', 'boolean', 'json']
+            enum: ['string', 'integer', 'float', 'boolean', 'json', 'secret']
         },
         description: { type: ['string', 'null'] },
         category: { type: 'string' }
@@ -68,9 +85,9 @@ const createConfigBody = {
         },
         type: {
             type: 'string',
-            enum: ['string', 'integer', 'float', 'boolean', 'json'],
+            enum: ['string', 'integer', 'float', 'boolean', 'json', 'secret'],
             default: 'string',
-            description: 'Value type for automatic conversion'
+            description: 'Value type for automatic conversion; secret values are encrypted and only returned masked'
         },
         description: {
             type: 'string',
@@ -87,7 +104,8 @@ const createConfigBody = {
             type: 'boolean',
             default: false,
             description: 'Whether this config is visible to non-admin users'
-        }
+        },
+        validation: configValidationRules
     },
     additionalProperties: false
 };
@@ -108,7 +126,8 @@ const updateConfigBody = {
         is_public: {
             type: 'boolean',
             description: 'Updated public visibility'
-        }
+        },
+        validation: configValidationRules
     },
     additionalProperties: false,
     minProperties: 1
@@ -170,6 +189,25 @@ const configKeyParam = {
     }
 };
 
+const historyIdParam = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: { type: 'integer', minimum: 1, description: 'Config history entry ID' }
+    }
+};
+
+const configHistoryQuery = {
+    type: 'object',
+    properties: {
+        key: { type: 'string', maxLength: 100, description: 'Filter by config key' },
+        changed_by: { type: 'integer', minimum: 1, description: 'Filter by admin user ID' },
+        page: { type: 'integer', minimum: 1, default: 1 },
+        limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+    },
+    additionalProperties: false
+};
+
 const categoryParam = {
     type: 'object',
     required: ['category'],
@@ -212,6 +250,14 @@ const getPublicConfigsResponse = {
                 configs: {
                     type: 'array',
                     items: publicConfigObject
+                },
+                maintenance: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        message: { type: ['string', 'null'] },
+                        eta: { type: ['string', 'null'], description: 'Expected end of maintenance (ISO 8601)' }
+                    }
                 }
             }
         }
@@ -265,6 +311,37 @@ const bulkUpdateResponse = {
     }
 };
 
+const configHistoryResponse = {
+    type: 'object',
+    properties: {
+        success: { type: 'boolean' },
+        message: { type: 'string' },
+        data: {
+            type: 'object',
+            properties: {
+                history: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'integer' },
+                            config_key: { type: 'string' },
+                            action: { type: 'string', enum: ['create', 'update', 'delete', 'rollback'] },
+                            old_value: { type: ['string', 'null'] },
+                            new_value: { type: ['string', 'null'] },
+                            changed_by: { type: ['integer', 'null'] },
+                            changed_by_email: { type: ['string', 'null'] },
+                            rollback_of: { type: ['integer', 'null'] },
+                            created_at: { type: 'string', format: 'date-time' }
+                        }
+                    }
+                },
+                pagination: paginationSchema
+            }
+        }
+    }
+};
+
 const categoriesResponse = {
     type: 'object',
     properties: {
@@ -291,9 +368,12 @@ module.exports = {
     configQuery,
     configKeyParam,
     categoryParam,
+    historyIdParam,
+    configHistoryQuery,
     getAllConfigsResponse,
     getPublicConfigsResponse,
     configResponse,
     bulkUpdateResponse,
+    configHistoryResponse,
     categoriesResponse
 };
\ No newline at end of file
@@ -1,15 +1,26 @@
 'use strict'
 
 const BaseService = require('../../../services/BaseService');
+const ErrorHandler = require('../../../lib/ErrorHandler');
+const Validator = require('../../../lib/Validator');
+const SecretCipher = require('../../../utils/secretCipher');
+const ConfigDTO = require('../dto/ConfigDTO');
+
+const CONFIG_TYPES = ['string', 'integer', 'float', 'boolean', 'json', 'secret'];
+const BULK_UPDATE_LIMIT = 50;
 
 /**
  * Configuration Service
- * Handles configuration management with caching
+ * Handles configuration management with caching. Every write is validated
+ * against the config's type and rules and recorded in config_history.
  */
 class ConfigService extends BaseService {
-    constructor(configRepository, logger) {
+    constructor(configRepository, logger, secretCipher = null, env = process.env, configHistoryRepository = null) {
         super(configRepository, logger);
         this.configRepository = configRepository;
+        this.configHistoryRepository = configHistoryRepository;
+        this.secretCipher = secretCipher;
+        this.env = env;
         this.cache = new Map();
         this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
         this.lastCacheUpdate = null;
@@ -28,7 +39,12 @@ class ConfigService extends BaseService {
             }
 
             // If not in cache, fetch from database
-            const value = await this.configRepository.getValue(key, defaultValue);
+            const config = await this.configRepository.findByKey(key);
+            if (!config) {
+                return defaultValue;
+            }
+
+            const value = this.resolveValue(config);
             this.cache.set(key, value);
             return value;
         } catch (error) {
@@ -38,19 +54,139 @@ class ConfigService extends BaseService {
     }
 
     /**
-     * Set config value and update cache
+     * Server-side value of a config. Secrets come from their environment
+     * variable when it is set, otherwise they are decrypted.
      */
-    async set(key, value) {
+    resolveValue(config) {
+        if (!config.isSecret()) {
+            return config.getTypedValue();
+        }
+
+        if (config.isEnvOverridden(this.env)) {
+            return this.env[config.env_var];
+        }
+
+        if (!config.value) {
+            return null;
+        }
+
+        // Plain text left from before secrets were encrypted; encrypted on the next write
+        if (!SecretCipher.isEncrypted(config.value)) {
+            this.log('warn', { key: config.key }, 'Secret config is stored unencrypted');
+            return config.value;
+        }
+
+        if (!this.secretCipher) {
+            this.log('error', { key: config.key }, 'CONFIG_ENCRYPTION_KEY is not set, cannot decrypt secret config');
+            return null;
+        }
+
         try {
-            const config = await this.configRepository.setValue(key, value);
-            this.cache.set(key, config.getTypedValue());
-            
-            this.log('info', { key, value }, 'Config value updated');
-            return config;
+            return this.secretCipher.decrypt(config.value, config.key);
         } catch (error) {
-            if (error.statusCode) throw error;
-            this.handleRepositoryError(error, 'set config value');
+            this.log('error', { key: config.key, error: error.message }, 'Failed to decrypt secret config');
+            return null;
+        }
+    }
+
+    /**
+     * Encrypt a secret for storage; an empty value clears it
+     */
+    encryptSecret(key, value) {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+
+        if (!this.secretCipher) {
+            throw this.createError('Slaptų reikšmių saugoti negalima: nenustatytas CONFIG_ENCRYPTION_KEY', 500, 'ENCRYPTION_KEY_MISSING');
+        }
+
+        return this.secretCipher.encrypt(String(value), key);
+    }
+
+    /**
+     * Stored form of a validated value; secrets are encrypted
+     */
+    serializeValue(key, type, value) {
+        if (type === 'secret') {
+            return this.encryptSecret(key, value);
         }
+
+        const config = new ConfigDTO({ key, type });
+        config.setTypedValue(value);
+        return config.value;
+    }
+
+    /**
+     * Validate an update against the existing config and build the fields to save
+     */
+    prepareUpdate(existing, updateData) {
+        const data = {};
+
+        if (updateData.description !== undefined) {
+            data.description = updateData.description;
+        }
+
+        if (updateData.is_public !== undefined) {
+            if (updateData.is_public && existing.isSecret()) {
+                throw this.createError('Slaptos konfigūracijos negali būti viešos', 400, 'SECRET_CANNOT_BE_PUBLIC');
+            }
+            data.is_public = updateData.is_public;
+        }
+
+        const rules = updateData.validation !== undefined ? updateData.validation : existing.validation;
+        if (updateData.validation !== undefined) {
+            const error = Validator.validateConfigRules(updateData.validation);
+            if (error) {
+                throw ErrorHandler.createValidationError({ validation: error });
+            }
+            data.validation = updateData.validation;
+        }
+
+        if (updateData.value !== undefined) {
+            const error = Validator.validateConfigValue(existing.type, updateData.value, rules);
+            if (error) {
+                throw ErrorHandler.createValidationError({ value: error });
+            }
+            data.value = this.serializeValue(existing.key, existing.type, updateData.value);
+        } else if (data.validation && !existing.isSecret()) {
+            // New rules must accept the value already stored
+            const error = Validator.validateConfigValue(existing.type, existing.value, rules);
+            if (error) {
+                throw ErrorHandler.createValidationError({ validation: `Dabartinė reikšmė neatitinka naujų taisyklių: ${error}` });
+            }
+        }
+
+        if (Object.keys(data).length === 0) {
+            throw this.createError('Nenurodyta, ką atnaujinti', 400, 'NO_FIELDS_TO_UPDATE');
+        }
+
+        return data;
+    }
+
+    async recordHistory(entry, client) {
+        if (this.configHistoryRepository) {
+            await this.configHistoryRepository.record(entry, client);
+        }
+    }
+
+    /**
+     * Set config value and update cache; creates a string config when missing
+     */
+    async set(key, value, actorId = null) {
+        const existing = await this.configRepository.findByKey(key);
+        if (existing) {
+            return await this.update(key, { value }, actorId);
+        }
+
+        return await this.create({
+            key,
+            value: String(value),
+            type: 'string',
+            description: `Auto-created config for ${key}`,
+            category: 'general',
+            is_public: false
+        }, actorId);
     }
 
     /**
@@ -90,14 +226,28 @@ class ConfigService extends BaseService {
     /**
      * Update config
      */
-    async update(key, updateData) {
+    async update(key, updateData, actorId = null) {
         try {
-            const config = await this.configRepository.updateByKey(key, updateData);
+            const config = await this.configRepository.db.transaction(async (client) => {
+                const existing = await this.configRepository.findByKey(key, client, true);
+                if (!existing) {
+                    throw this.createError('Konfigūracija nerasta', 404, 'CONFIG_NOT_FOUND');
+                }
+
+                const data = this.prepareUpdate(existing, updateData);
+                const updated = await this.configRepository.updateByKey(key, data, client);
+
+                if (data.value !== undefined && data.value !== existing.value) {
+                    await this.recordHistory({ key, action: 'update', oldValue: existing.value, newValue: data.value, changedBy: actorId }, client);
+                }
+
+                return updated;
+            });
             
             // Update cache
-            this.cache.set(key, config.getTypedValue());
+            this.cache.set(key, this.resolveValue(config));
             
-            this.log('info', { key, updateData }, 'Config updated');
+            this.log('info', { key, actorId, updateData: config.isSecret() ? { ...updateData, value: '[secret]' } : updateData }, 'Config updated');
             return config;
         } catch (error) {
             if (error.statusCode) throw error;
@@ -108,14 +258,45 @@ class ConfigService extends BaseService {
     /**
      * Create new config
      */
-    async create(configData) {
+    async create(configData, actorId = null) {
         try {
-            const config = await this.configRepository.create(configData);
+            const type = configData.type || 'string';
+            const rules = configData.validation || null;
+
+            if (!configData.key) {
+                throw ErrorHandler.createValidationError({ key: 'Raktas yra privalomas' });
+            }
+            if (!CONFIG_TYPES.includes(type)) {
+                throw ErrorHandler.createValidationError({ type: `Leidžiami tipai: ${CONFIG_TYPES.join(', ')}` });
+            }
+            if (type === 'secret' && configData.is_public) {
+                throw this.createError('Slaptos konfigūracijos negali būti viešos', 400, 'SECRET_CANNOT_BE_PUBLIC');
+            }
+
+            const rulesError = Validator.validateConfigRules(rules);
+            if (rulesError) {
+                throw ErrorHandler.createValidationError({ validation: rulesError });
+            }
+            const valueError = Validator.validateConfigValue(type, configData.value, rules);
+            if (valueError) {
+                throw ErrorHandler.createValidationError({ value: valueError });
+            }
+
+            if (await this.configRepository.findByKey(configData.key)) {
+                throw this.createError('Konfigūracija su šiuo raktu jau egzistuoja', 409, 'CONFIG_EXISTS');
+            }
+
+            const data = { ...configData, type, validation: rules, value: this.serializeValue(configData.key, type, configData.value) };
+            const config = await this.configRepository.db.transaction(async (client) => {
+                const created = await this.configRepository.create(data, client);
+                await this.recordHistory({ key: created.key, action: 'create', newValue: created.value, changedBy: actorId }, client);
+                return created;
+            });
             
             // Update cache
-            this.cache.set(config.key, config.getTypedValue());
+            this.cache.set(config.key, this.resolveValue(config));
             
-            this.log('info', { key: config.key }, 'Config created');
+            this.log('info', { key: config.key, actorId }, 'Config created');
             return config;
         } catch (error) {
             if (error.statusCode) throw error;
@@ -126,42 +307,179 @@ class ConfigService extends BaseService {
     /**
      * Delete config
      */
-    async delete(key) {
+    async delete(key, actorId = null) {
         try {
-            const deleted = await this.configRepository.deleteByKey(key);
+            const deleted = await this.configRepository.db.transaction(async (client) => {
+                const config = await this.configRepository.deleteByKey(key, client);
+                if (config) {
+                    await this.recordHistory({ key, action: 'delete', oldValue: config.value, changedBy: actorId }, client);
+                }
+                return config;
+            });
             
             if (deleted) {
                 this.cache.delete(key);
-                this.log('info', { key }, 'Config deleted');
+                this.log('info', { key, actorId }, 'Config deleted');
             }
             
-            return deleted;
+            return Boolean(deleted);
         } catch (error) {
             this.handleRepositoryError(error, 'delete config');
         }
     }
 
     /**
-     * Bulk update configs
+     * Bulk update configs atomically: one invalid value rejects the whole batch
      */
-    async bulkUpdate(updates) {
+    async bulkUpdate(updates, actorId = null) {
+        if (!Array.isArray(updates) || updates.length === 0 || updates.length > BULK_UPDATE_LIMIT) {
+            throw this.createError(`Atnaujinimai turi būti masyvas su 1–${BULK_UPDATE_LIMIT} elementų`, 400, 'INVALID_UPDATES');
+        }
+
         try {
-            const results = await this.configRepository.bulkUpdate(updates);
-            
-            // Update cache for successful updates
-            results.forEach(result => {
-                if (result.success && result.config) {
-                    this.cache.set(result.key, result.config.getTypedValue());
+            const configs = await this.configRepository.db.transaction(async (client) => {
+                const errors = {};
+                const prepared = [];
+                const seen = new Set();
+
+                for (const { key, value } of updates) {
+                    if (seen.has(key)) {
+                        errors[key] = 'Raktas kartojasi';
+                        continue;
+                    }
+                    seen.add(key);
+
+                    const existing = await this.configRepository.findByKey(key, client, true);
+                    const error = existing
+                        ? Validator.validateConfigValue(existing.type, value, existing.validation)
+                        : 'Konfigūracija nerasta';
+                    if (error) {
+                        errors[key] = error;
+                        continue;
+                    }
+
+                    prepared.push({ existing, value: this.serializeValue(key, existing.type, value) });
+                }
+
+                if (Object.keys(errors).length > 0) {
+                    throw ErrorHandler.createValidationError(errors, 'Konfigūracijos neatnaujintos: yra netinkamų reikšmių');
                 }
+
+                const updated = [];
+                for (const { existing, value } of prepared) {
+                    updated.push(await this.configRepository.updateByKey(existing.key, { value }, client));
+                    if (value !== existing.value) {
+                        await this.recordHistory({ key: existing.key, action: 'update', oldValue: existing.value, newValue: value, changedBy: actorId }, client);
+                    }
+                }
+
+                return updated;
+            });
+            
+            configs.forEach(config => {
+                this.cache.set(config.key, this.resolveValue(config));
             });
             
-            this.log('info', { count: updates.length }, 'Bulk config update completed');
-            return results;
+            this.log('info', { count: configs.length, actorId }, 'Bulk config update completed');
+            return configs.map(config => ({ key: config.key, success: true, config }));
         } catch (error) {
+            if (error.statusCode) throw error;
             this.handleRepositoryError(error, 'bulk update configs');
         }
     }
 
+    /**
+     * Config change history, newest first
+     */
+    async getHistory(query = {}) {
+        if (!this.configHistoryRepository) {
+            throw this.createError('Konfigūracijos istorija nepasiekiama', 500, 'HISTORY_UNAVAILABLE');
+        }
+
+        const page = Math.max(1, parseInt(query.page) || 1);
+        const limit = Math.max(1, Math.min(parseInt(query.limit) || 20, 100));
+        const filters = { key: query.key || null, changedBy: parseInt(query.changed_by) || null };
+
+        try {
+            const [rows, total] = await Promise.all([
+                this.configHistoryRepository.findHistory(filters, limit, (page - 1) * limit),
+                this.configHistoryRepository.countHistory(filters)
+            ]);
+
+            return {
+                history: rows.map(ConfigDTO.historyEntryToJSON),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit),
+                    hasNext: page * limit < total,
+                    hasPrev: page > 1
+                }
+            };
+        } catch (error) {
+            this.handleRepositoryError(error, 'get config history');
+        }
+    }
+
+    /**
+     * Restore the value a config had before the given history entry
+     */
+    async rollback(historyId, actorId = null) {
+        if (!this.configHistoryRepository) {
+            throw this.createError('Konfigūracijos istorija nepasiekiama', 500, 'HISTORY_UNAVAILABLE');
+        }
+
+        try {
+            const entry = await this.configHistoryRepository.findEntry(historyId);
+            if (!entry) {
+                throw this.createError('Istorijos įrašas nerastas', 404, 'HISTORY_NOT_FOUND');
+            }
+            if (entry.action === 'create') {
+                throw this.createError('Sukūrimo atšaukti negalima, konfigūraciją galima ištrinti', 409, 'ROLLBACK_NOT_POSSIBLE');
+            }
+
+            const key = entry.config_key;
+            const config = await this.configRepository.db.transaction(async (client) => {
+                const existing = await this.configRepository.findByKey(key, client, true);
+                if (!existing) {
+                    throw this.createError('Konfigūracija ištrinta, ją reikia sukurti iš naujo', 404, 'CONFIG_NOT_FOUND');
+                }
+                if (existing.value === entry.old_value) {
+                    throw this.createError('Konfigūracija jau turi šią reikšmę', 409, 'CONFIG_UNCHANGED');
+                }
+
+                // History keeps stored values: secrets stay encrypted, the rest must pass today's rules
+                if (!existing.isSecret()) {
+                    const error = Validator.validateConfigValue(existing.type, entry.old_value, existing.validation);
+                    if (error) {
+                        throw ErrorHandler.createValidationError({ value: `Ankstesnė reikšmė neatitinka dabartinių taisyklių: ${error}` });
+                    }
+                }
+
+                const updated = await this.configRepository.updateByKey(key, { value: entry.old_value }, client);
+                await this.recordHistory({
+                    key,
+                    action: 'rollback',
+                    oldValue: existing.value,
+                    newValue: entry.old_value,
+                    changedBy: actorId,
+                    rollbackOf: entry.id
+                }, client);
+
+                return updated;
+            });
+
+            this.cache.set(key, this.resolveValue(config));
+
+            this.log('info', { key, historyId, actorId }, 'Config rolled back');
+            return config;
+        } catch (error) {
+            if (error.statusCode) throw error;
+            this.handleRepositoryError(error, 'roll back config');
+        }
+    }
+
     /**
      * Get all categories
      */
@@ -202,7 +520,7 @@ class ConfigService extends BaseService {
             
             this.cache.clear();
             configs.forEach(config => {
-                this.cache.set(config.key, config.getTypedValue());
+                this.cache.set(config.key, this.resolveValue(config));
             });
             
             this.lastCacheUpdate = Date.now();
@@ -256,6 +574,22 @@ class ConfigService extends BaseService {
         return await this.get('auth.attempt_window', 600); // 10 minutes in seconds
     }
 
+    async isVerifiedEmailRequired() {
+        return await this.get('auth.require_verified_email', false);
+    }
+
+    async getEmailVerificationTtlHours() {
+        return await this.get('auth.email_verification_ttl_hours', 48);
+    }
+
+    async getPasswordResetTtlMinutes() {
+        return await this.get('auth.password_reset_ttl_minutes', 60);
+    }
+
+    async isTwoFactorRequiredForAdmins() {
+        return await this.get('auth.require_2fa_for_admins', false);
+    }
+
     // Site settings
     async getSiteName() {
         return await this.get('site.name', 'MCList');
@@ -264,6 +598,24 @@ class ConfigService extends BaseService {
     async isMaintenanceMode() {
         return await this.get('site.maintenance_mode', false);
     }
+
+    /**
+     * Maintenance state shown to clients: whether it is on, a message and an ETA (ISO time)
+     */
+    async getMaintenanceStatus() {
+        const [enabled, message, eta] = await Promise.all([
+            this.isMaintenanceMode(),
+            this.get('site.maintenance_message', ''),
+            this.get('site.maintenance_eta', '')
+        ]);
+
+        return { enabled: Boolean(enabled), message: message || null, eta: eta || null };
+    }
+
+    async getMaintenanceAllowedRoutes() {
+        const routes = await this.get('site.maintenance_allowed_routes', []);
+        return Array.isArray(routes) ? routes.filter(route => typeof route === 'string') : [];
+    }
 }
 
 module.exports = ConfigService;
\ No newline at end of file
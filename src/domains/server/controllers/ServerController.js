@@ -30,7 +30,8 @@ class ServerController extends BaseController {
                 sort_order = 'desc',
                 version,
                 min_players,
-                max_players
+                max_players,
+                edition
             } = request.query;
 
             // Simple query validation
@@ -80,6 +81,7 @@ class ServerController extends BaseController {
                 version: version || null,
                 min_players: min_players ? parseInt(min_players) : null,
                 max_players: max_players ? parseInt(max_players) : null,
+                edition: edition || null,
                 owned_by: request.query?.owned === 'true' ? request.user?.id ?? null : null
             };
 
@@ -136,7 +138,8 @@ class ServerController extends BaseController {
                 sort_order = 'desc',
                 version,
                 min_players,
-                max_players
+                max_players,
+                edition
             } = request.query;
 
             const options = {
@@ -152,6 +155,7 @@ class ServerController extends BaseController {
                 version: version || null,
                 min_players: min_players ? parseInt(min_players) : null,
                 max_players: max_players ? parseInt(max_players) : null,
+                edition: edition || null,
                 owned_by: request.user?.id
             };
 
@@ -238,10 +242,55 @@ class ServerController extends BaseController {
                 'get server by slug'
             );
         } catch (error) {
+            if (error.errorCode === 'SERVER_NOT_FOUND') {
+                const redirect = await this.slugRedirect(request, reply);
+                if (redirect) return redirect;
+            }
             return this.handleError(error, request, reply, 'get server by slug');
         }
     }
 
+    /**
+     * Permanent redirect hint when the slug used to belong to a server
+     */
+    async slugRedirect(request, reply) {
+        const slug = await this.serverService.findSlugRedirect(request.params.slug);
+        if (!slug) {
+            return null;
+        }
+
+        const location = `/api/v1/servers/slug/${slug}`;
+        return reply
+            .status(301)
+            .header('Location', location)
+            .success({ redirect: { slug, location, permanent: true } }, 'Serverio adresas pasikeitė');
+    }
+
+    /**
+     * Change server slug (owner or admin)
+     */
+    async updateServerSlug(request, reply) {
+        try {
+            const server = await this.serverService.updateSlug(
+                parseInt(request.params.id),
+                request.body.slug,
+                request.user.id,
+                request.user.role
+            );
+
+            return this.sendSuccess(
+                reply,
+                { server: { id: server.id, slug: server.slug } },
+                'Serverio nuoroda atnaujinta',
+                {},
+                request,
+                'update server slug'
+            );
+        } catch (error) {
+            return this.handleError(error, request, reply, 'update server slug');
+        }
+    }
+
 
     /**
      * Create new server - Now Clean and Simple
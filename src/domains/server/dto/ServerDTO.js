@@ -1,5 +1,8 @@
 'use strict'
 
+const FaviconUtils = require('../../../utils/faviconUtils');
+const { normalizeMotd } = require('../../../utils/motd');
+
 /**
  * Server Data Transfer Object
  * Standardizes server data structure across the application
@@ -11,6 +14,8 @@ class ServerDTO {
         this.description = serverData.description;
         this.host = serverData.host;
         this.port = serverData.port;
+        this.edition = serverData.edition || 'java';
+        this.bedrock_port = serverData.bedrock_port ?? null;
         this.server_type_ids = serverData.server_type_ids || [];
         this.version = serverData.version;
         this.version_id = serverData.version_id;
@@ -20,6 +25,8 @@ class ServerDTO {
         this.is_active = serverData.is_active;
         this.is_premium = !!serverData.is_premium;
         this.premium_until = serverData.premium_until || null;
+        this.verified_at = serverData.verified_at || null;
+        this.is_verified = !!this.verified_at;
         this.created_by = serverData.created_by;
         this.created_at = serverData.created_at;
         this.updated_at = serverData.updated_at;
@@ -55,6 +62,17 @@ class ServerDTO {
 
     }
 
+    /**
+     * Public favicon URL; the hash query busts caches when the icon changes
+     */
+    static getIconUrl(row) {
+        const hash = FaviconUtils.getHash(row.favicon_path);
+        if (hash) {
+            return `/api/v1/servers/${row.id}/favicon.png?v=${hash}`;
+        }
+        return row.data?.icon || null;
+    }
+
     /**
      * Create DTO from database row
      */
@@ -65,6 +83,8 @@ class ServerDTO {
             description: row.description,
             host: row.host,
             port: row.port,
+            edition: row.edition,
+            bedrock_port: row.bedrock_port,
             server_type_ids: (serverTypes || []).map(st => st.id),
             version: row.version,
             version_id: row.version_id,
@@ -74,6 +94,7 @@ class ServerDTO {
             is_active: row.is_active,
             is_premium: (row.premium_pinned === true) || (row.premium_until ? new Date(row.premium_until) > new Date() : false),
             premium_until: row.premium_until || null,
+            verified_at: row.verified_at || null,
             created_by: row.created_by,
             created_at: row.created_at,
             updated_at: row.updated_at,
@@ -84,9 +105,10 @@ class ServerDTO {
                 online: row.data.online || false,
                 players: row.data.players || { online: 0, max: row.max_players },
                 version: row.data.version || null,
-                motd: row.data.motd || null,
+                // Rows from mcsrvstat.us carry their HTML; output is always rebuilt from raw lines
+                motd: normalizeMotd(row.data.motd),
                 software: row.data.software || null,
-                icon: row.data.icon || null,
+                icon: ServerDTO.getIconUrl(row),
                 ping_time: row.data.ping_time || null,
                 last_updated: row.data_created_at || row.created_at
             } : undefined,
@@ -128,6 +150,8 @@ class ServerDTO {
             description: this.description,
             host: this.host,
             port: this.port,
+            edition: this.edition,
+            bedrock_port: this.bedrock_port,
             version_id: this.version_id,
             max_players: this.max_players,
             website: this.website,
@@ -147,12 +171,15 @@ class ServerDTO {
             description: this.description,
             host: this.host,
             port: this.port,
+            edition: this.edition,
+            bedrock_port: this.bedrock_port,
             version: this.version,
             max_players: this.max_players,
             website: this.website,
             discord_invite: this.discord_invite,
             is_premium: !!this.is_premium,
             premium_until: this.premium_until,
+            is_verified: this.is_verified,
             created_at: this.created_at,
             updated_at: this.updated_at,
             slug: this.slug
@@ -194,12 +221,15 @@ class ServerDTO {
             description: this.description,
             host: this.host,
             port: this.port,
+            edition: this.edition,
+            bedrock_port: this.bedrock_port,
             version: this.version,
             max_players: this.max_players,
             website: this.website,
             discord_invite: this.discord_invite,
             is_premium: !!this.is_premium,
             premium_until: this.premium_until,
+            is_verified: this.is_verified,
             created_at: this.created_at,
             updated_at: this.updated_at,
             slug: this.slug
@@ -249,11 +279,14 @@ class ServerDTO {
             description: this.description,
             host: this.host,
             port: this.port,
+            edition: this.edition,
+            bedrock_port: this.bedrock_port,
             version: this.version,
             max_players: this.max_players,
             // website and discord_invite hidden from public
             is_premium: !!this.is_premium,
             premium_until: this.premium_until,
+            is_verified: this.is_verified,
             created_at: this.created_at,
             updated_at: this.updated_at,
             slug: this.slug
@@ -296,6 +329,8 @@ class ServerDTO {
             description: this.description,
             host: this.host,
             port: this.port,
+            edition: this.edition,
+            bedrock_port: this.bedrock_port,
             server_type_ids: this.server_type_ids,
             version: this.version,
             max_players: this.max_players,
@@ -304,6 +339,8 @@ class ServerDTO {
             is_active: this.is_active,
             is_premium: !!this.is_premium,
             premium_until: this.premium_until,
+            is_verified: this.is_verified,
+            verified_at: this.verified_at,
             created_by: this.created_by,
             created_at: this.created_at,
             updated_at: this.updated_at,
@@ -334,9 +371,21 @@ class ServerDTO {
      * Get server address as string
      */
     getAddress() {
+        if (this.edition === 'bedrock') {
+            return this.getBedrockAddress();
+        }
         return this.port === 25565 ? this.host : `${this.host}:${this.port}`;
     }
 
+    /**
+     * Get Bedrock address as string (null for Java-only servers)
+     */
+    getBedrockAddress() {
+        if (this.edition === 'java') return null;
+        const port = this.bedrock_port || 19132;
+        return port === 19132 ? this.host : `${this.host}:${port}`;
+    }
+
     /**
      * Check if server is online based on server_data
      */
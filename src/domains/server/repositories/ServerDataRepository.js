@@ -3,6 +3,12 @@
 const BaseRepository = require('../../../repositories/BaseRepository');
 const ServerDataDTO = require('../dto/ServerDataDTO');
 
+// Rollup tables and how a raw created_at maps onto their bucket
+const ROLLUPS = [
+    { table: 'server_status_hourly', bucket: "date_trunc('hour', $2::timestamp)" },
+    { table: 'server_status_daily', bucket: '$2::date' }
+];
+
 /**
  * Server Data Repository
  * Handles server ping data storage with JSONB
@@ -13,7 +19,11 @@ class ServerDataRepository extends BaseRepository {
     }
 
     async findByServerId(serverId) {
-        const query = 'SELECT * FROM server_data WHERE server_id = $1 ORDER BY created_at DESC LIMIT 1';
+        const query = `
+            SELECT server_data_id AS id, server_id, data, created_at
+            FROM latest_server_status
+            WHERE server_id = $1
+        `;
         const result = await this.db.query(query, [serverId]);
         if (result.rows.length > 0) {
             return ServerDataDTO.fromDatabase(result.rows[0]);
@@ -21,19 +31,75 @@ class ServerDataRepository extends BaseRepository {
         return null;
     }
 
+    /**
+     * Store a ping result and fold it into latest status and rollups
+     * in the same transaction. Initial placeholders only update latest status.
+     */
     async insert(data) {
-        const query = `
-            INSERT INTO server_data (server_id, data)
-            VALUES ($1, $2)
-            RETURNING id
-        `;
+        const row = await this.db.transaction(async (client) => {
+            const result = await client.query(`
+                INSERT INTO server_data (server_id, data)
+                VALUES ($1, $2)
+                RETURNING *
+            `, [data.server_id, JSON.stringify(data.data)]);
 
-        const result = await this.db.query(query, [
-            data.server_id,
-            JSON.stringify(data.data)
-        ]);
+            const inserted = result.rows[0];
+            await this.recordSample(client, inserted);
+            return inserted;
+        });
 
-        return this.findById(result.rows[0].id);
+        return ServerDataDTO.fromDatabase(row);
+    }
+
+    /**
+     * Update latest_server_status and the hourly/daily rollups for one raw row
+     * @param {Object} client - Transaction client
+     * @param {Object} row - Inserted server_data row
+     */
+    async recordSample(client, row) {
+        const data = typeof row.data === 'string' ? JSON.parse(row.data) : (row.data || {});
+        const online = data.online === true;
+        const players = Number.isInteger(data.players?.online) ? data.players.online : null;
+        const slots = Number.isInteger(data.players?.max) ? data.players.max : null;
+
+        await client.query(`
+            INSERT INTO latest_server_status (
+                server_id, server_data_id, data, online, players_online, players_max, last_online_at, created_at
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $4 THEN $7::timestamp END, $7)
+            ON CONFLICT (server_id) DO UPDATE SET
+                server_data_id = EXCLUDED.server_data_id,
+                data = EXCLUDED.data,
+                online = EXCLUDED.online,
+                players_online = EXCLUDED.players_online,
+                players_max = EXCLUDED.players_max,
+                last_online_at = COALESCE(EXCLUDED.last_online_at, latest_server_status.last_online_at),
+                created_at = EXCLUDED.created_at,
+                updated_at = NOW()
+            WHERE latest_server_status.created_at <= EXCLUDED.created_at
+        `, [row.server_id, row.id, JSON.stringify(data), online, players, slots, row.created_at]);
+
+        if (data.initial) {
+            return;
+        }
+
+        const onlinePlayers = online ? players : null;
+        for (const rollup of ROLLUPS) {
+            await client.query(`
+                INSERT INTO ${rollup.table} (
+                    server_id, bucket, samples, online_samples, min_players, max_players, sum_players, max_slots
+                )
+                VALUES ($1, ${rollup.bucket}, 1, $3, $4, $4, COALESCE($4, 0), $5)
+                ON CONFLICT (server_id, bucket) DO UPDATE SET
+                    samples = ${rollup.table}.samples + 1,
+                    online_samples = ${rollup.table}.online_samples + EXCLUDED.online_samples,
+                    min_players = LEAST(${rollup.table}.min_players, EXCLUDED.min_players),
+                    max_players = GREATEST(${rollup.table}.max_players, EXCLUDED.max_players),
+                    sum_players = ${rollup.table}.sum_players + EXCLUDED.sum_players,
+                    max_slots = GREATEST(${rollup.table}.max_slots, EXCLUDED.max_slots),
+                    updated_at = NOW()
+            `, [row.server_id, row.created_at, online ? 1 : 0, onlinePlayers, slots]);
+        }
     }
 
     async update(serverId, data) {
@@ -65,17 +131,12 @@ class ServerDataRepository extends BaseRepository {
     async getServerStats() {
         const query = `
             SELECT 
-                COUNT(DISTINCT sd.server_id) as total_servers,
-                COUNT(CASE WHEN (sd.data->>'online')::boolean = true THEN 1 END) as online_servers,
-                SUM((sd.data->'players'->>'online')::integer) as total_players,
+                COUNT(*) as total_servers,
+                COUNT(*) FILTER (WHERE lss.online) as online_servers,
+                SUM(lss.players_online) FILTER (WHERE lss.online) as total_players,
                 COALESCE(SUM(svs.total_votes), 0) as total_votes
-            FROM server_data sd
-            LEFT JOIN server_vote_stats svs ON sd.server_id = svs.server_id
-            WHERE sd.id IN (
-                SELECT DISTINCT ON (server_id) id 
-                FROM server_data 
-                ORDER BY server_id, created_at DESC
-            )
+            FROM latest_server_status lss
+            LEFT JOIN server_vote_stats svs ON lss.server_id = svs.server_id
         `;
 
         const result = await this.db.query(query);
@@ -90,22 +151,21 @@ class ServerDataRepository extends BaseRepository {
         };
     }
 
-    async getTopServersByPlayers(limit = 10) {
+    async getTopServersByPlayers(limit = 10, verifiedOnly = false) {
         const query = `
             SELECT 
-                sd.*,
+                lss.server_data_id as id,
+                lss.server_id,
+                lss.data,
+                lss.created_at,
                 s.name as server_name,
                 s.host,
                 s.port
-            FROM server_data sd
-            JOIN servers s ON sd.server_id = s.id
-            WHERE (sd.data->>'online')::boolean = true AND s.is_active = true
-            AND sd.id IN (
-                SELECT DISTINCT ON (server_id) id 
-                FROM server_data 
-                ORDER BY server_id, created_at DESC
-            )
-            ORDER BY (sd.data->'players'->>'online')::integer DESC
+            FROM latest_server_status lss
+            JOIN servers s ON lss.server_id = s.id
+            WHERE lss.online = true AND s.is_active = true
+            ${verifiedOnly ? 'AND s.verified_at IS NOT NULL' : ''}
+            ORDER BY lss.players_online DESC NULLS LAST
             LIMIT $1
         `;
 
@@ -125,16 +185,85 @@ class ServerDataRepository extends BaseRepository {
         return result.rows.map(row => ServerDataDTO.fromDatabase(row));
     }
 
+    /**
+     * Prune raw rows older than the retention period once their hour is rolled up.
+     * The row behind latest_server_status is always kept.
+     */
     async cleanupOldData(daysToKeep = 30) {
         const query = `
-            DELETE FROM server_data 
-            WHERE created_at < NOW() - INTERVAL '${daysToKeep} days'
+            DELETE FROM server_data sd
+            WHERE sd.created_at < LOCALTIMESTAMP - make_interval(days => $1)
+            AND NOT EXISTS (
+                SELECT 1 FROM latest_server_status lss WHERE lss.server_data_id = sd.id
+            )
+            AND (
+                (sd.data->>'initial') IS NOT NULL
+                OR EXISTS (
+                    SELECT 1 FROM server_status_hourly h
+                    WHERE h.server_id = sd.server_id
+                    AND h.bucket = date_trunc('hour', sd.created_at)
+                )
+            )
         `;
 
-        const result = await this.db.query(query);
+        const result = await this.db.query(query, [daysToKeep]);
         return result.rowCount;
     }
 
+    /**
+     * Drop hourly rollups past their retention (daily rollups are kept)
+     */
+    async pruneHourlyRollups(daysToKeep = 90) {
+        const query = `
+            DELETE FROM server_status_hourly
+            WHERE bucket < date_trunc('hour', LOCALTIMESTAMP) - make_interval(days => $1)
+        `;
+
+        const result = await this.db.query(query, [daysToKeep]);
+        return result.rowCount;
+    }
+
+    /**
+     * Uptime and player summary over the last `days` days from daily rollups
+     * @param {number} serverId - Server ID
+     * @param {number} days - Period length
+     * @returns {Promise<Object|null>} Summary or null when there is no data
+     */
+    async getStatusSummary(serverId, days = 7) {
+        const query = `
+            SELECT
+                COALESCE(SUM(d.samples), 0) as total_checks,
+                COALESCE(SUM(d.online_samples), 0) as online_checks,
+                SUM(d.sum_players)::numeric / NULLIF(SUM(d.online_samples), 0) as avg_players,
+                MAX(d.max_slots) as max_slots,
+                MAX(d.max_players) as peak_players,
+                (SELECT last_online_at FROM latest_server_status WHERE server_id = $1) as last_online_at
+            FROM server_status_daily d
+            WHERE d.server_id = $1
+            AND d.bucket > CURRENT_DATE - $2::int
+        `;
+
+        const result = await this.db.query(query, [serverId, days]);
+        const row = result.rows[0];
+        const totalChecks = parseInt(row.total_checks) || 0;
+
+        if (totalChecks === 0) {
+            return null;
+        }
+
+        const onlineChecks = parseInt(row.online_checks) || 0;
+
+        return {
+            total_checks: totalChecks,
+            online_checks: onlineChecks,
+            uptime_percentage: (onlineChecks / totalChecks) * 100,
+            avg_players: parseFloat(row.avg_players) || 0,
+            max_players_seen: parseInt(row.max_slots) || 0,
+            peak_players: parseInt(row.peak_players) || 0,
+            last_seen_online: row.last_online_at
+        };
+    }
+
     async getServerStatsById(serverId, limit = 100) {
         const query = `
             SELECT 
@@ -188,51 +317,30 @@ class ServerDataRepository extends BaseRepository {
             };
         });
 
-        // Get hourly player count stats for the last 24 hours
+        // Hourly player counts for the last 24 hours
         const hourlyQuery = `
-            WITH hourly_data AS (
-                SELECT 
-                    date_trunc('hour', created_at) as hour,
-                    (data->'players'->>'online')::integer as online_players,
-                    (data->>'online')::boolean as server_online,
-                    ROW_NUMBER() OVER (PARTITION BY date_trunc('hour', created_at) ORDER BY created_at DESC) as rn
-                FROM server_data 
-                WHERE server_id = $1 
-                AND created_at >= NOW() - INTERVAL '24 hours'
-                ORDER BY created_at DESC
-            )
-            SELECT 
-                hour,
-                COALESCE(online_players, 0) as player_count,
-                server_online
-            FROM hourly_data 
-            WHERE rn = 1 
-            ORDER BY hour DESC
+            SELECT bucket as hour, samples, online_samples, min_players, max_players, avg_players, uptime_ratio
+            FROM server_status_hourly
+            WHERE server_id = $1
+            AND bucket >= date_trunc('hour', LOCALTIMESTAMP) - INTERVAL '23 hours'
+            ORDER BY bucket DESC
         `;
 
         const hourlyResult = await this.db.query(hourlyQuery, [serverId]);
-        
-        // Get daily stats for the last 30 days
+
+        // Daily stats for the last 30 days
         const dailyQuery = `
-            WITH daily_data AS (
-                SELECT 
-                    date_trunc('day', created_at) as day,
-                    MAX((data->'players'->>'online')::integer) as max_players,
-                    AVG((data->'players'->>'online')::integer) as avg_players,
-                    COUNT(CASE WHEN (data->>'online')::boolean = true THEN 1 END) as online_checks,
-                    COUNT(*) as total_checks
-                FROM server_data 
-                WHERE server_id = $1 
-                AND created_at >= NOW() - INTERVAL '30 days'
-                GROUP BY date_trunc('day', created_at)
-                ORDER BY day DESC
-            )
-            SELECT 
-                day,
+            SELECT
+                bucket as day,
+                samples,
+                COALESCE(min_players, 0) as min_players,
                 COALESCE(max_players, 0) as max_players,
                 ROUND(COALESCE(avg_players, 0), 2) as avg_players,
-                ROUND((online_checks::decimal / NULLIF(total_checks, 0) * 100), 2) as uptime_percentage
-            FROM daily_data
+                ROUND(COALESCE(uptime_ratio, 0) * 100, 2) as uptime_percentage
+            FROM server_status_daily
+            WHERE server_id = $1
+            AND bucket > CURRENT_DATE - 30
+            ORDER BY bucket DESC
         `;
 
         const dailyResult = await this.db.query(dailyQuery, [serverId]);
@@ -254,18 +362,35 @@ class ServerDataRepository extends BaseRepository {
             },
             hourly_player_data: hourlyResult.rows.map(row => ({
                 timestamp: row.hour,
-                player_count: parseInt(row.player_count) || 0,
-                online: row.server_online || false
+                player_count: Math.round(parseFloat(row.avg_players) || 0),
+                online: row.online_samples > 0,
+                min_players: row.min_players || 0,
+                max_players: row.max_players || 0,
+                avg_players: Math.round((parseFloat(row.avg_players) || 0) * 100) / 100,
+                uptime_percentage: Math.round((parseFloat(row.uptime_ratio) || 0) * 10000) / 100,
+                samples: row.samples
             })),
             daily_stats: dailyResult.rows.map(row => ({
-                date: row.day.toISOString().split('T')[0],
+                date: ServerDataRepository.formatDate(row.day),
+                min_players: parseInt(row.min_players) || 0,
                 max_players: parseInt(row.max_players) || 0,
                 avg_players: parseFloat(row.avg_players) || 0,
-                uptime_percentage: parseFloat(row.uptime_percentage) || 0
+                uptime_percentage: parseFloat(row.uptime_percentage) || 0,
+                samples: row.samples
             })),
             recent_data: data.slice(0, Math.min(50, data.length)).map(item => item.toJSON ? item.toJSON() : item)
         };
     }
+
+    /**
+     * DATE columns come back as local midnight; keep the calendar day
+     */
+    static formatDate(value) {
+        if (!(value instanceof Date)) return String(value);
+        const month = String(value.getMonth() + 1).padStart(2, '0');
+        const day = String(value.getDate()).padStart(2, '0');
+        return `${value.getFullYear()}-${month}-${day}`;
+    }
 }
 
 module.exports = ServerDataRepository;
\ No newline at end of file
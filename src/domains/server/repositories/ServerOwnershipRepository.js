@@ -0,0 +1,174 @@
+'use strict'
+
+const BaseRepository = require('../../../repositories/BaseRepository');
+
+const CLAIM_COLUMNS = `
+    c.*,
+    s.name AS server_name, s.host, s.port, s.created_by AS current_owner_id, s.verified_at AS server_verified_at,
+    u.email AS user_email
+`;
+
+/**
+ * Server Ownership Repository
+ * Ownership claims proven with a token in the MOTD or a DNS TXT record
+ */
+class ServerOwnershipRepository extends BaseRepository {
+    constructor(database) {
+        super(database, 'server_ownership_claims');
+    }
+
+    /**
+     * Issue a claim, replacing the user's open claim for the same server
+     */
+    async createClaim({ serverId, userId, token, method, previousOwnerId = null, expiresAt }, client = this.db) {
+        await client.query(`
+            UPDATE server_ownership_claims
+            SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+            WHERE server_id = $1 AND user_id = $2 AND status = 'pending'
+        `, [serverId, userId]);
+
+        const result = await client.query(`
+            INSERT INTO server_ownership_claims (server_id, user_id, token, method, previous_owner_id, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [serverId, userId, token, method, previousOwnerId, expiresAt]);
+
+        return result.rows[0];
+    }
+
+    async findClaim(id, client = this.db, forUpdate = false) {
+        const result = await client.query(`
+            SELECT ${CLAIM_COLUMNS}
+            FROM server_ownership_claims c
+            JOIN servers s ON s.id = c.server_id
+            JOIN users u ON u.id = c.user_id
+            WHERE c.id = $1
+            ${forUpdate ? 'FOR UPDATE OF c' : ''}
+        `, [id]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * The user's most recent claim for a server, whatever its status
+     */
+    async findLatestClaim(serverId, userId) {
+        const result = await this.db.query(`
+            SELECT ${CLAIM_COLUMNS}
+            FROM server_ownership_claims c
+            JOIN servers s ON s.id = c.server_id
+            JOIN users u ON u.id = c.user_id
+            WHERE c.server_id = $1 AND c.user_id = $2
+            ORDER BY c.created_at DESC, c.id DESC
+            LIMIT 1
+        `, [serverId, userId]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Unexpired pending claims checked against each fresh ping
+     */
+    async findPendingClaims(serverId, method = null) {
+        const params = [serverId];
+        let methodFilter = '';
+        if (method) {
+            params.push(method);
+            methodFilter = 'AND method = $2';
+        }
+
+        const result = await this.db.query(`
+            SELECT * FROM server_ownership_claims
+            WHERE server_id = $1 AND status = 'pending' AND expires_at > CURRENT_TIMESTAMP ${methodFilter}
+            ORDER BY created_at ASC
+        `, params);
+
+        return result.rows;
+    }
+
+    async updateClaimStatus(id, { status, resolvedBy = null, note = null }, client = this.db) {
+        const result = await client.query(`
+            UPDATE server_ownership_claims
+            SET status = $2,
+                resolved_by = COALESCE($3, resolved_by),
+                note = COALESCE($4, note),
+                verified_at = CASE WHEN $2 = 'verified' THEN CURRENT_TIMESTAMP ELSE verified_at END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING *
+        `, [id, status, resolvedBy, note]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Reject the other open claims once a server has a verified owner
+     */
+    async rejectOtherClaims(serverId, exceptId, note, client = this.db) {
+        const result = await client.query(`
+            UPDATE server_ownership_claims
+            SET status = 'rejected', note = $3, updated_at = CURRENT_TIMESTAMP
+            WHERE server_id = $1 AND id <> $2 AND status = 'pending'
+        `, [serverId, exceptId, note]);
+
+        return result.rowCount;
+    }
+
+    /**
+     * Mark the server verified and hand it to the verified owner
+     */
+    async assignVerifiedOwner(serverId, userId, client = this.db) {
+        await client.query(`
+            UPDATE servers
+            SET created_by = $2, verified_at = CURRENT_TIMESTAMP, verified_by = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [serverId, userId]);
+    }
+
+    buildFilters(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.status) {
+            params.push(filters.status);
+            conditions.push(`c.status = $${params.length}`);
+        }
+        if (filters.serverId) {
+            params.push(filters.serverId);
+            conditions.push(`c.server_id = $${params.length}`);
+        }
+        if (filters.disputed) {
+            conditions.push('c.previous_owner_id IS NOT NULL');
+        }
+
+        return {
+            where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    async findClaims(filters = {}, limit = 50, offset = 0) {
+        const { where, params } = this.buildFilters(filters);
+        params.push(limit, offset);
+
+        const result = await this.db.query(`
+            SELECT ${CLAIM_COLUMNS}
+            FROM server_ownership_claims c
+            JOIN servers s ON s.id = c.server_id
+            JOIN users u ON u.id = c.user_id
+            ${where}
+            ORDER BY c.created_at DESC, c.id DESC
+            LIMIT $${params.length - 1} OFFSET $${params.length}
+        `, params);
+
+        return result.rows;
+    }
+
+    async countClaims(filters = {}) {
+        const { where, params } = this.buildFilters(filters);
+        const result = await this.db.query(`SELECT COUNT(*) AS count FROM server_ownership_claims c ${where}`, params);
+        return parseInt(result.rows[0].count);
+    }
+}
+
+module.exports = ServerOwnershipRepository;
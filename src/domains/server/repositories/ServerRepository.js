@@ -30,14 +30,7 @@ class ServerRepository extends BaseRepository {
                 ps.pinned as premium_pinned
             FROM servers s
             LEFT JOIN minecraft_versions mv ON s.version_id = mv.id
-            LEFT JOIN (
-                SELECT 
-                    server_id,
-                    data,
-                    created_at,
-                    ROW_NUMBER() OVER (PARTITION BY server_id ORDER BY created_at DESC) as rn
-                FROM server_data
-            ) latest_sd ON s.id = latest_sd.server_id AND latest_sd.rn = 1
+            LEFT JOIN latest_server_status latest_sd ON s.id = latest_sd.server_id
             LEFT JOIN server_vote_stats svs ON s.id = svs.server_id
             LEFT JOIN users u ON s.created_by = u.id
             LEFT JOIN premium_servers ps ON ps.server_id = s.id
@@ -78,7 +71,9 @@ class ServerRepository extends BaseRepository {
             version = null,
             min_players = null,
             max_players = null,
-            owned_by = null
+            owned_by = null,
+            edition = null,
+            verified_only = false
         } = options;
 
         const whereConditions = ['s.is_active = true'];
@@ -101,13 +96,17 @@ class ServerRepository extends BaseRepository {
             params.push(owned_by);
         }
 
+        if (verified_only) {
+            whereConditions.push('s.verified_at IS NOT NULL');
+        }
+
         if (is_premium !== null) {
             const premiumExpr = `(ps.id IS NOT NULL AND (ps.pinned = true OR ps.premium_until IS NULL OR ps.premium_until > NOW()))`;
             whereConditions.push(is_premium ? premiumExpr : `NOT ${premiumExpr}`);
         }
 
         if (!include_offline) {
-            whereConditions.push(`(sd.data->>'online')::boolean = true`);
+            whereConditions.push(`sd.online = true`);
         }
 
         if (search) {
@@ -123,15 +122,23 @@ class ServerRepository extends BaseRepository {
         }
 
         if (min_players !== null) {
-            whereConditions.push(`(sd.data->'players'->>'online')::integer >= $${paramIndex++}`);
+            whereConditions.push(`sd.players_online >= $${paramIndex++}`);
             params.push(min_players);
         }
 
         if (max_players !== null) {
-            whereConditions.push(`(sd.data->'players'->>'online')::integer <= $${paramIndex++}`);
+            whereConditions.push(`sd.players_online <= $${paramIndex++}`);
             params.push(max_players);
         }
 
+        if (edition) {
+            // "both" servers are listed under java and bedrock filters too
+            whereConditions.push(edition === 'both'
+                ? `s.edition = $${paramIndex++}`
+                : `s.edition IN ($${paramIndex++}, 'both')`);
+            params.push(edition);
+        }
+
         const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
 
         // Order by mapping
@@ -161,7 +168,7 @@ class ServerRepository extends BaseRepository {
                 ps.premium_until as premium_until,
                 ps.pinned as premium_pinned,
                 COALESCE(svs.total_votes, 0) as sort_votes,
-                COALESCE((sd.data->'players'->>'online')::integer, 0) as sort_players,
+                COALESCE(sd.players_online, 0) as sort_players,
                 COALESCE(sd.data->>'version', mv.version) as sort_version,
                 seo.slug as seo_slug,
                 -- Aggregate server types into array for efficient fetching
@@ -180,14 +187,7 @@ class ServerRepository extends BaseRepository {
             FROM servers s
             LEFT JOIN minecraft_versions mv ON s.version_id = mv.id
             ${joinClause}
-            LEFT JOIN (
-                SELECT 
-                    server_id,
-                    data,
-                    created_at,
-                    ROW_NUMBER() OVER (PARTITION BY server_id ORDER BY created_at DESC) as rn
-                FROM server_data
-            ) sd ON s.id = sd.server_id AND sd.rn = 1
+            LEFT JOIN latest_server_status sd ON s.id = sd.server_id
             LEFT JOIN server_vote_stats svs ON s.id = svs.server_id
             LEFT JOIN users u ON s.created_by = u.id
             LEFT JOIN premium_servers ps ON ps.server_id = s.id
@@ -198,9 +198,9 @@ class ServerRepository extends BaseRepository {
             ${whereClause}
             GROUP BY 
                 s.id, s.name, s.description, s.host, s.port, s.version_id, s.max_players,
-                s.website, s.discord_invite,
+                s.website, s.discord_invite, s.edition, s.bedrock_port,
                 s.is_active, s.created_at, s.updated_at, s.created_by,
-                mv.version, sd.data, sd.created_at, 
+                mv.version, sd.data, sd.created_at, sd.players_online,
                 svs.id, svs.total_votes, svs.daily_votes, svs.weekly_votes, svs.monthly_votes, svs.last_vote_at,
                 u.email, ps.premium_until, ps.pinned, seo.slug
             ORDER BY
@@ -246,14 +246,7 @@ class ServerRepository extends BaseRepository {
                 svs.last_vote_at
             FROM servers s
             LEFT JOIN minecraft_versions mv ON s.version_id = mv.id
-            LEFT JOIN (
-                SELECT 
-                    server_id,
-                    data,
-                    created_at,
-                    ROW_NUMBER() OVER (PARTITION BY server_id ORDER BY created_at DESC) as rn
-                FROM server_data
-            ) sd ON s.id = sd.server_id AND sd.rn = 1
+            LEFT JOIN latest_server_status sd ON s.id = sd.server_id
             LEFT JOIN server_vote_stats svs ON s.id = svs.server_id
             WHERE s.host = $1 AND s.port = $2
         `;
@@ -276,13 +269,7 @@ class ServerRepository extends BaseRepository {
                 s.is_active,
                 latest_sd.created_at as last_ping_at
             FROM servers s
-            LEFT JOIN (
-                SELECT 
-                    server_id, 
-                    created_at,
-                    ROW_NUMBER() OVER (PARTITION BY server_id ORDER BY created_at DESC) as rn
-                FROM server_data
-            ) latest_sd ON s.id = latest_sd.server_id AND latest_sd.rn = 1
+            LEFT JOIN latest_server_status latest_sd ON s.id = latest_sd.server_id
             WHERE s.is_active = true
         `;
 
@@ -311,6 +298,99 @@ class ServerRepository extends BaseRepository {
         }));
     }
 
+    /**
+     * Store the favicon path from the latest ping.
+     * Unchanged icons only touch favicon_updated_at once an hour to avoid a write per ping.
+     */
+    async updateFavicon(serverId, faviconPath) {
+        const query = `
+            UPDATE servers
+            SET favicon_path = $2, favicon_updated_at = NOW()
+            WHERE id = $1
+              AND (favicon_path IS DISTINCT FROM $2
+                   OR favicon_updated_at IS NULL
+                   OR favicon_updated_at < NOW() - INTERVAL '1 hour')
+        `;
+
+        const result = await this.db.query(query, [serverId, faviconPath]);
+        return result.rowCount > 0;
+    }
+
+    async getFavicon(serverId) {
+        const query = 'SELECT favicon_path, favicon_updated_at FROM servers WHERE id = $1';
+        const result = await this.db.query(query, [serverId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Everything a status banner or embed widget shows, looked up by id or by current slug.
+     * Vote rank counts active servers with more votes, so ties share a place.
+     */
+    async findBannerData({ id = null, slug = null }) {
+        const query = `
+            SELECT
+                s.id, s.name, s.host, s.port, s.edition, s.bedrock_port, s.max_players,
+                s.favicon_path, s.updated_at, s.is_active, s.embed_allowed_origins,
+                mv.version,
+                sd.server_data_id, sd.data, sd.created_at as data_created_at,
+                seo.slug,
+                COALESCE(svs.total_votes, 0) as total_votes,
+                (
+                    SELECT COUNT(*) + 1
+                    FROM servers s2
+                    LEFT JOIN server_vote_stats svs2 ON s2.id = svs2.server_id
+                    WHERE s2.is_active = true
+                      AND COALESCE(svs2.total_votes, 0) > COALESCE(svs.total_votes, 0)
+                )::int as vote_rank
+            FROM servers s
+            LEFT JOIN minecraft_versions mv ON s.version_id = mv.id
+            LEFT JOIN latest_server_status sd ON s.id = sd.server_id
+            LEFT JOIN server_vote_stats svs ON s.id = svs.server_id
+            LEFT JOIN server_seo seo ON s.id = seo.server_id
+            WHERE ${id != null ? 's.id = $1' : 'seo.slug = $1'}
+        `;
+
+        const result = await this.db.query(query, [id != null ? id : slug]);
+        return result.rows[0] || null;
+    }
+
+    async getEmbedOrigins(serverId) {
+        const result = await this.db.query('SELECT embed_allowed_origins FROM servers WHERE id = $1', [serverId]);
+        return result.rows[0]?.embed_allowed_origins ?? null;
+    }
+
+    async updateEmbedOrigins(serverId, origins) {
+        const query = 'UPDATE servers SET embed_allowed_origins = $2 WHERE id = $1 RETURNING embed_allowed_origins';
+        const result = await this.db.query(query, [serverId, origins]);
+        return result.rows[0]?.embed_allowed_origins ?? null;
+    }
+
+    /**
+     * Servers whose favicon is missing or stale; Bedrock-only servers have no favicon to fetch
+     */
+    async findFaviconRefreshCandidates(limit = 100, olderThanDays = 7) {
+        const query = `
+            SELECT id, host, port, edition, bedrock_port
+            FROM servers
+            WHERE is_active = true
+              AND edition <> 'bedrock'
+              AND (favicon_path IS NULL
+                   OR favicon_updated_at IS NULL
+                   OR favicon_updated_at < NOW() - ($2::int * INTERVAL '1 day'))
+            ORDER BY favicon_updated_at ASC NULLS FIRST
+            LIMIT $1
+        `;
+
+        const result = await this.db.query(query, [limit, olderThanDays]);
+        return result.rows;
+    }
+
+    async getReferencedFaviconPaths() {
+        const query = 'SELECT DISTINCT favicon_path FROM servers WHERE favicon_path IS NOT NULL';
+        const result = await this.db.query(query);
+        return new Set(result.rows.map(row => row.favicon_path));
+    }
+
     async getServerTypes(serverId) {
         const query = `
             SELECT st.* 
@@ -327,9 +407,9 @@ class ServerRepository extends BaseRepository {
         const query = `
             INSERT INTO servers (
                 name, description, host, port, version_id, max_players, 
-                website, discord_invite, is_active, created_by
+                website, discord_invite, is_active, created_by, edition, bedrock_port
             )
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
             RETURNING id
         `;
 
@@ -343,7 +423,9 @@ class ServerRepository extends BaseRepository {
             serverData.website,
             serverData.discord_invite,
             serverData.is_active !== undefined ? serverData.is_active : true,
-            serverData.created_by
+            serverData.created_by,
+            serverData.edition || 'java',
+            serverData.bedrock_port ?? null
         ]);
 
         return this.findById(result.rows[0].id);
@@ -356,7 +438,7 @@ class ServerRepository extends BaseRepository {
 
         const allowedFields = [
             'name', 'description', 'host', 'port', 'version_id', 'max_players',
-            'website', 'discord_invite', 'is_active'
+            'website', 'discord_invite', 'is_active', 'edition', 'bedrock_port'
         ];
 
         Object.entries(updateData).forEach(([key, value]) => {
@@ -383,6 +465,13 @@ class ServerRepository extends BaseRepository {
         return this.findById(id);
     }
 
+    /**
+     * Drop the verified badge once the listing points at another address
+     */
+    async clearVerification(id) {
+        await this.db.query('UPDATE servers SET verified_at = NULL, verified_by = NULL WHERE id = $1', [id]);
+    }
+
     async delete(id) {
         const query = 'DELETE FROM servers WHERE id = $1';
         const result = await this.db.query(query, [id]);
@@ -448,7 +537,9 @@ class ServerRepository extends BaseRepository {
             version = null,
             min_players = null,
             max_players = null,
-            owned_by = null
+            owned_by = null,
+            edition = null,
+            verified_only = false
         } = options;
 
         const whereConditions = ['s.is_active = true'];
@@ -471,13 +562,17 @@ class ServerRepository extends BaseRepository {
             params.push(owned_by);
         }
 
+        if (verified_only) {
+            whereConditions.push('s.verified_at IS NOT NULL');
+        }
+
         if (is_premium !== null) {
             const premiumExpr = `(ps.id IS NOT NULL AND (ps.pinned = true OR ps.premium_until IS NULL OR ps.premium_until > NOW()))`;
             whereConditions.push(is_premium ? premiumExpr : `NOT ${premiumExpr}`);
         }
 
         if (!include_offline) {
-            whereConditions.push(`(sd.data->>'online')::boolean = true`);
+            whereConditions.push(`sd.online = true`);
         }
 
         if (search) {
@@ -493,15 +588,23 @@ class ServerRepository extends BaseRepository {
         }
 
         if (min_players !== null) {
-            whereConditions.push(`(sd.data->'players'->>'online')::integer >= $${paramIndex++}`);
+            whereConditions.push(`sd.players_online >= $${paramIndex++}`);
             params.push(min_players);
         }
 
         if (max_players !== null) {
-            whereConditions.push(`(sd.data->'players'->>'online')::integer <= $${paramIndex++}`);
+            whereConditions.push(`sd.players_online <= $${paramIndex++}`);
             params.push(max_players);
         }
 
+        if (edition) {
+            // "both" servers are listed under java and bedrock filters too
+            whereConditions.push(edition === 'both'
+                ? `s.edition = $${paramIndex++}`
+                : `s.edition IN ($${paramIndex++}, 'both')`);
+            params.push(edition);
+        }
+
         const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
 
         const countQuery = `
@@ -509,14 +612,7 @@ class ServerRepository extends BaseRepository {
             FROM servers s
             LEFT JOIN minecraft_versions mv ON s.version_id = mv.id
             ${joinClause}
-            LEFT JOIN (
-                SELECT 
-                    server_id,
-                    data,
-                    created_at,
-                    ROW_NUMBER() OVER (PARTITION BY server_id ORDER BY created_at DESC) as rn
-                FROM server_data
-            ) sd ON s.id = sd.server_id AND sd.rn = 1
+            LEFT JOIN latest_server_status sd ON s.id = sd.server_id
             LEFT JOIN premium_servers ps ON ps.server_id = s.id
             ${whereClause}
         `;
@@ -8,7 +8,7 @@ const {
     urlField,
     positiveIntegerField 
 } = require('../../../shared/schemas/components/ValidationSchemaComponents');
-const { voteStatsSummaryObject } = require('./components/ServerSchemaComponents');
+const { voteStatsSummaryObject, motdObject } = require('./components/ServerSchemaComponents');
 
 // Server creation schema with Lithuanian validation
 const createServerBody = {
@@ -37,8 +37,19 @@ const createServerBody = {
             type: 'integer',
             minimum: 1,
             maximum: 65535,
-            default: 25565,
-            description: 'Server port'
+            description: 'Java Edition server port (default 25565); for Bedrock-only servers the same as bedrock_port'
+        },
+        edition: {
+            type: 'string',
+            enum: ['java', 'bedrock', 'both'],
+            default: 'java',
+            description: 'Accepted client edition'
+        },
+        bedrock_port: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 65535,
+            description: 'Bedrock Edition (UDP) port, defaults to 19132'
         },
         server_type_ids: {
             type: 'array',
@@ -97,7 +108,18 @@ const updateServerBody = {
             type: 'integer',
             minimum: 1,
             maximum: 65535,
-            description: 'Server port'
+            description: 'Java Edition server port; for Bedrock-only servers the same as bedrock_port'
+        },
+        edition: {
+            type: 'string',
+            enum: ['java', 'bedrock', 'both'],
+            description: 'Accepted client edition'
+        },
+        bedrock_port: {
+            type: ['integer', 'null'],
+            minimum: 1,
+            maximum: 65535,
+            description: 'Bedrock Edition (UDP) port'
         },
         server_type_ids: {
             type: 'array',
@@ -185,6 +207,11 @@ const getServersQuery = {
             maxLength: 50,
             description: 'Filter by Minecraft version'
         },
+        edition: {
+            type: 'string',
+            enum: ['java', 'bedrock', 'both'],
+            description: 'Filter by supported edition (servers accepting both editions match java and bedrock)'
+        },
         min_players: {
             type: 'integer',
             minimum: 0,
@@ -208,6 +235,8 @@ const serverObject = {
         description: { type: ['string', 'null'] },
         host: { type: 'string' },
         port: { type: 'integer' },
+        edition: { type: 'string', enum: ['java', 'bedrock', 'both'] },
+        bedrock_port: { type: ['integer', 'null'] },
         version: { type: ['string', 'null'] },
         max_players: { type: 'integer' },
         website: { type: ['string', 'null'] },
@@ -215,6 +244,7 @@ const serverObject = {
         slug: { type: ['string', 'null'] },
         is_premium: { type: 'boolean' },
         premium_until: { type: ['string', 'null'], format: 'date-time' },
+        is_verified: { type: 'boolean' },
         created_at: { type: 'string', format: 'date-time' },
         updated_at: { type: 'string', format: 'date-time' },
         server_types: {
@@ -252,14 +282,7 @@ const serverObject = {
                     }
                 },
                 version: { type: ['string', 'null'] },
-                motd: {
-                    type: 'object',
-                    properties: {
-                        raw: { type: 'array', items: { type: 'string' } },
-                        clean: { type: 'array', items: { type: 'string' } },
-                        html: { type: 'array', items: { type: 'string' } }
-                    }
-                },
+                motd: motdObject,
                 software: { type: ['string', 'null'] },
                 icon: { type: ['string', 'null'] },
                 ping_time: { type: ['integer', 'null'] },
@@ -281,6 +304,8 @@ const detailedServerObject = {
         description: { type: ['string', 'null'] },
         host: { type: 'string' },
         port: { type: 'integer' },
+        edition: { type: 'string', enum: ['java', 'bedrock', 'both'] },
+        bedrock_port: { type: ['integer', 'null'] },
         version: { type: ['string', 'null'] },
         max_players: { type: 'integer' },
         website: { type: ['string', 'null'] },
@@ -288,6 +313,7 @@ const detailedServerObject = {
         slug: { type: ['string', 'null'] },
         is_premium: { type: 'boolean' },
         premium_until: { type: ['string', 'null'], format: 'date-time' },
+        is_verified: { type: 'boolean' },
         created_at: { type: 'string', format: 'date-time' },
         updated_at: { type: 'string', format: 'date-time' },
         server_types: {
@@ -325,14 +351,7 @@ const detailedServerObject = {
                     }
                 },
                 version: { type: ['string', 'null'] },
-                motd: {
-                    type: 'object',
-                    properties: {
-                        raw: { type: 'array', items: { type: 'string' } },
-                        clean: { type: 'array', items: { type: 'string' } },
-                        html: { type: 'array', items: { type: 'string' } }
-                    }
-                },
+                motd: motdObject,
                 software: { type: ['string', 'null'] },
                 icon: { type: ['string', 'null'] },
                 ping_time: { type: ['integer', 'null'] },
@@ -497,6 +516,45 @@ const updateServerIpResponse = createApiResponse({
     required: ['server']
 });
 
+// 5) Update slug (old slug keeps redirecting)
+const updateServerSlugBody = {
+    type: 'object',
+    properties: {
+        slug: { type: 'string', minLength: 3, maxLength: 80, description: 'Lowercase letters, digits and single hyphens' }
+    },
+    required: ['slug'],
+    additionalProperties: false
+};
+
+const updateServerSlugResponse = createApiResponse({
+    type: 'object',
+    properties: {
+        server: {
+            type: 'object',
+            properties: {
+                id: { type: 'integer' },
+                slug: { type: ['string', 'null'] }
+            }
+        }
+    },
+    required: ['server']
+});
+
+const slugRedirectResponse = createApiResponse({
+    type: 'object',
+    properties: {
+        redirect: {
+            type: 'object',
+            properties: {
+                slug: { type: 'string' },
+                location: { type: 'string' },
+                permanent: { type: 'boolean' }
+            }
+        }
+    },
+    required: ['redirect']
+});
+
 const pingServerResponse = createApiResponse({
     type: 'object',
     properties: {
@@ -528,15 +586,27 @@ const pingServerResponse = createApiResponse({
                         },
                         version: { type: ['string', 'null'] },
                         software: { type: ['string', 'null'] },
-                        motd: {
-                            type: ['object', 'null'],
+                        motd: { ...motdObject, type: ['object', 'null'] },
+                        icon: { type: ['string', 'null'] },
+                        latency: { type: ['integer', 'null'] },
+                        protocol: { type: ['integer', 'null'] },
+                        edition: { type: 'string' },
+                        bedrock: {
+                            type: 'object',
                             properties: {
-                                raw: { type: 'array', items: { type: 'string' } },
-                                clean: { type: 'array', items: { type: 'string' } },
-                                html: { type: 'array', items: { type: 'string' } }
+                                online: { type: 'boolean' },
+                                players: {
+                                    type: 'object',
+                                    properties: {
+                                        online: { type: 'integer' },
+                                        max: { type: ['integer', 'null'] }
+                                    }
+                                },
+                                version: { type: ['string', 'null'] },
+                                protocol: { type: ['integer', 'null'] },
+                                latency: { type: ['integer', 'null'] }
                             }
-                        },
-                        icon: { type: ['string', 'null'] }
+                        }
                     }
                 },
                 ping_time: { type: ['integer', 'null'] },
@@ -611,6 +681,165 @@ const serverOwnershipResponse = createApiResponse({
     required: ['is_owned', 'server_id']
 });
 
+// Ownership verification (token in MOTD or DNS TXT record)
+const ownershipClaimObject = {
+    type: 'object',
+    properties: {
+        id: { type: 'integer' },
+        server_id: { type: 'integer' },
+        user_id: { type: 'integer' },
+        method: { type: 'string', enum: ['motd', 'dns'] },
+        status: { type: 'string', enum: ['pending', 'verified', 'rejected', 'expired'] },
+        is_transfer: { type: 'boolean', description: 'Claim made by someone other than the current owner' },
+        previous_owner_id: { type: ['integer', 'null'] },
+        note: { type: ['string', 'null'] },
+        token: { type: 'string', description: 'Only shown to the claimant while pending' },
+        instructions: { type: 'string' },
+        expires_at: { type: 'string', format: 'date-time' },
+        verified_at: { type: ['string', 'null'], format: 'date-time' },
+        created_at: { type: 'string', format: 'date-time' },
+        user_email: { type: 'string' },
+        server: {
+            type: 'object',
+            properties: {
+                id: { type: 'integer' },
+                name: { type: 'string' },
+                host: { type: 'string' },
+                port: { type: 'integer' }
+            }
+        }
+    }
+};
+
+const createOwnershipClaimBody = {
+    type: 'object',
+    properties: {
+        method: { type: 'string', enum: ['motd', 'dns'], default: 'motd', description: 'Where the token will be published' }
+    },
+    additionalProperties: false
+};
+
+const ownershipStatusResponse = createApiResponse({
+    type: 'object',
+    properties: {
+        server_id: { type: 'integer' },
+        is_verified: { type: 'boolean' },
+        verified_at: { type: ['string', 'null'], format: 'date-time' },
+        is_owner: { type: 'boolean' },
+        claim: { anyOf: [ownershipClaimObject, { type: 'null' }] }
+    },
+    required: ['server_id', 'is_verified', 'is_owner']
+});
+
+const ownershipClaimResponse = createApiResponse({
+    type: 'object',
+    properties: { claim: ownershipClaimObject },
+    required: ['claim']
+});
+
+const ownershipClaimsQuery = {
+    type: 'object',
+    properties: {
+        page: { type: 'integer', minimum: 1, default: 1 },
+        limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+        status: { type: 'string', enum: ['pending', 'verified', 'rejected', 'expired'] },
+        server_id: { type: 'integer', minimum: 1 },
+        disputed: { type: 'boolean', description: 'Only claims against another user\'s listing' }
+    },
+    additionalProperties: false
+};
+
+const ownershipClaimsResponse = createPaginatedResponse(ownershipClaimObject, 'claims');
+
+const resolveOwnershipClaimBody = {
+    type: 'object',
+    properties: {
+        note: { type: 'string', maxLength: 500 }
+    },
+    additionalProperties: false
+};
+
+// Embeddable widgets (status card, vote button) and their JSON feed
+const embedWidgetQuery = {
+    type: 'object',
+    properties: {
+        theme: { type: 'string', enum: ['light', 'dark'], default: 'light' }
+    }
+};
+
+const embedStatusObject = {
+    type: 'object',
+    properties: {
+        id: { type: 'integer' },
+        name: { type: 'string' },
+        address: { type: 'string' },
+        slug: { type: ['string', 'null'] },
+        online: { type: 'boolean' },
+        players: {
+            type: 'object',
+            properties: {
+                online: { type: 'integer' },
+                max: { type: ['integer', 'null'] }
+            }
+        },
+        version: { type: ['string', 'null'] },
+        motd: {
+            type: 'object',
+            properties: {
+                clean: { type: 'array', items: { type: 'string' } },
+                html: { type: 'array', items: { type: 'string' } }
+            }
+        },
+        rank: { type: ['integer', 'null'] },
+        total_votes: { type: 'integer' },
+        icon_url: { type: ['string', 'null'] },
+        server_url: { type: 'string' },
+        vote_url: { type: 'string' },
+        banner_url: { type: 'string' },
+        updated_at: { type: ['string', 'null'], format: 'date-time' }
+    }
+};
+
+const embedStatusResponse = createApiResponse(embedStatusObject);
+
+const embedWidgetObject = {
+    type: 'object',
+    properties: {
+        url: { type: 'string' },
+        snippet: { type: 'string', description: 'iframe HTML to paste into the site' }
+    }
+};
+
+const embedSettingsResponse = createApiResponse({
+    type: 'object',
+    properties: {
+        allowed_origins: { type: 'array', items: { type: 'string' } },
+        feed_url: { type: 'string' },
+        widgets: {
+            type: 'object',
+            properties: {
+                status: embedWidgetObject,
+                vote_button: embedWidgetObject
+            }
+        },
+        themes: { type: 'array', items: { type: 'string' } }
+    }
+});
+
+const updateEmbedSettingsBody = {
+    type: 'object',
+    properties: {
+        allowed_origins: {
+            type: 'array',
+            maxItems: 50,
+            items: { type: 'string', maxLength: 255 },
+            description: 'Sites allowed to embed the widgets, e.g. https://example.lt. Empty allows any site.'
+        }
+    },
+    required: ['allowed_origins'],
+    additionalProperties: false
+};
+
 module.exports = {
     createServerBody,
     updateServerBody,
@@ -624,6 +853,13 @@ module.exports = {
     getServerStatsResponse,
     getTopServersResponse,
     serverOwnershipResponse,
+    ownershipClaimObject,
+    createOwnershipClaimBody,
+    ownershipStatusResponse,
+    ownershipClaimResponse,
+    ownershipClaimsQuery,
+    ownershipClaimsResponse,
+    resolveOwnershipClaimBody,
     serverObject,
     detailedServerObject,
     updateServerNameBody,
@@ -633,5 +869,13 @@ module.exports = {
     updateServerNameResponse,
     updateServerDescriptionResponse,
     updateServerTypeResponse,
-    updateServerIpResponse
+    updateServerIpResponse,
+    updateServerSlugBody,
+    updateServerSlugResponse,
+    slugRedirectResponse,
+    embedWidgetQuery,
+    embedStatusObject,
+    embedStatusResponse,
+    embedSettingsResponse,
+    updateEmbedSettingsBody
 };
@@ -9,6 +9,31 @@ const voteStatsSummaryObject = {
     }
 };
 
+// Parsed MOTD: one entry per line in every representation
+const motdSpanObject = {
+    type: 'object',
+    properties: {
+        text: { type: 'string' },
+        color: { type: ['string', 'null'] },
+        bold: { type: 'boolean' },
+        italic: { type: 'boolean' },
+        underlined: { type: 'boolean' },
+        strikethrough: { type: 'boolean' },
+        obfuscated: { type: 'boolean' }
+    }
+};
+
+const motdObject = {
+    type: 'object',
+    properties: {
+        raw: { type: 'array', items: { type: 'string' } },
+        clean: { type: 'array', items: { type: 'string' } },
+        html: { type: 'array', items: { type: 'string' } },
+        spans: { type: 'array', items: { type: 'array', items: motdSpanObject } }
+    }
+};
+
 module.exports = {
-    voteStatsSummaryObject
+    voteStatsSummaryObject,
+    motdObject
 };
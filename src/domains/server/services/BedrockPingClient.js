@@ -0,0 +1,157 @@
+'use strict'
+
+const dgram = require('dgram');
+const net = require('net');
+const dns = require('dns').promises;
+const crypto = require('crypto');
+const { buildMotd } = require('../../../utils/motd');
+
+const DEFAULT_PORT = 19132;
+
+// RakNet "offline message" magic sequence
+const OFFLINE_MAGIC = Buffer.from('00ffff00fefefefefdfdfdfd12345678', 'hex');
+
+const UNCONNECTED_PING = 0x01;
+const UNCONNECTED_PONG = 0x1C;
+
+/**
+ * Bedrock Edition status client
+ * Sends a RakNet unconnected ping over UDP and parses the MCPE server id string
+ */
+class BedrockPingClient {
+    constructor(logger, options = {}) {
+        this.logger = logger;
+        this.timeout = options.timeout || 5000;
+        this.clientGuid = crypto.randomBytes(8);
+    }
+
+    /**
+     * Query Bedrock server status
+     * @param {string} host - Server hostname or IP
+     * @param {number} port - Bedrock (UDP) port
+     * @returns {Promise<Object>} Status in mcsrvstat.us-compatible shape
+     */
+    async ping(host, port = DEFAULT_PORT) {
+        const address = net.isIP(host) ? host : (await dns.lookup(host)).address;
+        const { pong, latency } = await this.sendUnconnectedPing(address, port);
+        const status = BedrockPingClient.parseServerId(pong.serverId);
+
+        return {
+            online: true,
+            hostname: host,
+            port,
+            edition: 'bedrock',
+            protocol: {
+                version: status.protocol,
+                name: status.version
+            },
+            version: status.version,
+            software: status.software,
+            players: {
+                online: status.online,
+                max: status.max
+            },
+            motd: buildMotd([status.motd, status.subMotd].filter(Boolean).join('\n')),
+            gamemode: status.gamemode,
+            icon: null,
+            latency,
+            source: 'raknet'
+        };
+    }
+
+    /**
+     * Send unconnected ping and wait for the matching pong
+     */
+    sendUnconnectedPing(address, port) {
+        return new Promise((resolve, reject) => {
+            const socket = dgram.createSocket(net.isIPv6(address) ? 'udp6' : 'udp4');
+            const startTime = Date.now();
+            let settled = false;
+
+            const finish = (error, result) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timeoutHandle);
+                socket.close();
+                if (error) reject(error);
+                else resolve(result);
+            };
+
+            const timeoutHandle = setTimeout(() => {
+                finish(new Error(`Bedrock ping timeout after ${this.timeout}ms`));
+            }, this.timeout);
+
+            socket.on('message', (message) => {
+                try {
+                    const pong = BedrockPingClient.parseUnconnectedPong(message);
+                    finish(null, { pong, latency: Date.now() - startTime });
+                } catch (error) {
+                    finish(new Error(`Invalid Bedrock pong: ${error.message}`));
+                }
+            });
+
+            socket.on('error', (error) => finish(error));
+
+            const packet = BedrockPingClient.createUnconnectedPing(BigInt(startTime), this.clientGuid);
+            socket.send(packet, port, address, (error) => {
+                if (error) finish(error);
+            });
+        });
+    }
+
+    /**
+     * Build unconnected ping: id, int64 time, magic, int64 client GUID
+     */
+    static createUnconnectedPing(time, clientGuid) {
+        const timeBuffer = Buffer.alloc(8);
+        timeBuffer.writeBigInt64BE(time);
+        return Buffer.concat([Buffer.from([UNCONNECTED_PING]), timeBuffer, OFFLINE_MAGIC, clientGuid]);
+    }
+
+    /**
+     * Parse unconnected pong: id, int64 time, int64 server GUID, magic, uint16 length, server id string
+     */
+    static parseUnconnectedPong(buffer) {
+        if (buffer.length < 35 || buffer[0] !== UNCONNECTED_PONG) {
+            throw new Error('Unexpected packet');
+        }
+
+        if (!buffer.subarray(17, 33).equals(OFFLINE_MAGIC)) {
+            throw new Error('Missing offline magic');
+        }
+
+        const length = buffer.readUInt16BE(33);
+        if (buffer.length < 35 + length) {
+            throw new Error('Truncated server id');
+        }
+
+        return {
+            time: buffer.readBigInt64BE(1),
+            serverGuid: buffer.readBigInt64BE(9),
+            serverId: buffer.toString('utf8', 35, 35 + length)
+        };
+    }
+
+    /**
+     * Parse "MCPE;motd;protocol;version;online;max;guid;sub motd;gamemode;gamemode id;port4;port6;"
+     */
+    static parseServerId(serverId) {
+        const parts = serverId.split(';');
+        if (parts.length < 6) {
+            throw new Error('Malformed server id string');
+        }
+
+        return {
+            software: parts[0] === 'MCEE' ? 'Education Edition' : 'Bedrock',
+            motd: parts[1] || '',
+            protocol: parseInt(parts[2], 10) || null,
+            version: parts[3] || null,
+            online: parseInt(parts[4], 10) || 0,
+            max: parseInt(parts[5], 10) || 0,
+            subMotd: parts[7] || '',
+            gamemode: parts[8] || null
+        };
+    }
+}
+
+module.exports = BedrockPingClient;
@@ -0,0 +1,426 @@
+'use strict'
+
+const net = require('net');
+const dns = require('dns').promises;
+const { buildMotd } = require('../../../utils/motd');
+
+const DEFAULT_PORT = 25565;
+// Status JSON with a 64x64 favicon is far smaller; anything bigger is a hostile server
+const MAX_PACKET_SIZE = 1024 * 1024;
+
+/**
+ * Java Edition Server List Ping client
+ * Speaks the modern status protocol (handshake, status request, ping/pong)
+ * and falls back to the legacy 1.6 0xFE 0x01 ping for old servers
+ */
+class JavaPingClient {
+    constructor(logger, options = {}) {
+        this.logger = logger;
+        this.timeout = options.timeout || 5000;
+        // -1 is the conventional "any version" value used when probing status
+        this.protocolVersion = options.protocolVersion ?? -1;
+        this.resolveSrv = options.resolveSrv !== false;
+    }
+
+    /**
+     * Query server status, trying the modern protocol first and legacy ping second
+     * @param {string} host - Server hostname or IP
+     * @param {number} port - Server port
+     * @returns {Promise<Object>} Status in mcsrvstat.us-compatible shape
+     */
+    async ping(host, port = DEFAULT_PORT) {
+        const target = await this.resolveTarget(host, port);
+
+        try {
+            const status = await this.pingModern(target.host, target.port, host);
+            return this.formatModernStatus(status, host, port);
+        } catch (modernError) {
+            this.logger.debug({
+                host,
+                port,
+                error: modernError.message
+            }, 'Modern status ping failed, trying legacy ping');
+
+            try {
+                const status = await this.pingLegacy(target.host, target.port, host);
+                return this.formatLegacyStatus(status, host, port);
+            } catch (legacyError) {
+                throw new Error(`Native ping failed: ${modernError.message}`);
+            }
+        }
+    }
+
+    /**
+     * Resolve _minecraft._tcp SRV record when the default port is used
+     */
+    async resolveTarget(host, port) {
+        if (!this.resolveSrv || port !== DEFAULT_PORT || net.isIP(host)) {
+            return { host, port };
+        }
+
+        try {
+            const records = await dns.resolveSrv(`_minecraft._tcp.${host}`);
+            if (records.length > 0) {
+                records.sort((a, b) => a.priority - b.priority || b.weight - a.weight);
+                return { host: records[0].name, port: records[0].port };
+            }
+        } catch (error) {
+            // No SRV record - connect directly
+        }
+
+        return { host, port };
+    }
+
+    /**
+     * Modern (1.7+) status ping
+     * @returns {Promise<{response: Object, latency: number|null}>}
+     */
+    pingModern(host, port, handshakeHost = host) {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host, port });
+            let buffer = Buffer.alloc(0);
+            let response = null;
+            let pingSentAt = null;
+            let settled = false;
+
+            const finish = (error, result) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timeoutHandle);
+                socket.destroy();
+                if (error) reject(error);
+                else resolve(result);
+            };
+
+            const timeoutHandle = setTimeout(() => {
+                // Status arrived but pong did not - still a usable result
+                if (response) {
+                    finish(null, { response, latency: null });
+                } else {
+                    finish(new Error(`Connection timeout after ${this.timeout}ms`));
+                }
+            }, this.timeout);
+
+            socket.on('connect', () => {
+                const handshake = JavaPingClient.createPacket(0x00, Buffer.concat([
+                    JavaPingClient.encodeVarInt(this.protocolVersion),
+                    JavaPingClient.encodeString(handshakeHost),
+                    JavaPingClient.encodeUShort(port),
+                    JavaPingClient.encodeVarInt(1)
+                ]));
+                const statusRequest = JavaPingClient.createPacket(0x00, Buffer.alloc(0));
+                socket.write(Buffer.concat([handshake, statusRequest]));
+            });
+
+            socket.on('data', (chunk) => {
+                // Length prefix (at most 5 bytes) plus the largest packet we accept
+                if (buffer.length + chunk.length > MAX_PACKET_SIZE + 5) {
+                    finish(new Error('Status response too large'));
+                    return;
+                }
+                buffer = Buffer.concat([buffer, chunk]);
+
+                try {
+                    let packet;
+                    while ((packet = JavaPingClient.readPacket(buffer)) !== null) {
+                        buffer = buffer.subarray(packet.totalLength);
+
+                        if (!response && packet.id === 0x00) {
+                            const json = JavaPingClient.readString(packet.data, 0).value;
+                            response = JSON.parse(json);
+
+                            const payload = Buffer.alloc(8);
+                            payload.writeBigInt64BE(BigInt(Date.now()));
+                            pingSentAt = Date.now();
+                            socket.write(JavaPingClient.createPacket(0x01, payload));
+                        } else if (response && packet.id === 0x01) {
+                            finish(null, { response, latency: Date.now() - pingSentAt });
+                            return;
+                        }
+                    }
+                } catch (error) {
+                    finish(new Error(`Invalid status response: ${error.message}`));
+                }
+            });
+
+            socket.on('error', (error) => finish(error));
+
+            socket.on('close', () => {
+                if (response) {
+                    finish(null, { response, latency: null });
+                } else {
+                    finish(new Error('Connection closed before status response'));
+                }
+            });
+        });
+    }
+
+    /**
+     * Legacy (1.4 - 1.6) server list ping
+     * @returns {Promise<{response: Object, latency: number}>}
+     */
+    pingLegacy(host, port, handshakeHost = host) {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host, port });
+            const startTime = Date.now();
+            let buffer = Buffer.alloc(0);
+            let settled = false;
+
+            const finish = (error, result) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timeoutHandle);
+                socket.destroy();
+                if (error) reject(error);
+                else resolve(result);
+            };
+
+            const timeoutHandle = setTimeout(() => {
+                finish(new Error(`Legacy ping timeout after ${this.timeout}ms`));
+            }, this.timeout);
+
+            socket.on('connect', () => {
+                socket.write(JavaPingClient.createLegacyRequest(handshakeHost, port));
+            });
+
+            socket.on('data', (chunk) => {
+                if (buffer.length + chunk.length > MAX_PACKET_SIZE) {
+                    finish(new Error('Legacy ping response too large'));
+                    return;
+                }
+                buffer = Buffer.concat([buffer, chunk]);
+                if (buffer.length < 3) return;
+
+                if (buffer[0] !== 0xFF) {
+                    finish(new Error('Invalid legacy ping response'));
+                    return;
+                }
+
+                const length = buffer.readUInt16BE(1);
+                if (buffer.length < 3 + length * 2) return;
+
+                try {
+                    const response = JavaPingClient.parseLegacyResponse(buffer.subarray(0, 3 + length * 2));
+                    finish(null, { response, latency: Date.now() - startTime });
+                } catch (error) {
+                    finish(error);
+                }
+            });
+
+            socket.on('error', (error) => finish(error));
+            socket.on('close', () => finish(new Error('Connection closed before legacy response')));
+        });
+    }
+
+    /**
+     * Convert a modern status response into the stored shape
+     */
+    formatModernStatus({ response, latency }, host, port) {
+        const players = response.players || {};
+        const versionName = response.version?.name || null;
+
+        return {
+            online: true,
+            hostname: host,
+            port,
+            protocol: {
+                version: response.version?.protocol ?? null,
+                name: versionName
+            },
+            version: versionName,
+            software: JavaPingClient.detectSoftware(versionName),
+            players: {
+                online: players.online ?? 0,
+                max: players.max ?? null,
+                list: Array.isArray(players.sample)
+                    ? players.sample.map(p => ({ name: p.name, uuid: p.id }))
+                    : undefined
+            },
+            motd: buildMotd(response.description),
+            icon: typeof response.favicon === 'string' ? response.favicon : null,
+            latency,
+            source: 'native'
+        };
+    }
+
+    /**
+     * Convert a legacy ping response into the stored shape
+     */
+    formatLegacyStatus({ response, latency }, host, port) {
+        return {
+            online: true,
+            hostname: host,
+            port,
+            protocol: {
+                version: response.protocol,
+                name: response.version
+            },
+            version: response.version,
+            software: JavaPingClient.detectSoftware(response.version),
+            players: {
+                online: response.online,
+                max: response.max
+            },
+            motd: buildMotd(response.motd),
+            icon: null,
+            latency,
+            source: 'legacy'
+        };
+    }
+
+    /**
+     * Encode a signed 32-bit integer as a VarInt
+     */
+    static encodeVarInt(value) {
+        const bytes = [];
+        let remaining = value >>> 0;
+
+        do {
+            let byte = remaining & 0x7F;
+            remaining >>>= 7;
+            if (remaining !== 0) byte |= 0x80;
+            bytes.push(byte);
+        } while (remaining !== 0);
+
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * Decode a VarInt at offset
+     * @returns {{value: number, size: number}|null} null when buffer is incomplete
+     */
+    static decodeVarInt(buffer, offset = 0) {
+        let value = 0;
+        let size = 0;
+
+        while (true) {
+            if (offset + size >= buffer.length) return null;
+
+            const byte = buffer[offset + size];
+            value |= (byte & 0x7F) << (7 * size);
+            size++;
+
+            if (size > 5) throw new Error('VarInt is too big');
+            if ((byte & 0x80) === 0) break;
+        }
+
+        return { value: value | 0, size };
+    }
+
+    static encodeString(value) {
+        const data = Buffer.from(value, 'utf8');
+        return Buffer.concat([JavaPingClient.encodeVarInt(data.length), data]);
+    }
+
+    static readString(buffer, offset) {
+        const length = JavaPingClient.decodeVarInt(buffer, offset);
+        if (!length) throw new Error('Truncated string length');
+
+        const start = offset + length.size;
+        const end = start + length.value;
+        if (end > buffer.length) throw new Error('Truncated string');
+
+        return { value: buffer.toString('utf8', start, end), size: end - offset };
+    }
+
+    static encodeUShort(value) {
+        const buffer = Buffer.alloc(2);
+        buffer.writeUInt16BE(value);
+        return buffer;
+    }
+
+    /**
+     * Build a length-prefixed packet
+     */
+    static createPacket(id, data) {
+        const body = Buffer.concat([JavaPingClient.encodeVarInt(id), data]);
+        return Buffer.concat([JavaPingClient.encodeVarInt(body.length), body]);
+    }
+
+    /**
+     * Read one complete packet from the buffer
+     * @returns {{id: number, data: Buffer, totalLength: number}|null} null when more data is needed
+     */
+    static readPacket(buffer) {
+        const length = JavaPingClient.decodeVarInt(buffer, 0);
+        if (!length) return null;
+        if (length.value < 1 || length.value > MAX_PACKET_SIZE) {
+            throw new Error(`Invalid packet length ${length.value}`);
+        }
+
+        const totalLength = length.size + length.value;
+        if (buffer.length < totalLength) return null;
+
+        const body = buffer.subarray(length.size, totalLength);
+        const id = JavaPingClient.decodeVarInt(body, 0);
+        if (!id) throw new Error('Missing packet id');
+
+        return { id: id.value, data: body.subarray(id.size), totalLength };
+    }
+
+    /**
+     * Build the 1.6 legacy ping request (0xFE 0x01 + MC|PingHost plugin message)
+     */
+    static createLegacyRequest(host, port) {
+        const channel = Buffer.from('MC|PingHost', 'utf16le').swap16();
+        const hostData = Buffer.from(host, 'utf16le').swap16();
+
+        const payload = Buffer.alloc(1 + 2 + hostData.length + 4);
+        payload.writeUInt8(78, 0); // protocol version 1.6.4
+        payload.writeUInt16BE(host.length, 1);
+        hostData.copy(payload, 3);
+        payload.writeInt32BE(port, 3 + hostData.length);
+
+        const header = Buffer.alloc(5);
+        header.writeUInt8(0xFE, 0);
+        header.writeUInt8(0x01, 1);
+        header.writeUInt8(0xFA, 2);
+        header.writeUInt16BE('MC|PingHost'.length, 3);
+
+        const payloadLength = Buffer.alloc(2);
+        payloadLength.writeUInt16BE(payload.length);
+
+        return Buffer.concat([header, channel, payloadLength, payload]);
+    }
+
+    /**
+     * Parse a legacy 0xFF kick packet containing server info
+     */
+    static parseLegacyResponse(buffer) {
+        const length = buffer.readUInt16BE(1);
+        const text = Buffer.from(buffer.subarray(3, 3 + length * 2)).swap16().toString('utf16le');
+
+        // 1.4+ format: §1\0protocol\0version\0motd\0online\0max
+        if (text.startsWith('§1\u0000')) {
+            const parts = text.split('\u0000');
+            return {
+                protocol: parseInt(parts[1], 10) || null,
+                version: parts[2] || null,
+                motd: parts[3] || '',
+                online: parseInt(parts[4], 10) || 0,
+                max: parseInt(parts[5], 10) || 0
+            };
+        }
+
+        // Beta 1.8 - 1.3 format: motd§online§max
+        const parts = text.split('§');
+        return {
+            protocol: null,
+            version: null,
+            motd: parts.slice(0, -2).join('§'),
+            online: parseInt(parts[parts.length - 2], 10) || 0,
+            max: parseInt(parts[parts.length - 1], 10) || 0
+        };
+    }
+
+    /**
+     * Guess server software from a version string like "Paper 1.20.4"
+     */
+    static detectSoftware(versionName) {
+        if (typeof versionName !== 'string') return null;
+        const match = versionName.match(/^([A-Za-z][\w-]*)\s+\d/);
+        return match ? match[1] : null;
+    }
+}
+
+module.exports = JavaPingClient;
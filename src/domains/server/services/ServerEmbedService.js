@@ -0,0 +1,336 @@
+'use strict'
+
+const crypto = require('crypto');
+const ErrorHandler = require('../../../lib/ErrorHandler');
+const ServerDTO = require('../dto/ServerDTO');
+const { normalizeMotd, escapeHtml } = require('../../../utils/motd');
+
+const THEMES = {
+    light: { background: '#ffffff', text: '#1f2933', muted: '#6b7280', border: '#e5e7eb', accent: '#16a34a', accentText: '#ffffff' },
+    dark: { background: '#111827', text: '#f9fafb', muted: '#9ca3af', border: '#374151', accent: '#22c55e', accentText: '#052e16' }
+};
+
+const WIDGET_SIZES = {
+    status: { width: 360, height: 150 },
+    vote_button: { width: 240, height: 64 }
+};
+
+// Refreshes the status widget from the JSON feed next to it
+const STATUS_SCRIPT = `(function () {
+  var field = function (name, value) {
+    var el = document.querySelector('[data-field="' + name + '"]');
+    if (el) el.textContent = value;
+  };
+  setInterval(function () {
+    fetch('status.json', { credentials: 'omit' })
+      .then(function (res) { return res.ok ? res.json() : null; })
+      .then(function (body) {
+        if (!body || !body.data) return;
+        var s = body.data;
+        document.body.setAttribute('data-online', s.online ? 'true' : 'false');
+        field('status', s.online ? 'Veikia' : 'Neveikia');
+        field('players', s.players.online + (s.players.max != null ? ' / ' + s.players.max : ''));
+        if (s.rank) field('rank', '#' + s.rank);
+      })
+      .catch(function () {});
+  }, 60000);
+})();`;
+
+/**
+ * Server Embed Service
+ * Status and vote-button widgets that server owners put on their own sites,
+ * plus the JSON feed behind them. Owners may restrict which sites can frame
+ * the widgets or read the feed; an empty list allows any site.
+ */
+class ServerEmbedService {
+    constructor(serverRepository, configService, logger, options = {}) {
+        this.serverRepository = serverRepository;
+        this.configService = configService;
+        this.logger = logger;
+        this.frontendUrl = (options.frontendUrl || 'https://mclist.lt').replace(/\/+$/, '');
+        this.apiUrl = (options.apiUrl || this.frontendUrl).replace(/\/+$/, '');
+    }
+
+    static get THEMES() {
+        return Object.keys(THEMES);
+    }
+
+    /**
+     * Canonical origin (scheme://host[:port]) for an owner-entered site address.
+     * Paths, queries and credentials are rejected rather than silently dropped.
+     * @returns {string|null}
+     */
+    static normalizeOrigin(value) {
+        if (typeof value !== 'string') return null;
+
+        let url;
+        try {
+            url = new URL(value.trim());
+        } catch (error) {
+            return null;
+        }
+
+        if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) return null;
+        if ((url.pathname && url.pathname !== '/') || url.search || url.hash) return null;
+
+        return url.origin;
+    }
+
+    /**
+     * Requests without an Origin header (direct visits, same-origin GETs) are always allowed
+     */
+    static isOriginAllowed(allowedOrigins, origin) {
+        if (!origin || !allowedOrigins || allowedOrigins.length === 0) return true;
+        const normalized = ServerEmbedService.normalizeOrigin(origin);
+        return normalized !== null && allowedOrigins.includes(normalized);
+    }
+
+    /**
+     * Content-Security-Policy for a widget page. Inline style/script are pinned by hash;
+     * style attributes stay allowed for MOTD colors, which are validated hex values.
+     */
+    static contentSecurityPolicy(allowedOrigins, { style, script = null, imageOrigin = null }) {
+        const hash = (source) => `'sha256-${crypto.createHash('sha256').update(source, 'utf8').digest('base64')}'`;
+        const ancestors = allowedOrigins && allowedOrigins.length ? allowedOrigins.join(' ') : '*';
+
+        return [
+            "default-src 'none'",
+            `img-src 'self' data:${imageOrigin ? ` ${imageOrigin}` : ''}`,
+            `style-src-elem ${hash(style)}`,
+            "style-src-attr 'unsafe-inline'",
+            `script-src ${script ? hash(script) : "'none'"}`,
+            "connect-src 'self'",
+            "base-uri 'none'",
+            "form-action 'none'",
+            `frame-ancestors ${ancestors}`
+        ].join('; ');
+    }
+
+    /**
+     * Widget data for a server, or null when it is unknown, inactive or embeds are off
+     * @returns {Promise<{status: Object, allowedOrigins: string[]}|null>}
+     */
+    async getWidget(serverId) {
+        if (!await this.configService.get('server.embed_enabled', true)) {
+            return null;
+        }
+
+        const row = await this.serverRepository.findBannerData({ id: serverId });
+        if (!row || !row.is_active) {
+            return null;
+        }
+
+        return {
+            status: this.toStatus(row),
+            allowedOrigins: row.embed_allowed_origins || []
+        };
+    }
+
+    /**
+     * Public feed shape shared by the JSON endpoint and the HTML widgets
+     */
+    toStatus(row) {
+        const data = row.data || {};
+        const online = data.online === true;
+        const slug = row.slug || null;
+        const serverUrl = slug ? `${this.frontendUrl}/servers/${encodeURIComponent(slug)}` : this.frontendUrl;
+        const updatedAt = row.data_created_at || null;
+        const motd = normalizeMotd(data.motd);
+
+        return {
+            id: row.id,
+            name: row.name,
+            address: new ServerDTO(row).getAddress(),
+            slug,
+            online,
+            players: {
+                online: online ? (data.players?.online || 0) : 0,
+                max: data.players?.max ?? row.max_players ?? null
+            },
+            version: data.version || row.version || null,
+            motd: { clean: motd?.clean || [], html: motd?.html || [] },
+            rank: Number(row.total_votes) > 0 ? Number(row.vote_rank) : null,
+            total_votes: Number(row.total_votes) || 0,
+            icon_url: this.absoluteUrl(ServerDTO.getIconUrl(row)),
+            server_url: serverUrl,
+            vote_url: `${serverUrl}#vote`,
+            banner_url: `${this.apiUrl}/api/v1/servers/${row.id}/banner.png`,
+            updated_at: updatedAt ? new Date(updatedAt).toISOString() : null
+        };
+    }
+
+    absoluteUrl(path) {
+        return typeof path === 'string' && path.startsWith('/') ? `${this.apiUrl}${path}` : path;
+    }
+
+    /**
+     * Status card: icon, name, address, online state, players, version, MOTD and rank
+     * @returns {{html: string, csp: string}}
+     */
+    renderStatusWidget(widget, theme = 'light') {
+        const { status } = widget;
+        const style = ServerEmbedService.widgetStyle(theme);
+        const players = status.players.online + (status.players.max != null ? ` / ${status.players.max}` : '');
+        const icon = status.icon_url
+            ? `<img class="icon" src="${escapeHtml(status.icon_url)}" alt="" width="48" height="48">`
+            : '';
+        const motd = status.motd.html.length
+            ? `<div class="motd">${status.motd.html.map(line => `<div>${line || '&nbsp;'}</div>`).join('')}</div>`
+            : '';
+
+        const body = `<a class="card" href="${escapeHtml(status.server_url)}" target="_blank" rel="noopener">
+<div class="head">${icon}<div class="title"><div class="name">${escapeHtml(status.name)}</div><div class="address">${escapeHtml(status.address)}</div></div>
+<div class="rank" data-field="rank">${status.rank ? `#${status.rank}` : ''}</div></div>
+${motd}
+<div class="stats"><span class="state"><span class="dot"></span><span data-field="status">${status.online ? 'Veikia' : 'Neveikia'}</span></span>
+<span>Žaidėjai: <b data-field="players">${escapeHtml(players)}</b></span>${status.version ? `<span>${escapeHtml(status.version)}</span>` : ''}</div>
+</a>`;
+
+        return {
+            html: ServerEmbedService.page(status, style, body, STATUS_SCRIPT),
+            csp: ServerEmbedService.contentSecurityPolicy(widget.allowedOrigins, {
+                style,
+                script: STATUS_SCRIPT,
+                imageOrigin: new URL(this.apiUrl).origin
+            })
+        };
+    }
+
+    /**
+     * Vote button linking to the server's vote form on the site
+     * @returns {{html: string, csp: string}}
+     */
+    renderVoteButton(widget, theme = 'light') {
+        const { status } = widget;
+        const style = ServerEmbedService.widgetStyle(theme);
+        const votes = `${status.total_votes} ${ServerEmbedService.votesLabel(status.total_votes)}${status.rank ? ` · #${status.rank}` : ''}`;
+
+        const body = `<a class="vote" href="${escapeHtml(status.vote_url)}" target="_blank" rel="noopener" title="Balsuoti už ${escapeHtml(status.name)}">
+<span class="label">Balsuoti</span><span class="votes">${escapeHtml(votes)}</span>
+</a>`;
+
+        return {
+            html: ServerEmbedService.page(status, style, body, null),
+            csp: ServerEmbedService.contentSecurityPolicy(widget.allowedOrigins, { style })
+        };
+    }
+
+    /**
+     * Lithuanian plural: 1 balsas, 2 balsai, 10 balsų, 21 balsas
+     */
+    static votesLabel(count) {
+        const lastTwo = count % 100;
+        const last = count % 10;
+        if (lastTwo >= 10 && lastTwo <= 20) return 'balsų';
+        if (last === 1) return 'balsas';
+        return last === 0 ? 'balsų' : 'balsai';
+    }
+
+    static page(status, style, body, script) {
+        return `<!DOCTYPE html>
+<html lang="lt">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(status.name)}</title>
+<style>${style}</style>
+</head>
+<body data-online="${status.online ? 'true' : 'false'}">
+${body}
+${script ? `<script>${script}</script>` : ''}
+</body>
+</html>`;
+    }
+
+    static widgetStyle(theme) {
+        const t = THEMES[theme] || THEMES.light;
+        return `*{box-sizing:border-box}html,body{margin:0;padding:0;background:transparent}`
+            + `body{font:13px/1.4 system-ui,-apple-system,"Segoe UI",Roboto,sans-serif;color:${t.text}}`
+            + `a{color:inherit;text-decoration:none}`
+            + `.card{display:block;padding:10px 12px;background:${t.background};border:1px solid ${t.border};border-radius:8px}`
+            + `.head{display:flex;align-items:center;gap:10px}.icon{width:48px;height:48px;image-rendering:pixelated;border-radius:4px}`
+            + `.title{flex:1;min-width:0}.name{font-weight:600;font-size:15px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}`
+            + `.address{color:${t.muted};font-family:ui-monospace,monospace;font-size:12px}.rank{font-weight:700;color:${t.accent}}`
+            + `.motd{margin:8px 0;padding:6px 8px;background:#1e1e1e;color:#aaaaaa;border-radius:4px;font-family:ui-monospace,monospace;font-size:12px;white-space:pre;overflow:hidden}`
+            + `.motd-obfuscated{filter:blur(2px)}`
+            + `.stats{display:flex;gap:12px;flex-wrap:wrap;color:${t.muted}}.stats b{color:${t.text}}`
+            + `.state{display:inline-flex;align-items:center;gap:5px}.dot{width:8px;height:8px;border-radius:50%;background:#dc2626}`
+            + `body[data-online="true"] .dot{background:#16a34a}`
+            + `.vote{display:flex;align-items:center;justify-content:space-between;gap:10px;padding:10px 14px;background:${t.accent};color:${t.accentText};border-radius:8px;font-weight:600}`
+            + `.vote:hover{filter:brightness(1.08)}.votes{font-weight:400;font-size:12px;opacity:.85}`;
+    }
+
+    /**
+     * Embed settings for the owner's dashboard
+     */
+    async getSettings(serverId, userId, userRole) {
+        await this.assertCanEdit(serverId, userId, userRole);
+        const origins = await this.serverRepository.getEmbedOrigins(serverId);
+        return this.settingsToJSON(serverId, origins || []);
+    }
+
+    /**
+     * Replace the list of sites allowed to embed the widgets
+     */
+    async updateSettings(serverId, allowedOrigins, userId, userRole) {
+        await this.assertCanEdit(serverId, userId, userRole);
+
+        const origins = [];
+        for (const value of allowedOrigins || []) {
+            const origin = ServerEmbedService.normalizeOrigin(value);
+            if (!origin) {
+                throw ErrorHandler.createValidationError(
+                    { allowed_origins: `Netinkamas svetainės adresas: ${value}. Nurodykite pvz. https://example.lt` }
+                );
+            }
+            if (!origins.includes(origin)) origins.push(origin);
+        }
+
+        const maxOrigins = await this.configService.get('server.embed_max_origins', 10);
+        if (origins.length > maxOrigins) {
+            throw ErrorHandler.createValidationError(
+                { allowed_origins: `Galima nurodyti ne daugiau kaip ${maxOrigins} svetainių` }
+            );
+        }
+
+        const saved = await this.serverRepository.updateEmbedOrigins(serverId, origins);
+        this.logger.info({ serverId, userId, origins: origins.length }, 'Server embed origins updated');
+
+        return this.settingsToJSON(serverId, saved || origins);
+    }
+
+    async assertCanEdit(serverId, userId, userRole) {
+        const server = await this.serverRepository.findById(serverId);
+        if (!server) {
+            throw ErrorHandler.createError('Serveris nerastas', 404, 'SERVER_NOT_FOUND');
+        }
+        if (!server.isOwnedBy(userId) && userRole !== 'admin') {
+            throw ErrorHandler.createError('Galite redaguoti tik savo sukurtus serverius', 403, 'INSUFFICIENT_PERMISSIONS');
+        }
+        return server;
+    }
+
+    settingsToJSON(serverId, origins) {
+        const base = `${this.apiUrl}/embed/servers/${serverId}`;
+        const iframe = (path, title, { width, height }) =>
+            `<iframe src="${base}/${path}" width="${width}" height="${height}" style="border:0" loading="lazy" title="${title}"></iframe>`;
+
+        return {
+            allowed_origins: origins,
+            feed_url: `${base}/status.json`,
+            widgets: {
+                status: {
+                    url: `${base}/status`,
+                    snippet: iframe('status', 'Serverio būsena', WIDGET_SIZES.status)
+                },
+                vote_button: {
+                    url: `${base}/vote-button`,
+                    snippet: iframe('vote-button', 'Balsuoti už serverį', WIDGET_SIZES.vote_button)
+                }
+            },
+            themes: ServerEmbedService.THEMES
+        };
+    }
+}
+
+module.exports = ServerEmbedService;
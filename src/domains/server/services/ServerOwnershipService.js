@@ -0,0 +1,299 @@
+'use strict'
+
+const crypto = require('crypto');
+const net = require('net');
+const dns = require('dns');
+const ErrorHandler = require('../../../lib/ErrorHandler');
+
+const TOKEN_PREFIX = 'mclist-verify-';
+const DNS_RECORD_PREFIX = '_mclist-verify';
+const CLAIM_METHODS = ['motd', 'dns'];
+
+/**
+ * Server Ownership Service
+ * A claimant proves control of a host:port by putting an issued token into the
+ * server MOTD or a DNS TXT record. A verified claim marks the server verified and,
+ * when the claimant is not the current owner, transfers the listing to them.
+ */
+class ServerOwnershipService {
+    constructor(serverOwnershipRepository, serverRepository, configService, logger, dnsResolver = dns.promises) {
+        this.serverOwnershipRepository = serverOwnershipRepository;
+        this.serverRepository = serverRepository;
+        this.configService = configService;
+        this.logger = logger;
+        this.dnsResolver = dnsResolver;
+    }
+
+    static generateToken() {
+        return TOKEN_PREFIX + crypto.randomBytes(8).toString('hex');
+    }
+
+    static dnsRecordName(host) {
+        return `${DNS_RECORD_PREFIX}.${host}`;
+    }
+
+    /**
+     * Whether any MOTD line (clean or raw) contains the token
+     */
+    static motdContainsToken(motd, token) {
+        if (!motd || !token) {
+            return false;
+        }
+
+        const lines = typeof motd === 'string'
+            ? [motd]
+            : [...(motd.clean || []), ...(motd.raw || [])];
+
+        return lines.some(line => typeof line === 'string' && line.toLowerCase().includes(token));
+    }
+
+    static claimToJSON(claim, { includeToken = false } = {}) {
+        const json = {
+            id: claim.id,
+            server_id: claim.server_id,
+            user_id: claim.user_id,
+            method: claim.method,
+            status: claim.status,
+            is_transfer: claim.previous_owner_id !== null && claim.previous_owner_id !== undefined,
+            previous_owner_id: claim.previous_owner_id ?? null,
+            note: claim.note ?? null,
+            expires_at: claim.expires_at,
+            verified_at: claim.verified_at ?? null,
+            created_at: claim.created_at
+        };
+
+        if (claim.server_name !== undefined) {
+            json.server = { id: claim.server_id, name: claim.server_name, host: claim.host, port: claim.port };
+        }
+        if (claim.user_email !== undefined) {
+            json.user_email = claim.user_email;
+        }
+
+        if (includeToken) {
+            json.token = claim.token;
+            json.instructions = claim.method === 'dns'
+                ? `Sukurkite TXT įrašą ${ServerOwnershipService.dnsRecordName(claim.host)} su reikšme ${claim.token}`
+                : `Įrašykite ${claim.token} į serverio MOTD ir paspauskite „Tikrinti“`;
+        }
+
+        return json;
+    }
+
+    log(level, data, message) {
+        if (this.logger) {
+            this.logger[level](data, message);
+        }
+    }
+
+    async getServerOrFail(serverId) {
+        const server = await this.serverRepository.findById(serverId);
+        if (!server) {
+            throw ErrorHandler.createError('Serveris nerastas', 404, 'SERVER_NOT_FOUND');
+        }
+        return server;
+    }
+
+    /**
+     * Verification state of a server plus the user's latest claim for it
+     */
+    async getOwnershipStatus(serverId, userId) {
+        const server = await this.getServerOrFail(serverId);
+        const claim = await this.serverOwnershipRepository.findLatestClaim(serverId, userId);
+
+        return {
+            server_id: server.id,
+            is_verified: server.is_verified,
+            verified_at: server.verified_at,
+            is_owner: server.isOwnedBy(userId),
+            claim: claim ? ServerOwnershipService.claimToJSON(claim, { includeToken: claim.status === 'pending' }) : null
+        };
+    }
+
+    /**
+     * Issue a verification token. Anyone may claim a listing: the owner to get it
+     * verified, anybody else to dispute it and have it transferred once proven.
+     */
+    async createClaim(serverId, userId, method = 'motd') {
+        if (!CLAIM_METHODS.includes(method)) {
+            throw ErrorHandler.badRequest('Neteisingas patvirtinimo būdas');
+        }
+
+        const server = await this.getServerOrFail(serverId);
+
+        if (server.is_verified && server.isOwnedBy(userId)) {
+            throw ErrorHandler.createError('Serverio nuosavybė jau patvirtinta', 409, 'ALREADY_VERIFIED');
+        }
+        if (method === 'dns' && net.isIP(server.host)) {
+            throw ErrorHandler.createError('DNS patvirtinimas negalimas serveriams su IP adresu', 400, 'DNS_NOT_AVAILABLE');
+        }
+
+        const ttlHours = await this.configService.get('server.ownership_claim_ttl_hours', 72);
+        const claim = await this.serverOwnershipRepository.createClaim({
+            serverId,
+            userId,
+            token: ServerOwnershipService.generateToken(),
+            method,
+            previousOwnerId: server.isOwnedBy(userId) ? null : server.created_by,
+            expiresAt: new Date(Date.now() + ttlHours * 3600 * 1000)
+        });
+
+        this.log('info', { serverId, userId, method, claimId: claim.id, transfer: !server.isOwnedBy(userId) }, 'Server ownership claim created');
+
+        return ServerOwnershipService.claimToJSON({ ...claim, host: server.host }, { includeToken: true });
+    }
+
+    /**
+     * The user's latest claim if it is verified or still pending and unexpired
+     */
+    async findOpenClaim(serverId, userId) {
+        const claim = await this.serverOwnershipRepository.findLatestClaim(serverId, userId);
+        if (!claim) {
+            throw ErrorHandler.createError('Nuosavybės patvirtinimo užklausa nerasta', 404, 'CLAIM_NOT_FOUND');
+        }
+
+        if (claim.status !== 'verified' && claim.status !== 'pending') {
+            throw ErrorHandler.createError('Nuosavybės patvirtinimo užklausa nebegalioja', 400, 'CLAIM_CLOSED');
+        }
+        if (claim.status === 'pending' && new Date(claim.expires_at) <= new Date()) {
+            await this.serverOwnershipRepository.updateClaimStatus(claim.id, { status: 'expired' });
+            throw ErrorHandler.createError('Patvirtinimo kodo galiojimas baigėsi, sukurkite naują', 400, 'CLAIM_EXPIRED');
+        }
+
+        return claim;
+    }
+
+    /**
+     * Check the user's pending claim. MOTD claims are matched by the ping itself,
+     * so callers force a fresh ping first; DNS claims are looked up here.
+     */
+    async verifyClaim(serverId, userId) {
+        const claim = await this.findOpenClaim(serverId, userId);
+        if (claim.status === 'verified') {
+            return ServerOwnershipService.claimToJSON(claim);
+        }
+
+        if (claim.method === 'dns' && await this.dnsHasToken(claim.host, claim.token)) {
+            return ServerOwnershipService.claimToJSON(await this.completeClaim(claim.id));
+        }
+
+        throw ErrorHandler.createError(
+            claim.method === 'dns'
+                ? 'Patvirtinimo kodas DNS TXT įraše nerastas'
+                : 'Patvirtinimo kodas serverio MOTD nerastas',
+            400,
+            'TOKEN_NOT_FOUND'
+        );
+    }
+
+    async dnsHasToken(host, token) {
+        try {
+            const records = await this.dnsResolver.resolveTxt(ServerOwnershipService.dnsRecordName(host));
+            return records.some(chunks => chunks.join('').trim().toLowerCase() === token);
+        } catch (error) {
+            this.log('debug', { host, error: error.message }, 'Ownership TXT lookup failed');
+            return false;
+        }
+    }
+
+    /**
+     * Called by the ping service with each fresh status; completes pending MOTD claims whose token shows up
+     * @returns {Promise<Object|null>} The completed claim
+     */
+    async detectMotdToken(serverId, motd) {
+        if (!motd) {
+            return null;
+        }
+
+        const pending = await this.serverOwnershipRepository.findPendingClaims(serverId, 'motd');
+        const match = pending.find(claim => ServerOwnershipService.motdContainsToken(motd, claim.token));
+
+        return match ? await this.completeClaim(match.id) : null;
+    }
+
+    /**
+     * Verify a claim: the claimant becomes the verified owner and competing claims are closed
+     * @param {number|null} resolvedBy - Admin who approved the claim without proof
+     */
+    async completeClaim(claimId, resolvedBy = null, note = null) {
+        const claim = await this.serverOwnershipRepository.db.transaction(async (client) => {
+            const current = await this.serverOwnershipRepository.findClaim(claimId, client, true);
+            if (!current) {
+                throw ErrorHandler.createError('Nuosavybės patvirtinimo užklausa nerasta', 404, 'CLAIM_NOT_FOUND');
+            }
+            if (current.status !== 'pending') {
+                throw ErrorHandler.createError('Nuosavybės patvirtinimo užklausa nebegalioja', 400, 'CLAIM_CLOSED');
+            }
+
+            await this.serverOwnershipRepository.assignVerifiedOwner(current.server_id, current.user_id, client);
+            await this.serverOwnershipRepository.rejectOtherClaims(current.server_id, current.id, 'Nuosavybę patvirtino kitas naudotojas', client);
+            const updated = await this.serverOwnershipRepository.updateClaimStatus(current.id, { status: 'verified', resolvedBy, note }, client);
+
+            return { ...current, ...updated };
+        });
+
+        const transferred = claim.current_owner_id !== claim.user_id;
+        this.log('info', {
+            claimId,
+            serverId: claim.server_id,
+            userId: claim.user_id,
+            previousOwnerId: transferred ? claim.current_owner_id : null,
+            resolvedBy
+        }, transferred ? 'Server listing transferred to verified owner' : 'Server ownership verified');
+
+        return claim;
+    }
+
+    /**
+     * Admin: list claims, newest first
+     */
+    async listClaims(query = {}) {
+        const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+        const page = Math.max(parseInt(query.page) || 1, 1);
+        const filters = {
+            status: query.status || null,
+            serverId: query.server_id ? parseInt(query.server_id) : null,
+            disputed: query.disputed === true || query.disputed === 'true'
+        };
+
+        const [rows, total] = await Promise.all([
+            this.serverOwnershipRepository.findClaims(filters, limit, (page - 1) * limit),
+            this.serverOwnershipRepository.countClaims(filters)
+        ]);
+
+        return {
+            claims: rows.map(row => ServerOwnershipService.claimToJSON(row)),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+                hasNext: page * limit < total,
+                hasPrev: page > 1
+            }
+        };
+    }
+
+    /**
+     * Admin: settle a dispute by approving or rejecting a pending claim
+     */
+    async resolveClaim(claimId, adminId, approve, note = null) {
+        if (approve) {
+            return ServerOwnershipService.claimToJSON(await this.completeClaim(claimId, adminId, note));
+        }
+
+        const claim = await this.serverOwnershipRepository.findClaim(claimId);
+        if (!claim) {
+            throw ErrorHandler.createError('Nuosavybės patvirtinimo užklausa nerasta', 404, 'CLAIM_NOT_FOUND');
+        }
+        if (claim.status !== 'pending') {
+            throw ErrorHandler.createError('Nuosavybės patvirtinimo užklausa nebegalioja', 400, 'CLAIM_CLOSED');
+        }
+
+        const updated = await this.serverOwnershipRepository.updateClaimStatus(claimId, { status: 'rejected', resolvedBy: adminId, note });
+        this.log('info', { claimId, adminId }, 'Server ownership claim rejected');
+
+        return ServerOwnershipService.claimToJSON({ ...claim, ...updated });
+    }
+}
+
+module.exports = ServerOwnershipService;
@@ -1,46 +1,56 @@
 'use strict';
 
 const DateUtils = require('../../../utils/dateUtils');
+const ErrorHandler = require('../../../lib/ErrorHandler');
+const { normalizeMotd } = require('../../../utils/motd');
+const JavaPingClient = require('./JavaPingClient');
+const BedrockPingClient = require('./BedrockPingClient');
 
 /**
- * Minecraft Server Ping Service using mcsrvstat.us API
- * Simple and reliable server status checking with rich data
+ * Minecraft Server Ping Service
+ * Queries servers directly via Server List Ping, with mcsrvstat.us as an optional fallback
  */
 class ServerPingService {
-    constructor(serverRepository, serverDataRepository, configService, logger) {
+    constructor(serverRepository, serverDataRepository, configService, logger, faviconUtils = null, serverOwnershipService = null) {
         this.serverRepository = serverRepository;
         this.serverDataRepository = serverDataRepository;
         this.configService = configService;
         this.logger = logger;
+        this.faviconUtils = faviconUtils;
+        this.serverOwnershipService = serverOwnershipService;
         this.activePings = new Set();
 
-        // mcsrvstat.us API configuration
+        // Native status clients (Java SLP over TCP, Bedrock RakNet over UDP)
+        this.javaPingClient = new JavaPingClient(logger, { timeout: 5000 });
+        this.bedrockPingClient = new BedrockPingClient(logger, { timeout: 5000 });
+
+        // mcsrvstat.us API configuration (fallback only, see ping.external_fallback)
         this.apiBaseUrl = 'https://api.mcsrvstat.us/3';
         this.requestTimeout = 10000; // 10 seconds
-        this.maxConcurrentPings = 20; // Lower since we're using external API
+        this.maxConcurrentPings = 20;
         this.retryAttempts = 2;
         this.retryDelay = 2000; // 2 seconds between retries
 
-        // Cache settings (mcsrvstat.us caches for 5 minutes)
+        // Cache settings
         this.cacheInterval = 5 * 60 * 1000; // 5 minutes in milliseconds
         // Scheduler drift buffer to avoid boundary issues where last ping is a second after the batch start
         this.schedulerDriftBufferMs = 10 * 1000; // 10 seconds
     }
 
     /**
-     * Ping a server by ID using mcsrvstat.us API
+     * Ping a server by ID
      */
     async pingServer(serverId, options = {}) {
         const startTime = Date.now();
 
         try {
             if (this.activePings.size >= this.maxConcurrentPings) {
-                throw new Error('Too many concurrent pings - rate limited');
+                throw ErrorHandler.createError('Per daug vienu metu tikrinamų serverių, bandykite vėliau', 429, 'PING_RATE_LIMITED');
             }
 
             const server = await this.serverRepository.findById(serverId);
             if (!server) {
-                throw new Error('Server not found');
+                throw ErrorHandler.createError('Serveris nerastas', 404, 'SERVER_NOT_FOUND');
             }
 
             this.activePings.add(serverId);
@@ -52,7 +62,7 @@ class ServerPingService {
                 return this.formatServerResponse(recentData);
             }
 
-            // Fetch fresh data from API
+            // Fetch fresh status
             for (let attempt = 0; attempt <= this.retryAttempts; attempt++) {
                 try {
                     if (attempt > 0) {
@@ -60,7 +70,7 @@ class ServerPingService {
                         this.logger.debug({ serverId, attempt }, 'Retrying server ping');
                     }
 
-                    const apiData = await this.fetchServerStatus(server.host, server.port);
+                    const apiData = await this.fetchStatusForServer(server);
                     const serverData = await this.processAndStoreServerData(serverId, apiData);
                     const pingTime = Date.now() - startTime;
 
@@ -89,6 +99,11 @@ class ServerPingService {
             }
 
         } catch (error) {
+            // Request errors say nothing about the server; do not record it as offline
+            if (error.statusCode) {
+                throw error;
+            }
+
             const pingTime = Date.now() - startTime;
             await this.handlePingError(serverId, error, pingTime);
 
@@ -112,7 +127,7 @@ class ServerPingService {
     }
 
     /**
-     * Normalize mcsrvstat.us payload to our stored schema
+     * Normalize status payload (native ping or mcsrvstat.us) to our stored schema
      */
     normalizeApiData(apiData) {
         // Online flag
@@ -146,31 +161,103 @@ class ServerPingService {
             }
         }
 
-        // MOTD
-        const motd = apiData.motd ? {
-            raw: Array.isArray(apiData.motd.raw) ? apiData.motd.raw : [],
-            clean: Array.isArray(apiData.motd.clean) ? apiData.motd.clean : [],
-            html: Array.isArray(apiData.motd.html) ? apiData.motd.html : []
-        } : null;
+        // MOTD: re-rendered from the raw lines so stored HTML is always our escaped output.
+        // Spans are derived again on read, so they are not stored with every ping.
+        let motd = null;
+        if (apiData.motd) {
+            const { spans, ...rendered } = normalizeMotd(apiData.motd);
+            motd = rendered;
+        }
 
         // Software and icon
         const software = apiData.software || null;
         const icon = apiData.icon || null;
 
-        return {
+        // Round-trip latency is only known for native pings
+        const latency = Number.isFinite(apiData.latency) ? apiData.latency : null;
+
+        const normalized = {
             online,
             players,
             version,
+            protocol: Number.isInteger(apiData.protocol?.version) ? apiData.protocol.version : null,
+            edition: apiData.edition || 'java',
             motd,
             software,
-            icon
+            icon,
+            latency
         };
+
+        // Servers accepting both editions keep the Bedrock side alongside the primary result
+        if (apiData.bedrock) {
+            normalized.bedrock = this.normalizeApiData(apiData.bedrock);
+        }
+
+        return normalized;
     }
 
     /**
-     * Fetch server status from mcsrvstat.us API
+     * Fetch status according to the server's edition
+     */
+    async fetchStatusForServer(server) {
+        const edition = server.edition || 'java';
+
+        if (edition === 'bedrock') {
+            return await this.fetchBedrockStatus(server.host, server.bedrock_port || server.port);
+        }
+
+        if (edition === 'both') {
+            const [javaStatus, bedrockStatus] = await Promise.all([
+                this.fetchServerStatus(server.host, server.port),
+                this.fetchBedrockStatus(server.host, server.bedrock_port || 19132)
+            ]);
+
+            // Prefer the Java result; fall back to Bedrock when only that side answers
+            const primary = javaStatus.online || !bedrockStatus.online ? javaStatus : bedrockStatus;
+            return { ...primary, bedrock: bedrockStatus };
+        }
+
+        return await this.fetchServerStatus(server.host, server.port);
+    }
+
+    /**
+     * Fetch Bedrock status via RakNet unconnected ping
+     */
+    async fetchBedrockStatus(host, port = 19132) {
+        try {
+            return await this.bedrockPingClient.ping(host, port);
+        } catch (error) {
+            this.logger.debug({ host, port, error: error.message }, 'Bedrock ping failed, server offline');
+            return { online: false, edition: 'bedrock', error: error.message, source: 'raknet' };
+        }
+    }
+
+    /**
+     * Fetch Java status via native ping, falling back to mcsrvstat.us when enabled
      */
     async fetchServerStatus(host, port = 25565) {
+        try {
+            return await this.javaPingClient.ping(host, port);
+        } catch (error) {
+            const useFallback = this.configService
+                ? await this.configService.get('ping.external_fallback', false)
+                : false;
+
+            if (useFallback) {
+                this.logger.debug({ host, port, error: error.message }, 'Native ping failed, using external API');
+                return await this.fetchExternalServerStatus(host, port);
+            }
+
+            // Unreachable server is a valid offline result, not a ping failure
+            this.logger.debug({ host, port, error: error.message }, 'Native ping failed, server offline');
+            return { online: false, error: error.message, source: 'native' };
+        }
+    }
+
+    /**
+     * Fetch server status from mcsrvstat.us API
+     */
+    async fetchExternalServerStatus(host, port = 25565) {
         const serverAddress = port === 25565 ? host : `${host}:${port}`;
         const apiUrl = `${this.apiBaseUrl}/${encodeURIComponent(serverAddress)}`;
 
@@ -229,9 +316,13 @@ class ServerPingService {
                 throw new Error('API data is null or undefined');
             }
 
-            // Normalize external API data into our stable shape
+            // Normalize status data into our stable shape
             const normalized = this.normalizeApiData(apiData);
 
+            // Icons go to disk; samples keep no base64 copy
+            const favicon = await this.storeFavicon(serverId, normalized.icon);
+            delete normalized.icon;
+
             const serverData = {
                 server_id: serverId,
                 data: normalized
@@ -239,6 +330,8 @@ class ServerPingService {
 
             await this.serverDataRepository.insert(serverData);
 
+            await this.detectOwnershipToken(serverId, normalized.motd);
+
             // Update server's max_players if available and different
             if (apiData.online && apiData.players?.max) {
                 const server = await this.serverRepository.findById(serverId);
@@ -249,18 +342,94 @@ class ServerPingService {
                 }
             }
 
-            return serverData;
+            return { ...serverData, favicon };
 
         } catch (error) {
             this.logger.error({
                 serverId,
                 error: error.message,
-                apiDataKeys: Object.keys(apiData)
+                apiDataKeys: Object.keys(apiData || {})
             }, 'Failed to store server data');
             throw error;
         }
     }
 
+    /**
+     * Complete pending ownership claims whose token shows up in the MOTD.
+     * A failed check never fails the ping.
+     */
+    async detectOwnershipToken(serverId, motd) {
+        if (!this.serverOwnershipService || !motd) {
+            return;
+        }
+
+        try {
+            await this.serverOwnershipService.detectMotdToken(serverId, motd);
+        } catch (error) {
+            this.logger.warn({ serverId, error: error.message }, 'Ownership token check failed');
+        }
+    }
+
+    /**
+     * Save a pinged icon as a shared file and point the server at it.
+     * Offline pings carry no icon, so the last known one is kept.
+     * @returns {Promise<Object|null>} { path, hash } or null when there is no usable icon
+     */
+    async storeFavicon(serverId, icon) {
+        if (!this.faviconUtils || !icon) {
+            return null;
+        }
+
+        try {
+            const favicon = await this.faviconUtils.saveFavicon(icon);
+            if (favicon) {
+                await this.serverRepository.updateFavicon(serverId, favicon.path);
+            }
+            return favicon;
+        } catch (error) {
+            this.logger.warn({ serverId, error: error.message }, 'Failed to store server favicon');
+            return null;
+        }
+    }
+
+    /**
+     * Re-ping servers whose favicon is missing or stale
+     */
+    async refreshFavicons(options = {}) {
+        const { maxServers = 100, olderThanDays = 7 } = options;
+
+        const servers = await this.serverRepository.findFaviconRefreshCandidates(maxServers, olderThanDays);
+        const results = [];
+
+        for (const server of servers) {
+            try {
+                const apiData = await this.fetchStatusForServer(server);
+                const serverData = await this.processAndStoreServerData(server.id, apiData);
+
+                results.push({
+                    server_id: server.id,
+                    success: true,
+                    has_favicon: Boolean(serverData.favicon),
+                    error: null
+                });
+            } catch (error) {
+                results.push({
+                    server_id: server.id,
+                    success: false,
+                    has_favicon: false,
+                    error: error.message
+                });
+            }
+        }
+
+        const successful = results.filter(result => result.success).length;
+        const withFavicon = results.filter(result => result.has_favicon).length;
+
+        this.logger.info({ refreshed: results.length, successful, withFavicon }, 'Favicon refresh completed');
+
+        return { refreshed: results.length, successful, withFavicon, results };
+    }
+
     /**
      * Handle ping errors by storing offline status
      */
@@ -296,12 +465,10 @@ class ServerPingService {
 
             const query = `
                 SELECT data, created_at 
-                FROM server_data 
+                FROM latest_server_status 
                 WHERE server_id = $1 
                 AND created_at > $2 
                 AND (data->>'initial') IS NULL
-                ORDER BY created_at DESC 
-                LIMIT 1
             `;
 
             const result = await this.serverDataRepository.db.query(query, [serverId, cutoffTime]);
@@ -429,7 +596,7 @@ class ServerPingService {
     }
 
     /**
-     * Start ping scheduler (runs every 5 minutes to respect API cache)
+     * Start ping scheduler (runs every cache interval)
      */
     async startPingScheduler(intervalMs = null) {
         if (this.pingScheduler) {
@@ -471,41 +638,15 @@ class ServerPingService {
         const { days = 7 } = options;
 
         try {
-            const cutoffTime = new Date();
-            cutoffTime.setDate(cutoffTime.getDate() - days);
-
-            const query = `
-                SELECT 
-                    data,
-                    created_at,
-                    (data->>'online')::boolean as online,
-                    (data->'players'->>'online')::integer as online_players,
-                    (data->'players'->>'max')::integer as max_players
-                FROM server_data 
-                WHERE server_id = $1 
-                AND created_at > $2 
-                ORDER BY created_at DESC
-            `;
+            const summary = await this.serverDataRepository.getStatusSummary(serverId, days);
 
-            const result = await this.serverDataRepository.db.query(query, [serverId, cutoffTime]);
-
-            if (result.rows.length === 0) {
+            if (!summary) {
                 return null;
             }
 
-            const records = result.rows;
-            const onlineRecords = records.filter(r => r.online);
-
             return {
                 server_id: serverId,
-                total_checks: records.length,
-                online_checks: onlineRecords.length,
-                uptime_percentage: (onlineRecords.length / records.length) * 100,
-                avg_players: onlineRecords.length > 0
-                    ? onlineRecords.reduce((sum, r) => sum + (r.online_players || 0), 0) / onlineRecords.length
-                    : 0,
-                max_players_seen: Math.max(...records.map(r => r.max_players || 0)),
-                last_seen_online: onlineRecords.length > 0 ? onlineRecords[0].created_at : null,
+                ...summary,
                 period_days: days
             };
 
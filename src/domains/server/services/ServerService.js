@@ -8,7 +8,7 @@ const ErrorHandler = require('../../../lib/ErrorHandler');
  * Handles server management operations without the complicated validation mess
  */
 class ServerService {
-    constructor(serverRepository, serverTypeRepository, serverDataRepository, serverPingService, configService, seoService, logger) {
+    constructor(serverRepository, serverTypeRepository, serverDataRepository, serverPingService, configService, seoService, logger, authService = null) {
         this.serverRepository = serverRepository;
         this.serverTypeRepository = serverTypeRepository;
         this.serverDataRepository = serverDataRepository;
@@ -16,6 +16,7 @@ class ServerService {
         this.configService = configService;
         this.seoService = seoService;
         this.logger = logger;
+        this.authService = authService;
     }
 
     /**
@@ -59,9 +60,15 @@ class ServerService {
                 version: options.version || null,
                 min_players: options.min_players ?? null,
                 max_players: options.max_players ?? null,
-                owned_by: options.owned_by ?? null
+                owned_by: options.owned_by ?? null,
+                edition: options.edition || null
             };
 
+            // Owners and admins always see their own listings
+            if (!isAdmin && repoOptions.owned_by === null) {
+                repoOptions.verified_only = await this.hideUnverified();
+            }
+
             return await this.serverRepository.getPaginated(repoOptions);
         } catch (error) {
             this.log('error', { error: error.message, code: error.code }, 'Failed to get servers');
@@ -69,6 +76,23 @@ class ServerService {
         }
     }
 
+    /**
+     * Whether an update moves the listing to another host or port
+     */
+    addressChanged(server, data) {
+        return (data.host !== undefined && data.host !== server.host)
+            || (data.port !== undefined && data.port !== server.port);
+    }
+
+    /**
+     * Whether unverified servers are left out of public lists and rankings
+     */
+    async hideUnverified() {
+        return this.configService
+            ? !!(await this.configService.get('server.hide_unverified_from_ranking', false))
+            : false;
+    }
+
     /**
      * Get server by ID
      */
@@ -115,6 +139,37 @@ class ServerService {
         }
     }
 
+    /**
+     * Current slug for a former slug of a server, or null
+     */
+    async findSlugRedirect(slug) {
+        return this.seoService ? await this.seoService.findRedirectSlug(slug) : null;
+    }
+
+    /**
+     * Change the server's slug (owner or admin); the old slug redirects to the new one
+     */
+    async updateSlug(id, slug, userId, userRole = 'user') {
+        const server = await this.serverRepository.findById(id);
+        if (!server) {
+            throw ErrorHandler.createError('Serveris nerastas', 404, 'SERVER_NOT_FOUND');
+        }
+        if (!server.isOwnedBy(userId) && userRole !== 'admin') {
+            throw ErrorHandler.createError('Galite redaguoti tik savo sukurtus serverius', 403, 'INSUFFICIENT_PERMISSIONS');
+        }
+
+        // Servers created before SEO generation existed get their first slug here
+        if (!server.slug) {
+            await this.seoService.generateSeoForServer(server);
+        }
+
+        if (await this.seoService.changeSlug(id, slug, userId)) {
+            await this.seoService.generateSeoForServer(await this.serverRepository.findById(id));
+        }
+
+        return await this.serverRepository.findById(id);
+    }
+
     /**
      * Create new server - Clean and Simple
      */
@@ -130,6 +185,10 @@ class ServerService {
             throw error;
         }
 
+        if (this.authService) {
+            await this.authService.assertEmailVerified(userId);
+        }
+
         // 2. Check server limit
         if (this.configService) {
             const maxServers = await this.configService.getMaxServersPerUser();
@@ -155,13 +214,14 @@ class ServerService {
         }
 
         // 4. Check for duplicate host:port
+        const ports = this.resolveEditionPorts(serverData);
         const existingServer = await this.serverRepository.findByHostAndPort(
             serverData.host,
-            serverData.port || 25565
+            ports.port
         );
 
         if (existingServer) {
-            throw ErrorHandler.conflict('Serveris su šiuo adresu ir portu jau egzistuoja');
+            throw ErrorHandler.conflict('Serveris su šiuo adresu ir portu jau egzistuoja. Jei tai jūsų serveris, patvirtinkite nuosavybę jo puslapyje');
         }
 
         // 5. Clean up data
@@ -169,7 +229,9 @@ class ServerService {
             name: serverData.name.trim(),
             description: serverData.description?.trim() || null,
             host: serverData.host.trim(),
-            port: serverData.port || 25565,
+            port: ports.port,
+            edition: ports.edition,
+            bedrock_port: ports.bedrock_port,
             version_id: serverData.version_id || null,
             max_players: 0,
             website: serverData.website?.trim() || null,
@@ -223,18 +285,34 @@ class ServerService {
     }
 
     /**
-     * Generate slug manually from server name
+     * Resolve edition, Java port and Bedrock port for create/update.
+     * Bedrock-only servers store their Bedrock port in `port` as well so host:port stays unique,
+     * so for them `port` is accepted as the Bedrock port and must not contradict `bedrock_port`.
      */
-    generateSlug(name) {
-        return name
-            .toLowerCase()
-            .trim()
-            .replace(/[^a-z0-9\s-]/g, '') // Remove special characters except spaces and hyphens
-            .replace(/\s+/g, '-') // Replace spaces with hyphens
-            .replace(/-+/g, '-') // Replace multiple hyphens with single
-            .replace(/^-|-$/g, ''); // Remove leading/trailing hyphens
-    }
+    resolveEditionPorts(data, existing = null) {
+        const edition = data.edition || existing?.edition || 'java';
 
+        if (edition === 'java') {
+            const port = data.port || (existing && existing.edition !== 'bedrock' ? existing.port : 25565);
+            return { edition, port, bedrock_port: null };
+        }
+
+        if (edition === 'bedrock') {
+            if (data.port && data.bedrock_port && data.port !== data.bedrock_port) {
+                throw ErrorHandler.createValidationError({
+                    port: 'Bedrock serveriui nurodykite vieną portą (bedrock_port)'
+                });
+            }
+
+            const bedrockPort = data.bedrock_port || data.port || existing?.bedrock_port || 19132;
+            return { edition, port: bedrockPort, bedrock_port: bedrockPort };
+        }
+
+        const bedrockPort = data.bedrock_port || existing?.bedrock_port || 19132;
+
+        const port = data.port || (existing && existing.edition !== 'bedrock' ? existing.port : 25565);
+        return { edition, port, bedrock_port: bedrockPort };
+    }
 
     /**
      * Background ping (non-blocking)
@@ -264,7 +342,7 @@ class ServerService {
             }
 
             // Filter out admin-only fields for regular users
-            const allowedFields = ['name', 'description', 'host', 'port', 'server_type_ids', 'version_id', 'website', 'discord_invite', 'votifier_host', 'votifier_port', 'votifier_token'];
+            const allowedFields = ['name', 'description', 'host', 'port', 'edition', 'bedrock_port', 'server_type_ids', 'version_id', 'website', 'discord_invite', 'votifier_host', 'votifier_port', 'votifier_token'];
             const filteredData = {};
 
             Object.keys(serverData).forEach(key => {
@@ -293,6 +371,11 @@ class ServerService {
                 filteredData.website = null; // Convert empty string to null
             }
 
+            // Keep port/bedrock_port consistent with the (possibly new) edition
+            if ('edition' in filteredData || 'bedrock_port' in filteredData || 'port' in filteredData) {
+                Object.assign(filteredData, this.resolveEditionPorts(filteredData, existingServer));
+            }
+
             // Check for duplicate host:port only if host or port is actually changing
             if (filteredData.host || filteredData.port) {
                 const newHost = filteredData.host || existingServer.host;
@@ -316,6 +399,11 @@ class ServerService {
             // Ensure we don't pass server_type_ids to repository.update (not a direct column)
             if ('server_type_ids' in filteredData) delete filteredData.server_type_ids;
 
+            // Verification proved control of the old address only
+            if (existingServer.is_verified && this.addressChanged(existingServer, filteredData)) {
+                await this.serverRepository.clearVerification(id);
+            }
+
             let updatedServer = await this.serverRepository.update(id, filteredData);
 
             // If types provided, update junction table and refetch server
@@ -428,7 +516,7 @@ class ServerService {
      */
     async getTopServers(limit = 10) {
         try {
-            return await this.serverDataRepository.getTopServersByPlayers(limit);
+            return await this.serverDataRepository.getTopServersByPlayers(limit, await this.hideUnverified());
         } catch (error) {
             this.log('error', { error: error.message }, 'Database error in get top servers');
             throw ErrorHandler.serverError('Duomenų bazės klaida');
@@ -600,6 +688,10 @@ class ServerService {
                 }
             }
 
+            if (server.is_verified && this.addressChanged(server, updateData)) {
+                await this.serverRepository.clearVerification(serverId);
+            }
+
             // Update the server
             const updatedServer = await this.serverRepository.update(serverId, updateData);
 
@@ -1,684 +1,435 @@
 'use strict'
 
 const net = require('net');
+const dns = require('dns').promises;
 const crypto = require('crypto');
 
+const SERVICE_NAME = 'MCServerList';
+
+// NuVotifier v2 frame magic (0x733A) followed by a 2-byte length
+const V2_MAGIC = 0x733A;
+
+const PROTOCOLS = ['auto', 'v1-rsa', 'nuvotifier-v2'];
+
+// Classic Votifier ships 2048-bit keys; anything under 1024 is rejected
+const MIN_KEY_BITS = 1024;
+
+const DNS_ERRORS = ['ENOTFOUND', 'EAI_AGAIN', 'EAI_FAIL', 'ENODATA'];
+const REFUSED_ERRORS = ['ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// NuVotifier error texts caused by a wrong token or an unknown service name
+const BAD_TOKEN_PATTERN = /signature|token|unknown service/i;
+
 /**
  * Votifier Service
- * Handles sending votes to Minecraft servers via Votifier protocol
+ * Native Votifier client: reads the "VOTIFIER <version> [challenge]" banner and
+ * sends the vote as an RSA encrypted v1 block or a signed NuVotifier v2 frame
  */
 class VotifierService {
-    constructor(logger) {
+    constructor(logger, options = {}) {
         this.logger = logger;
-        this.timeout = 5000; // 5 seconds timeout
+        this.timeout = options.timeout || 5000;
     }
 
     /**
      * Send vote to Votifier server
+     * @param {Object} voteData - { host, port, protocol, token, publicKey, username, address, timestamp }
+     * @returns {Promise<Object>} { success, protocol, version, acknowledged, response, duration, timings }
+     * @throws {Error} With `phase` and `timings` attached
      */
     async sendVote(voteData) {
-        const { host, port, token, username, address, timestamp } = voteData;
-
-        this.logger.info({
+        const {
             host,
             port,
+            protocol = 'auto',
+            token,
+            publicKey,
             username,
             address,
-            timestamp,
-            tokenLength: token ? token.length : 0
-        }, '🔄 Starting Votifier vote send process');
+            timestamp = Date.now(),
+            serviceName = SERVICE_NAME
+        } = voteData;
+
+        const startTime = Date.now();
+        const timings = {};
+        let phase = 'dns';
+        let mark = startTime;
+        const lap = (name) => {
+            const now = Date.now();
+            timings[`${name}_ms`] = now - mark;
+            mark = now;
+        };
+
+        let connection = null;
 
-        return new Promise((resolve, reject) => {
-            const socket = new net.Socket();
-            let responseData = '';
-            let handshakeComplete = false;
-            const startTime = Date.now();
-
-            const timeoutHandle = setTimeout(() => {
-                const duration = Date.now() - startTime;
-                this.logger.error({
-                    host,
-                    port,
-                    duration,
-                    responseData: responseData.substring(0, 200),
-                    handshakeComplete
-                }, '⏰ Votifier connection timeout');
-                socket.destroy();
-                reject(new Error(`Votifier connection timeout after ${duration}ms`));
+        try {
+            const target = await this.lookup(host);
+            lap('dns');
+
+            phase = 'connect';
+            connection = await this.connect(target, port);
+            lap('connect');
+
+            phase = 'handshake';
+            const banner = VotifierService.parseBanner(await connection.readLine());
+            const selected = VotifierService.resolveProtocol(protocol, banner, { token, publicKey });
+            const vote = { serviceName, username, address, timestamp };
+            lap('handshake');
+
+            this.logger.debug({ host, port, version: banner.version, protocol: selected }, 'Votifier handshake received');
+
+            phase = 'send';
+            let response;
+            if (selected === 'nuvotifier-v2') {
+                connection.socket.write(VotifierService.createV2Packet(vote, token, banner.challenge));
+                const result = VotifierService.parseV2Response(await connection.readLine());
+                if (!result.ok) {
+                    throw VotifierService.createProtocolError(`NuVotifier atmetė balsą: ${result.error}`, 'VOTIFIER_REJECTED');
+                }
+                response = 'Vote accepted by server (NuVotifier v2)';
+            } else {
+                // Classic Votifier reads one 256-byte block and closes without replying
+                await connection.endAndWaitClose(VotifierService.createV1Packet(vote, publicKey));
+                response = 'Vote sent (Votifier v1 RSA)';
+            }
+            lap('send');
+
+            const duration = Date.now() - startTime;
+            timings.total_ms = duration;
+            this.logger.info({ host, port, username, protocol: selected, duration }, 'Votifier vote sent');
+
+            return {
+                success: true,
+                protocol: selected,
+                version: banner.version,
+                acknowledged: selected === 'nuvotifier-v2',
+                response,
+                duration,
+                timings
+            };
+        } catch (error) {
+            timings.total_ms = Date.now() - startTime;
+            error.phase = phase;
+            error.timings = timings;
+            throw error;
+        } finally {
+            if (connection) connection.close();
+        }
+    }
+
+    /**
+     * Resolve hostname to an address (IP literals pass through)
+     */
+    async lookup(host) {
+        if (net.isIP(host)) {
+            return host;
+        }
+
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`DNS lookup timeout after ${this.timeout}ms`);
+                error.code = 'EAI_AGAIN';
+                reject(error);
             }, this.timeout);
+        });
 
-            this.logger.debug({ host, port }, '🔌 Attempting to connect to Votifier server');
+        try {
+            const { address } = await Promise.race([dns.lookup(host), timeout]);
+            return address;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
 
-            socket.connect(port, host, () => {
-                const duration = Date.now() - startTime;
-                this.logger.info({ 
-                    host, 
-                    port, 
-                    username, 
-                    duration 
-                }, '✅ Connected to Votifier server');
-            });
+    /**
+     * Test Votifier connection (banner only)
+     */
+    async testConnection(host, port) {
+        const startTime = Date.now();
+        const connection = await this.connect(host, port);
 
-            socket.on('data', (data) => {
-                const newData = data.toString();
-                responseData += newData;
-                
-                this.logger.debug({
-                    host,
-                    port,
-                    dataLength: newData.length,
-                    totalLength: responseData.length,
-                    newData: newData.substring(0, 100),
-                    handshakeComplete
-                }, '📥 Received data from Votifier');
-
-                // Check if we received the handshake (VOTIFIER version info)
-                if (!handshakeComplete && responseData.includes('VOTIFIER')) {
-                    handshakeComplete = true;
-                    
-                    try {
-                        const lines = responseData.split('\n');
-                        const versionLine = lines[0].trim();
-                        
-                        this.logger.info({ 
-                            host,
-                            port,
-                            versionLine,
-                            totalLines: lines.length,
-                            responseLength: responseData.length
-                        }, '🤝 Received Votifier handshake');
-
-                        if (versionLine.includes('VOTIFIER 2') || versionLine.includes('NUVOTIFIER')) {
-                            this.logger.info({ host, port }, '📡 Using NuVotifier v2 protocol');
-                            // NuVotifier v2 - use JSON format with token
-                            this.sendNuVotifierV2Vote(socket, token, username, address, timestamp)
-                                .then(() => {
-                                    const duration = Date.now() - startTime;
-                                    this.logger.info({ 
-                                        host, 
-                                        port, 
-                                        username, 
-                                        duration 
-                                    }, '✅ NuVotifier v2 vote sent successfully');
-                                    clearTimeout(timeoutHandle);
-                                    resolve({
-                                        success: true,
-                                        response: 'Vote sent successfully (NuVotifier v2)',
-                                        duration
-                                    });
-                                })
-                                .catch((error) => {
-                                    const duration = Date.now() - startTime;
-                                    this.logger.error({ 
-                                        host, 
-                                        port, 
-                                        username, 
-                                        error: error.message,
-                                        duration
-                                    }, '❌ NuVotifier v2 vote send failed');
-                                    clearTimeout(timeoutHandle);
-                                    socket.destroy();
-                                    reject(error);
-                                });
-                        } else if (versionLine.includes('VOTIFIER 1')) {
-                            this.logger.info({ host, port }, '📡 Using VotifierPlus v1 protocol (RSA encryption required)');
-                            // VotifierPlus expects RSA encryption, use the token as the public key or try to get it
-                            // For now, we'll try to use a stored public key or the token
-                            this.sendVotifierPlusRSAVote(socket, token, username, address, timestamp)
-                                .then(() => {
-                                    const duration = Date.now() - startTime;
-                                    this.logger.info({ 
-                                        host, 
-                                        port, 
-                                        username, 
-                                        duration 
-                                    }, '✅ VotifierPlus RSA vote sent successfully');
-                                    clearTimeout(timeoutHandle);
-                                    resolve({
-                                        success: true,
-                                        response: 'Vote sent successfully (VotifierPlus RSA)',
-                                        duration
-                                    });
-                                })
-                                .catch((error) => {
-                                    const duration = Date.now() - startTime;
-                                    this.logger.error({ 
-                                        host, 
-                                        port, 
-                                        username, 
-                                        error: error.message,
-                                        duration
-                                    }, '❌ VotifierPlus RSA vote send failed');
-                                    clearTimeout(timeoutHandle);
-                                    socket.destroy();
-                                    reject(error);
-                                });
-                        } else {
-                            this.logger.info({ host, port }, '📡 Using legacy Votifier v1 protocol');
-                            // Legacy Votifier v1 - use RSA encryption
-                            const publicKeyPem = lines.slice(1).join('\n');
-                            this.sendVotifierV1Vote(socket, publicKeyPem, username, address, timestamp)
-                                .then(() => {
-                                    const duration = Date.now() - startTime;
-                                    this.logger.info({ 
-                                        host, 
-                                        port, 
-                                        username, 
-                                        duration 
-                                    }, '✅ Votifier v1 vote sent successfully');
-                                    clearTimeout(timeoutHandle);
-                                    resolve({
-                                        success: true,
-                                        response: 'Vote sent successfully (Votifier v1)',
-                                        duration
-                                    });
-                                })
-                                .catch((error) => {
-                                    const duration = Date.now() - startTime;
-                                    this.logger.error({ 
-                                        host, 
-                                        port, 
-                                        username, 
-                                        error: error.message,
-                                        duration
-                                    }, '❌ Votifier v1 vote send failed');
-                                    clearTimeout(timeoutHandle);
-                                    socket.destroy();
-                                    reject(error);
-                                });
-                        }
-                    } catch (error) {
-                        const duration = Date.now() - startTime;
-                        this.logger.error({
-                            host,
-                            port,
-                            error: error.message,
-                            responseData: responseData.substring(0, 200),
-                            duration
-                        }, '❌ Failed to parse Votifier handshake');
-                        clearTimeout(timeoutHandle);
-                        socket.destroy();
-                        reject(new Error(`Failed to parse Votifier response: ${error.message}`));
+        try {
+            const line = await connection.readLine();
+            const banner = VotifierService.parseBanner(line);
+
+            return {
+                success: true,
+                version: banner.protocol === 'nuvotifier-v2' ? 'v2' : 'v1',
+                response: line,
+                duration: Date.now() - startTime
+            };
+        } finally {
+            connection.close();
+        }
+    }
+
+    /**
+     * Open a socket with an overall deadline and a buffered line reader
+     */
+    connect(host, port) {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host, port });
+            let buffer = '';
+            let failure = null;
+            let waiter = null;
+            let closed = false;
+
+            const deadline = setTimeout(() => {
+                const error = new Error(`Votifier connection timeout after ${this.timeout}ms`);
+                error.code = 'ETIMEDOUT';
+                socket.destroy(error);
+            }, this.timeout);
+
+            const settle = () => {
+                if (!waiter) return;
+
+                const index = buffer.indexOf('\n');
+                if (index !== -1) {
+                    const line = buffer.slice(0, index).replace(/\r$/, '');
+                    buffer = buffer.slice(index + 1);
+                    const { resolve: done } = waiter;
+                    waiter = null;
+                    done(line);
+                } else if (closed && buffer.length > 0 && !failure) {
+                    const line = buffer;
+                    buffer = '';
+                    const { resolve: done } = waiter;
+                    waiter = null;
+                    done(line);
+                } else if (failure || closed) {
+                    const { reject: fail } = waiter;
+                    waiter = null;
+                    fail(failure || VotifierService.createProtocolError('Votifier serveris nutraukė ryšį', 'VOTIFIER_CLOSED'));
+                }
+            };
+
+            const connection = {
+                socket,
+                readLine: () => new Promise((resolveLine, rejectLine) => {
+                    waiter = { resolve: resolveLine, reject: rejectLine };
+                    settle();
+                }),
+                endAndWaitClose: (data) => new Promise((resolveClose, rejectClose) => {
+                    if (closed) {
+                        return failure ? rejectClose(failure) : resolveClose();
                     }
-                } else if (handshakeComplete && (responseData.includes('ok') || responseData.includes('OK'))) {
-                    // Vote was accepted
-                    const duration = Date.now() - startTime;
-                    this.logger.info({ 
-                        host, 
-                        port, 
-                        username, 
-                        duration,
-                        response: responseData.trim()
-                    }, '✅ Vote accepted by Votifier server');
-                    clearTimeout(timeoutHandle);
+                    socket.once('close', () => failure ? rejectClose(failure) : resolveClose());
+                    socket.end(data);
+                }),
+                close: () => {
+                    clearTimeout(deadline);
                     socket.destroy();
-                    resolve({
-                        success: true,
-                        response: 'Vote accepted by server',
-                        duration
-                    });
                 }
-            });
+            };
 
-            socket.on('error', (error) => {
-                const duration = Date.now() - startTime;
-                this.logger.error({ 
-                    host, 
-                    port, 
-                    error: error.message,
-                    errorCode: error.code,
-                    duration,
-                    handshakeComplete,
-                    responseData: responseData.substring(0, 100)
-                }, '❌ Votifier connection error');
-                clearTimeout(timeoutHandle);
-                reject(new Error(`Votifier connection failed: ${error.message} (${error.code})`));
+            socket.once('connect', () => resolve(connection));
+
+            socket.on('data', (chunk) => {
+                buffer += chunk.toString('utf8');
+                settle();
             });
 
-            socket.on('close', (hadError) => {
-                const duration = Date.now() - startTime;
-                this.logger.warn({
-                    host,
-                    port,
-                    hadError,
-                    duration,
-                    handshakeComplete,
-                    responseLength: responseData.length,
-                    responsePreview: responseData.substring(0, 100)
-                }, '🔌 Votifier connection closed');
-                
-                clearTimeout(timeoutHandle);
-                if (!handshakeComplete) {
-                    reject(new Error(`Votifier connection closed without handshake (duration: ${duration}ms)`));
-                }
+            socket.on('error', (error) => {
+                failure = failure || error;
+                settle();
+                reject(error);
             });
 
-            socket.on('timeout', () => {
-                const duration = Date.now() - startTime;
-                this.logger.error({
-                    host,
-                    port,
-                    duration,
-                    handshakeComplete
-                }, '⏰ Votifier socket timeout');
-                socket.destroy();
+            socket.on('close', () => {
+                closed = true;
+                clearTimeout(deadline);
+                settle();
             });
         });
     }
 
     /**
-     * Send vote using Votifier v1 protocol (RSA encrypted)
+     * Parse the handshake line ("VOTIFIER 2 <challenge>" or "VOTIFIER 1.9")
+     * @returns {Object} { version, challenge, protocol }
      */
-    async sendVotifierV1Vote(socket, publicKeyPem, username, address, timestamp) {
-        try {
-            // Create vote payload for Votifier v1 (5 lines required)
-            const serviceName = 'MCServerList';
-            const votePayload = `VOTE\n${serviceName}\n${username}\n${address}\n${timestamp}\n`;
-
-            this.logger.info({
-                username,
-                address,
-                timestamp,
-                payloadLength: votePayload.length,
-                payload: votePayload.replace(/\n/g, '\\n'),
-                publicKeyLength: publicKeyPem.length
-            }, '📤 Preparing Votifier v1 vote');
-
-            // Clean up the public key PEM format
-            let cleanPublicKey = publicKeyPem.trim();
-            if (!cleanPublicKey.includes('-----BEGIN')) {
-                // Add PEM headers if missing
-                cleanPublicKey = `-----BEGIN PUBLIC KEY-----\n${cleanPublicKey}\n-----END PUBLIC KEY-----`;
-            }
+    static parseBanner(line) {
+        const parts = String(line || '').trim().split(/\s+/);
+        if (parts[0] !== 'VOTIFIER' || !parts[1]) {
+            throw VotifierService.createProtocolError('Neatpažintas Votifier atsakymas', 'VOTIFIER_BAD_BANNER');
+        }
 
-            this.logger.debug({
-                originalKeyLength: publicKeyPem.length,
-                cleanKeyLength: cleanPublicKey.length,
-                keyPreview: cleanPublicKey.substring(0, 100)
-            }, '🔑 Processed public key');
-
-            // Encrypt with RSA public key
-            const encrypted = crypto.publicEncrypt({
-                key: cleanPublicKey,
-                padding: crypto.constants.RSA_PKCS1_PADDING
-            }, Buffer.from(votePayload, 'utf8'));
-
-            this.logger.info({
-                username,
-                address,
-                originalLength: votePayload.length,
-                encryptedLength: encrypted.length
-            }, '🔐 Vote encrypted successfully');
-
-            // Send encrypted vote
-            const bytesWritten = socket.write(encrypted);
-
-            this.logger.info({
-                username,
-                address,
-                bytesWritten,
-                encryptedLength: encrypted.length
-            }, '📤 Sent Votifier v1 encrypted vote');
-
-            // Close the connection after sending
-            setTimeout(() => {
-                if (!socket.destroyed) {
-                    socket.end();
-                }
-            }, 100);
+        const version = parts[1];
+        const challenge = parts[2] || null;
+        const isV2 = version.split('.')[0] === '2' && Boolean(challenge);
 
-        } catch (error) {
-            this.logger.error({
-                error: error.message,
-                stack: error.stack,
-                username,
-                address,
-                publicKeyLength: publicKeyPem ? publicKeyPem.length : 0
-            }, '❌ Failed to send Votifier v1 vote');
-            throw new Error(`Failed to send Votifier v1 vote: ${error.message}`);
-        }
+        return { version, challenge, protocol: isV2 ? 'nuvotifier-v2' : 'v1-rsa' };
     }
 
     /**
-     * Send vote using NuVotifier v2 protocol (JSON + token)
+     * Pick the wire protocol from the configured one and the server banner
      */
-    async sendNuVotifierV2Vote(socket, token, username, address, timestamp) {
-        try {
-            // Create the vote payload for NuVotifier v2
-            const vote = {
-                serviceName: 'MCServerList',
-                username: username,
-                address: address,
-                timestamp: timestamp.toString()
-            };
-
-            // For NuVotifier v2, we need to create an HMAC signature
-            const payload = JSON.stringify(vote);
-            const signature = this.createSignature(payload, token);
+    static resolveProtocol(configured, banner, { token, publicKey } = {}) {
+        if (configured === 'nuvotifier-v2') {
+            if (banner.protocol !== 'nuvotifier-v2') {
+                throw VotifierService.createProtocolError('Serveris nepalaiko NuVotifier v2 protokolo', 'VOTIFIER_PROTOCOL_MISMATCH');
+            }
+            return 'nuvotifier-v2';
+        }
 
-            // Create the message with HMAC signature
-            const message = {
-                payload: payload,
-                signature: signature
-            };
+        if (configured === 'v1-rsa') {
+            // NuVotifier also accepts v1 RSA blocks on the same port
+            return 'v1-rsa';
+        }
 
-            // Convert to JSON and send
-            const jsonMessage = JSON.stringify(message);
-            
-            this.logger.info({ 
-                username, 
-                address, 
-                timestamp,
-                messageLength: jsonMessage.length,
-                tokenLength: token.length,
-                payloadLength: payload.length,
-                signatureLength: signature.length
-            }, '📤 Sending NuVotifier v2 vote with HMAC signature');
-
-            // Send the message
-            const bytesWritten = socket.write(jsonMessage);
-            
-            this.logger.debug({
-                bytesWritten,
-                messageLength: jsonMessage.length
-            }, '📤 Vote message written to socket');
-
-            // Add a small delay to allow for response
-            setTimeout(() => {
-                if (!socket.destroyed) {
-                    this.logger.debug('🔌 Closing socket after vote send');
-                    socket.end();
-                }
-            }, 100);
+        if (banner.protocol === 'nuvotifier-v2' && token) {
+            return 'nuvotifier-v2';
+        }
 
-        } catch (error) {
-            this.logger.error({
-                error: error.message,
-                stack: error.stack,
-                username,
-                address
-            }, '❌ Failed to send NuVotifier v2 vote');
-            throw new Error(`Failed to send NuVotifier v2 vote: ${error.message}`);
+        if (publicKey) {
+            return 'v1-rsa';
         }
+
+        throw VotifierService.createProtocolError(
+            banner.protocol === 'nuvotifier-v2'
+                ? 'NuVotifier serveriui reikalingas raktas (token)'
+                : 'Votifier v1 serveriui reikalingas viešasis RSA raktas',
+            'VOTIFIER_MISSING_CREDENTIALS'
+        );
     }
 
     /**
-     * Send vote using VotifierPlus protocol (RSA encryption required)
+     * Encrypt the 5-line v1 vote block with the server's RSA public key
      */
-    async sendVotifierPlusRSAVote(socket, token, username, address, timestamp) {
-        try {
-            // VotifierPlus expects RSA encrypted vote data in Votifier v1 format
-            const serviceName = 'MCServerList';
-            const votePayload = `VOTE\n${serviceName}\n${username}\n${address}\n${timestamp}\n`;
-
-            // Use a hardcoded public key for VotifierPlus (you provided this)
-            const votifierPlusPublicKey = `-----BEGIN PUBLIC KEY-----
-MIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEAk9miqjRS2gWCrvS9I98G
-dVCPkCrSA1J48wbkkTYSgMqAyGobj6XgsWAi64ibx9IS+aGlvVQaV9yEsr78nnI7
-8RkjjPrKZYUPMMhfweeo/Cy39iQRW0YZkepziT8YwNr/8o3uJ5C3PMOe52Td2ar9
-l5+nCit0vmZgLWYRDbffasTmtlKU79O5qObr1jVE8x4QrUQkvhAGVTiDKTG8HUbl
-vwSU9gtBOL3FQzEbq4O/ggNubIZTEtjpj3djWnObIBXREHHdTr3LvB1LtSZsD4to
-Fum9FlJMhN7ZJzmI9K9gvOMdkwmG/yIaCv5gipC1W7lBzKoAAMFvZQPFHJOPpVXq
-uwIDAQAB
------END PUBLIC KEY-----`;
-
-            this.logger.info({
-                username,
-                address,
-                timestamp,
-                payloadLength: votePayload.length,
-                payload: votePayload.replace(/\n/g, '\\n')
-            }, '📤 Preparing VotifierPlus RSA vote');
-
-            // Encrypt with RSA public key
-            const encrypted = crypto.publicEncrypt({
-                key: votifierPlusPublicKey,
-                padding: crypto.constants.RSA_PKCS1_PADDING
-            }, Buffer.from(votePayload, 'utf8'));
-
-            this.logger.info({
-                username,
-                address,
-                originalLength: votePayload.length,
-                encryptedLength: encrypted.length
-            }, '🔐 VotifierPlus vote encrypted successfully');
-
-            // Send encrypted vote (should be exactly 256 bytes)
-            const bytesWritten = socket.write(encrypted);
-
-            this.logger.info({
-                username,
-                address,
-                bytesWritten,
-                encryptedLength: encrypted.length,
-                expectedLength: 256
-            }, '📤 VotifierPlus RSA vote sent, waiting for response');
-
-            // Don't close immediately, wait for response from main handler
+    static createV1Packet(vote, publicKey) {
+        const payload = `VOTE\n${vote.serviceName}\n${vote.username}\n${vote.address}\n${vote.timestamp}\n`;
 
+        let key;
+        try {
+            key = VotifierService.normalizePublicKey(publicKey);
         } catch (error) {
-            this.logger.error({
-                error: error.message,
-                stack: error.stack,
-                username,
-                address
-            }, '❌ Failed to send VotifierPlus RSA vote');
-            throw new Error(`Failed to send VotifierPlus RSA vote: ${error.message}`);
+            throw VotifierService.createProtocolError(error.message, 'VOTIFIER_INVALID_KEY');
         }
+
+        return crypto.publicEncrypt({
+            key,
+            padding: crypto.constants.RSA_PKCS1_PADDING
+        }, Buffer.from(payload, 'utf8'));
     }
 
     /**
-     * Send vote using Votifier v2 protocol (JSON + HMAC signature)
+     * Build a NuVotifier v2 frame: magic, length, signed JSON message
      */
-    async sendVotifierV2Vote(socket, token, username, address, timestamp) {
-        try {
-            // Create JSON payload
-            const payload = {
-                serviceName: 'MCServerList',
-                username: username,
-                address: address,
-                timestamp: timestamp.toString(),
-                challenge: this.generateChallenge()
-            };
-
-            // Create signature
-            const signature = this.createSignature(JSON.stringify(payload), token);
+    static createV2Packet(vote, token, challenge) {
+        const payload = JSON.stringify({
+            serviceName: vote.serviceName,
+            username: vote.username,
+            address: vote.address,
+            timestamp: Number(vote.timestamp),
+            challenge
+        });
 
-            // Create final message
-            const message = {
-                payload: JSON.stringify(payload),
-                signature: signature
-            };
+        const signature = crypto.createHmac('sha256', token).update(payload).digest('base64');
+        const message = Buffer.from(JSON.stringify({ signature, payload }), 'utf8');
 
-            // Send JSON message
-            socket.write(JSON.stringify(message) + '\n');
+        const header = Buffer.alloc(4);
+        header.writeUInt16BE(V2_MAGIC, 0);
+        header.writeUInt16BE(message.length, 2);
 
-            this.logger.debug({ username, address }, 'Sent Votifier v2 vote');
-        } catch (error) {
-            throw new Error(`Failed to send Votifier v2 vote: ${error.message}`);
-        }
+        return Buffer.concat([header, message]);
     }
 
     /**
-     * Generate challenge for Votifier v2
+     * Parse NuVotifier v2 reply ({"status":"ok"} or {"status":"error","cause":...,"error":...})
      */
-    generateChallenge() {
-        return crypto.randomBytes(16).toString('hex');
-    }
+    static parseV2Response(line) {
+        let reply;
+        try {
+            reply = JSON.parse(line);
+        } catch (error) {
+            return { ok: false, error: `Neteisingas atsakymas: ${String(line).slice(0, 100)}` };
+        }
 
-    /**
-     * Create HMAC signature for Votifier v2
-     */
-    createSignature(payload, token) {
-        return crypto
-            .createHmac('sha256', token)
-            .update(payload)
-            .digest('hex');
+        if (reply.status === 'ok') {
+            return { ok: true };
+        }
+
+        return { ok: false, cause: reply.cause || null, error: reply.error || reply.cause || 'unknown error' };
     }
 
     /**
-     * Test Votifier connection
+     * Convert a pasted key (PEM or the bare base64 from Votifier's public.key) to PEM
+     * @throws {Error} When the key is not a usable RSA public key
      */
-    async testConnection(host, port) {
-        this.logger.info({ host, port }, '🧪 Testing Votifier connection');
-        
-        return new Promise((resolve, reject) => {
-            const socket = new net.Socket();
-            let responseData = '';
-            const startTime = Date.now();
-
-            const timeoutHandle = setTimeout(() => {
-                const duration = Date.now() - startTime;
-                this.logger.error({ host, port, duration }, '⏰ Votifier test connection timeout');
-                socket.destroy();
-                reject(new Error(`Connection timeout after ${duration}ms`));
-            }, this.timeout);
-
-            this.logger.debug({ host, port }, '🔌 Connecting to Votifier for test');
-
-            socket.connect(port, host, () => {
-                const duration = Date.now() - startTime;
-                this.logger.info({ host, port, duration }, '✅ Connected to Votifier server for testing');
-            });
+    static normalizePublicKey(key) {
+        const text = String(key || '').trim();
+        if (!text) {
+            throw new Error('Viešasis raktas tuščias');
+        }
 
-            socket.on('data', (data) => {
-                const newData = data.toString();
-                responseData += newData;
-                
-                this.logger.debug({
-                    host,
-                    port,
-                    dataLength: newData.length,
-                    totalLength: responseData.length,
-                    data: newData.substring(0, 100)
-                }, '📥 Received test data from Votifier');
-
-                if (responseData.includes('VOTIFIER') || responseData.includes('NUVOTIFIER')) {
-                    const duration = Date.now() - startTime;
-                    clearTimeout(timeoutHandle);
-                    socket.destroy();
+        let pem = text;
+        if (!text.includes('-----BEGIN')) {
+            const body = text.replace(/\s+/g, '');
+            if (!/^[A-Za-z0-9+/]+={0,2}$/.test(body)) {
+                throw new Error('Viešasis raktas turi būti PEM arba base64 formatu');
+            }
+            pem = `-----BEGIN PUBLIC KEY-----\n${body.match(/.{1,64}/g).join('\n')}\n-----END PUBLIC KEY-----`;
+        }
 
-                    const lines = responseData.split('\n');
-                    const versionLine = lines[0].trim();
-                    
-                    let version = 'v1';
-                    if (versionLine.includes('VOTIFIER 2') || versionLine.includes('NUVOTIFIER')) {
-                        version = 'v2';
-                    }
+        let keyObject;
+        try {
+            keyObject = crypto.createPublicKey(pem);
+        } catch (error) {
+            throw new Error('Nepavyko nuskaityti viešojo rakto');
+        }
 
-                    this.logger.info({
-                        host,
-                        port,
-                        version,
-                        versionLine,
-                        duration,
-                        totalLines: lines.length
-                    }, '✅ Votifier test connection successful');
-
-                    resolve({
-                        success: true,
-                        version: version,
-                        response: versionLine,
-                        duration,
-                        fullResponse: responseData
-                    });
-                }
-            });
+        if (keyObject.asymmetricKeyType !== 'rsa') {
+            throw new Error('Viešasis raktas turi būti RSA');
+        }
 
-            socket.on('error', (error) => {
-                const duration = Date.now() - startTime;
-                this.logger.error({
-                    host,
-                    port,
-                    error: error.message,
-                    errorCode: error.code,
-                    duration
-                }, '❌ Votifier test connection error');
-                clearTimeout(timeoutHandle);
-                reject(new Error(`Connection failed: ${error.message} (${error.code}) after ${duration}ms`));
-            });
+        const bits = keyObject.asymmetricKeyDetails?.modulusLength || 0;
+        if (bits < MIN_KEY_BITS) {
+            throw new Error(`RSA raktas per trumpas (${bits} bitų, reikia bent ${MIN_KEY_BITS})`);
+        }
 
-            socket.on('close', (hadError) => {
-                const duration = Date.now() - startTime;
-                this.logger.warn({
-                    host,
-                    port,
-                    hadError,
-                    duration,
-                    responseLength: responseData.length
-                }, '🔌 Votifier test connection closed');
-                
-                clearTimeout(timeoutHandle);
-                if (!responseData) {
-                    reject(new Error(`Connection closed without response after ${duration}ms`));
-                }
-            });
-        });
+        return keyObject.export({ type: 'spki', format: 'pem' }).toString().trim();
     }
 
     /**
-     * Process pending votes (for background job)
+     * Map a delivery failure to a class owners can act on
+     * @returns {string} dns | refused | timeout | bad_token | bad_key | protocol | unknown
      */
-    async processPendingVotes(serverVoteRepository) {
-        try {
-            const pendingVotes = await serverVoteRepository.getVotesNeedingVotifier();
+    static classifyError(error, protocol = null) {
+        const code = error?.code;
 
-            if (pendingVotes.length === 0) {
-                this.logger.debug('No pending votes to process');
-                return { processed: 0, successful: 0, failed: 0 };
-            }
+        if (DNS_ERRORS.includes(code)) return 'dns';
+        if (REFUSED_ERRORS.includes(code)) return 'refused';
+        if (code === 'ETIMEDOUT') return 'timeout';
+        if (code === 'VOTIFIER_INVALID_KEY') return 'bad_key';
 
-            this.logger.info({ count: pendingVotes.length }, 'Processing pending Votifier votes');
-
-            let successful = 0;
-            let failed = 0;
-
-            for (const { vote, votifier } of pendingVotes) {
-                try {
-                    const result = await this.sendVote({
-                        host: votifier.host,
-                        port: votifier.port,
-                        token: votifier.token,
-                        username: vote.username,
-                        address: vote.ip_address,
-                        timestamp: Math.floor(new Date(vote.created_at).getTime() / 1000)
-                    });
-
-                    await serverVoteRepository.update(vote.id, {
-                        votifier_sent: true,
-                        votifier_response: result.response
-                    });
-
-                    successful++;
-                } catch (error) {
-                    await serverVoteRepository.update(vote.id, {
-                        votifier_sent: false,
-                        votifier_response: error.message
-                    });
-
-                    this.logger.warn({
-                        voteId: vote.id,
-                        host: votifier.host,
-                        port: votifier.port,
-                        error: error.message
-                    }, 'Failed to send Votifier vote');
-
-                    failed++;
-                }
-            }
+        if (code === 'VOTIFIER_REJECTED') {
+            return BAD_TOKEN_PATTERN.test(error.message) ? 'bad_token' : 'protocol';
+        }
 
-            this.logger.info({
-                processed: pendingVotes.length,
-                successful,
-                failed
-            }, 'Completed processing Votifier votes');
+        if (code === 'VOTIFIER_MISSING_CREDENTIALS') {
+            return /RSA/.test(error.message) ? 'bad_key' : 'bad_token';
+        }
 
-            return { processed: pendingVotes.length, successful, failed };
-        } catch (error) {
-            this.logger.error({ error: error.message }, 'Failed to process pending votes');
-            throw error;
+        // v1 servers drop the connection when the block does not decrypt
+        if ((code === 'ECONNRESET' || code === 'EPIPE') && error.phase === 'send' && protocol !== 'nuvotifier-v2') {
+            return 'bad_key';
         }
+
+        if (typeof code === 'string' && code.startsWith('VOTIFIER_')) return 'protocol';
+
+        return 'unknown';
+    }
+
+    /**
+     * Error with a machine readable code
+     */
+    static createProtocolError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
     }
 }
 
-module.exports = VotifierService;
\ No newline at end of file
+VotifierService.PROTOCOLS = PROTOCOLS;
+
+module.exports = VotifierService;
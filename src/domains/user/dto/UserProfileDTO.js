@@ -17,6 +17,7 @@ class UserProfileDTO {
             this.password_hash = userData.password_hash;
             this.updated_at = userData.updated_at;
             this.last_login = userData.last_login;
+            this.email_verified_at = userData.email_verified_at || null;
         }
     }
 
@@ -32,7 +33,8 @@ class UserProfileDTO {
             created_at: row.created_at,
             updated_at: row.updated_at,
             last_login: row.last_login,
-            last_activity: row.last_activity
+            last_activity: row.last_activity,
+            email_verified_at: row.email_verified_at
         }, { includePrivateData: true });
     }
 
@@ -73,6 +75,7 @@ class UserProfileDTO {
             updated_at: this.updated_at,
             last_login: this.last_login,
             last_activity: this.last_activity,
+            email_verified_at: this.email_verified_at,
         };
     }
 }
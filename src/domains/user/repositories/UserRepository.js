@@ -63,8 +63,10 @@ class UserRepository extends BaseRepository {
         const values = [];
 
         let paramIndex = 1;
+        let emailParam = null;
         Object.entries(data).forEach(([key, value]) => {
             if (value !== undefined && value !== null && key !== 'id') {
+                if (key === 'email') emailParam = paramIndex;
                 fields.push(`${key} = $${paramIndex}`);
                 values.push(value);
                 paramIndex++;
@@ -75,6 +77,11 @@ class UserRepository extends BaseRepository {
             throw new Error('No valid fields to update');
         }
 
+        // A new address has to be verified again
+        if (emailParam) {
+            fields.push(`email_verified_at = CASE WHEN email = $${emailParam} THEN email_verified_at ELSE NULL END`);
+        }
+
         values.push(id);
 
         const query = `
@@ -87,6 +94,28 @@ class UserRepository extends BaseRepository {
         return this.findById(id);
     }
 
+    /**
+     * Mark the address verified, only if the user still has the address the token was sent to
+     */
+    async markEmailVerified(id, email, client = this.db) {
+        const result = await client.query(`
+            UPDATE users
+            SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND email = $2
+            RETURNING email_verified_at
+        `, [id, email]);
+
+        return result.rows[0]?.email_verified_at || null;
+    }
+
+    async updatePasswordHash(id, passwordHash, client = this.db) {
+        const result = await client.query(
+            'UPDATE users SET password_hash = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [id, passwordHash]
+        );
+        return result.rowCount > 0;
+    }
+
     async findAll(limit = 50, offset = 0) {
         const query = `
             SELECT * FROM users
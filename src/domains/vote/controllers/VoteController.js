@@ -28,6 +28,7 @@ class VoteController extends BaseController {
             const voteData = {
                 server_id: serverId,
                 ...request.body,
+                user_id: request.user?.id || null,
                 ip_address: request.ip,
                 user_agent: request.headers['user-agent'],
                 headers: request.headers
@@ -75,7 +76,9 @@ class VoteController extends BaseController {
             const serverId = parseInt(request.params.id);
             const ipAddress = request.ip;
 
-            const result = await this.voteService.canVoteForServer(serverId, ipAddress);
+            const username = request.query?.username || null;
+
+            const result = await this.voteService.canVoteForServer(serverId, ipAddress, username);
 
             return reply.success(result, 'Balso galimybė sėkmingai patikrinta');
         } catch (error) {
@@ -91,7 +94,7 @@ class VoteController extends BaseController {
             const voteId = parseInt(request.params.voteId);
             const { reason } = request.body;
 
-            const vote = await this.voteService.flagVote(voteId, reason);
+            const vote = await this.voteService.flagVote(voteId, reason, request.user.id);
 
             return reply.success({
                 vote: vote.toAdminJSON()
@@ -108,7 +111,9 @@ class VoteController extends BaseController {
         try {
             const voteId = parseInt(request.params.voteId);
 
-            const vote = await this.voteService.verifyVote(voteId);
+            const reason = request.body?.reason || null;
+
+            const vote = await this.voteService.verifyVote(voteId, request.user.id, reason);
 
             return reply.success({
                 vote: vote.toAdminJSON()
@@ -117,6 +122,24 @@ class VoteController extends BaseController {
             return this.handleError(error, request, reply, 'verify vote');
         }
     }
+
+    /**
+     * Remove vote from counts, keeping it for audit (admin only)
+     */
+    async removeVote(request, reply) {
+        try {
+            const voteId = parseInt(request.params.voteId);
+            const { reason } = request.body;
+
+            const vote = await this.voteService.removeVote(voteId, reason, request.user.id);
+
+            return reply.success({
+                vote: vote.toAdminJSON()
+            }, 'Balsas pašalintas iš skaičiavimų');
+        } catch (error) {
+            return this.handleError(error, request, reply, 'remove vote');
+        }
+    }
 }
 
 module.exports = VoteController;
\ No newline at end of file
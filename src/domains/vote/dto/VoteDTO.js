@@ -19,6 +19,16 @@ class VoteDTO {
         this.ip_analysis = voteData.ip_analysis;
         this.votifier_sent = voteData.votifier_sent;
         this.votifier_response = voteData.votifier_response;
+        this.votifier_status = voteData.votifier_status;
+        this.votifier_attempts = voteData.votifier_attempts;
+        this.votifier_next_attempt_at = voteData.votifier_next_attempt_at;
+        this.votifier_last_attempt_at = voteData.votifier_last_attempt_at;
+        this.votifier_sent_at = voteData.votifier_sent_at;
+        this.moderation_status = voteData.moderation_status;
+        this.moderation_reason = voteData.moderation_reason;
+        this.moderated_by = voteData.moderated_by;
+        this.moderated_at = voteData.moderated_at;
+        this.risk_score = voteData.risk_score;
         this.created_at = voteData.created_at;
         this.updated_at = voteData.updated_at;
 
@@ -46,6 +56,16 @@ class VoteDTO {
             ip_analysis: row.ip_analysis,
             votifier_sent: row.votifier_sent,
             votifier_response: row.votifier_response,
+            votifier_status: row.votifier_status,
+            votifier_attempts: row.votifier_attempts,
+            votifier_next_attempt_at: row.votifier_next_attempt_at,
+            votifier_last_attempt_at: row.votifier_last_attempt_at,
+            votifier_sent_at: row.votifier_sent_at,
+            moderation_status: row.moderation_status,
+            moderation_reason: row.moderation_reason,
+            moderated_by: row.moderated_by,
+            moderated_at: row.moderated_at,
+            risk_score: row.risk_score,
             created_at: row.created_at,
             updated_at: row.updated_at,
             server: row.server_name ? {
@@ -123,11 +143,37 @@ class VoteDTO {
             ip_analysis: this.ip_analysis,
             votifier_sent: this.votifier_sent,
             votifier_response: this.votifier_response,
+            votifier_status: this.votifier_status,
+            votifier_attempts: this.votifier_attempts,
+            moderation_status: this.moderation_status,
+            moderation_reason: this.moderation_reason || null,
+            moderated_by: this.moderated_by || null,
+            moderated_at: this.moderated_at || null,
+            risk_score: this.risk_score || 0,
             created_at: this.created_at,
             updated_at: this.updated_at,
             server: this.server
         };
     }
+
+    /**
+     * Convert to JSON for the votifier delivery queue
+     */
+    toQueueJSON() {
+        return {
+            id: this.id,
+            server_id: this.server_id,
+            username: this.username,
+            status: this.votifier_status,
+            attempts: this.votifier_attempts || 0,
+            next_attempt_at: this.votifier_next_attempt_at || null,
+            last_attempt_at: this.votifier_last_attempt_at || null,
+            sent_at: this.votifier_sent_at || null,
+            response: this.votifier_response || null,
+            created_at: this.created_at,
+            server: this.server
+        };
+    }
 }
 
 module.exports = VoteDTO;
\ No newline at end of file
@@ -0,0 +1,66 @@
+'use strict'
+
+const BaseRepository = require('../../../repositories/BaseRepository');
+
+/**
+ * Vote Policy Repository
+ * Per-server overrides of the global vote eligibility policy
+ */
+class VotePolicyRepository extends BaseRepository {
+    constructor(database) {
+        super(database, 'server_vote_policies');
+    }
+
+    /**
+     * Find overrides for a server
+     * @param {number} serverId - Server ID
+     * @returns {Promise<Object|null>} Override row or null
+     */
+    async findByServerId(serverId) {
+        const result = await this.db.query('SELECT * FROM server_vote_policies WHERE server_id = $1', [serverId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Create or replace overrides for a server (null fields fall back to global)
+     * @param {number} serverId - Server ID
+     * @param {Object} policy - { limit_scope, reset_mode, period_hours, votes_per_period }
+     * @param {number} adminId - Acting admin
+     * @returns {Promise<Object>} Saved row
+     */
+    async upsert(serverId, policy, adminId = null) {
+        const query = `
+            INSERT INTO server_vote_policies (server_id, limit_scope, reset_mode, period_hours, votes_per_period, updated_by)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (server_id) DO UPDATE SET
+                limit_scope = EXCLUDED.limit_scope,
+                reset_mode = EXCLUDED.reset_mode,
+                period_hours = EXCLUDED.period_hours,
+                votes_per_period = EXCLUDED.votes_per_period,
+                updated_by = EXCLUDED.updated_by,
+                updated_at = NOW()
+            RETURNING *
+        `;
+        const result = await this.db.query(query, [
+            serverId,
+            policy.limit_scope ?? null,
+            policy.reset_mode ?? null,
+            policy.period_hours ?? null,
+            policy.votes_per_period ?? null,
+            adminId
+        ]);
+        return result.rows[0];
+    }
+
+    /**
+     * Remove overrides for a server
+     * @param {number} serverId - Server ID
+     * @returns {Promise<boolean>} Whether a row was removed
+     */
+    async deleteByServerId(serverId) {
+        const result = await this.db.query('DELETE FROM server_vote_policies WHERE server_id = $1', [serverId]);
+        return result.rowCount > 0;
+    }
+}
+
+module.exports = VotePolicyRepository;
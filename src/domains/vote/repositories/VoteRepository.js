@@ -17,14 +17,15 @@ class VoteRepository extends BaseRepository {
      * @param {Object} voteData - Vote data
      * @returns {Promise<VoteDTO>} Created vote
      */
-    async create(voteData) {
+    async create(voteData, client = this.db) {
         const query = `
             INSERT INTO server_votes (
                 server_id, username, ip_address, user_agent, headers, 
                 recaptcha_token, recaptcha_score, referrer, verification_score,
-                ip_analysis, votifier_sent, votifier_response
+                ip_analysis, votifier_sent, votifier_response,
+                risk_score, moderation_status, moderation_reason
             )
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
             RETURNING *
         `;
         const values = [
@@ -39,10 +40,13 @@ class VoteRepository extends BaseRepository {
             voteData.verification_score || 0,
             JSON.stringify(voteData.ip_analysis || {}),
             voteData.votifier_sent || false,
-            voteData.votifier_response
+            voteData.votifier_response,
+            voteData.risk_score || 0,
+            voteData.moderation_status || 'pending',
+            voteData.moderation_reason || null
         ];
 
-        const result = await this.db.query(query, values);
+        const result = await client.query(query, values);
         return VoteDTO.fromDatabase(result.rows[0]);
     }
 
@@ -304,7 +308,7 @@ class VoteRepository extends BaseRepository {
         const query = `
             SELECT username, COUNT(*)::int AS vote_count
             FROM server_votes
-            WHERE server_id = $1
+            WHERE server_id = $1 AND moderation_status <> 'removed'
             GROUP BY username
             ORDER BY vote_count DESC, username ASC
             LIMIT $2
@@ -312,6 +316,184 @@ class VoteRepository extends BaseRepository {
         const result = await this.db.query(query, [serverId, limit]);
         return result.rows.map(r => ({ username: r.username, vote_count: parseInt(r.vote_count, 10) }));
     }
+
+    /**
+     * Votes by one IP or username for a server inside the policy period
+     * (removed votes do not count, so a thrown-out vote frees the slot)
+     * @param {Object} client - Query client (pool or transaction)
+     * @param {Object} options - { serverId, field: 'ip'|'username', value, resetMode, periodHours, votesPerPeriod }
+     * @returns {Promise<Object>} { votes, blocking_vote_at, next_reset_at }
+     */
+    async getVoteWindow(client, { serverId, field, value, resetMode, periodHours, votesPerPeriod }) {
+        const condition = field === 'ip'
+            ? 'ip_address = $2::inet'
+            : 'LOWER(username) = LOWER($2)';
+        // created_at is Vilnius local time (TIMESTAMP without zone)
+        const since = resetMode === 'calendar'
+            ? `date_trunc('day', LOCALTIMESTAMP)`
+            : `LOCALTIMESTAMP - make_interval(hours => $4)`;
+
+        const query = `
+            WITH window_votes AS (
+                SELECT created_at
+                FROM server_votes
+                WHERE server_id = $1 AND ${condition} AND created_at >= ${since}
+                  AND moderation_status <> 'removed'
+            )
+            SELECT
+                (SELECT COUNT(*) FROM window_votes)::int AS votes,
+                (
+                    SELECT created_at AT TIME ZONE 'Europe/Vilnius'
+                    FROM window_votes
+                    ORDER BY created_at DESC
+                    OFFSET ($3::int - 1) LIMIT 1
+                ) AS blocking_vote_at,
+                (date_trunc('day', LOCALTIMESTAMP) + INTERVAL '1 day') AT TIME ZONE 'Europe/Vilnius' AS next_reset_at
+        `;
+
+        const params = [serverId, value, votesPerPeriod];
+        if (resetMode !== 'calendar') {
+            params.push(periodHours);
+        }
+
+        const result = await client.query(query, params);
+        return result.rows[0];
+    }
+
+    /**
+     * Serialize concurrent votes for the same server and voter keys
+     * until the surrounding transaction ends
+     * @param {Object} client - Transaction client
+     * @param {string[]} keys - Lock keys
+     */
+    async lockVoteKeys(client, keys) {
+        for (const key of [...keys].sort()) {
+            await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [key]);
+        }
+    }
+
+    /**
+     * Lock votes for a moderation change
+     * @param {Object} client - Transaction client
+     * @param {number[]} ids - Vote IDs
+     * @returns {Promise<Array>} Rows with id, server_id, moderation_status
+     */
+    async findForModeration(client, ids) {
+        const query = `
+            SELECT id, server_id, moderation_status
+            FROM server_votes
+            WHERE id = ANY($1::int[])
+            ORDER BY id
+            FOR UPDATE
+        `;
+        const result = await client.query(query, [ids]);
+        return result.rows;
+    }
+
+    /**
+     * Stop Votifier delivery of votes that are still waiting in the queue
+     * @param {Object} client - Transaction client
+     * @param {number[]} ids - Vote IDs
+     * @param {string} reason - Shown as the delivery response
+     */
+    async cancelVotifierDelivery(client, ids, reason) {
+        await client.query(`
+            UPDATE server_votes
+            SET votifier_status = 'dead',
+                votifier_response = $2,
+                votifier_next_attempt_at = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ANY($1::int[]) AND votifier_status = 'pending'
+        `, [ids, reason]);
+    }
+
+    /**
+     * Apply a moderation status and record each change in the log
+     * @param {Object} client - Transaction client
+     * @param {Array} votes - Locked rows ({ id, moderation_status })
+     * @param {Object} change - { status, reason, adminId }
+     * @returns {Promise<VoteDTO[]>} Updated votes
+     */
+    async applyModeration(client, votes, { status, reason = null, adminId = null }) {
+        const ids = votes.map(vote => vote.id);
+
+        const result = await client.query(`
+            UPDATE server_votes
+            SET moderation_status = $2,
+                moderation_reason = $3,
+                moderated_by = $4,
+                moderated_at = NOW(),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ANY($1::int[])
+            RETURNING *
+        `, [ids, status, reason, adminId]);
+
+        await client.query(`
+            INSERT INTO server_vote_moderation_log (vote_id, from_status, to_status, reason, admin_id)
+            SELECT vote_id, from_status, $3, $4, $5
+            FROM unnest($1::int[], $2::text[]) AS changes(vote_id, from_status)
+        `, [ids, votes.map(vote => vote.moderation_status), status, reason, adminId]);
+
+        return result.rows.map(row => VoteDTO.fromDatabase(row));
+    }
+
+    /**
+     * Build WHERE clause for the review queue
+     */
+    buildReviewFilters(options, params) {
+        const statuses = options.statuses && options.statuses.length > 0 ? options.statuses : ['pending', 'flagged'];
+        params.push(statuses);
+        const conditions = [`sv.moderation_status = ANY($${params.length}::text[])`];
+
+        if (options.serverId) {
+            params.push(options.serverId);
+            conditions.push(`sv.server_id = $${params.length}`);
+        }
+
+        if (options.minRisk) {
+            params.push(options.minRisk);
+            conditions.push(`sv.risk_score >= $${params.length}`);
+        }
+
+        return conditions.join(' AND ');
+    }
+
+    /**
+     * Votes awaiting review, riskiest first
+     * @param {Object} options - { statuses, serverId, minRisk, limit, offset }
+     * @returns {Promise<VoteDTO[]>} Votes
+     */
+    async findReviewQueue(options = {}) {
+        const { limit = 20, offset = 0 } = options;
+        const params = [];
+        const where = this.buildReviewFilters(options, params);
+
+        params.push(limit, offset);
+        const query = `
+            SELECT sv.*, s.name as server_name, s.host as server_host, s.port as server_port
+            FROM server_votes sv
+            JOIN servers s ON sv.server_id = s.id
+            WHERE ${where}
+            ORDER BY sv.risk_score DESC, sv.created_at DESC
+            LIMIT $${params.length - 1} OFFSET $${params.length}
+        `;
+
+        const result = await this.db.query(query, params);
+        return result.rows.map(row => VoteDTO.fromDatabase(row));
+    }
+
+    /**
+     * Count votes awaiting review
+     * @param {Object} options - { statuses, serverId, minRisk }
+     * @returns {Promise<number>} Count
+     */
+    async countReviewQueue(options = {}) {
+        const params = [];
+        const where = this.buildReviewFilters(options, params);
+
+        const result = await this.db.query(`SELECT COUNT(*) FROM server_votes sv WHERE ${where}`, params);
+        return parseInt(result.rows[0].count);
+    }
 }
 
 module.exports = VoteRepository;
\ No newline at end of file
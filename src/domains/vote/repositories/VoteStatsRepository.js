@@ -71,6 +71,46 @@ class VoteStatsRepository extends BaseRepository {
         return result.rows[0];
     }
 
+    /**
+     * Rebuild a server's counters from its non-removed votes
+     * Periods follow the reset jobs: Vilnius day, ISO week (Monday) and month
+     * @param {number} serverId - Server ID
+     * @param {Object} client - Transaction client (defaults to pool)
+     * @returns {Promise<Object>} Updated vote stats
+     */
+    async recomputeForServer(serverId, client = this.db) {
+        const query = `
+            INSERT INTO server_vote_stats (
+                server_id, total_votes, verified_votes, flagged_votes,
+                daily_votes, weekly_votes, monthly_votes, last_vote_at
+            )
+            SELECT
+                $1,
+                COUNT(*) FILTER (WHERE moderation_status <> 'removed'),
+                COUNT(*) FILTER (WHERE moderation_status = 'verified'),
+                COUNT(*) FILTER (WHERE moderation_status = 'flagged'),
+                COUNT(*) FILTER (WHERE moderation_status <> 'removed' AND created_at >= date_trunc('day', LOCALTIMESTAMP)),
+                COUNT(*) FILTER (WHERE moderation_status <> 'removed' AND created_at >= date_trunc('week', LOCALTIMESTAMP)),
+                COUNT(*) FILTER (WHERE moderation_status <> 'removed' AND created_at >= date_trunc('month', LOCALTIMESTAMP)),
+                MAX(created_at) FILTER (WHERE moderation_status <> 'removed')
+            FROM server_votes
+            WHERE server_id = $1
+            ON CONFLICT (server_id) DO UPDATE SET
+                total_votes = EXCLUDED.total_votes,
+                verified_votes = EXCLUDED.verified_votes,
+                flagged_votes = EXCLUDED.flagged_votes,
+                daily_votes = EXCLUDED.daily_votes,
+                weekly_votes = EXCLUDED.weekly_votes,
+                monthly_votes = EXCLUDED.monthly_votes,
+                last_vote_at = EXCLUDED.last_vote_at,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `;
+
+        const result = await client.query(query, [serverId]);
+        return result.rows[0];
+    }
+
     /**
      * Reset daily vote counts
      * @returns {Promise<number>} Number of updated records
@@ -63,6 +63,13 @@ const adminVoteObject = {
         ip_analysis: { type: 'object' },
         votifier_sent: { type: 'boolean' },
         votifier_response: { type: ['string', 'null'] },
+        votifier_status: { type: ['string', 'null'], enum: ['pending', 'sent', 'dead', null] },
+        votifier_attempts: { type: 'integer' },
+        moderation_status: { type: 'string', enum: ['pending', 'verified', 'flagged', 'removed'] },
+        moderation_reason: { type: ['string', 'null'] },
+        moderated_by: { type: ['integer', 'null'] },
+        moderated_at: { type: ['string', 'null'], format: 'date-time' },
+        risk_score: { type: 'integer' },
         created_at: { type: 'string', format: 'date-time' },
         updated_at: { type: 'string', format: 'date-time' },
         server: {
@@ -77,6 +84,17 @@ const adminVoteObject = {
     }
 };
 
+// Effective vote eligibility policy
+const votePolicyObject = {
+    type: 'object',
+    properties: {
+        limit_scope: { type: 'string', enum: ['ip', 'username', 'both'] },
+        reset_mode: { type: 'string', enum: ['rolling', 'calendar'] },
+        period_hours: { type: 'integer' },
+        votes_per_period: { type: 'integer' }
+    }
+};
+
 // Vote response schemas
 const createVoteResponse = createApiResponse({
     type: 'object',
@@ -98,11 +116,89 @@ const canVoteResponse = createApiResponse({
         can_vote: { type: 'boolean' },
         reason: { type: 'string' },
         next_vote_time: { type: ['string', 'null'], format: 'date-time' },
-
+        limited_by: { type: ['string', 'null'], enum: ['ip', 'username', null] },
+        remaining_votes: { type: 'integer' },
+        policy: votePolicyObject
     },
     required: ['can_vote']
 });
 
+const canVoteQuery = {
+    type: 'object',
+    properties: {
+        username: { type: 'string', minLength: 3, maxLength: 16, pattern: '^[A-Za-z0-9_]+$' }
+    }
+};
+
+const votePolicyBody = {
+    type: 'object',
+    properties: {
+        limit_scope: { type: ['string', 'null'], enum: ['ip', 'username', 'both', null] },
+        reset_mode: { type: ['string', 'null'], enum: ['rolling', 'calendar', null] },
+        period_hours: { type: ['integer', 'null'], minimum: 1, maximum: 720 },
+        votes_per_period: { type: ['integer', 'null'], minimum: 1, maximum: 100 }
+    },
+    additionalProperties: false
+};
+
+const votePolicyResponse = createApiResponse({
+    type: 'object',
+    properties: {
+        overrides: { ...votePolicyBody, type: ['object', 'null'] },
+        effective: votePolicyObject,
+        source: { type: 'string', enum: ['global', 'server'] }
+    },
+    required: ['effective']
+});
+
+// Moderation schemas
+const reviewQueueQuery = {
+    type: 'object',
+    properties: {
+        page: { type: 'integer', minimum: 1, default: 1 },
+        limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+        status: { type: 'string', enum: ['pending', 'verified', 'flagged', 'removed'] },
+        server_id: { type: 'integer', minimum: 1 },
+        min_risk: { type: 'integer', minimum: 0, maximum: 100 }
+    }
+};
+
+const reviewQueueResponse = createPaginatedResponse(adminVoteObject, 'votes');
+
+const bulkModerateBody = {
+    type: 'object',
+    required: ['vote_ids', 'action'],
+    properties: {
+        vote_ids: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 100,
+            items: { type: 'integer', minimum: 1 }
+        },
+        action: { type: 'string', enum: ['verify', 'flag', 'remove', 'restore'] },
+        reason: { type: 'string', minLength: 1, maxLength: 500 }
+    }
+};
+
+const bulkModerateResponse = createApiResponse({
+    type: 'object',
+    properties: {
+        updated: { type: 'array', items: adminVoteObject },
+        skipped: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    code: { type: 'string' },
+                    message: { type: 'string' }
+                }
+            }
+        }
+    },
+    required: ['updated', 'skipped']
+});
+
 // Security validation response schema
 const securityValidationResponse = createApiResponse({
     type: 'object',
@@ -128,5 +224,12 @@ module.exports = {
     getVotesResponse,
     adminVoteResponse,
     canVoteResponse,
+    canVoteQuery,
+    votePolicyBody,
+    votePolicyResponse,
+    reviewQueueQuery,
+    reviewQueueResponse,
+    bulkModerateBody,
+    bulkModerateResponse,
     securityValidationResponse
 };
\ No newline at end of file
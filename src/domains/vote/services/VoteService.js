@@ -2,14 +2,37 @@
 
 const Validator = require('../../../lib/Validator');
 const ErrorHandler = require('../../../lib/ErrorHandler');
-const axios = require('axios');
+
+// Allowed moderation transitions (from -> to)
+const MODERATION_TRANSITIONS = {
+    pending: ['verified', 'flagged', 'removed'],
+    flagged: ['verified', 'removed'],
+    verified: ['flagged', 'removed'],
+    removed: ['verified']
+};
+
+// Global eligibility policy used when config is missing or invalid
+const DEFAULT_VOTE_POLICY = {
+    limit_scope: 'both',
+    reset_mode: 'rolling',
+    period_hours: 24,
+    votes_per_period: 1
+};
+
+// Bulk action -> resulting moderation status
+const MODERATION_ACTIONS = {
+    verify: 'verified',
+    flag: 'flagged',
+    remove: 'removed',
+    restore: 'verified'
+};
 
 /**
  * Vote Service
  * Handles vote operations
  */
 class VoteService {
-    constructor(voteRepository, voteStatsRepository, votifierService, securityService, configService, seoService, serverService, logger) {
+    constructor(voteRepository, voteStatsRepository, votifierService, securityService, configService, seoService, serverService, logger, votifierQueueService = null, votePolicyRepository = null, authService = null) {
         this.voteRepository = voteRepository;
         this.voteStatsRepository = voteStatsRepository;
         this.votifierService = votifierService;
@@ -17,6 +40,9 @@ class VoteService {
         this.configService = configService;
         this.seoService = seoService;
         this.serverService = serverService;
+        this.votifierQueueService = votifierQueueService;
+        this.votePolicyRepository = votePolicyRepository;
+        this.authService = authService;
         
         // Inject database connection to security service
         if (this.securityService && this.voteRepository?.db) {
@@ -76,10 +102,17 @@ class VoteService {
                 throw ErrorHandler.createError('Trūksta privalomų laukų', 400, 'MISSING_REQUIRED_FIELDS');
             }
 
+            // Voting may require a logged-in user with a verified email (auth.require_verified_email)
+            if (this.authService) {
+                await this.authService.assertEmailVerified(voteData.user_id);
+            }
+
             // Check if user can vote (early check to avoid expensive operations)
-            const canVote = await this.canVoteForServer(voteData.server_id, voteData.ip_address);
+            const voter = { ipAddress: voteData.ip_address, username: voteData.username.trim() };
+            const policy = await this.getVotePolicy(voteData.server_id);
+            const canVote = await this.checkEligibility(voteData.server_id, voter, policy);
             if (!canVote.can_vote) {
-                throw ErrorHandler.createError('Tu jau esi prabalsavęs už šį serverį, balsuoti galėsi rytoj.', 409, 'ALREADY_VOTED_TODAY');
+                throw this.createVoteLimitError(canVote);
             }
 
             // Check if server exists and is active
@@ -126,6 +159,30 @@ class VoteService {
                 abuseIpData = { error: 'Analysis failed', timestamp: new Date().toISOString() };
             }
 
+            // Score the attempt from all signals
+            const risk = await this.securityService.assessVoteRisk({
+                serverId: voteData.server_id,
+                ipAddress: voteData.ip_address,
+                username: voteData.username.trim(),
+                userAgent: voteData.user_agent,
+                headers: voteData.headers || {},
+                recaptcha: recaptchaResult,
+                abuse: abuseIpData
+            });
+
+            if (risk.action === 'reject') {
+                this.log('warn', {
+                    serverId: voteData.server_id,
+                    ipAddress: voteData.ip_address,
+                    username: voteData.username,
+                    riskScore: risk.score,
+                    signals: risk.signals
+                }, 'Vote rejected by risk scoring');
+                throw ErrorHandler.createError('Balsas atmestas dėl įtartinos veiklos. Jei manai, kad tai klaida, susisiek su administracija.', 403, 'VOTE_REJECTED');
+            }
+
+            const autoFlagged = risk.action === 'flag';
+
             // Create vote data
             const finalVoteData = {
                 server_id: voteData.server_id,
@@ -136,42 +193,46 @@ class VoteService {
                 recaptcha_token: voteData.recaptcha_token,
                 recaptcha_score: recaptchaResult.score,
                 referrer: voteData.headers?.referer || voteData.headers?.referrer,
-                verification_score: 0,
-                ip_analysis: abuseIpData
+                verification_score: 100 - risk.score,
+                ip_analysis: { ...abuseIpData, risk },
+                risk_score: risk.score,
+                moderation_status: autoFlagged ? 'flagged' : 'pending',
+                moderation_reason: autoFlagged ? `Automatiškai pažymėta: rizikos balas ${risk.score}` : null
             };
 
-            // Create the vote
-            const vote = await this.voteRepository.create(finalVoteData);
+            // Re-check the limit under a lock so parallel requests cannot both pass
+            const vote = await this.voteRepository.db.transaction(async (client) => {
+                await this.voteRepository.lockVoteKeys(client, [
+                    `vote:${voteData.server_id}:ip:${voter.ipAddress}`,
+                    `vote:${voteData.server_id}:user:${voter.username.toLowerCase()}`
+                ]);
 
-            // Update vote statistics
-            await this.voteStatsRepository.incrementVoteCount(voteData.server_id);
+                const eligibility = await this.checkEligibility(voteData.server_id, voter, policy, client);
+                if (!eligibility.can_vote) {
+                    throw this.createVoteLimitError(eligibility);
+                }
 
-            // Send to votifier
-            if (this.votifierService) {
-                try {
-                    const votifierConfig = await this.votifierService.getVotifierByServerId(voteData.server_id);
-                    if (votifierConfig && votifierConfig.is_enabled) {
-                        const votifierResponse = await this.sendToVotifier(votifierConfig, finalVoteData);
+                return this.voteRepository.create(finalVoteData, client);
+            });
 
-                        // Update vote with votifier response
-                        await this.voteRepository.update(vote.id, {
-                            votifier_sent: votifierResponse.success,
-                            votifier_response: votifierResponse.message
-                        });
-                    }
-                } catch (votifierError) {
-                    this.log('warn', {
-                        voteId: vote.id,
-                        serverId: voteData.server_id,
-                        error: votifierError.message
-                    }, 'Failed to send vote to votifier');
-                }
+            // Update vote statistics (flagged votes also need the flagged counter)
+            if (autoFlagged) {
+                await this.voteStatsRepository.recomputeForServer(voteData.server_id);
+            } else {
+                await this.voteStatsRepository.incrementVoteCount(voteData.server_id);
+            }
+
+            // Flagged votes earn no rewards until a moderator verifies them
+            if (!autoFlagged) {
+                await this.queueForVotifier(vote);
             }
 
             this.log('info', {
                 voteId: vote.id,
                 serverId: voteData.server_id,
-                username: voteData.username
+                username: voteData.username,
+                riskScore: risk.score,
+                moderationStatus: vote.moderation_status
             }, 'Vote created successfully');
 
             // Update SEO data with new vote count for rating calculation
@@ -192,11 +253,6 @@ class VoteService {
 
             return vote;
         } catch (error) {
-            // Handle unique constraint violation for daily vote limit
-            if (error.message && error.message.includes('idx_server_votes_daily_limit')) {
-                throw ErrorHandler.createError('Tu jau esi prabalsavęs už šį serverį, balsuoti galėsi rytoj.', 409, 'ALREADY_VOTED_TODAY');
-            }
-
             if (error.statusCode) {
                 throw error;
             }
@@ -306,128 +362,473 @@ class VoteService {
     }
 
     /**
-     * Check if user can vote for server
+     * Effective eligibility policy: global config merged with server overrides
      * @param {number} serverId - Server ID
-     * @param {string} ipAddress - IP address
-     * @returns {Promise<Object>} Can vote status
+     * @returns {Promise<Object>} { limit_scope, reset_mode, period_hours, votes_per_period, source }
      */
-    async canVoteForServer(serverId, ipAddress) {
-        try {
-            // Check daily voting limit (24 hours) - optimized query
-            const limitQuery = `
-                SELECT 
-                    1 as found,
-                    created_at as last_vote,
-                    (created_at + INTERVAL '24 hours') as next_vote_time,
-                    EXTRACT(EPOCH FROM ((created_at + INTERVAL '24 hours') - NOW()))::int as remaining_seconds
-                FROM server_votes 
-                WHERE server_id = $1 
-                AND ip_address = $2
-                AND created_at > NOW() - INTERVAL '24 hours'
-                ORDER BY created_at DESC
-                LIMIT 1
-            `;
-            
-            const limitResult = await this.voteRepository.db.query(limitQuery, [serverId, ipAddress]);
-            const hasVotedRecently = limitResult.rows.length > 0;
-
-            if (hasVotedRecently) {
-                const row = limitResult.rows[0];
-                const remainingSeconds = Math.max(0, row.remaining_seconds || 0);
-                const nextVoteTime = new Date(row.next_vote_time);
-
-                // If somehow remaining time is 0 or negative, allow voting
-                if (remainingSeconds <= 0) {
-                    return {
-                        can_vote: true,
-                        reason: 'Eligible to vote',
-                        next_vote_time: null,
-                    };
+    async getVotePolicy(serverId) {
+        const read = async (key, defaultValue) => {
+            if (!this.configService) return defaultValue;
+            const value = await this.configService.get(key, defaultValue);
+            return value === null || value === undefined ? defaultValue : value;
+        };
+
+        const global = {
+            limit_scope: await read('vote.limit_scope', DEFAULT_VOTE_POLICY.limit_scope),
+            reset_mode: await read('vote.reset_mode', DEFAULT_VOTE_POLICY.reset_mode),
+            period_hours: await read('vote.period_hours', DEFAULT_VOTE_POLICY.period_hours),
+            votes_per_period: await read('vote.daily_limit', DEFAULT_VOTE_POLICY.votes_per_period)
+        };
+
+        let overrides = null;
+        if (this.votePolicyRepository && serverId) {
+            overrides = await this.votePolicyRepository.findByServerId(serverId);
+        }
+
+        const merged = { ...global };
+        if (overrides) {
+            for (const key of Object.keys(DEFAULT_VOTE_POLICY)) {
+                if (overrides[key] !== null && overrides[key] !== undefined) {
+                    merged[key] = overrides[key];
                 }
+            }
+        }
 
-                // Calculate time remaining (hours/minutes)
-                const hours = Math.floor(remainingSeconds / 3600);
-                const minutes = Math.floor((remainingSeconds % 3600) / 60);
+        return { ...VoteService.normalizeVotePolicy(merged), source: overrides ? 'server' : 'global' };
+    }
 
-                let timeMessage;
-                if (hours > 0) {
-                    timeMessage = minutes > 0 ? `už ${hours} val. ${minutes} min.` : `už ${hours} val.`;
-                } else if (minutes > 0) {
-                    timeMessage = `už ${minutes} min.`;
-                } else {
-                    timeMessage = 'už kelių sekundžių';
+    /**
+     * Replace invalid policy values with defaults
+     */
+    static normalizeVotePolicy(policy) {
+        const positive = (value, max, fallback) => {
+            const number = parseInt(value);
+            return Number.isInteger(number) && number >= 1 && number <= max ? number : fallback;
+        };
+
+        return {
+            limit_scope: ['ip', 'username', 'both'].includes(policy.limit_scope) ? policy.limit_scope : DEFAULT_VOTE_POLICY.limit_scope,
+            reset_mode: ['rolling', 'calendar'].includes(policy.reset_mode) ? policy.reset_mode : DEFAULT_VOTE_POLICY.reset_mode,
+            period_hours: positive(policy.period_hours, 720, DEFAULT_VOTE_POLICY.period_hours),
+            votes_per_period: positive(policy.votes_per_period, 100, DEFAULT_VOTE_POLICY.votes_per_period)
+        };
+    }
+
+    /**
+     * Human readable wait, e.g. "už 3 val. 5 min."
+     * @param {number} seconds - Seconds until the next vote
+     * @returns {string}
+     */
+    static formatWaitTime(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+
+        if (hours > 0) {
+            return minutes > 0 ? `už ${hours} val. ${minutes} min.` : `už ${hours} val.`;
+        }
+        if (minutes > 0) {
+            return `už ${minutes} min.`;
+        }
+        return 'už kelių sekundžių';
+    }
+
+    /**
+     * Limit explanation shared by the can-vote check and vote creation
+     */
+    static describeVoteLimit(policy, limitedBy, seconds) {
+        const scope = limitedBy === 'ip' ? 'iš šio IP adreso' : 'šiuo slapyvardžiu';
+        const times = policy.votes_per_period === 1 ? 'tik vieną kartą' : `${policy.votes_per_period} kartus`;
+        const period = policy.reset_mode === 'calendar' ? 'per dieną' : `per ${policy.period_hours} val.`;
+
+        return `Už šį serverį ${scope} balsuoti galima ${times} ${period}, balsuoti galėsi ${VoteService.formatWaitTime(seconds)}`;
+    }
+
+    /**
+     * Evaluate the policy for a voter
+     * @param {number} serverId - Server ID
+     * @param {Object} voter - { ipAddress, username } (username optional)
+     * @param {Object} policy - Effective policy
+     * @param {Object} client - Query client (pool or transaction)
+     * @returns {Promise<Object>} { can_vote, reason, next_vote_time, limited_by, remaining_votes, policy }
+     */
+    async checkEligibility(serverId, { ipAddress, username = null }, policy, client = this.voteRepository.db) {
+        const checks = [];
+        if (policy.limit_scope !== 'username' && ipAddress) {
+            checks.push(['ip', ipAddress]);
+        }
+        if (policy.limit_scope !== 'ip' && username) {
+            checks.push(['username', username]);
+        }
+
+        let remaining = policy.votes_per_period;
+        let blocked = null;
+
+        for (const [field, value] of checks) {
+            const window = await this.voteRepository.getVoteWindow(client, {
+                serverId,
+                field,
+                value,
+                resetMode: policy.reset_mode,
+                periodHours: policy.period_hours,
+                votesPerPeriod: policy.votes_per_period
+            });
+
+            remaining = Math.min(remaining, Math.max(0, policy.votes_per_period - window.votes));
+
+            if (window.votes >= policy.votes_per_period) {
+                const nextVoteTime = policy.reset_mode === 'calendar'
+                    ? new Date(window.next_reset_at)
+                    : new Date(new Date(window.blocking_vote_at).getTime() + policy.period_hours * 3600 * 1000);
+
+                if (!blocked || nextVoteTime > blocked.nextVoteTime) {
+                    blocked = { field, nextVoteTime };
                 }
+            }
+        }
 
+        const { source, ...publicPolicy } = policy;
+
+        if (blocked) {
+            const seconds = Math.max(0, Math.ceil((blocked.nextVoteTime.getTime() - Date.now()) / 1000));
+            if (seconds > 0) {
                 return {
                     can_vote: false,
-                    reason: `Balsuoti galima tik vieną kartą per dieną, balsuoti galėsi ${timeMessage}`,
-                    next_vote_time: nextVoteTime.toISOString(),
+                    reason: VoteService.describeVoteLimit(policy, blocked.field, seconds),
+                    next_vote_time: blocked.nextVoteTime.toISOString(),
+                    limited_by: blocked.field,
+                    remaining_votes: 0,
+                    policy: publicPolicy
                 };
             }
+        }
+
+        return {
+            can_vote: true,
+            reason: 'Eligible to vote',
+            next_vote_time: null,
+            limited_by: null,
+            remaining_votes: Math.max(1, remaining),
+            policy: publicPolicy
+        };
+    }
+
+    /**
+     * 409 with the same message and timing the can-vote check returns
+     */
+    createVoteLimitError(eligibility) {
+        const error = ErrorHandler.createError(eligibility.reason, 409, 'ALREADY_VOTED_TODAY');
+        error.details = {
+            next_vote_time: eligibility.next_vote_time,
+            limited_by: eligibility.limited_by
+        };
+        return error;
+    }
+
+    /**
+     * Check if user can vote for server
+     * @param {number} serverId - Server ID
+     * @param {string} ipAddress - IP address
+     * @param {string|null} username - Minecraft username (optional)
+     * @returns {Promise<Object>} Can vote status
+     */
+    async canVoteForServer(serverId, ipAddress, username = null) {
+        try {
+            const policy = await this.getVotePolicy(serverId);
+            return await this.checkEligibility(serverId, { ipAddress, username: username ? username.trim() : null }, policy);
+        } catch (error) {
+            this.log('error', { error: error.message, serverId, ipAddress }, 'Vote error: check can vote');
+            throw ErrorHandler.serverError('Balsavimo klaida');
+        }
+    }
+
+    /**
+     * Server overrides together with the policy they produce (admin only)
+     * @param {number} serverId - Server ID
+     * @returns {Promise<Object>} { overrides, effective }
+     */
+    async getServerVotePolicy(serverId) {
+        try {
+            const overrides = this.votePolicyRepository ? await this.votePolicyRepository.findByServerId(serverId) : null;
+            const { source, ...effective } = await this.getVotePolicy(serverId);
 
             return {
-                can_vote: true,
-                reason: 'Eligible to vote',
-                next_vote_time: null,
+                overrides: overrides ? VoteService.pickPolicyFields(overrides) : null,
+                effective,
+                source
             };
         } catch (error) {
-            this.log('error', { error: error.message, serverId, ipAddress }, 'Error checking vote eligibility');
-            this.log('error', { error: error.message }, 'Vote error: check can vote');
+            this.log('error', { error: error.message, serverId }, 'Vote error: get vote policy');
             throw ErrorHandler.serverError('Balsavimo klaida');
         }
     }
 
     /**
-     * Send vote to votifier via mcstatus.io API (token-only)
-     * @param {Object} votifierConfig
-     * @param {Object} voteData
-     * @returns {Promise<{success: boolean, message: string}>}
+     * Save per-server overrides; omitted or null fields use the global policy
+     * @param {number} serverId - Server ID
+     * @param {Object} data - { limit_scope, reset_mode, period_hours, votes_per_period }
+     * @param {number} adminId - Acting admin
      */
-    async sendToVotifier(votifierConfig, voteData) {
+    async setServerVotePolicy(serverId, data, adminId = null) {
         try {
-            if (!votifierConfig?.host || !votifierConfig?.token) {
-                throw new Error('Invalid Votifier configuration: host and token are required');
+            const serverResult = await this.voteRepository.db.query('SELECT id FROM servers WHERE id = $1', [serverId]);
+            if (serverResult.rows.length === 0) {
+                throw ErrorHandler.createError('Serveris nerastas', 404, 'SERVER_NOT_FOUND');
             }
 
-            const url = 'https://api.mcstatus.io/v2/vote';
-            const params = {
-                host: votifierConfig.host,
-                port: votifierConfig.port || 8192,
-                timeout: 5.0,
-                username: voteData.username,
-                serviceName: 'mclist',
-                token: votifierConfig.token,
-                ip: voteData.ip_address
-            };
+            await this.votePolicyRepository.upsert(serverId, VoteService.pickPolicyFields(data), adminId);
+            this.log('info', { serverId, adminId, policy: data }, 'Server vote policy updated');
 
-            const response = await axios.post(url, null, { params, timeout: 5000 });
-            const ok = response.status >= 200 && response.status < 300;
+            return await this.getServerVotePolicy(serverId);
+        } catch (error) {
+            if (error.statusCode) {
+                throw error;
+            }
+            this.log('error', { error: error.message, serverId }, 'Vote error: set vote policy');
+            throw ErrorHandler.serverError('Balsavimo klaida');
+        }
+    }
 
-            this.log('info', {
-                serverId: votifierConfig.server_id,
-                username: voteData.username,
-                status: response.status
-            }, 'Sent vote via mcstatus.io API');
+    /**
+     * Drop per-server overrides so the global policy applies again
+     * @param {number} serverId - Server ID
+     */
+    async resetServerVotePolicy(serverId, adminId = null) {
+        try {
+            await this.votePolicyRepository.deleteByServerId(serverId);
+            this.log('info', { serverId, adminId }, 'Server vote policy reset');
 
-            return {
-                success: ok,
-                message: ok ? `mcstatus.io vote sent (status ${response.status})` : `mcstatus.io responded with status ${response.status}`
-            };
+            return await this.getServerVotePolicy(serverId);
         } catch (error) {
-            const status = error.response?.status;
-            const data = error.response?.data;
+            this.log('error', { error: error.message, serverId }, 'Vote error: reset vote policy');
+            throw ErrorHandler.serverError('Balsavimo klaida');
+        }
+    }
+
+    /**
+     * Policy columns only
+     */
+    static pickPolicyFields(data) {
+        return Object.fromEntries(Object.keys(DEFAULT_VOTE_POLICY).map(key => [key, data[key] ?? null]));
+    }
+
+    /**
+     * Queue a vote for Votifier delivery when its server has Votifier enabled
+     * (first attempt runs in the background)
+     * @param {VoteDTO} vote - Vote to deliver
+     */
+    async queueForVotifier(vote) {
+        if (!this.votifierService || !this.votifierQueueService) {
+            return;
+        }
+
+        try {
+            const votifierConfig = await this.votifierService.getVotifierByServerId(vote.server_id);
+            if (votifierConfig && votifierConfig.is_enabled) {
+                await this.votifierQueueService.enqueue(vote.id);
+            }
+        } catch (votifierError) {
             this.log('warn', {
-                serverId: votifierConfig?.server_id,
-                username: voteData?.username,
+                voteId: vote.id,
+                serverId: vote.server_id,
+                error: votifierError.message
+            }, 'Failed to queue vote for votifier');
+        }
+    }
+
+    /**
+     * Whether a vote may move between two moderation states
+     * @param {string} from - Current status
+     * @param {string} to - Target status
+     * @returns {boolean}
+     */
+    static canTransition(from, to) {
+        return (MODERATION_TRANSITIONS[from] || []).includes(to);
+    }
+
+    /**
+     * Move votes to a moderation status in one transaction.
+     * Invalid transitions are skipped and reported; stats of every affected
+     * server are rebuilt so removed votes stop counting.
+     * @param {number[]} voteIds - Vote IDs
+     * @param {string} status - Target status
+     * @param {Object} options - { reason, adminId, fromStatuses }
+     * @returns {Promise<Object>} { updated: VoteDTO[], skipped: [{ id, code, message }] }
+     */
+    async moderateVotes(voteIds, status, { reason = null, adminId = null, fromStatuses = null } = {}) {
+        try {
+            const ids = [...new Set(voteIds.map(id => parseInt(id)).filter(id => Number.isInteger(id) && id > 0))];
+            if (ids.length === 0) {
+                throw ErrorHandler.createError('Nenurodyti balsai', 400, 'NO_VOTES');
+            }
+
+            const result = await this.voteRepository.db.transaction(async (client) => {
+                const rows = await this.voteRepository.findForModeration(client, ids);
+                const found = new Map(rows.map(row => [row.id, row]));
+                const skipped = [];
+                const allowed = [];
+
+                for (const id of ids) {
+                    const row = found.get(id);
+                    if (!row) {
+                        skipped.push({ id, code: 'VOTE_NOT_FOUND', message: 'Balsas nerastas' });
+                    } else if (!VoteService.canTransition(row.moderation_status, status) ||
+                        (fromStatuses && !fromStatuses.includes(row.moderation_status))) {
+                        skipped.push({
+                            id,
+                            code: 'INVALID_MODERATION_TRANSITION',
+                            message: `Balso būsenos negalima pakeisti iš „${row.moderation_status}“ į „${status}“`
+                        });
+                    } else {
+                        allowed.push(row);
+                    }
+                }
+
+                if (allowed.length === 0) {
+                    return { updated: [], skipped };
+                }
+
+                // Removed votes earn no rewards; drop them from the Votifier queue
+                if (status === 'removed') {
+                    await this.voteRepository.cancelVotifierDelivery(client, allowed.map(row => row.id), 'Balsas pašalintas moderatoriaus');
+                }
+
+                const updated = await this.voteRepository.applyModeration(client, allowed, { status, reason, adminId });
+
+                const serverIds = [...new Set(allowed.map(row => row.server_id))];
+                for (const serverId of serverIds) {
+                    await this.voteStatsRepository.recomputeForServer(serverId, client);
+                }
+
+                return { updated, skipped };
+            });
+
+            this.log('info', {
                 status,
-                data
-            }, 'Failed to send vote via mcstatus.io API');
+                adminId,
+                updated: result.updated.length,
+                skipped: result.skipped.length
+            }, 'Votes moderated');
+
+            // Votes flagged on creation were never queued; deliver them once verified
+            if (status === 'verified') {
+                for (const vote of result.updated.filter(vote => !vote.votifier_status)) {
+                    await this.queueForVotifier(vote);
+                }
+            }
+
+            return result;
+        } catch (error) {
+            if (error.statusCode) {
+                throw error;
+            }
+            this.log('error', { error: error.message }, 'Vote error: moderate votes');
+            throw ErrorHandler.serverError('Balsavimo klaida');
+        }
+    }
+
+    /**
+     * Moderate a single vote, turning a skip into an error
+     */
+    async moderateVote(voteId, status, options = {}) {
+        const { updated, skipped } = await this.moderateVotes([voteId], status, options);
+
+        if (skipped.length > 0) {
+            const [skip] = skipped;
+            throw ErrorHandler.createError(skip.message, skip.code === 'VOTE_NOT_FOUND' ? 404 : 409, skip.code);
+        }
+
+        return updated[0];
+    }
+
+    /**
+     * Flag vote as suspicious (admin only)
+     * @param {number} voteId - Vote ID
+     * @param {string} reason - Why the vote is suspicious
+     * @param {number} adminId - Acting admin
+     * @returns {Promise<VoteDTO>} Updated vote
+     */
+    async flagVote(voteId, reason, adminId = null) {
+        return this.moderateVote(voteId, 'flagged', { reason, adminId });
+    }
+
+    /**
+     * Verify vote as legitimate (admin only); also restores removed votes
+     * @param {number} voteId - Vote ID
+     * @param {number} adminId - Acting admin
+     * @param {string} reason - Optional note
+     * @returns {Promise<VoteDTO>} Updated vote
+     */
+    async verifyVote(voteId, adminId = null, reason = null) {
+        return this.moderateVote(voteId, 'verified', { reason, adminId });
+    }
+
+    /**
+     * Remove vote from counts while keeping it for audit (admin only)
+     * @param {number} voteId - Vote ID
+     * @param {string} reason - Why the vote is removed
+     * @param {number} adminId - Acting admin
+     * @returns {Promise<VoteDTO>} Updated vote
+     */
+    async removeVote(voteId, reason, adminId = null) {
+        return this.moderateVote(voteId, 'removed', { reason, adminId });
+    }
+
+    /**
+     * Apply a bulk moderation action
+     * @param {number[]} voteIds - Vote IDs
+     * @param {string} action - verify | flag | remove | restore
+     * @param {Object} options - { reason, adminId }
+     */
+    async bulkModerate(voteIds, action, options = {}) {
+        const status = MODERATION_ACTIONS[action];
+        if (!status) {
+            throw ErrorHandler.createError('Neteisingas moderavimo veiksmas', 400, 'INVALID_MODERATION_ACTION');
+        }
+
+        // Restore only brings back removed votes
+        if (action === 'restore') {
+            return this.moderateVotes(voteIds, status, { ...options, fromStatuses: ['removed'] });
+        }
+
+        return this.moderateVotes(voteIds, status, options);
+    }
+
+    /**
+     * Suspicious votes for admin review, riskiest first
+     * @param {Object} options - { status, server_id, min_risk, page, limit }
+     * @returns {Promise<Object>} Votes with pagination
+     */
+    async getReviewQueue(options = {}) {
+        try {
+            const page = Math.max(1, parseInt(options.page) || 1);
+            const limit = Math.max(1, Math.min(parseInt(options.limit) || 20, 100));
+            const filters = {
+                statuses: options.status ? [options.status] : null,
+                serverId: options.server_id || null,
+                minRisk: options.min_risk || null
+            };
+
+            const [votes, total] = await Promise.all([
+                this.voteRepository.findReviewQueue({ ...filters, limit, offset: (page - 1) * limit }),
+                this.voteRepository.countReviewQueue(filters)
+            ]);
+
             return {
-                success: false,
-                message: status ? `mcstatus.io error ${status}: ${typeof data === 'string' ? data : JSON.stringify(data)}` : error.message
+                votes,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit),
+                    hasNext: page * limit < total,
+                    hasPrev: page > 1
+                }
             };
+        } catch (error) {
+            this.log('error', { error: error.message }, 'Vote error: get review queue');
+            throw ErrorHandler.serverError('Balsavimo klaida');
         }
     }
 }
 
-module.exports = VoteService;
\ No newline at end of file
+module.exports = VoteService;
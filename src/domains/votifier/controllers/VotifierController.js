@@ -1,15 +1,17 @@
 'use strict'
 
 const BaseController = require('../../../controllers/BaseController');
+const ErrorHandler = require('../../../lib/ErrorHandler');
 
 /**
  * Votifier Controller
  * Handles HTTP requests for votifier configurations
  */
 class VotifierController extends BaseController {
-    constructor(votifierService, logger) {
+    constructor(votifierService, logger, votifierQueueService = null) {
         super(votifierService, logger);
         this.votifierService = votifierService;
+        this.votifierQueueService = votifierQueueService;
         this.bindMethods();
     }
 
@@ -54,7 +56,8 @@ class VotifierController extends BaseController {
     async createServerVotifier(request, reply) {
         try {
             const serverId = parseInt(request.params.id);
-            
+            await this.assertServerOwner(request, serverId);
+
             const votifierData = {
                 server_id: serverId,
                 ...request.body
@@ -76,7 +79,8 @@ class VotifierController extends BaseController {
     async updateServerVotifier(request, reply) {
         try {
             const serverId = parseInt(request.params.id);
-            
+            await this.assertServerOwner(request, serverId);
+
             // Get existing votifier config
             const existingVotifier = await this.votifierService.getVotifierByServerId(serverId);
             if (!existingVotifier) {
@@ -99,7 +103,8 @@ class VotifierController extends BaseController {
     async deleteServerVotifier(request, reply) {
         try {
             const serverId = parseInt(request.params.id);
-            
+            await this.assertServerOwner(request, serverId);
+
             // Get existing votifier config
             const existingVotifier = await this.votifierService.getVotifierByServerId(serverId);
             if (!existingVotifier) {
@@ -120,7 +125,8 @@ class VotifierController extends BaseController {
     async toggleServerVotifier(request, reply) {
         try {
             const serverId = parseInt(request.params.id);
-            
+            await this.assertServerOwner(request, serverId);
+
             // Get existing votifier config
             const existingVotifier = await this.votifierService.getVotifierByServerId(serverId);
             if (!existingVotifier) {
@@ -136,6 +142,71 @@ class VotifierController extends BaseController {
             return this.handleError(error, request, reply, 'toggle server votifier');
         }
     }
+
+    /**
+     * Send a test vote through the server's votifier (owner only)
+     */
+    async testServerVotifier(request, reply) {
+        try {
+            const serverId = parseInt(request.params.id);
+            await this.assertServerOwner(request, serverId);
+
+            const test = await this.votifierService.testVotifier(serverId, {
+                username: request.body?.username,
+                address: request.ip
+            });
+
+            return reply.success({ test }, test.success
+                ? 'Bandomasis balsas sėkmingai išsiųstas'
+                : 'Bandomojo balso išsiųsti nepavyko');
+        } catch (error) {
+            return this.handleError(error, request, reply, 'test server votifier');
+        }
+    }
+
+    /**
+     * Throw 403 unless the current user owns the server
+     */
+    async assertServerOwner(request, serverId) {
+        const serverService = request.server.getService('serverService');
+        const isOwned = await serverService.checkServerOwnership(serverId, request.user.id);
+        if (!isOwned) {
+            throw ErrorHandler.createError('Jūs nevaldote šio serverio', 403, 'FORBIDDEN');
+        }
+    }
+
+    /**
+     * Get votifier delivery queue for server (owner only)
+     */
+    async getServerQueue(request, reply) {
+        try {
+            const serverId = parseInt(request.params.id);
+            await this.assertServerOwner(request, serverId);
+
+            const { status, page, limit } = request.query;
+            const queue = await this.votifierQueueService.getQueue({ serverId, status, page, limit });
+
+            return reply.success(queue, 'Votifier eilė sėkmingai gauta');
+        } catch (error) {
+            return this.handleError(error, request, reply, 'get server votifier queue');
+        }
+    }
+
+    /**
+     * Queue a vote for redelivery (owner only)
+     */
+    async redeliverServerVote(request, reply) {
+        try {
+            const serverId = parseInt(request.params.id);
+            await this.assertServerOwner(request, serverId);
+
+            const vote = await this.votifierQueueService.redeliver(parseInt(request.params.voteId), serverId);
+
+            return reply.success({ vote }, 'Balsas įtrauktas į pakartotinio siuntimo eilę');
+        } catch (error) {
+            return this.handleError(error, request, reply, 'redeliver server vote');
+        }
+    }
 }
 
 module.exports = VotifierController;
\ No newline at end of file
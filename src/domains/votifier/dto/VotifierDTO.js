@@ -11,7 +11,11 @@ class VotifierDTO {
         this.host = votifierData.host;
         this.port = votifierData.port;
         this.token = votifierData.token;
+        this.protocol = votifierData.protocol || 'auto';
+        this.public_key = votifierData.public_key || null;
         this.is_enabled = votifierData.is_enabled;
+        this.last_test_at = votifierData.last_test_at || null;
+        this.last_test_result = votifierData.last_test_result || null;
         this.created_at = votifierData.created_at;
         this.updated_at = votifierData.updated_at;
     }
@@ -26,7 +30,11 @@ class VotifierDTO {
             host: row.host,
             port: row.port,
             token: row.token,
+            protocol: row.protocol,
+            public_key: row.public_key,
             is_enabled: row.is_enabled,
+            last_test_at: row.last_test_at,
+            last_test_result: row.last_test_result,
             created_at: row.created_at,
             updated_at: row.updated_at
         });
@@ -41,6 +49,8 @@ class VotifierDTO {
             host: this.host,
             port: this.port,
             token: this.token,
+            protocol: this.protocol,
+            public_key: this.public_key,
             is_enabled: this.is_enabled
         };
     }
@@ -55,7 +65,12 @@ class VotifierDTO {
             host: this.host,
             port: this.port,
             token: this.token,
+            protocol: this.protocol,
+            public_key: this.public_key,
             is_enabled: this.is_enabled,
+            last_test: this.last_test_result
+                ? { ...this.last_test_result, tested_at: this.last_test_at }
+                : null,
             created_at: this.created_at,
             updated_at: this.updated_at
         };
@@ -70,6 +85,7 @@ class VotifierDTO {
             server_id: this.server_id,
             host: this.host,
             port: this.port,
+            protocol: this.protocol,
             is_enabled: this.is_enabled
         };
     }
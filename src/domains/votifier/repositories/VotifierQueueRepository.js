@@ -0,0 +1,223 @@
+'use strict'
+
+const BaseRepository = require('../../../repositories/BaseRepository');
+const VoteDTO = require('../../vote/dto/VoteDTO');
+
+/**
+ * Votifier Queue Repository
+ * Outbound vote delivery state kept on server_votes (votifier_* columns)
+ */
+class VotifierQueueRepository extends BaseRepository {
+    constructor(database) {
+        super(database, 'server_votes');
+    }
+
+    /**
+     * Put a vote into the queue, due immediately
+     * @param {number} voteId - Vote ID
+     * @param {Object} options - { resetAttempts }
+     * @returns {Promise<VoteDTO|null>} Queued vote or null
+     */
+    async enqueue(voteId, options = {}) {
+        const query = `
+            UPDATE server_votes
+            SET votifier_status = 'pending',
+                votifier_sent = false,
+                votifier_next_attempt_at = NOW(),
+                votifier_attempts = CASE WHEN $2 THEN 0 ELSE votifier_attempts END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING *
+        `;
+        const result = await this.db.query(query, [voteId, options.resetAttempts === true]);
+
+        return result.rows.length > 0 ? VoteDTO.fromDatabase(result.rows[0]) : null;
+    }
+
+    /**
+     * Claim due votes for delivery. Claimed rows are leased by pushing
+     * next_attempt_at forward so a crashed worker's votes are picked up again.
+     * Flagged and removed votes wait in the queue until a moderator verifies them.
+     * @param {Object} options - { limit, perServer, leaseSeconds, voteId, excludeServerIds }
+     * @returns {Promise<Array>} Claimed rows with the server's votifier config
+     */
+    async claimDue(options = {}) {
+        const {
+            limit = 100,
+            perServer = 2,
+            leaseSeconds = 60,
+            voteId = null,
+            excludeServerIds = []
+        } = options;
+
+        // Rank per server before limiting, so one server with a long backlog
+        // cannot fill the batch and starve every other server
+        const query = `
+            WITH ranked AS (
+                SELECT id,
+                       ROW_NUMBER() OVER (PARTITION BY server_id ORDER BY votifier_next_attempt_at, id) AS position
+                FROM server_votes
+                WHERE votifier_status = 'pending'
+                  AND votifier_next_attempt_at <= NOW()
+                  AND moderation_status IN ('pending', 'verified')
+                  AND ($4::int IS NULL OR id = $4)
+                  AND NOT (server_id = ANY($5::int[]))
+            ), locked AS (
+                SELECT sv.id, sv.server_id
+                FROM server_votes sv
+                JOIN ranked r ON r.id = sv.id
+                WHERE r.position <= $2
+                  AND sv.votifier_status = 'pending'
+                ORDER BY sv.votifier_next_attempt_at, sv.id
+                LIMIT $1
+                FOR UPDATE OF sv SKIP LOCKED
+            )
+            UPDATE server_votes sv
+            SET votifier_next_attempt_at = NOW() + make_interval(secs => $3)
+            FROM locked l
+            LEFT JOIN votifier_configs vc ON vc.server_id = l.server_id
+            WHERE sv.id = l.id
+            RETURNING sv.*,
+                      vc.host AS votifier_host,
+                      vc.port AS votifier_port,
+                      vc.token AS votifier_token,
+                      vc.protocol AS votifier_protocol,
+                      vc.public_key AS votifier_public_key,
+                      vc.is_enabled AS votifier_enabled
+        `;
+
+        const result = await this.db.query(query, [limit, perServer, leaseSeconds, voteId, excludeServerIds]);
+        return result.rows;
+    }
+
+    /**
+     * Record a successful delivery
+     * @param {number} voteId - Vote ID
+     * @param {string} response - Votifier response
+     */
+    async markSent(voteId, response) {
+        const query = `
+            UPDATE server_votes
+            SET votifier_status = 'sent',
+                votifier_sent = true,
+                votifier_response = $2,
+                votifier_attempts = votifier_attempts + 1,
+                votifier_last_attempt_at = NOW(),
+                votifier_sent_at = NOW(),
+                votifier_next_attempt_at = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `;
+        await this.db.query(query, [voteId, response]);
+    }
+
+    /**
+     * Record a failed delivery: schedule a retry or give up
+     * (votes dropped from the queue meanwhile stay dropped)
+     * @param {number} voteId - Vote ID
+     * @param {string} error - Failure reason
+     * @param {number|null} retryInSeconds - Delay until next attempt, null marks the vote dead
+     */
+    async markFailed(voteId, error, retryInSeconds) {
+        const query = `
+            UPDATE server_votes
+            SET votifier_status = CASE WHEN $3::int IS NULL THEN 'dead' ELSE 'pending' END,
+                votifier_sent = false,
+                votifier_response = $2,
+                votifier_attempts = votifier_attempts + 1,
+                votifier_last_attempt_at = NOW(),
+                votifier_next_attempt_at = CASE WHEN $3::int IS NULL THEN NULL ELSE NOW() + make_interval(secs => $3::int) END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND votifier_status = 'pending'
+        `;
+        await this.db.query(query, [voteId, error, retryInSeconds]);
+    }
+
+    /**
+     * Build WHERE clause for queue listings
+     */
+    buildQueueFilters(options, params) {
+        const conditions = ['sv.votifier_status IS NOT NULL'];
+
+        if (options.serverId) {
+            params.push(options.serverId);
+            conditions.push(`sv.server_id = $${params.length}`);
+        }
+
+        if (options.status) {
+            params.push(options.status);
+            conditions.push(`sv.votifier_status = $${params.length}`);
+        }
+
+        return conditions.join(' AND ');
+    }
+
+    /**
+     * List queued votes
+     * @param {Object} options - { serverId, status, limit, offset }
+     * @returns {Promise<VoteDTO[]>} Votes
+     */
+    async findQueue(options = {}) {
+        const { limit = 20, offset = 0 } = options;
+        const params = [];
+        const where = this.buildQueueFilters(options, params);
+
+        params.push(limit, offset);
+        const query = `
+            SELECT sv.*, s.name as server_name, s.host as server_host, s.port as server_port
+            FROM server_votes sv
+            JOIN servers s ON sv.server_id = s.id
+            WHERE ${where}
+            ORDER BY
+                CASE sv.votifier_status WHEN 'pending' THEN 0 WHEN 'dead' THEN 1 ELSE 2 END,
+                sv.votifier_next_attempt_at NULLS LAST,
+                sv.created_at DESC
+            LIMIT $${params.length - 1} OFFSET $${params.length}
+        `;
+
+        const result = await this.db.query(query, params);
+        return result.rows.map(row => VoteDTO.fromDatabase(row));
+    }
+
+    /**
+     * Count queued votes
+     * @param {Object} options - { serverId, status }
+     * @returns {Promise<number>} Count
+     */
+    async countQueue(options = {}) {
+        const params = [];
+        const where = this.buildQueueFilters(options, params);
+
+        const result = await this.db.query(`SELECT COUNT(*) FROM server_votes sv WHERE ${where}`, params);
+        return parseInt(result.rows[0].count);
+    }
+
+    /**
+     * Totals per delivery status
+     * @param {number|null} serverId - Limit to one server
+     * @returns {Promise<Object>} { pending, due, sent, dead }
+     */
+    async getSummary(serverId = null) {
+        const query = `
+            SELECT
+                COUNT(*) FILTER (WHERE votifier_status = 'pending') as pending,
+                COUNT(*) FILTER (WHERE votifier_status = 'pending' AND votifier_next_attempt_at <= NOW()) as due,
+                COUNT(*) FILTER (WHERE votifier_status = 'sent') as sent,
+                COUNT(*) FILTER (WHERE votifier_status = 'dead') as dead
+            FROM server_votes
+            WHERE votifier_status IS NOT NULL
+              AND ($1::int IS NULL OR server_id = $1)
+        `;
+        const result = await this.db.query(query, [serverId]);
+        const row = result.rows[0] || {};
+
+        return {
+            pending: parseInt(row.pending) || 0,
+            due: parseInt(row.due) || 0,
+            sent: parseInt(row.sent) || 0,
+            dead: parseInt(row.dead) || 0
+        };
+    }
+}
+
+module.exports = VotifierQueueRepository;
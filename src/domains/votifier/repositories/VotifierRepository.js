@@ -38,15 +38,17 @@ class VotifierRepository extends BaseRepository {
      */
     async create(votifierData) {
         const query = `
-            INSERT INTO votifier_configs (server_id, host, port, token, is_enabled)
-            VALUES ($1, $2, $3, $4, $5)
+            INSERT INTO votifier_configs (server_id, host, port, token, protocol, public_key, is_enabled)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
             RETURNING *
         `;
         const values = [
             votifierData.server_id,
             votifierData.host,
             votifierData.port,
-            votifierData.token,
+            votifierData.token || null,
+            votifierData.protocol || 'auto',
+            votifierData.public_key || null,
             votifierData.is_enabled !== undefined ? votifierData.is_enabled : true
         ];
 
@@ -125,6 +127,24 @@ class VotifierRepository extends BaseRepository {
         return VotifierDTO.fromDatabase(result.rows[0]);
     }
 
+    /**
+     * Store the outcome of the latest test vote
+     * @param {number} id - Votifier config ID
+     * @param {Object} result - Test result
+     * @returns {Promise<VotifierDTO>} Updated votifier config
+     */
+    async saveTestResult(id, result) {
+        const query = `
+            UPDATE votifier_configs
+            SET last_test_at = NOW(), last_test_success = $2, last_test_result = $3
+            WHERE id = $1
+            RETURNING *
+        `;
+        const res = await this.db.query(query, [id, result.success, JSON.stringify(result)]);
+
+        return res.rows.length > 0 ? VotifierDTO.fromDatabase(res.rows[0]) : null;
+    }
+
     /**
      * Get all enabled votifier configs
      * @returns {Promise<VotifierDTO[]>} Array of enabled votifier configs
@@ -1,10 +1,12 @@
 'use strict'
 
-const { createApiResponse, errorResponse } = require('../../../shared/schemas/components/BaseSchemaComponents');
+const { createApiResponse, errorResponse, paginationSchema } = require('../../../shared/schemas/components/BaseSchemaComponents');
+const votifierProtocols = ['auto', 'v1-rsa', 'nuvotifier-v2'];
+
 // Votifier configuration schema
 const votifierConfigBody = {
     type: 'object',
-    required: ['host', 'port', 'token'],
+    required: ['host', 'port'],
     properties: {
         host: {
             type: 'string',
@@ -22,7 +24,19 @@ const votifierConfigBody = {
             type: 'string',
             minLength: 1,
             maxLength: 255,
-            description: 'Votifier server token/key'
+            description: 'NuVotifier v2 token'
+        },
+        protocol: {
+            type: 'string',
+            enum: votifierProtocols,
+            default: 'auto',
+            description: 'Delivery protocol: auto (from server banner), v1-rsa or nuvotifier-v2'
+        },
+        public_key: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 4096,
+            description: 'Votifier v1 RSA public key (PEM or base64 from public.key)'
         },
         is_enabled: {
             type: 'boolean',
@@ -50,10 +64,21 @@ const updateVotifierConfigBody = {
             description: 'Votifier server port'
         },
         token: {
-            type: 'string',
+            type: ['string', 'null'],
             minLength: 1,
             maxLength: 255,
-            description: 'Votifier server token/key'
+            description: 'NuVotifier v2 token (null removes it)'
+        },
+        protocol: {
+            type: 'string',
+            enum: votifierProtocols,
+            description: 'Delivery protocol: auto (from server banner), v1-rsa or nuvotifier-v2'
+        },
+        public_key: {
+            type: ['string', 'null'],
+            minLength: 1,
+            maxLength: 4096,
+            description: 'Votifier v1 RSA public key (null removes it)'
         },
         is_enabled: {
             type: 'boolean',
@@ -63,6 +88,38 @@ const updateVotifierConfigBody = {
     additionalProperties: false
 };
 
+// Votifier test vote schemas
+const votifierTestObject = {
+    type: 'object',
+    properties: {
+        success: { type: 'boolean' },
+        username: { type: 'string' },
+        protocol: { type: 'string' },
+        version: { type: ['string', 'null'] },
+        acknowledged: { type: 'boolean', description: 'Server confirmed the vote (v1 servers never reply)' },
+        timings: {
+            type: 'object',
+            properties: {
+                dns_ms: { type: 'integer' },
+                connect_ms: { type: 'integer' },
+                handshake_ms: { type: 'integer' },
+                send_ms: { type: 'integer' },
+                total_ms: { type: 'integer' }
+            }
+        },
+        error: {
+            type: ['object', 'null'],
+            properties: {
+                class: { type: 'string', enum: ['dns', 'refused', 'timeout', 'bad_token', 'bad_key', 'protocol', 'unknown'] },
+                phase: { type: ['string', 'null'] },
+                code: { type: ['string', 'null'] },
+                message: { type: 'string' }
+            }
+        },
+        tested_at: { type: 'string', format: 'date-time' }
+    }
+};
+
 // Votifier response schemas
 const votifierObject = {
     type: 'object',
@@ -71,8 +128,11 @@ const votifierObject = {
         server_id: { type: 'integer' },
         host: { type: 'string' },
         port: { type: 'integer' },
-        token: { type: 'string' },
+        token: { type: ['string', 'null'] },
+        protocol: { type: 'string', enum: votifierProtocols },
+        public_key: { type: ['string', 'null'] },
         is_enabled: { type: 'boolean' },
+        last_test: { ...votifierTestObject, type: ['object', 'null'] },
         created_at: { type: 'string', format: 'date-time' },
         updated_at: { type: 'string', format: 'date-time' }
     }
@@ -85,6 +145,7 @@ const votifierPublicObject = {
         server_id: { type: 'integer' },
         host: { type: 'string' },
         port: { type: 'integer' },
+        protocol: { type: 'string', enum: votifierProtocols },
         is_enabled: { type: 'boolean' }
     }
 };
@@ -101,11 +162,98 @@ const votifierPublicResponse = createApiResponse({
     required: ['votifier']
 });
 
+// Votifier delivery queue schemas
+const votifierTestBody = {
+    type: 'object',
+    properties: {
+        username: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 16,
+            pattern: '^[A-Za-z0-9_]{1,16}$',
+            description: 'Minecraft username for the test vote (default TestVote)'
+        }
+    },
+    additionalProperties: false
+};
+
+const votifierQueueStatuses = ['pending', 'sent', 'dead'];
+
+const votifierQueueQuery = {
+    type: 'object',
+    properties: {
+        status: { type: 'string', enum: votifierQueueStatuses },
+        page: { type: 'integer', minimum: 1, default: 1 },
+        limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+    }
+};
+
+const votifierQueueItemObject = {
+    type: 'object',
+    properties: {
+        id: { type: 'integer' },
+        server_id: { type: 'integer' },
+        username: { type: 'string' },
+        status: { type: 'string', enum: votifierQueueStatuses },
+        attempts: { type: 'integer' },
+        next_attempt_at: { type: ['string', 'null'], format: 'date-time' },
+        last_attempt_at: { type: ['string', 'null'], format: 'date-time' },
+        sent_at: { type: ['string', 'null'], format: 'date-time' },
+        response: { type: ['string', 'null'] },
+        created_at: { type: 'string', format: 'date-time' },
+        server: {
+            type: 'object',
+            properties: {
+                id: { type: 'integer' },
+                name: { type: 'string' }
+            }
+        }
+    }
+};
+
+const votifierQueueSummaryObject = {
+    type: 'object',
+    properties: {
+        pending: { type: 'integer' },
+        due: { type: 'integer' },
+        sent: { type: 'integer' },
+        dead: { type: 'integer' }
+    }
+};
+
+const votifierQueueResponse = createApiResponse({
+    type: 'object',
+    properties: {
+        votes: { type: 'array', items: votifierQueueItemObject },
+        summary: votifierQueueSummaryObject,
+        pagination: paginationSchema
+    },
+    required: ['votes', 'summary', 'pagination']
+});
+
+const votifierTestResponse = createApiResponse({
+    type: 'object',
+    properties: { test: votifierTestObject },
+    required: ['test']
+});
+
+const votifierRedeliverResponse = createApiResponse({
+    type: 'object',
+    properties: { vote: votifierQueueItemObject },
+    required: ['vote']
+});
+
 module.exports = {
     votifierConfigBody,
     updateVotifierConfigBody,
     votifierObject,
     votifierPublicObject,
     votifierConfigResponse,
-    votifierPublicResponse
+    votifierPublicResponse,
+    votifierTestBody,
+    votifierTestResponse,
+    votifierQueueQuery,
+    votifierQueueItemObject,
+    votifierQueueResponse,
+    votifierRedeliverResponse
 };
\ No newline at end of file
@@ -0,0 +1,309 @@
+'use strict'
+
+const BaseService = require('../../../services/BaseService');
+
+const DEFAULT_SETTINGS = {
+    maxAttempts: 8,
+    retryBaseSeconds: 30,
+    retryMaxSeconds: 3600,
+    perServerConcurrency: 2,
+    batchSize: 100
+};
+
+// How long a claimed vote stays invisible to other workers
+const LEASE_SECONDS = 120;
+
+/**
+ * Votifier Queue Service
+ * Delivers queued votes through the native Votifier client with exponential
+ * backoff, a dead state after max attempts and a per-server concurrency limit
+ */
+class VotifierQueueService extends BaseService {
+    constructor(votifierQueueRepository, votifierRepository, votifierClient, configService, logger) {
+        super(votifierQueueRepository, logger);
+        this.votifierQueueRepository = votifierQueueRepository;
+        this.votifierRepository = votifierRepository;
+        this.votifierClient = votifierClient;
+        this.configService = configService;
+        // serverId -> { active, waiting[] } for deliveries running in this process
+        this.serverSlots = new Map();
+    }
+
+    /**
+     * Delay before the next attempt after `attempts` failed attempts
+     * @param {number} attempts - Failed attempts so far (1 = first failure)
+     * @returns {number} Seconds
+     */
+    static getBackoffSeconds(attempts, baseSeconds, maxSeconds) {
+        const exponent = Math.max(0, attempts - 1);
+        return Math.min(maxSeconds, baseSeconds * Math.pow(2, exponent));
+    }
+
+    /**
+     * Queue settings from config with safe defaults
+     */
+    async getSettings() {
+        const read = async (key, defaultValue) => {
+            if (!this.configService) return defaultValue;
+            try {
+                const value = await this.configService.get(key, defaultValue);
+                return Number.isInteger(value) && value > 0 ? value : defaultValue;
+            } catch (error) {
+                return defaultValue;
+            }
+        };
+
+        return {
+            maxAttempts: await read('votifier.max_attempts', DEFAULT_SETTINGS.maxAttempts),
+            retryBaseSeconds: await read('votifier.retry_base_seconds', DEFAULT_SETTINGS.retryBaseSeconds),
+            retryMaxSeconds: await read('votifier.retry_max_seconds', DEFAULT_SETTINGS.retryMaxSeconds),
+            perServerConcurrency: await read('votifier.per_server_concurrency', DEFAULT_SETTINGS.perServerConcurrency),
+            batchSize: await read('votifier.batch_size', DEFAULT_SETTINGS.batchSize)
+        };
+    }
+
+    /**
+     * Queue a freshly created vote and try to deliver it right away.
+     * The immediate attempt runs in the background; failures stay queued.
+     * @param {number} voteId - Vote ID
+     */
+    async enqueue(voteId) {
+        const vote = await this.votifierQueueRepository.enqueue(voteId);
+
+        if (vote) {
+            this.deliverNow(vote.id, vote.server_id).catch(error => {
+                this.log('warn', { voteId, error: error.message }, 'Immediate Votifier delivery failed');
+            });
+        }
+
+        return vote;
+    }
+
+    /**
+     * Deliver one queued vote now unless its server is already at capacity
+     * (the scheduled queue run will pick it up then)
+     */
+    async deliverNow(voteId, serverId) {
+        const settings = await this.getSettings();
+        const slot = this.serverSlots.get(serverId);
+        if (slot && slot.active >= settings.perServerConcurrency) {
+            return { claimed: 0, sent: 0, retried: 0, dead: 0 };
+        }
+
+        const rows = await this.votifierQueueRepository.claimDue({
+            limit: 1,
+            perServer: 1,
+            leaseSeconds: LEASE_SECONDS,
+            voteId
+        });
+
+        return this.deliverClaimed(rows, settings);
+    }
+
+    /**
+     * Deliver every due vote (scheduled job entry point)
+     * @returns {Promise<Object>} { claimed, sent, retried, dead }
+     */
+    async processQueue() {
+        const settings = await this.getSettings();
+
+        const saturated = [...this.serverSlots.entries()]
+            .filter(([, slot]) => slot.active >= settings.perServerConcurrency)
+            .map(([serverId]) => serverId);
+
+        const rows = await this.votifierQueueRepository.claimDue({
+            limit: settings.batchSize,
+            perServer: settings.perServerConcurrency,
+            leaseSeconds: LEASE_SECONDS,
+            excludeServerIds: saturated
+        });
+
+        const summary = await this.deliverClaimed(rows, settings);
+
+        if (summary.claimed > 0) {
+            this.log('info', summary, 'Votifier queue processed');
+        }
+
+        return summary;
+    }
+
+    /**
+     * Deliver claimed rows, at most `perServerConcurrency` at a time per server
+     */
+    async deliverClaimed(rows, settings) {
+        const summary = { claimed: rows.length, sent: 0, retried: 0, dead: 0 };
+
+        await Promise.all(rows.map(async (row) => {
+            await this.acquireSlot(row.server_id, settings.perServerConcurrency);
+            try {
+                const outcome = await this.deliver(row, settings);
+                summary[outcome]++;
+            } catch (error) {
+                // Lease expiry will make the vote due again
+                this.log('error', { voteId: row.id, error: error.message }, 'Failed to record Votifier delivery result');
+            } finally {
+                this.releaseSlot(row.server_id);
+            }
+        }));
+
+        return summary;
+    }
+
+    /**
+     * Send a single claimed vote and record the outcome
+     * @returns {Promise<string>} 'sent' | 'retried' | 'dead'
+     */
+    async deliver(row, settings) {
+        const attempts = (row.votifier_attempts || 0) + 1;
+
+        if (!row.votifier_host || !row.votifier_enabled) {
+            await this.votifierQueueRepository.markFailed(row.id, 'Votifier konfigūracija išjungta arba ištrinta', null);
+            return 'dead';
+        }
+
+        try {
+            const result = await this.votifierClient.sendVote({
+                host: row.votifier_host,
+                port: row.votifier_port,
+                protocol: row.votifier_protocol || 'auto',
+                token: row.votifier_token,
+                publicKey: row.votifier_public_key,
+                username: row.username,
+                address: row.ip_address,
+                timestamp: new Date(row.created_at).getTime()
+            });
+
+            await this.votifierQueueRepository.markSent(row.id, result?.response || 'OK');
+            return 'sent';
+        } catch (error) {
+            if (attempts >= settings.maxAttempts) {
+                await this.votifierQueueRepository.markFailed(row.id, error.message, null);
+                this.log('warn', {
+                    voteId: row.id,
+                    serverId: row.server_id,
+                    attempts,
+                    error: error.message
+                }, 'Votifier delivery gave up');
+                return 'dead';
+            }
+
+            const delay = VotifierQueueService.getBackoffSeconds(attempts, settings.retryBaseSeconds, settings.retryMaxSeconds);
+            await this.votifierQueueRepository.markFailed(row.id, error.message, delay);
+            this.log('info', {
+                voteId: row.id,
+                serverId: row.server_id,
+                attempts,
+                retryInSeconds: delay,
+                error: error.message
+            }, 'Votifier delivery failed, retry scheduled');
+            return 'retried';
+        }
+    }
+
+    /**
+     * Wait for a free delivery slot for the server
+     */
+    acquireSlot(serverId, limit) {
+        let slot = this.serverSlots.get(serverId);
+        if (!slot) {
+            slot = { active: 0, waiting: [] };
+            this.serverSlots.set(serverId, slot);
+        }
+
+        if (slot.active < limit) {
+            slot.active++;
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => slot.waiting.push(resolve));
+    }
+
+    /**
+     * Hand the slot to the next waiting delivery or free it
+     */
+    releaseSlot(serverId) {
+        const slot = this.serverSlots.get(serverId);
+        if (!slot) return;
+
+        const next = slot.waiting.shift();
+        if (next) {
+            next();
+            return;
+        }
+
+        slot.active--;
+        if (slot.active <= 0) {
+            this.serverSlots.delete(serverId);
+        }
+    }
+
+    /**
+     * Queue listing with per-status totals
+     * @param {Object} options - { serverId, status, page, limit }
+     */
+    async getQueue(options = {}) {
+        try {
+            const page = Math.max(1, parseInt(options.page) || 1);
+            const limit = Math.max(1, Math.min(parseInt(options.limit) || 20, 100));
+            const filters = { serverId: options.serverId || null, status: options.status || null };
+
+            const [votes, total, summary] = await Promise.all([
+                this.votifierQueueRepository.findQueue({ ...filters, limit, offset: (page - 1) * limit }),
+                this.votifierQueueRepository.countQueue(filters),
+                this.votifierQueueRepository.getSummary(filters.serverId)
+            ]);
+
+            return {
+                votes: votes.map(vote => vote.toQueueJSON()),
+                summary,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit),
+                    hasNext: page * limit < total,
+                    hasPrev: page > 1
+                }
+            };
+        } catch (error) {
+            this.handleRepositoryError(error, 'get votifier queue');
+        }
+    }
+
+    /**
+     * Put a vote back into the queue with a fresh attempt budget
+     * @param {number} voteId - Vote ID
+     * @param {number|null} serverId - Required owning server (owner endpoints)
+     * @returns {Promise<Object>} Queue entry
+     */
+    async redeliver(voteId, serverId = null) {
+        try {
+            const existing = await this.votifierQueueRepository.findById(voteId);
+            if (!existing || (serverId && existing.server_id !== serverId)) {
+                throw this.createError('Balsas nerastas', 404, 'VOTE_NOT_FOUND');
+            }
+
+            const votifier = await this.votifierRepository.findByServerId(existing.server_id);
+            if (!votifier || !votifier.is_enabled) {
+                throw this.createError('Serveriui nesukonfigūruotas arba išjungtas Votifier', 400, 'VOTIFIER_NOT_CONFIGURED');
+            }
+
+            const vote = await this.votifierQueueRepository.enqueue(voteId, { resetAttempts: true });
+
+            this.log('info', { voteId, serverId: existing.server_id }, 'Vote queued for Votifier redelivery');
+
+            this.deliverNow(vote.id, vote.server_id).catch(error => {
+                this.log('warn', { voteId, error: error.message }, 'Immediate Votifier redelivery failed');
+            });
+
+            return vote.toQueueJSON();
+        } catch (error) {
+            if (error.statusCode) {
+                throw error;
+            }
+            this.handleRepositoryError(error, 'redeliver vote');
+        }
+    }
+}
+
+module.exports = VotifierQueueService;
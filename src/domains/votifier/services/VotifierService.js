@@ -1,15 +1,22 @@
 'use strict'
 
 const BaseService = require('../../../services/BaseService');
+const VotifierClient = require('../../server/services/VotifierService');
+
+const VOTIFIER_FIELDS = ['server_id', 'host', 'port', 'token', 'protocol', 'public_key', 'is_enabled'];
+
+const DEFAULT_TEST_USERNAME = 'TestVote';
+const MINECRAFT_USERNAME_PATTERN = /^[A-Za-z0-9_]{3,16}$/;
 
 /**
  * Votifier Service
  * Handles votifier configuration operations
  */
 class VotifierService extends BaseService {
-    constructor(votifierRepository, logger) {
+    constructor(votifierRepository, logger, votifierClient = null) {
         super(votifierRepository, logger);
         this.votifierRepository = votifierRepository;
+        this.votifierClient = votifierClient;
     }
 
     /**
@@ -33,10 +40,12 @@ class VotifierService extends BaseService {
     async createVotifier(votifierData) {
         try {
             // Validate required fields
-            if (!votifierData.server_id || !votifierData.host || !votifierData.port || !votifierData.token) {
+            if (!votifierData.server_id || !votifierData.host || !votifierData.port) {
                 throw this.createError('Missing required fields', 400, 'MISSING_REQUIRED_FIELDS');
             }
 
+            votifierData = this.prepareVotifierData(votifierData);
+
             // Check if votifier config already exists for this server
             const existingVotifier = await this.votifierRepository.findByServerId(votifierData.server_id);
             if (existingVotifier) {
@@ -73,6 +82,8 @@ class VotifierService extends BaseService {
                 throw this.createError('Votifier configuration not found', 404, 'VOTIFIER_NOT_FOUND');
             }
 
+            updateData = this.prepareVotifierData(updateData, existingVotifier);
+
             const updatedVotifier = await this.votifierRepository.update(id, updateData);
 
             this.log('info', {
@@ -89,6 +100,136 @@ class VotifierService extends BaseService {
         }
     }
 
+    /**
+     * Send a signed test vote through the stored configuration and keep the outcome
+     * @param {number} serverId - Server ID
+     * @param {Object} options - { username, address }
+     * @returns {Promise<Object>} Test result
+     */
+    async testVotifier(serverId, options = {}) {
+        try {
+            const votifier = await this.votifierRepository.findByServerId(serverId);
+            if (!votifier) {
+                throw this.createError('Votifier konfigūracija nerasta', 404, 'VOTIFIER_NOT_FOUND');
+            }
+
+            const username = options.username || DEFAULT_TEST_USERNAME;
+            if (!MINECRAFT_USERNAME_PATTERN.test(username)) {
+                throw this.createError('Neteisingas Minecraft vartotojo vardas', 400, 'INVALID_USERNAME');
+            }
+            let result;
+
+            try {
+                const sent = await this.votifierClient.sendVote({
+                    host: votifier.host,
+                    port: votifier.port,
+                    protocol: votifier.protocol,
+                    token: votifier.token,
+                    publicKey: votifier.public_key,
+                    username,
+                    address: options.address || '127.0.0.1',
+                    timestamp: Date.now()
+                });
+
+                result = {
+                    success: true,
+                    username,
+                    protocol: sent.protocol,
+                    version: sent.version,
+                    acknowledged: sent.acknowledged,
+                    timings: sent.timings,
+                    error: null
+                };
+            } catch (error) {
+                result = {
+                    success: false,
+                    username,
+                    protocol: votifier.protocol,
+                    version: null,
+                    acknowledged: false,
+                    timings: error.timings || {},
+                    error: {
+                        class: VotifierClient.classifyError(error, votifier.protocol),
+                        phase: error.phase || null,
+                        code: error.code || null,
+                        message: error.message
+                    }
+                };
+            }
+
+            const saved = await this.votifierRepository.saveTestResult(votifier.id, result);
+
+            this.log('info', {
+                serverId,
+                success: result.success,
+                errorClass: result.error?.class
+            }, 'Votifier test vote finished');
+
+            return { ...result, tested_at: saved?.last_test_at || new Date().toISOString() };
+        } catch (error) {
+            if (error.statusCode) {
+                throw error;
+            }
+            this.handleRepositoryError(error, 'test votifier');
+        }
+    }
+
+    /**
+     * Normalize credentials and check they fit the selected protocol
+     * @param {Object} data - Incoming fields
+     * @param {VotifierDTO|null} existing - Current config when updating
+     * @returns {Object} Fields to store
+     */
+    prepareVotifierData(data, existing = null) {
+        const prepared = {};
+        VOTIFIER_FIELDS.forEach(key => {
+            if (data[key] !== undefined) prepared[key] = data[key];
+        });
+
+        if (prepared.port !== undefined) {
+            const port = Number(prepared.port);
+            if (!Number.isInteger(port) || port < 1 || port > 65535) {
+                throw this.createError('Neteisingas Votifier prievadas', 400, 'INVALID_PORT');
+            }
+            prepared.port = port;
+        }
+
+        if (prepared.protocol !== undefined && !VotifierClient.PROTOCOLS.includes(prepared.protocol)) {
+            throw this.createError('Neteisingas Votifier protokolas', 400, 'INVALID_PROTOCOL');
+        }
+
+        if (prepared.token !== undefined) {
+            prepared.token = prepared.token ? String(prepared.token).trim() || null : null;
+        }
+
+        if (prepared.public_key !== undefined && prepared.public_key !== null) {
+            try {
+                prepared.public_key = VotifierClient.normalizePublicKey(prepared.public_key);
+            } catch (error) {
+                throw this.createError(`Neteisingas viešasis raktas: ${error.message}`, 400, 'INVALID_PUBLIC_KEY');
+            }
+        }
+
+        const pick = (key, fallback) => (prepared[key] !== undefined ? prepared[key] : existing?.[key] ?? fallback);
+        const protocol = pick('protocol', 'auto');
+        const token = pick('token', null);
+        const publicKey = pick('public_key', null);
+
+        if (protocol === 'v1-rsa' && !publicKey) {
+            throw this.createError('Votifier v1 protokolui reikalingas viešasis RSA raktas', 400, 'PUBLIC_KEY_REQUIRED');
+        }
+
+        if (protocol === 'nuvotifier-v2' && !token) {
+            throw this.createError('NuVotifier v2 protokolui reikalingas raktas (token)', 400, 'TOKEN_REQUIRED');
+        }
+
+        if (protocol === 'auto' && !token && !publicKey) {
+            throw this.createError('Nurodykite NuVotifier raktą (token) arba viešąjį RSA raktą', 400, 'CREDENTIALS_REQUIRED');
+        }
+
+        return prepared;
+    }
+
     /**
      * Delete votifier config
      * @param {number} id - Votifier config ID
@@ -35,7 +35,7 @@ class ErrorHandler {
             success: false,
             message: error.message || 'Įvyko klaida',
             data: null,
-            errors: {},
+            errors: error.details || {},
             errorCode: error.errorCode || 'INTERNAL_ERROR',
             meta: {
                 timestamp: new Date().toISOString(),
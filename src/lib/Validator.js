@@ -35,6 +35,9 @@ class Validator {
             }
         }
 
+        // Edition validation
+        this.validateEdition(data, errors);
+
         // Server type IDs validation
         if (!Array.isArray(data.server_type_ids) || data.server_type_ids.length === 0) {
             errors.server_type_ids = 'Reikalingas bent vienas serverio tipas';
@@ -88,6 +91,22 @@ class Validator {
         };
     }
 
+    /**
+     * Validate edition and Bedrock port fields
+     */
+    static validateEdition(data, errors) {
+        if (data.edition !== undefined && !['java', 'bedrock', 'both'].includes(data.edition)) {
+            errors.edition = 'Leidimas turi būti java, bedrock arba both';
+        }
+
+        if (data.bedrock_port !== undefined && data.bedrock_port !== null) {
+            const port = parseInt(data.bedrock_port);
+            if (isNaN(port) || port < 1 || port > 65535) {
+                errors.bedrock_port = 'Bedrock portas turi būti skaičius nuo 1 iki 65535';
+            }
+        }
+    }
+
     /**
      * Validate server update data
      */
@@ -122,6 +141,9 @@ class Validator {
             }
         }
 
+        // Edition validation (if provided)
+        this.validateEdition(data, errors);
+
         // Server type IDs validation (if provided)
         if (data.server_type_ids !== undefined) {
             if (!Array.isArray(data.server_type_ids) || data.server_type_ids.length === 0) {
@@ -317,6 +339,36 @@ class Validator {
         };
     }
 
+    /**
+     * Validate password reset confirmation data
+     */
+    static validatePasswordReset(data) {
+        const errors = {};
+
+        if (!data.token || typeof data.token !== 'string' || data.token.trim().length === 0) {
+            errors.token = 'Atkūrimo žetonas yra privalomas';
+        }
+
+        if (!data.password || typeof data.password !== 'string') {
+            errors.password = 'Slaptažodis yra privalomas';
+        } else if (data.password.length < 8) {
+            errors.password = 'Slaptažodis turi būti bent 8 simbolių';
+        } else if (data.password.length > 100) {
+            errors.password = 'Slaptažodis negali viršyti 100 simbolių';
+        }
+
+        if (!data.password_confirmation || typeof data.password_confirmation !== 'string') {
+            errors.password_confirmation = 'Slaptažodžio patvirtinimas yra privalomas';
+        } else if (data.password && data.password !== data.password_confirmation) {
+            errors.password_confirmation = 'Slaptažodžiai nesutampa';
+        }
+
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors
+        };
+    }
+
     /**
      * Validate user profile update data
      */
@@ -409,6 +461,127 @@ class Validator {
         };
     }
 
+    /**
+     * Validate a config value against its type and the key's validation rules.
+     * Returns an error message or null.
+     */
+    static validateConfigValue(type, value, rules = null) {
+        if (value === null || value === undefined) {
+            return type === 'secret' ? null : 'Reikšmė yra privaloma';
+        }
+
+        // An empty secret clears it
+        if (type === 'secret' && value === '') {
+            return null;
+        }
+
+        let typed;
+        switch (type) {
+            case 'integer':
+                typed = typeof value === 'number' || /^-?\d+$/.test(String(value).trim()) ? Number(value) : NaN;
+                if (!Number.isSafeInteger(typed)) {
+                    return 'Reikšmė turi būti sveikasis skaičius';
+                }
+                break;
+            case 'float':
+                typed = typeof value === 'number' || String(value).trim() !== '' ? Number(value) : NaN;
+                if (!Number.isFinite(typed)) {
+                    return 'Reikšmė turi būti skaičius';
+                }
+                break;
+            case 'boolean':
+                if (![true, false, 'true', 'false'].includes(value)) {
+                    return 'Reikšmė turi būti true arba false';
+                }
+                typed = value === true || value === 'true';
+                break;
+            case 'json':
+                try {
+                    typed = typeof value === 'string' ? JSON.parse(value) : value;
+                } catch (error) {
+                    return 'Reikšmė turi būti galiojantis JSON';
+                }
+                break;
+            default:
+                if (typeof value === 'object') {
+                    return 'Reikšmė turi būti tekstas';
+                }
+                typed = String(value);
+        }
+
+        if (!rules) {
+            return null;
+        }
+
+        // min/max bound numbers, or the length of text values
+        const isText = typeof typed === 'string';
+        const measured = isText ? typed.length : typed;
+        if (typeof measured === 'number') {
+            if (rules.min !== undefined && measured < rules.min) {
+                return isText ? `Reikšmė turi būti bent ${rules.min} simbolių` : `Reikšmė turi būti ne mažesnė nei ${rules.min}`;
+            }
+            if (rules.max !== undefined && measured > rules.max) {
+                return isText ? `Reikšmė negali viršyti ${rules.max} simbolių` : `Reikšmė turi būti ne didesnė nei ${rules.max}`;
+            }
+        }
+
+        if (rules.enum && !rules.enum.some(allowed => String(allowed) === String(typed))) {
+            return `Leidžiamos reikšmės: ${rules.enum.join(', ')}`;
+        }
+
+        if (rules.pattern && isText && !new RegExp(rules.pattern).test(typed)) {
+            return 'Reikšmė neatitinka reikalaujamo formato';
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate config validation rules ({ min, max, enum, pattern }).
+     * Returns an error message or null.
+     */
+    static validateConfigRules(rules) {
+        if (rules === null) {
+            return null;
+        }
+
+        if (typeof rules !== 'object' || Array.isArray(rules)) {
+            return 'Validacijos taisyklės turi būti objektas';
+        }
+
+        const unknown = Object.keys(rules).filter(rule => !['min', 'max', 'enum', 'pattern'].includes(rule));
+        if (unknown.length > 0) {
+            return `Nežinomos validacijos taisyklės: ${unknown.join(', ')}`;
+        }
+
+        for (const bound of ['min', 'max']) {
+            if (rules[bound] !== undefined && !Number.isFinite(rules[bound])) {
+                return `Taisyklė ${bound} turi būti skaičius`;
+            }
+        }
+
+        if (rules.min !== undefined && rules.max !== undefined && rules.min > rules.max) {
+            return 'Taisyklė min negali būti didesnė už max';
+        }
+
+        if (rules.enum !== undefined && (!Array.isArray(rules.enum) || rules.enum.length === 0 || rules.enum.some(value => value === null || typeof value === 'object'))) {
+            return 'Taisyklė enum turi būti netuščias reikšmių sąrašas';
+        }
+
+        if (rules.pattern !== undefined) {
+            if (typeof rules.pattern !== 'string' || rules.pattern.length > 200) {
+                return 'Taisyklė pattern turi būti iki 200 simbolių tekstas';
+            }
+            try {
+                new RegExp(rules.pattern);
+            } catch (error) {
+                return 'Taisyklė pattern nėra galiojantis reguliarusis reiškinys';
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Validate host (IP address or domain)
      */
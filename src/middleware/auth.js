@@ -1,7 +1,30 @@
 'use strict'
 
+const ApiKeyService = require('../domains/auth/services/ApiKeyService');
+
+/**
+ * Authenticate with a personal API key. Routes opt in with config.apiKeyScope;
+ * the key row may already be resolved by the rate limiter for this request.
+ */
+const authenticateApiKey = async function (fastify, request, rawKey) {
+    const serverId = request.params?.id !== undefined ? parseInt(request.params.id) : null;
+
+    return fastify.getService('apiKeyService').authenticate(rawKey, {
+        scope: request.routeOptions.config?.apiKeyScope || null,
+        serverId: Number.isNaN(serverId) ? null : serverId,
+        ipAddress: request.ip,
+        resolved: request.apiKey
+    });
+};
+
 const authenticate = async function (request, reply) {
     try {
+        const apiKey = ApiKeyService.extractKey(request);
+        if (apiKey) {
+            request.user = await authenticateApiKey(this, request, apiKey);
+            return;
+        }
+
         const token = request.headers.authorization?.replace('Bearer ', '');
 
         if (!token) {
@@ -12,13 +35,17 @@ const authenticate = async function (request, reply) {
         }
 
         const decoded = await this.jwtUtils.verifyToken(token);
-        request.user = decoded;
 
-        // Removed ban check since we removed admin domain
+        // Signature alone is not enough: the session may be revoked or the user deleted/demoted
+        request.user = await this.getService('authService').validateAccessToken(decoded);
 
     } catch (error) {
         request.log.debug({ error: error.message }, 'Authentication failed');
 
+        if (error.statusCode && error.errorCode) {
+            throw error;
+        }
+
         // Determine specific error type
         let errorCode = 'INVALID_TOKEN';
         let message = 'Invalid or expired token';
@@ -42,13 +69,13 @@ const optionalAuthenticate = async function (request, reply) {
     try {
         const token = request.headers.authorization?.replace('Bearer ', '');
 
-        if (!token) {
-            // No token provided, continue without authentication
+        // API keys only authenticate on routes that require authentication
+        if (!token || ApiKeyService.isApiKey(token)) {
             return;
         }
 
         const decoded = await this.jwtUtils.verifyToken(token);
-        request.user = decoded;
+        request.user = await this.getService('authService').validateAccessToken(decoded);
 
     } catch (error) {
         request.log.debug({ error: error.message }, 'Optional authentication failed');
@@ -57,6 +84,23 @@ const optionalAuthenticate = async function (request, reply) {
     }
 };
 
+/**
+ * Admins may be required to have passed a second factor in the current session
+ */
+const assertAdminTwoFactor = async function (fastify, user) {
+    if (user.role !== 'admin' || user.mfa) {
+        return;
+    }
+
+    const required = await fastify.getService('configService').isTwoFactorRequiredForAdmins();
+    if (required) {
+        const authError = new Error('Two-factor authentication is required for admin access');
+        authError.statusCode = 403;
+        authError.errorCode = 'TWO_FACTOR_REQUIRED';
+        throw authError;
+    }
+};
+
 const authorize = (roles = []) => {
     return async function (request, reply) {
         if (!request.user) {
@@ -72,6 +116,10 @@ const authorize = (roles = []) => {
             authError.errorCode = 'INSUFFICIENT_PERMISSIONS';
             throw authError;
         }
+
+        if (roles.includes('admin')) {
+            await assertAdminTwoFactor(this, request.user);
+        }
     };
 };
 
@@ -90,6 +138,10 @@ const requireRole = (role) => {
             authError.errorCode = 'INSUFFICIENT_PERMISSIONS';
             throw authError;
         }
+
+        if (role === 'admin') {
+            await assertAdminTwoFactor(this, request.user);
+        }
     };
 };
 
@@ -0,0 +1,51 @@
+'use strict'
+
+const BaseRepository = require('./BaseRepository');
+
+/**
+ * Rate Limit Repository
+ * Fixed-window hit counters shared by all app instances; RateLimitService
+ * combines the current and previous window into a sliding window.
+ */
+class RateLimitRepository extends BaseRepository {
+    constructor(database) {
+        super(database, 'rate_limit_counters');
+    }
+
+    /**
+     * Count a hit in the window starting at windowStart (epoch seconds)
+     * @returns {Promise<{current: number, previous: number}>}
+     */
+    async hit(bucketKey, windowStart, windowSeconds) {
+        const result = await this.db.query(`
+            WITH current_window AS (
+                INSERT INTO rate_limit_counters (bucket_key, window_start, hits, expires_at)
+                VALUES ($1, $2::bigint, 1, $2::bigint + $3::int * 2)
+                ON CONFLICT (bucket_key, window_start) DO UPDATE
+                SET hits = rate_limit_counters.hits + 1
+                RETURNING hits
+            )
+            SELECT
+                (SELECT hits FROM current_window) AS current,
+                COALESCE((
+                    SELECT hits FROM rate_limit_counters
+                    WHERE bucket_key = $1 AND window_start = $2::bigint - $3::int
+                ), 0) AS previous
+        `, [bucketKey, windowStart, windowSeconds]);
+
+        const row = result.rows[0];
+        return { current: parseInt(row.current), previous: parseInt(row.previous) };
+    }
+
+    /**
+     * Delete counters no longer needed for any window
+     */
+    async cleanupExpired() {
+        const result = await this.db.query(
+            'DELETE FROM rate_limit_counters WHERE expires_at < EXTRACT(EPOCH FROM NOW())'
+        );
+        return result.rowCount;
+    }
+}
+
+module.exports = RateLimitRepository;
@@ -0,0 +1,130 @@
+'use strict'
+
+const BaseRepository = require('./BaseRepository');
+
+/**
+ * Scheduled Job Repository
+ * Persists last-run state of scheduler jobs
+ */
+class ScheduledJobRepository extends BaseRepository {
+    constructor(database) {
+        super(database, 'scheduled_jobs');
+    }
+
+    /**
+     * Get all job states
+     * @returns {Promise<Array>} Job state rows
+     */
+    async findAll() {
+        const result = await this.db.query('SELECT * FROM scheduled_jobs ORDER BY name');
+        return result.rows;
+    }
+
+    /**
+     * Get job state by name
+     * @param {string} name - Job name
+     * @returns {Promise<Object|null>} Job state row
+     */
+    async findByName(name) {
+        const result = await this.db.query('SELECT * FROM scheduled_jobs WHERE name = $1', [name]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Create job state if missing (does not touch existing rows except schedule)
+     * @param {string} name - Job name
+     * @param {string} schedule - Cron expression
+     * @param {Date|null} lastSlot - Initial slot considered already handled
+     * @returns {Promise<Object>} Job state row
+     */
+    async ensure(name, schedule, lastSlot = null) {
+        const query = `
+            INSERT INTO scheduled_jobs (name, schedule, last_slot)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (name) DO UPDATE SET schedule = EXCLUDED.schedule
+            RETURNING *
+        `;
+        const result = await this.db.query(query, [name, schedule, lastSlot]);
+        return result.rows[0];
+    }
+
+    /**
+     * Try to take the per-job advisory lock inside a transaction
+     * @param {Object} client - Transaction client
+     * @param {number} namespace - Lock namespace
+     * @param {string} name - Job name
+     * @returns {Promise<boolean>} Whether the lock was acquired
+     */
+    async tryLock(client, namespace, name) {
+        const result = await client.query(
+            'SELECT pg_try_advisory_xact_lock($1, hashtext($2)) AS locked',
+            [namespace, name]
+        );
+        return result.rows[0].locked === true;
+    }
+
+    /**
+     * Read job state for update inside a transaction
+     * @param {Object} client - Transaction client
+     * @param {string} name - Job name
+     * @returns {Promise<Object|null>} Job state row
+     */
+    async findForUpdate(client, name) {
+        const result = await client.query('SELECT * FROM scheduled_jobs WHERE name = $1 FOR UPDATE', [name]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Mark a run as started, recording its slot so no other instance runs it
+     * @param {Object} client - Transaction client
+     * @param {string} name - Job name
+     * @param {Object} run - { slot, startedAt }
+     */
+    async claimRun(client, name, run) {
+        await client.query(`
+            UPDATE scheduled_jobs SET
+                last_slot = COALESCE($2, last_slot),
+                last_started_at = $3
+            WHERE name = $1
+        `, [name, run.slot, run.startedAt]);
+    }
+
+    /**
+     * Store the outcome of a run
+     * @param {Object} client - Database or transaction client
+     * @param {string} name - Job name
+     * @param {Object} run - Run outcome
+     * @returns {Promise<Object>} Updated row
+     */
+    async recordRun(client, name, run) {
+        const query = `
+            UPDATE scheduled_jobs SET
+                last_slot = COALESCE($2, last_slot),
+                last_status = $3,
+                last_started_at = $4,
+                last_finished_at = $5,
+                last_duration_ms = $6,
+                last_result = $7,
+                last_error = $8,
+                run_count = run_count + 1,
+                failure_count = failure_count + CASE WHEN $3 = 'failed' THEN 1 ELSE 0 END
+            WHERE name = $1
+            RETURNING *
+        `;
+
+        const result = await client.query(query, [
+            name,
+            run.slot,
+            run.status,
+            run.startedAt,
+            run.finishedAt,
+            run.durationMs,
+            run.result !== undefined && run.result !== null ? JSON.stringify(run.result) : null,
+            run.error || null
+        ]);
+
+        return result.rows[0];
+    }
+}
+
+module.exports = ScheduledJobRepository;
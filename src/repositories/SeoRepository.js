@@ -41,6 +41,71 @@ class SeoRepository extends BaseRepository {
             throw error;
         }
     }
+
+    async findSlugByServerId(serverId) {
+        const result = await this.db.query('SELECT slug FROM server_seo WHERE server_id = $1', [serverId]);
+        return result.rows[0]?.slug || null;
+    }
+
+    /**
+     * Slugs equal to base or base-N held by other servers, current or former
+     */
+    async findTakenSlugs(base, serverId) {
+        const result = await this.db.query(`
+            SELECT slug FROM server_seo
+            WHERE (slug = $1 OR slug LIKE $1 || '-%') AND server_id <> $2
+            UNION
+            SELECT slug FROM server_slug_history
+            WHERE (slug = $1 OR slug LIKE $1 || '-%') AND server_id <> $2
+        `, [base, serverId]);
+
+        return new Set(result.rows.map(row => row.slug));
+    }
+
+    async isSlugTaken(slug, serverId) {
+        const taken = await this.findTakenSlugs(slug, serverId);
+        return taken.has(slug);
+    }
+
+    /**
+     * Current slug of the server a former slug belonged to
+     */
+    async findRedirectSlug(oldSlug) {
+        const result = await this.db.query(`
+            SELECT seo.slug
+            FROM server_slug_history h
+            JOIN server_seo seo ON seo.server_id = h.server_id
+            WHERE h.slug = $1
+        `, [oldSlug]);
+
+        return result.rows[0]?.slug || null;
+    }
+
+    /**
+     * Switch a server to a new slug, keeping the old one as a redirect.
+     * Slug-derived URLs are refreshed by regenerating the SEO data afterwards.
+     */
+    async changeSlug(serverId, oldSlug, newSlug, changedBy = null) {
+        return this.db.transaction(async (client) => {
+            await client.query(`
+                INSERT INTO server_slug_history (server_id, slug, changed_by)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (slug) DO NOTHING
+            `, [serverId, oldSlug, changedBy]);
+
+            // Taking back one of its own former slugs
+            await client.query('DELETE FROM server_slug_history WHERE server_id = $1 AND slug = $2', [serverId, newSlug]);
+
+            const result = await client.query(`
+                UPDATE server_seo
+                SET slug = $2, updated_at = CURRENT_TIMESTAMP
+                WHERE server_id = $1
+                RETURNING *
+            `, [serverId, newSlug]);
+
+            return result.rows[0];
+        });
+    }
 }
 
 module.exports = SeoRepository;
@@ -0,0 +1,39 @@
+'use strict'
+
+const MAX_BUCKETS = 100000;
+
+/**
+ * In-process rate limit counters with the same interface as RateLimitRepository.
+ * Limits are per instance, so use it for development or a single process only.
+ */
+class MemoryRateLimitStore {
+    constructor() {
+        this.counters = new Map();
+    }
+
+    async hit(bucketKey, windowStart, windowSeconds) {
+        const key = `${bucketKey}|${windowStart}`;
+        const current = (this.counters.get(key)?.hits || 0) + 1;
+        this.counters.set(key, { hits: current, expiresAt: windowStart + windowSeconds * 2 });
+
+        if (this.counters.size > MAX_BUCKETS) {
+            await this.cleanupExpired();
+        }
+
+        const previous = this.counters.get(`${bucketKey}|${windowStart - windowSeconds}`)?.hits || 0;
+        return { current, previous };
+    }
+
+    async cleanupExpired(now = Math.floor(Date.now() / 1000)) {
+        let deleted = 0;
+        for (const [key, counter] of this.counters) {
+            if (counter.expiresAt < now) {
+                this.counters.delete(key);
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+}
+
+module.exports = MemoryRateLimitStore;
@@ -0,0 +1,97 @@
+'use strict'
+
+const { matchesRoute } = require('../utils/routePattern');
+
+const KEY_TYPES = ['ip', 'user', 'route'];
+
+/**
+ * Rate Limit Service
+ * Sliding-window request limits. Rules come from the rate_limit.rules config:
+ * [{ name, routes: ["POST /api/v1/votes/*"], limit, window (seconds), key: "ip" | "user" | "route" }]
+ * "user" falls back to the IP for anonymous requests; "route" shares one bucket between all callers.
+ */
+class RateLimitService {
+    constructor(store, configService, logger) {
+        this.store = store;
+        this.configService = configService;
+        this.logger = logger;
+    }
+
+    /**
+     * Keep only well-formed rules, so one broken entry does not disable the rest
+     */
+    static parseRules(rules) {
+        if (!Array.isArray(rules)) {
+            return [];
+        }
+
+        return rules
+            .filter(rule => rule
+                && typeof rule.name === 'string'
+                && Array.isArray(rule.routes)
+                && Number.isInteger(rule.limit) && rule.limit > 0
+                && Number.isInteger(rule.window) && rule.window > 0
+                && KEY_TYPES.includes(rule.key || 'ip'))
+            .map(rule => ({ ...rule, key: rule.key || 'ip' }));
+    }
+
+    static bucketKey(rule, { method, url, ip, userId }) {
+        switch (rule.key) {
+            case 'route':
+                return `${rule.name}:route:${method} ${url}`;
+            case 'user':
+                return userId ? `${rule.name}:user:${userId}` : `${rule.name}:ip:${ip}`;
+            default:
+                return `${rule.name}:ip:${ip}`;
+        }
+    }
+
+    async getMatchingRules(method, url) {
+        const enabled = await this.configService.get('rate_limit.enabled', true);
+        if (!enabled) {
+            return [];
+        }
+
+        const rules = RateLimitService.parseRules(await this.configService.get('rate_limit.rules', []));
+        return rules.filter(rule => matchesRoute(rule.routes, method, url));
+    }
+
+    /**
+     * Count a request against every rule matching its route
+     * @param {Object} context - { method, url (route pattern), ip, userId }
+     * @returns {Promise<Object|null>} The most restrictive rule state, or null when no rule applies
+     */
+    async consume(context, now = Date.now()) {
+        const rules = await this.getMatchingRules(context.method, context.url);
+        if (rules.length === 0) {
+            return null;
+        }
+
+        const nowSeconds = now / 1000;
+        const states = await Promise.all(rules.map(async (rule) => {
+            const windowStart = Math.floor(nowSeconds / rule.window) * rule.window;
+            const { current, previous } = await this.store.hit(RateLimitService.bucketKey(rule, context), windowStart, rule.window);
+
+            // The previous window counts for the part of it still inside the sliding window
+            const overlap = 1 - (nowSeconds - windowStart) / rule.window;
+            const used = previous * overlap + current;
+
+            return {
+                rule: rule.name,
+                limit: rule.limit,
+                remaining: Math.max(0, Math.floor(rule.limit - used)),
+                reset: Math.max(1, Math.ceil(windowStart + rule.window - nowSeconds)),
+                exceeded: used > rule.limit
+            };
+        }));
+
+        return states.reduce((worst, state) => {
+            if (state.exceeded !== worst.exceeded) {
+                return state.exceeded ? state : worst;
+            }
+            return state.remaining < worst.remaining ? state : worst;
+        });
+    }
+}
+
+module.exports = RateLimitService;
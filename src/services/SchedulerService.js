@@ -0,0 +1,276 @@
+'use strict'
+
+const CronExpression = require('../utils/cronExpression');
+
+// Advisory lock namespace shared by all scheduler jobs (second key is hashtext(job name))
+const LOCK_NAMESPACE = 7301;
+// A run started elsewhere that has not finished by then is assumed to have crashed
+const RUN_LEASE_MS = 60 * 60 * 1000;
+
+/**
+ * Scheduler Service
+ * Runs registered jobs on cron schedules (Europe/Vilnius) with one runner per job
+ * across all instances, guarded by a Postgres advisory lock and the persisted last slot
+ */
+class SchedulerService {
+    constructor(scheduledJobRepository, db, logger, options = {}) {
+        this.scheduledJobRepository = scheduledJobRepository;
+        this.db = db;
+        this.logger = logger;
+        this.timeZone = options.timeZone || 'Europe/Vilnius';
+        this.jobs = new Map();
+        this.running = new Set();
+        this.timer = null;
+    }
+
+    /**
+     * Register a job
+     * @param {Object} job - { name, schedule, description, handler }
+     */
+    registerJob(job) {
+        if (!job.name || typeof job.handler !== 'function') {
+            throw new Error('Job requires a name and a handler');
+        }
+
+        this.jobs.set(job.name, {
+            name: job.name,
+            description: job.description || null,
+            schedule: job.schedule,
+            cron: new CronExpression(job.schedule, this.timeZone),
+            handler: job.handler,
+            catchUp: job.catchUp !== false,
+            nextRunAt: null
+        });
+    }
+
+    /**
+     * Start ticking. Missed slots (e.g. app was down at midnight) run once on start.
+     */
+    async start() {
+        if (this.timer) {
+            this.logger.warn('Scheduler already running');
+            return;
+        }
+
+        const now = new Date();
+
+        for (const job of this.jobs.values()) {
+            const previousSlot = job.cron.previousRun(now);
+
+            try {
+                // New jobs treat the latest slot as handled so deploys never trigger resets
+                const state = await this.scheduledJobRepository.ensure(job.name, job.schedule, previousSlot);
+                const lastSlot = state.last_slot ? new Date(state.last_slot) : null;
+
+                if (job.catchUp && previousSlot && lastSlot && lastSlot < previousSlot) {
+                    this.logger.info({ job: job.name, slot: previousSlot }, 'Running missed scheduled job');
+                    this.runJob(job.name, { slot: previousSlot }).catch(error => {
+                        this.logger.error({ job: job.name, error: error.message }, 'Missed scheduled job run failed');
+                    });
+                }
+            } catch (error) {
+                this.logger.error({ job: job.name, error: error.message }, 'Failed to initialize scheduled job state');
+            }
+
+            job.nextRunAt = job.cron.nextRun(now);
+        }
+
+        this.logger.info({
+            jobs: [...this.jobs.values()].map(job => ({ name: job.name, schedule: job.schedule, next_run_at: job.nextRunAt }))
+        }, 'Job scheduler started');
+
+        this.scheduleTick();
+    }
+
+    /**
+     * Stop ticking (running jobs finish on their own)
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.logger.info('Job scheduler stopped');
+        }
+    }
+
+    /**
+     * Wake up at the start of the next minute
+     */
+    scheduleTick() {
+        const delay = 60000 - (Date.now() % 60000) + 50;
+        this.timer = setTimeout(() => {
+            this.tick().catch(error => {
+                this.logger.error({ error: error.message }, 'Scheduler tick failed');
+            });
+            if (this.timer) this.scheduleTick();
+        }, delay);
+
+        if (typeof this.timer.unref === 'function') {
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Run every job whose next slot is due
+     */
+    async tick(now = new Date()) {
+        const due = [];
+
+        for (const job of this.jobs.values()) {
+            if (job.nextRunAt && job.nextRunAt <= now) {
+                due.push({ job, slot: job.nextRunAt });
+                job.nextRunAt = job.cron.nextRun(now);
+            }
+        }
+
+        await Promise.all(due.map(({ job, slot }) => this.runJob(job.name, { slot }).catch(error => {
+            this.logger.error({ job: job.name, error: error.message }, 'Scheduled job run failed');
+        })));
+    }
+
+    /**
+     * Whether another instance started a run that has not finished yet
+     * @param {Object|null} state - Job state row
+     * @param {Date} now - Current time
+     * @returns {boolean}
+     */
+    static isRunInProgress(state, now = new Date()) {
+        if (!state?.last_started_at) {
+            return false;
+        }
+
+        const startedAt = new Date(state.last_started_at);
+        const finished = state.last_finished_at && new Date(state.last_finished_at) >= startedAt;
+        return !finished && now - startedAt < RUN_LEASE_MS;
+    }
+
+    /**
+     * Claim a run in a short transaction under the job's advisory lock:
+     * the slot is recorded before the handler starts, so other instances skip it
+     * without a connection or transaction being held while the job runs.
+     * @returns {Promise<Object>} { startedAt } or a skip outcome
+     */
+    async claimRun(name, { slot, manual }) {
+        return this.db.transaction(async (client) => {
+            const locked = await this.scheduledJobRepository.tryLock(client, LOCK_NAMESPACE, name);
+            if (!locked) {
+                this.logger.debug({ job: name }, 'Scheduled job locked by another instance');
+                return { status: 'skipped', reason: 'locked' };
+            }
+
+            const state = await this.scheduledJobRepository.findForUpdate(client, name);
+            if (!manual && slot && state?.last_slot && new Date(state.last_slot) >= slot) {
+                this.logger.debug({ job: name, slot }, 'Scheduled job slot already handled');
+                return { status: 'skipped', reason: 'already_ran' };
+            }
+
+            const startedAt = new Date();
+            if (SchedulerService.isRunInProgress(state, startedAt)) {
+                this.logger.debug({ job: name }, 'Scheduled job running on another instance');
+                return { status: 'skipped', reason: 'already_running' };
+            }
+
+            await this.scheduledJobRepository.claimRun(client, name, { slot: manual ? null : slot, startedAt });
+            return { startedAt };
+        });
+    }
+
+    /**
+     * Run a job once its run is claimed
+     * @param {string} name - Job name
+     * @param {Object} options - { slot: Date, manual: boolean }
+     * @returns {Promise<Object>} Run outcome
+     */
+    async runJob(name, options = {}) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            throw new Error(`Unknown job: ${name}`);
+        }
+
+        const { slot = null, manual = false } = options;
+
+        if (this.running.has(name)) {
+            return { name, status: 'skipped', reason: 'already_running' };
+        }
+
+        this.running.add(name);
+
+        try {
+            const claim = await this.claimRun(name, { slot, manual });
+            if (!claim.startedAt) {
+                return { name, ...claim };
+            }
+
+            const { startedAt } = claim;
+            let status = 'success';
+            let result = null;
+            let errorMessage = null;
+
+            try {
+                result = await job.handler();
+            } catch (error) {
+                status = 'failed';
+                errorMessage = error.message;
+                this.logger.error({ job: name, error: error.message, stack: error.stack }, 'Scheduled job failed');
+            }
+
+            const finishedAt = new Date();
+            const durationMs = finishedAt - startedAt;
+
+            await this.scheduledJobRepository.recordRun(this.db, name, {
+                slot: manual ? null : slot,
+                status,
+                startedAt,
+                finishedAt,
+                durationMs,
+                result,
+                error: errorMessage
+            });
+
+            this.logger.info({ job: name, status, durationMs, result, manual }, 'Scheduled job finished');
+
+            return { name, status, duration_ms: durationMs, result, error: errorMessage };
+        } finally {
+            this.running.delete(name);
+        }
+    }
+
+    /**
+     * Job definitions merged with persisted last-run state
+     * @returns {Promise<Array>} Job status list
+     */
+    async getStatus() {
+        const rows = await this.scheduledJobRepository.findAll();
+        const states = new Map(rows.map(row => [row.name, row]));
+
+        return [...this.jobs.values()].map(job => {
+            const state = states.get(job.name) || {};
+            return {
+                name: job.name,
+                description: job.description,
+                schedule: job.schedule,
+                timezone: this.timeZone,
+                running: this.running.has(job.name),
+                next_run_at: job.nextRunAt || job.cron.nextRun(new Date()),
+                last_slot: state.last_slot || null,
+                last_status: state.last_status || null,
+                last_started_at: state.last_started_at || null,
+                last_finished_at: state.last_finished_at || null,
+                last_duration_ms: state.last_duration_ms ?? null,
+                last_result: state.last_result || null,
+                last_error: state.last_error || null,
+                run_count: state.run_count || 0,
+                failure_count: state.failure_count || 0
+            };
+        });
+    }
+
+    /**
+     * Check whether a job is registered
+     */
+    hasJob(name) {
+        return this.jobs.has(name);
+    }
+}
+
+module.exports = SchedulerService;
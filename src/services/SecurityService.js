@@ -3,6 +3,18 @@
 const axios = require('axios');
 const crypto = require('crypto');
 
+// Maximum points each signal can add to the 0-100 risk score
+const DEFAULT_RISK_WEIGHTS = {
+    recaptcha: 30,
+    abuse: 30,
+    user_agent: 20,
+    headers: 15,
+    velocity: 30,
+    referrer: 10
+};
+
+const AUTOMATION_USER_AGENTS = /(curl|wget|python|requests|aiohttp|axios|node-fetch|undici|okhttp|go-http-client|java\/|libwww|httpclient|postman|insomnia|headless|phantomjs|selenium|puppeteer|playwright|bot|spider|crawler|scrapy)/i;
+
 /**
  * Enhanced Security Service
  * Handles comprehensive bot detection, device fingerprinting, and security scoring
@@ -37,6 +49,7 @@ class SecurityService {
             this.logger.warn('reCAPTCHA verification skipped - disabled in config');
             return {
                 success: true,
+                skipped: true,
                 score: 0.5,
                 action: 'vote',
                 challenge_ts: new Date().toISOString(),
@@ -52,6 +65,7 @@ class SecurityService {
             this.logger.warn('reCAPTCHA verification skipped - no secret key configured');
             return {
                 success: true,
+                skipped: true,
                 score: 0.5,
                 action: 'vote',
                 challenge_ts: new Date().toISOString(),
@@ -193,6 +207,277 @@ class SecurityService {
             return null;
         }
     }
+
+    /**
+     * Risk scoring settings from config with safe defaults
+     */
+    async getRiskSettings() {
+        const read = async (key, defaultValue) => {
+            if (!this.configService) return defaultValue;
+            const value = await this.configService.get(key, defaultValue);
+            return value === null || value === undefined ? defaultValue : value;
+        };
+
+        const weights = await read('security.risk_weights', DEFAULT_RISK_WEIGHTS);
+
+        return {
+            enabled: await read('security.risk_scoring_enabled', true),
+            flagThreshold: await read('security.risk_flag_threshold', this.RISK_THRESHOLDS.MEDIUM),
+            rejectThreshold: await read('security.risk_reject_threshold', this.RISK_THRESHOLDS.CRITICAL),
+            weights: { ...DEFAULT_RISK_WEIGHTS, ...(typeof weights === 'object' ? weights : {}) },
+            recaptchaMinScore: await read('recaptcha.min_score', 0.5),
+            velocity: {
+                windowMinutes: await read('security.velocity_window_minutes', 60),
+                ipLimit: await read('security.velocity_ip_limit', 5),
+                subnetLimit: await read('security.velocity_subnet_limit', 3),
+                usernameLimit: await read('security.velocity_username_limit', 2)
+            },
+            allowedReferrers: await read('security.allowed_referrers', [])
+        };
+    }
+
+    /**
+     * Score a vote attempt from all available signals.
+     * Never throws: a failing signal is reported and contributes nothing.
+     * @param {Object} input - { serverId, ipAddress, username, userAgent, headers, recaptcha, abuse }
+     * @returns {Promise<Object>} { score, level, action, signals, evaluated_at }
+     */
+    async assessVoteRisk(input) {
+        const settings = await this.getRiskSettings();
+
+        if (!settings.enabled) {
+            return { score: 0, level: 'minimal', action: 'allow', signals: {}, evaluated_at: new Date().toISOString() };
+        }
+
+        let velocity = null;
+        try {
+            velocity = await this.getVoteVelocity(input, settings.velocity.windowMinutes);
+        } catch (error) {
+            this.logger.warn({ error: error.message, ipAddress: input.ipAddress }, 'Vote velocity check failed');
+        }
+
+        const signals = {
+            recaptcha: this.scoreRecaptcha(input.recaptcha, settings.recaptchaMinScore),
+            abuse: this.scoreAbuse(input.abuse),
+            user_agent: this.scoreUserAgent(input.userAgent),
+            headers: this.scoreHeaders(input.headers || {}, input.userAgent),
+            velocity: velocity ? this.scoreVelocity(velocity, settings.velocity) : { risk: 0, reasons: ['unavailable'] },
+            referrer: this.scoreReferrer(input.headers || {}, settings.allowedReferrers)
+        };
+
+        return this.combineSignals(signals, settings);
+    }
+
+    /**
+     * Weight signal risks (0..1) into a 0-100 score and pick an action
+     */
+    combineSignals(signals, settings) {
+        let total = 0;
+        const breakdown = {};
+
+        for (const [name, signal] of Object.entries(signals)) {
+            const weight = Number(settings.weights[name]) || 0;
+            const points = Math.round(Math.min(1, Math.max(0, signal.risk)) * weight);
+            total += points;
+            breakdown[name] = { ...signal, points, max: weight };
+        }
+
+        const score = Math.min(100, total);
+        let action = 'allow';
+        if (score >= settings.rejectThreshold) {
+            action = 'reject';
+        } else if (score >= settings.flagThreshold) {
+            action = 'flag';
+        }
+
+        return {
+            score,
+            level: this.getRiskLevel(score),
+            action,
+            signals: breakdown,
+            evaluated_at: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Map a score onto RISK_THRESHOLDS
+     */
+    getRiskLevel(score) {
+        if (score >= this.RISK_THRESHOLDS.CRITICAL) return 'critical';
+        if (score >= this.RISK_THRESHOLDS.HIGH) return 'high';
+        if (score >= this.RISK_THRESHOLDS.MEDIUM) return 'medium';
+        if (score >= this.RISK_THRESHOLDS.LOW) return 'low';
+        return 'minimal';
+    }
+
+    /**
+     * reCAPTCHA v3 score below the configured minimum
+     */
+    scoreRecaptcha(result, minScore) {
+        if (!result || result.skipped) {
+            return { risk: 0, reasons: ['skipped'] };
+        }
+        if (!result.success) {
+            return { risk: 1, reasons: ['verification_failed'] };
+        }
+        if (typeof result.score !== 'number') {
+            return { risk: 0, reasons: [] };
+        }
+
+        const risk = result.score >= minScore ? 0 : (minScore - result.score) / minScore;
+        return { risk, value: result.score, reasons: risk > 0 ? ['low_score'] : [] };
+    }
+
+    /**
+     * AbuseIPDB confidence plus Tor and hosting networks
+     */
+    scoreAbuse(abuse) {
+        if (!abuse || abuse.error || typeof abuse.abuseConfidenceScore !== 'number') {
+            return { risk: 0, reasons: ['unavailable'] };
+        }
+
+        const reasons = [];
+        let risk = abuse.abuseConfidenceScore / 100;
+        if (abuse.abuseConfidenceScore > 25) reasons.push('reported');
+
+        if (abuse.isTor) {
+            risk = Math.max(risk, 0.8);
+            reasons.push('tor');
+        }
+        if (/hosting|data center/i.test(abuse.usageType || '')) {
+            risk = Math.max(risk, 0.5);
+            reasons.push('hosting');
+        }
+
+        return { risk, value: abuse.abuseConfidenceScore, reasons };
+    }
+
+    /**
+     * Missing, scripted or implausible user agents
+     */
+    scoreUserAgent(userAgent) {
+        if (!userAgent || !userAgent.trim()) {
+            return { risk: 1, reasons: ['missing'] };
+        }
+        if (AUTOMATION_USER_AGENTS.test(userAgent)) {
+            return { risk: 1, reasons: ['automation'] };
+        }
+        if (!userAgent.startsWith('Mozilla/')) {
+            return { risk: 0.6, reasons: ['non_browser'] };
+        }
+        if (userAgent.length < 40) {
+            return { risk: 0.4, reasons: ['too_short'] };
+        }
+        return { risk: 0, reasons: [] };
+    }
+
+    /**
+     * Headers every browser sends on a cross-origin fetch
+     */
+    scoreHeaders(headers, userAgent) {
+        const reasons = [];
+        let risk = 0;
+
+        if (!headers['accept-language']) {
+            risk += 0.4;
+            reasons.push('no_accept_language');
+        }
+        if (!headers.accept) {
+            risk += 0.2;
+            reasons.push('no_accept');
+        }
+        if (!headers.origin) {
+            risk += 0.2;
+            reasons.push('no_origin');
+        }
+        // Chromium has sent Fetch Metadata and client hints since v80+
+        if (/Chrome\//.test(userAgent || '') && !headers['sec-fetch-mode'] && !headers['sec-ch-ua']) {
+            risk += 0.4;
+            reasons.push('spoofed_chrome');
+        }
+
+        return { risk: Math.min(1, risk), reasons };
+    }
+
+    /**
+     * Votes in the window: one IP across servers, one subnet and one
+     * username for the target server (the current vote is not stored yet)
+     */
+    async getVoteVelocity({ serverId, ipAddress, username }, windowMinutes) {
+        if (!this.db) return null;
+
+        const query = `
+            SELECT
+                COUNT(*) FILTER (WHERE ip_address = $1::inet) AS ip_votes,
+                COUNT(*) FILTER (
+                    WHERE server_id = $2
+                    AND ip_address <> $1::inet
+                    AND ip_address << network(set_masklen($1::inet, CASE WHEN family($1::inet) = 4 THEN 24 ELSE 64 END))
+                ) AS subnet_votes,
+                COUNT(*) FILTER (
+                    WHERE server_id = $2
+                    AND ip_address <> $1::inet
+                    AND LOWER(username) = LOWER($3)
+                ) AS username_votes
+            FROM server_votes
+            WHERE created_at > LOCALTIMESTAMP - make_interval(mins => $4)
+        `;
+
+        const result = await this.db.query(query, [ipAddress, serverId, username || '', windowMinutes]);
+        const row = result.rows[0] || {};
+
+        return {
+            ip_votes: parseInt(row.ip_votes) || 0,
+            subnet_votes: parseInt(row.subnet_votes) || 0,
+            username_votes: parseInt(row.username_votes) || 0
+        };
+    }
+
+    /**
+     * Reaching a limit scores 0.5, twice the limit scores 1
+     */
+    scoreVelocity(velocity, limits) {
+        const checks = [
+            ['ip', velocity.ip_votes, limits.ipLimit],
+            ['subnet', velocity.subnet_votes, limits.subnetLimit],
+            ['username', velocity.username_votes, limits.usernameLimit]
+        ];
+
+        const reasons = [];
+        let risk = 0;
+        for (const [name, count, limit] of checks) {
+            if (limit > 0 && count >= limit) {
+                risk = Math.max(risk, Math.min(1, count / (2 * limit)));
+                reasons.push(`${name}_burst`);
+            }
+        }
+
+        return { risk, value: velocity, reasons };
+    }
+
+    /**
+     * Votes should come from our own vote page
+     */
+    scoreReferrer(headers, allowedReferrers) {
+        const referrer = headers.referer || headers.referrer;
+        if (!referrer) {
+            return { risk: 0.5, reasons: ['missing'] };
+        }
+
+        let host;
+        try {
+            host = new URL(referrer).hostname.toLowerCase();
+        } catch (error) {
+            return { risk: 1, reasons: ['invalid'] };
+        }
+
+        const allowed = Array.isArray(allowedReferrers) && allowedReferrers.length > 0
+            ? allowedReferrers.map(entry => String(entry).toLowerCase())
+            : [new URL(process.env.FRONTEND_URL || 'https://mclist.lt').hostname.toLowerCase()];
+
+        const matches = allowed.some(entry => host === entry || host.endsWith(`.${entry}`));
+        return { risk: matches ? 0 : 1, value: host, reasons: matches ? [] : ['foreign'] };
+    }
 }
 
-module.exports = SecurityService;
\ No newline at end of file
+module.exports = SecurityService;
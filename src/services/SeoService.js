@@ -1,6 +1,8 @@
 'use strict';
 
 const BaseService = require('./BaseService');
+const ErrorHandler = require('../lib/ErrorHandler');
+const { slugify, validateSlug, uniqueSlug } = require('../utils/slug');
 
 // Define constants for character limits
 const TITLE_MAX_LENGTH = 60;
@@ -12,6 +14,8 @@ class SeoService extends BaseService {
         super(seoRepository, logger);
         this.frontendUrl = process.env.FRONTEND_URL || 'https://mclist.lt';
         this.defaultBannerUrl = `${this.frontendUrl}/default-banner.png`;
+        // Social cards are rendered by this API (BannerService), not the frontend
+        this.apiUrl = (process.env.API_URL || this.frontendUrl).replace(/\/+$/, '');
     }
 
     /**
@@ -36,7 +40,7 @@ class SeoService extends BaseService {
                 server_types = []
             } = serverData;
 
-            const slug = this._generateSlug(name);
+            const slug = await this.resolveSlug(id, name);
             const canonicalUrl = `${this.frontendUrl}/servers/${slug}`;
 
             const totalVotes = vote_stats?.total_votes || 0;
@@ -81,7 +85,7 @@ class SeoService extends BaseService {
                 version: serverVersion
             });
 
-            const socialImage = `https://mclist.lt/api/og?slug=${slug}`;
+            const socialImage = `${this.apiUrl}/api/v1/servers/slug/${slug}/og.png`;
 
             const seoData = {
                 slug,
@@ -100,32 +104,69 @@ class SeoService extends BaseService {
             };
 
             this.logger.info(`SEO Service: Generating SEO data for server ID ${id}`);
-            return await this.repository.upsertByServerId(id, seoData);
+            try {
+                return await this.repository.upsertByServerId(id, seoData);
+            } catch (error) {
+                // Another server took the slug in the meantime; the next suffix is free
+                if (error.code !== '23505') throw error;
+                return await this.repository.upsertByServerId(id, { ...seoData, slug: await this.resolveSlug(id, name) });
+            }
         } catch (error) {
             this.logger.error(`SEO Service: Error generating SEO data: ${error.message}`);
             throw error;
         }
     }
 
+    /**
+     * Existing slug of the server, or the first free one derived from its name.
+     * Renaming keeps the slug so links stay valid; owners change it explicitly.
+     */
+    async resolveSlug(serverId, name) {
+        const current = await this.repository.findSlugByServerId(serverId);
+        if (current) {
+            return current;
+        }
+
+        const base = slugify(name) || `serveris-${serverId}`;
+        return uniqueSlug(base, await this.repository.findTakenSlugs(base, serverId));
+    }
+
+    /**
+     * Owner-chosen slug; the previous one keeps redirecting to the server
+     * @returns {Promise<boolean>} Whether the slug changed
+     */
+    async changeSlug(serverId, slug, changedBy = null) {
+        const error = validateSlug(slug);
+        if (error) {
+            throw ErrorHandler.createValidationError({ slug: error }, error);
+        }
+
+        const current = await this.repository.findSlugByServerId(serverId);
+        if (current === slug) {
+            return false;
+        }
+        if (!current) {
+            throw this.createError('Serverio SEO duomenys nerasti', 404, 'SEO_NOT_FOUND');
+        }
+        if (await this.repository.isSlugTaken(slug, serverId)) {
+            throw this.createError('Ši nuoroda jau užimta', 409, 'SLUG_TAKEN');
+        }
+
+        await this.repository.changeSlug(serverId, current, slug, changedBy);
+        this.log('info', { serverId, from: current, to: slug, changedBy }, 'Server slug changed');
+        return true;
+    }
+
+    async findRedirectSlug(oldSlug) {
+        return this.repository.findRedirectSlug(oldSlug);
+    }
+
     _calculateRating(totalVotes) {
         if (totalVotes === 0) return null;
         const rating = Math.min(5.0, Math.max(1.0, (totalVotes / 100) * 4 + 1));
         return Math.round(rating * 10) / 10;
     }
 
-    _generateSlug(text) {
-        const lithuanianChars = {
-            'ą': 'a', 'č': 'c', 'ę': 'e', 'ė': 'e', 'į': 'i', 'š': 's', 'ų': 'u', 'ū': 'u', 'ž': 'z'
-        };
-        return text
-            .toLowerCase()
-            .replace(/[ąčęėįšųūž]/g, char => lithuanianChars[char])
-            .replace(/[^a-z0-9\s-]/g, '')
-            .trim()
-            .replace(/\s+/g, '-')
-            .replace(/-+/g, '-');
-    }
-
     _truncateText(text, maxLength) {
         if (text.length <= maxLength) {
             return text;
@@ -2,13 +2,14 @@
 
 /**
  * Startup Service
- * Handles application startup tasks like initializing ping scheduler
+ * Handles application startup tasks like initializing ping and job schedulers
  */
 class StartupService {
-    constructor(serverPingService, minecraftVersionService, logger) {
+    constructor(serverPingService, minecraftVersionService, logger, schedulerService = null) {
         this.serverPingService = serverPingService;
         this.minecraftVersionService = minecraftVersionService;
         this.logger = logger;
+        this.schedulerService = schedulerService;
     }
 
     /**
@@ -28,6 +29,9 @@ class StartupService {
             await this.initializePingScheduler();
             this.logger.info('📍 Ping scheduler initialization completed');
 
+            // Start housekeeping job scheduler
+            await this.initializeJobScheduler();
+
             this.logger.info('✅ Application initialization completed successfully');
         } catch (error) {
             this.logger.error({ error: error.message, stack: error.stack }, '❌ Application initialization failed');
@@ -78,6 +82,23 @@ class StartupService {
         }
     }
 
+    /**
+     * Initialize the job scheduler (vote counter resets, cleanup)
+     */
+    async initializeJobScheduler() {
+        if (!this.schedulerService) {
+            return;
+        }
+
+        try {
+            await this.schedulerService.start();
+            this.logger.info('⏰ Job scheduler initialized');
+        } catch (error) {
+            this.logger.error({ error: error.message }, 'Failed to initialize job scheduler');
+            // Don't throw error - app should still start even if the scheduler fails
+        }
+    }
+
     /**
      * Graceful shutdown
      */
@@ -88,6 +109,11 @@ class StartupService {
             // Stop ping scheduler
             this.serverPingService.stopPingScheduler();
 
+            // Stop job scheduler
+            if (this.schedulerService) {
+                this.schedulerService.stop();
+            }
+
             this.logger.info('✅ Graceful shutdown completed');
         } catch (error) {
             this.logger.error({ error: error.message }, '❌ Error during shutdown');
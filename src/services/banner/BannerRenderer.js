@@ -0,0 +1,317 @@
+'use strict'
+
+const PngCanvas = require('./PngCanvas');
+const { measureText, fitText, ROWS_ABOVE } = require('./bitmapFont');
+
+const BANNER_SIZES = {
+    small: { width: 468, height: 60 },
+    medium: { width: 560, height: 95 },
+    large: { width: 728, height: 90 }
+};
+
+const OG_SIZE = { width: 1200, height: 630 };
+
+const COLORS = {
+    backgroundTop: '#2B2F3A',
+    backgroundBottom: '#111318',
+    border: '#3A3F4D',
+    panel: '#FFFFFF12',
+    text: '#FFFFFF',
+    muted: '#9CA3AF',
+    online: '#55FF55',
+    offline: '#FF5555',
+    rank: '#FFAA00',
+    shadow: '#00000099'
+};
+
+const SVG_FONT = "Minecraft, 'Courier New', Courier, monospace";
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Cut colored text runs to maxWidth, ending with an ellipsis when shortened
+ */
+function fitSegments(segments, maxWidth, scale = 1) {
+    const text = segments.map(segment => segment.text).join('');
+    const fitted = fitText(text, maxWidth, scale);
+    if (fitted === text) return segments;
+
+    const keep = Array.from(fitted.endsWith('...') ? fitted.slice(0, -3) : fitted).length;
+    const result = [];
+    let used = 0;
+    for (const segment of segments) {
+        const chars = Array.from(segment.text);
+        if (used >= keep) break;
+        result.push({ text: chars.slice(0, keep - used).join(''), color: segment.color });
+        used += chars.length;
+    }
+    const last = result[result.length - 1];
+    result.push({ text: '...', color: last ? last.color : COLORS.muted });
+    return result;
+}
+
+/**
+ * Drop the padding servers use to center their MOTD
+ */
+function trimSegments(segments) {
+    const result = segments.map(segment => ({ ...segment }));
+    while (result.length && !result[0].text.trimStart()) result.shift();
+    while (result.length && !result[result.length - 1].text.trimEnd()) result.pop();
+    if (result.length) {
+        result[0].text = result[0].text.trimStart();
+        result[result.length - 1].text = result[result.length - 1].text.trimEnd();
+    }
+    return result;
+}
+
+/**
+ * Draws server banners and OpenGraph cards.
+ * A card is laid out once as a list of drawing operations which are then
+ * rasterized to PNG or serialized to SVG, so both formats look the same.
+ */
+class BannerRenderer {
+    constructor(options = {}) {
+        this.siteName = options.siteName || 'mclist.lt';
+    }
+
+    /**
+     * @param {Object} card - Normalized server card (see BannerService.toCard)
+     * @param {string} size - Key of BANNER_SIZES
+     * @param {string} format - 'png' or 'svg'
+     * @returns {Buffer|string}
+     */
+    renderBanner(card, size = 'large', format = 'png') {
+        const { width, height } = BANNER_SIZES[size] || BANNER_SIZES.large;
+        return this.render(this.layoutBanner(card, width, height), width, height, format);
+    }
+
+    renderOgCard(card, format = 'png') {
+        const { width, height } = OG_SIZE;
+        return this.render(this.layoutOgCard(card, width, height), width, height, format);
+    }
+
+    render(operations, width, height, format) {
+        return format === 'svg'
+            ? this.toSvg(operations, width, height)
+            : this.toPng(operations, width, height);
+    }
+
+    layoutBanner(card, width, height) {
+        const pad = Math.round(height * 0.1);
+        const iconSize = height - pad * 2;
+        const textX = pad * 2 + iconSize;
+        const textWidth = width - textX - pad;
+        const nameScale = height >= 80 ? 2 : 1;
+        const lineHeight = PngCanvas.lineHeight(1);
+
+        const operations = [
+            { type: 'gradient', x: 0, y: 0, width, height, from: COLORS.backgroundTop, to: COLORS.backgroundBottom },
+            { type: 'border', width, height, color: COLORS.border },
+            { type: 'icon', x: pad, y: pad, size: iconSize, card }
+        ];
+
+        // Name row, with the vote rank on the right
+        let nameWidth = textWidth;
+        if (card.rank) {
+            const rankText = `#${card.rank}`;
+            const rankWidth = measureText(rankText, nameScale);
+            operations.push(this.text(width - pad - rankWidth, pad, rankText, COLORS.rank, nameScale, true));
+            nameWidth -= rankWidth + 6 * nameScale;
+        }
+        operations.push(this.text(textX, pad, fitText(card.name, nameWidth, nameScale), COLORS.text, nameScale, true));
+
+        // Status row pinned to the bottom: dot, players and version left, address right
+        const statusY = height - pad - lineHeight;
+        const dotColor = card.online ? COLORS.online : COLORS.offline;
+        operations.push({ type: 'rect', x: textX, y: statusY + 3, width: 5, height: 5, radius: 2, color: dotColor });
+
+        const status = [{ text: this.playersLabel(card), color: card.online ? COLORS.text : COLORS.offline }];
+        if (card.version) status.push({ text: `  ${card.version}`, color: COLORS.muted });
+        const statusWidth = measureText(status.map(part => part.text).join(''));
+        operations.push(this.segments(textX + 9, statusY, fitSegments(status, textWidth - 9), 1));
+
+        const addressWidth = textWidth - 9 - statusWidth - 12;
+        const address = fitText(card.address, addressWidth);
+        if (address) {
+            operations.push(this.text(width - pad - measureText(address), statusY, address, COLORS.muted, 1));
+        }
+
+        // MOTD fills whatever fits between the name and the status row
+        const motdTop = pad + PngCanvas.lineHeight(nameScale) + 1;
+        const motdLines = Math.min(2, Math.floor((statusY - motdTop) / lineHeight));
+        card.motd.slice(0, motdLines).forEach((line, index) => {
+            operations.push(this.segments(textX, motdTop + index * lineHeight, fitSegments(trimSegments(line), textWidth), 1));
+        });
+
+        return operations;
+    }
+
+    layoutOgCard(card, width, height) {
+        const margin = 80;
+        const iconSize = 192;
+        const textX = margin + iconSize + 40;
+        const textWidth = width - textX - margin;
+        const accent = card.online ? COLORS.online : COLORS.offline;
+
+        const operations = [
+            { type: 'gradient', x: 0, y: 0, width, height, from: COLORS.backgroundTop, to: COLORS.backgroundBottom },
+            { type: 'rect', x: 0, y: 0, width, height: 8, radius: 0, color: accent },
+            { type: 'icon', x: margin, y: 90, size: iconSize, card },
+            this.text(textX, 90, fitText(card.name, textWidth, 6), COLORS.text, 6, true),
+            this.text(textX, 160, fitText(card.address, textWidth, 3), COLORS.muted, 3)
+        ];
+
+        card.motd.slice(0, 2).forEach((line, index) => {
+            operations.push(this.segments(textX, 205 + index * 36, fitSegments(trimSegments(line), textWidth, 3), 3));
+        });
+
+        const stats = [
+            ['Būsena', card.online ? 'Veikia' : 'Neveikia', accent],
+            ['Žaidėjai', card.online ? this.playersCount(card) : '-', COLORS.text],
+            ['Versija', card.version || '-', COLORS.text],
+            ['Vieta', card.rank ? `#${card.rank}` : '-', COLORS.rank]
+        ];
+        const gap = 24;
+        const boxWidth = Math.floor((width - margin * 2 - gap * (stats.length - 1)) / stats.length);
+        stats.forEach(([label, value, color], index) => {
+            const x = margin + index * (boxWidth + gap);
+            const valueScale = measureText(value, 4) <= boxWidth - 48 ? 4 : 3;
+            operations.push(
+                { type: 'rect', x, y: 360, width: boxWidth, height: 150, radius: 12, color: COLORS.panel },
+                this.text(x + 24, 384, label, COLORS.muted, 2),
+                this.text(x + 24, 430, fitText(value, boxWidth - 48, valueScale), color, valueScale, true)
+            );
+        });
+
+        const site = this.siteName;
+        operations.push(this.text(width - margin - measureText(site, 3), height - 70, site, COLORS.muted, 3));
+
+        return operations;
+    }
+
+    playersCount(card) {
+        return card.playersMax != null ? `${card.playersOnline}/${card.playersMax}` : String(card.playersOnline);
+    }
+
+    playersLabel(card) {
+        return card.online ? `${this.playersCount(card)} žaidėjų` : 'Neveikia';
+    }
+
+    /**
+     * Single-color text operation; y is the top of the line box
+     */
+    text(x, y, text, color, scale, shadow = false) {
+        return this.segments(x, y, [{ text, color }], scale, shadow);
+    }
+
+    segments(x, y, segments, scale, shadow = false) {
+        return { type: 'text', x, y, segments, scale, shadow };
+    }
+
+    toPng(operations, width, height) {
+        const canvas = new PngCanvas(width, height);
+
+        for (const op of operations) {
+            if (op.type === 'gradient') {
+                canvas.fillGradient(op.x, op.y, op.width, op.height, op.from, op.to);
+            } else if (op.type === 'border') {
+                canvas.fillRect(0, 0, op.width, 1, op.color);
+                canvas.fillRect(0, op.height - 1, op.width, 1, op.color);
+                canvas.fillRect(0, 0, 1, op.height, op.color);
+                canvas.fillRect(op.width - 1, 0, 1, op.height, op.color);
+            } else if (op.type === 'rect') {
+                canvas.fillRoundRect(op.x, op.y, op.width, op.height, op.radius, op.color);
+            } else if (op.type === 'icon') {
+                this.drawIcon(canvas, op);
+            } else if (op.type === 'text') {
+                // Glyph bodies start below the rows reserved for marks above capitals
+                let x = op.x;
+                const y = op.y + ROWS_ABOVE * op.scale;
+                for (const segment of op.segments) {
+                    x = canvas.drawText(segment.text, x, y, segment.color, op.scale, op.shadow ? COLORS.shadow : null);
+                }
+            }
+        }
+
+        return canvas.toPNG();
+    }
+
+    drawIcon(canvas, { x, y, size, card }) {
+        if (card.favicon?.image) {
+            canvas.drawImage(card.favicon.image, x, y, size, size);
+            return;
+        }
+
+        // No favicon: the first letter of the name on a tile
+        canvas.fillRoundRect(x, y, size, size, Math.round(size / 8), COLORS.border);
+        const letter = Array.from(card.name.trim() || '?')[0].toUpperCase();
+        const scale = Math.max(1, Math.floor(size / 16));
+        canvas.drawText(letter, x + Math.round((size - measureText(letter, scale)) / 2), y + Math.round((size - 7 * scale) / 2), COLORS.text, scale);
+    }
+
+    toSvg(operations, width, height) {
+        const defs = [];
+        const body = [];
+
+        for (const op of operations) {
+            if (op.type === 'gradient') {
+                defs.push(`<linearGradient id="bg" x1="0" y1="0" x2="0" y2="1"><stop offset="0" stop-color="${op.from}"/><stop offset="1" stop-color="${op.to}"/></linearGradient>`);
+                body.push(`<rect x="${op.x}" y="${op.y}" width="${op.width}" height="${op.height}" fill="url(#bg)"/>`);
+            } else if (op.type === 'border') {
+                body.push(`<rect x="0.5" y="0.5" width="${op.width - 1}" height="${op.height - 1}" fill="none" stroke="${op.color}"/>`);
+            } else if (op.type === 'rect') {
+                body.push(`<rect x="${op.x}" y="${op.y}" width="${op.width}" height="${op.height}" rx="${op.radius}" ${this.svgFill(op.color)}/>`);
+            } else if (op.type === 'icon') {
+                body.push(this.svgIcon(op));
+            } else if (op.type === 'text') {
+                // A 10px monospace font advances about 6px, matching the bitmap font metrics
+                const baseline = op.y + (ROWS_ABOVE + 7) * op.scale;
+                const spans = op.segments
+                    .map(segment => `<tspan ${this.svgFill(segment.color)}>${escapeXml(segment.text)}</tspan>`)
+                    .join('');
+                const shadow = op.shadow ? ` style="text-shadow: ${op.scale}px ${op.scale}px 0 rgba(0,0,0,0.6)"` : '';
+                body.push(`<text x="${op.x}" y="${baseline}" font-size="${10 * op.scale}" xml:space="preserve"${shadow}>${spans}</text>`);
+            }
+        }
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${escapeXml(SVG_FONT)}">`,
+            `<defs>${defs.join('')}</defs>`,
+            ...body,
+            '</svg>'
+        ].join('\n');
+    }
+
+    svgIcon({ x, y, size, card }) {
+        if (card.favicon?.buffer) {
+            const href = `data:image/png;base64,${card.favicon.buffer.toString('base64')}`;
+            return `<image x="${x}" y="${y}" width="${size}" height="${size}" href="${href}" style="image-rendering: pixelated"/>`;
+        }
+
+        const letter = Array.from(card.name.trim() || '?')[0].toUpperCase();
+        const fontSize = Math.floor(size / 16) * 10;
+        return `<rect x="${x}" y="${y}" width="${size}" height="${size}" rx="${Math.round(size / 8)}" fill="${COLORS.border}"/>` +
+            `<text x="${x + size / 2}" y="${y + size / 2}" font-size="${fontSize}" text-anchor="middle" dominant-baseline="central" fill="${COLORS.text}">${escapeXml(letter)}</text>`;
+    }
+
+    /**
+     * fill attribute for #RRGGBB or #RRGGBBAA colors
+     */
+    svgFill(color) {
+        const [r, g, b, a] = PngCanvas.parseColor(color);
+        const hex = `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+        return a < 255 ? `fill="${hex}" fill-opacity="${(a / 255).toFixed(2)}"` : `fill="${hex}"`;
+    }
+}
+
+BannerRenderer.BANNER_SIZES = BANNER_SIZES;
+BannerRenderer.OG_SIZE = OG_SIZE;
+
+module.exports = BannerRenderer;
@@ -0,0 +1,137 @@
+'use strict'
+
+const crypto = require('crypto');
+const BannerRenderer = require('./BannerRenderer');
+const { decodePng } = require('./png');
+const ServerDTO = require('../../domains/server/dto/ServerDTO');
+const { normalizeMotd } = require('../../utils/motd');
+
+const MOTD_DEFAULT_COLOR = '#AAAAAA';
+
+const CONTENT_TYPES = {
+    png: 'image/png',
+    svg: 'image/svg+xml; charset=utf-8'
+};
+
+/**
+ * Banner Service
+ * Renders status banners and OpenGraph cards from the latest ping.
+ * Images only change with a new server_data row, a new favicon, an edit or a
+ * different vote rank, so rendered output is cached on exactly those values.
+ */
+class BannerService {
+    constructor(serverRepository, faviconUtils, logger, options = {}) {
+        this.serverRepository = serverRepository;
+        this.faviconUtils = faviconUtils;
+        this.logger = logger;
+        this.renderer = new BannerRenderer({ siteName: options.siteName });
+        this.cacheSize = options.cacheSize || 200;
+        this.cache = new Map();
+    }
+
+    static get SIZES() {
+        return Object.keys(BannerRenderer.BANNER_SIZES);
+    }
+
+    /**
+     * Status banner for a server
+     * @returns {Promise<Object|null>} { body, contentType, etag } or null for unknown/inactive servers
+     */
+    async getBanner(serverId, { size = 'large', format = 'png' } = {}) {
+        const row = await this.serverRepository.findBannerData({ id: serverId });
+        return this.render(row, 'banner', size, format);
+    }
+
+    /**
+     * OpenGraph card for a server, looked up by its current slug
+     */
+    async getOgImage(slug) {
+        const row = await this.serverRepository.findBannerData({ slug });
+        return this.render(row, 'og', 'og', 'png');
+    }
+
+    async render(row, kind, size, format) {
+        if (!row || !row.is_active) {
+            return null;
+        }
+
+        const key = this.cacheKey(row, kind, size, format);
+        const cached = this.cache.get(key);
+        if (cached) {
+            // Re-insert so the Map's insertion order doubles as LRU order
+            this.cache.delete(key);
+            this.cache.set(key, cached);
+            return cached;
+        }
+
+        const card = await this.toCard(row);
+        const body = kind === 'og'
+            ? this.renderer.renderOgCard(card, format)
+            : this.renderer.renderBanner(card, size, format);
+
+        const image = {
+            body: typeof body === 'string' ? Buffer.from(body, 'utf8') : body,
+            contentType: CONTENT_TYPES[format],
+            etag: `"${crypto.createHash('sha1').update(key).digest('hex').slice(0, 27)}"`
+        };
+
+        this.cache.set(key, image);
+        if (this.cache.size > this.cacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+
+        this.logger.debug({ serverId: row.id, kind, size, format }, 'Rendered server banner');
+        return image;
+    }
+
+    cacheKey(row, kind, size, format) {
+        const updatedAt = row.updated_at ? new Date(row.updated_at).getTime() : 0;
+        return [kind, size, format, row.id, row.server_data_id || 0, row.favicon_path || '', updatedAt, this.voteRank(row) || 0].join(':');
+    }
+
+    /**
+     * Servers without votes have no meaningful place in the ranking
+     */
+    voteRank(row) {
+        return Number(row.total_votes) > 0 ? Number(row.vote_rank) : null;
+    }
+
+    /**
+     * Normalize a findBannerData row into what the renderer draws
+     */
+    async toCard(row) {
+        const data = row.data || {};
+        const online = data.online === true;
+
+        // Uncolored MOTD text is gray in the client's server list
+        const motd = (normalizeMotd(data.motd)?.spans || [])
+            .map(line => line.map(span => ({ text: span.text, color: span.color || MOTD_DEFAULT_COLOR })));
+
+        return {
+            name: row.name,
+            address: new ServerDTO(row).getAddress(),
+            online,
+            playersOnline: data.players?.online || 0,
+            playersMax: data.players?.max ?? row.max_players ?? null,
+            version: data.version || row.version || null,
+            rank: this.voteRank(row),
+            motd,
+            favicon: await this.loadFavicon(row.favicon_path)
+        };
+    }
+
+    async loadFavicon(faviconPath) {
+        if (!faviconPath) return null;
+
+        const file = await this.faviconUtils.readFavicon(faviconPath);
+        if (!file) return null;
+
+        const image = decodePng(file.buffer);
+        if (!image) {
+            this.logger.debug({ faviconPath }, 'Favicon could not be decoded for banner');
+        }
+        return { buffer: file.buffer, image };
+    }
+}
+
+module.exports = BannerService;
@@ -0,0 +1,149 @@
+'use strict'
+
+const { encodePng } = require('./png');
+const { glyphPixels, measureText, ROWS_ABOVE } = require('./bitmapFont');
+
+/**
+ * Parse "#RRGGBB" or "#RRGGBBAA" into [r, g, b, a]
+ */
+function parseColor(color) {
+    if (Array.isArray(color)) return color;
+    const hex = String(color).replace('#', '');
+    return [
+        parseInt(hex.slice(0, 2), 16),
+        parseInt(hex.slice(2, 4), 16),
+        parseInt(hex.slice(4, 6), 16),
+        hex.length >= 8 ? parseInt(hex.slice(6, 8), 16) : 255
+    ];
+}
+
+/**
+ * Minimal RGBA raster with just enough drawing primitives for banners
+ */
+class PngCanvas {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.data = new Uint8Array(width * height * 4);
+    }
+
+    /**
+     * Alpha-blend one pixel; coordinates outside the canvas are ignored
+     */
+    blendPixel(x, y, r, g, b, a) {
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height || a === 0) return;
+
+        const o = (y * this.width + x) * 4;
+        if (a === 255) {
+            this.data[o] = r;
+            this.data[o + 1] = g;
+            this.data[o + 2] = b;
+            this.data[o + 3] = 255;
+            return;
+        }
+
+        const alpha = a / 255;
+        const baseAlpha = this.data[o + 3] / 255;
+        const outAlpha = alpha + baseAlpha * (1 - alpha);
+        this.data[o] = Math.round((r * alpha + this.data[o] * baseAlpha * (1 - alpha)) / outAlpha);
+        this.data[o + 1] = Math.round((g * alpha + this.data[o + 1] * baseAlpha * (1 - alpha)) / outAlpha);
+        this.data[o + 2] = Math.round((b * alpha + this.data[o + 2] * baseAlpha * (1 - alpha)) / outAlpha);
+        this.data[o + 3] = Math.round(outAlpha * 255);
+    }
+
+    fillRect(x, y, width, height, color) {
+        const [r, g, b, a] = parseColor(color);
+        for (let py = Math.max(0, y); py < Math.min(this.height, y + height); py++) {
+            for (let px = Math.max(0, x); px < Math.min(this.width, x + width); px++) {
+                this.blendPixel(px, py, r, g, b, a);
+            }
+        }
+    }
+
+    /**
+     * Fill a rectangle with a top-to-bottom gradient
+     */
+    fillGradient(x, y, width, height, fromColor, toColor) {
+        const from = parseColor(fromColor);
+        const to = parseColor(toColor);
+        for (let row = 0; row < height; row++) {
+            const t = height > 1 ? row / (height - 1) : 0;
+            const color = from.map((value, i) => Math.round(value + (to[i] - value) * t));
+            this.fillRect(x, y + row, width, 1, color);
+        }
+    }
+
+    /**
+     * Rectangle with corners cut on a circle of the given radius
+     */
+    fillRoundRect(x, y, width, height, radius, color) {
+        const [r, g, b, a] = parseColor(color);
+        for (let py = 0; py < height; py++) {
+            for (let px = 0; px < width; px++) {
+                const dx = px < radius ? radius - px - 0.5 : px >= width - radius ? px - (width - radius) + 0.5 : 0;
+                const dy = py < radius ? radius - py - 0.5 : py >= height - radius ? py - (height - radius) + 0.5 : 0;
+                if (dx * dx + dy * dy <= radius * radius) {
+                    this.blendPixel(x + px, y + py, r, g, b, a);
+                }
+            }
+        }
+    }
+
+    /**
+     * Draw an RGBA image scaled to width x height with nearest-neighbour sampling
+     * @param {{width: number, height: number, data: Uint8Array}} image
+     */
+    drawImage(image, x, y, width, height) {
+        for (let py = 0; py < height; py++) {
+            const sy = Math.min(image.height - 1, Math.floor(py * image.height / height));
+            for (let px = 0; px < width; px++) {
+                const sx = Math.min(image.width - 1, Math.floor(px * image.width / width));
+                const o = (sy * image.width + sx) * 4;
+                this.blendPixel(x + px, y + py, image.data[o], image.data[o + 1], image.data[o + 2], image.data[o + 3]);
+            }
+        }
+    }
+
+    /**
+     * Draw text with the bitmap font; y is the top of the glyph body
+     * @returns {number} x after the last character
+     */
+    drawText(text, x, y, color, scale = 1, shadow = null) {
+        if (shadow) {
+            this.drawText(text, x + scale, y + scale, shadow, scale);
+        }
+
+        const [r, g, b, a] = parseColor(color);
+        let cursor = x;
+        for (const char of Array.from(String(text))) {
+            for (const [column, row] of glyphPixels(char)) {
+                for (let sy = 0; sy < scale; sy++) {
+                    for (let sx = 0; sx < scale; sx++) {
+                        this.blendPixel(cursor + column * scale + sx, y + row * scale + sy, r, g, b, a);
+                    }
+                }
+            }
+            cursor += measureText(' ', scale) + scale;
+        }
+        return cursor;
+    }
+
+    measureText(text, scale = 1) {
+        return measureText(text, scale);
+    }
+
+    /**
+     * Height of a text line including room for marks above capitals
+     */
+    static lineHeight(scale = 1) {
+        return (ROWS_ABOVE + 8) * scale;
+    }
+
+    toPNG() {
+        return encodePng(this.width, this.height, this.data);
+    }
+}
+
+PngCanvas.parseColor = parseColor;
+
+module.exports = PngCanvas;
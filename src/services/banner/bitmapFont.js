@@ -0,0 +1,138 @@
+'use strict'
+
+/**
+ * 5x7 pixel font for banner text, in the spirit of the Minecraft font.
+ * Each glyph is five columns; bit 0 is the top row, bit 7 the row below the baseline.
+ * Accented letters are drawn as a base glyph plus a mark, so every Lithuanian letter
+ * is covered; marks sit in two extra rows above capitals.
+ */
+
+const GLYPH_WIDTH = 5;
+const ADVANCE = 6;
+// Rows -2..7: two rows for marks above capitals, seven glyph rows, one descender row
+const ROWS_ABOVE = 2;
+const CELL_ROWS = 10;
+
+const GLYPHS = {
+    ' ': '0000000000', '!': '00005f0000', '"': '0007000700', '#': '147f147f14',
+    '$': '242a7f2a12', '%': '2313086462', '&': '3649552250', "'": '0005030000',
+    '(': '001c224100', ')': '0041221c00', '*': '082a1c2a08', '+': '08083e0808',
+    ',': '0050300000', '-': '0808080808', '.': '0060600000', '/': '2010080402',
+    '0': '3e5149453e', '1': '00427f4000', '2': '4261514946', '3': '2141454b31',
+    '4': '1814127f10', '5': '2745454539', '6': '3c4a494930', '7': '0171090503',
+    '8': '3649494936', '9': '064949291e', ':': '0036360000', ';': '0056360000',
+    '<': '0814224100', '=': '1414141414', '>': '0041221408', '?': '0201510906',
+    '@': '3249794136', 'A': '7e1111117e', 'B': '7f49494936', 'C': '3e41414122',
+    'D': '7f4141221c', 'E': '7f49494941', 'F': '7f09090101', 'G': '3e41415132',
+    'H': '7f0808087f', 'I': '00417f4100', 'J': '2040413f01', 'K': '7f08142241',
+    'L': '7f40404040', 'M': '7f020c027f', 'N': '7f0408107f', 'O': '3e4141413e',
+    'P': '7f09090906', 'Q': '3e4151215e', 'R': '7f09192946', 'S': '4649494931',
+    'T': '01017f0101', 'U': '3f4040403f', 'V': '1f2040201f', 'W': '3f4038403f',
+    'X': '6314081463', 'Y': '0708700807', 'Z': '6151494543', '[': '007f414100',
+    '\\': '0204081020', ']': '0041417f00', '^': '0402010204', '_': '4040404040',
+    '`': '0001020400', 'a': '2054545478', 'b': '7f48444438', 'c': '3844444420',
+    'd': '384444487f', 'e': '3854545418', 'f': '087e090102', 'g': '9ca4a4a47c',
+    'h': '7f08040478', 'i': '00447d4000', 'j': '4080847d00', 'k': '7f10284400',
+    'l': '00417f4000', 'm': '7c04180478', 'n': '7c08040478', 'o': '3844444438',
+    'p': 'fc24242418', 'q': '18242424fc', 'r': '7c08040408', 's': '4854545420',
+    't': '043f444020', 'u': '3c4040207c', 'v': '1c2040201c', 'w': '3c4030403c',
+    'x': '4428102844', 'y': '9ca0a0a07c', 'z': '4464544c44', '{': '0008364100',
+    '|': '00007f0000', '}': '0041360800', '~': '0201020402'
+};
+
+// Mark pixels as [column, row]; "upper" rows apply to capitals
+const MARKS = {
+    caron: { lower: [[1, 0], [3, 0], [2, 1]], upper: [[1, -2], [3, -2], [2, -1]] },
+    dot: { lower: [[2, 0]], upper: [[2, -2]] },
+    macron: { lower: [[1, 0], [2, 0], [3, 0]], upper: [[1, -2], [2, -2], [3, -2]] },
+    acute: { lower: [[2, 1], [3, 0]], upper: [[2, -1], [3, -2]] },
+    grave: { lower: [[1, 0], [2, 1]], upper: [[1, -2], [2, -1]] },
+    umlaut: { lower: [[1, 0], [3, 0]], upper: [[1, -2], [3, -2]] },
+    ogonek: { lower: [[2, 7], [3, 7]], upper: [[2, 7], [3, 7]] }
+};
+
+const ACCENTED = {
+    'ą': ['a', 'ogonek'], 'č': ['c', 'caron'], 'ę': ['e', 'ogonek'], 'ė': ['e', 'dot'],
+    'į': ['i', 'ogonek'], 'š': ['s', 'caron'], 'ų': ['u', 'ogonek'], 'ū': ['u', 'macron'],
+    'ž': ['z', 'caron'],
+    'Ą': ['A', 'ogonek'], 'Č': ['C', 'caron'], 'Ę': ['E', 'ogonek'], 'Ė': ['E', 'dot'],
+    'Į': ['I', 'ogonek'], 'Š': ['S', 'caron'], 'Ų': ['U', 'ogonek'], 'Ū': ['U', 'macron'],
+    'Ž': ['Z', 'caron']
+};
+
+const cache = new Map();
+
+function decode(hex) {
+    const columns = [];
+    for (let i = 0; i < hex.length; i += 2) {
+        columns.push(parseInt(hex.slice(i, i + 2), 16));
+    }
+    return columns;
+}
+
+function pixelsOf(columns) {
+    const pixels = [];
+    columns.forEach((bits, x) => {
+        for (let y = 0; y < 8; y++) {
+            if (bits & (1 << y)) pixels.push([x, y]);
+        }
+    });
+    return pixels;
+}
+
+/**
+ * Lit pixels of a character as [column, row] pairs, rows from -2 to 7
+ */
+function glyphPixels(char) {
+    if (cache.has(char)) {
+        return cache.get(char);
+    }
+
+    let pixels;
+    if (GLYPHS[char]) {
+        pixels = pixelsOf(decode(GLYPHS[char]));
+    } else if (ACCENTED[char]) {
+        const [base, mark] = ACCENTED[char];
+        const isUpper = base !== base.toLowerCase();
+        pixels = [...pixelsOf(decode(GLYPHS[base])), ...MARKS[mark][isUpper ? 'upper' : 'lower']];
+    } else {
+        // Other accented Latin letters fall back to their base letter with a generic mark
+        const decomposed = char.normalize('NFD');
+        const base = decomposed.replace(/[\u0300-\u036f]/g, '');
+        if (base !== char && GLYPHS[base]) {
+            const mark = decomposed.includes('\u0308') ? 'umlaut' : decomposed.includes('\u0300') ? 'grave' : 'acute';
+            const isUpper = base !== base.toLowerCase();
+            pixels = [...pixelsOf(decode(GLYPHS[base])), ...MARKS[mark][isUpper ? 'upper' : 'lower']];
+        } else {
+            pixels = pixelsOf(decode(GLYPHS['?']));
+        }
+    }
+
+    cache.set(char, pixels);
+    return pixels;
+}
+
+/**
+ * Width in pixels of text drawn at the given scale
+ */
+function measureText(text, scale = 1) {
+    const length = Array.from(String(text)).length;
+    return length > 0 ? (length * ADVANCE - 1) * scale : 0;
+}
+
+/**
+ * Longest prefix of text that fits maxWidth, with an ellipsis when cut
+ */
+function fitText(text, maxWidth, scale = 1) {
+    const chars = Array.from(String(text));
+    if (measureText(text, scale) <= maxWidth) {
+        return text;
+    }
+
+    while (chars.length > 0 && measureText(chars.join('') + '...', scale) > maxWidth) {
+        chars.pop();
+    }
+    return chars.length > 0 ? chars.join('').trimEnd() + '...' : '';
+}
+
+module.exports = { glyphPixels, measureText, fitText, GLYPH_WIDTH, ADVANCE, ROWS_ABOVE, CELL_ROWS };
@@ -0,0 +1,168 @@
+'use strict'
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Bytes per pixel for 8-bit images by color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function crc32(buffer) {
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a truecolor-with-alpha PNG
+ */
+function encodePng(width, height, rgba) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // RGBA
+
+    // Every scanline starts with filter type 0 (none)
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (stride + 1)] = 0;
+        Buffer.from(rgba.buffer, rgba.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw, { level: 6 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+/**
+ * Decode an 8-bit, non-interlaced PNG (what server favicons are) to RGBA.
+ * @returns {{width: number, height: number, data: Uint8Array}|null} null for anything unsupported
+ */
+function decodePng(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        return null;
+    }
+
+    let width = 0;
+    let height = 0;
+    let colorType = -1;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+
+    try {
+        let offset = 8;
+        while (offset + 8 <= buffer.length) {
+            const length = buffer.readUInt32BE(offset);
+            const type = buffer.toString('ascii', offset + 4, offset + 8);
+            const data = buffer.subarray(offset + 8, offset + 8 + length);
+            offset += 12 + length;
+
+            if (type === 'IHDR') {
+                width = data.readUInt32BE(0);
+                height = data.readUInt32BE(4);
+                colorType = data[9];
+                if (data[8] !== 8 || data[12] !== 0 || !(colorType in CHANNELS)) {
+                    return null;
+                }
+            } else if (type === 'PLTE') {
+                palette = data;
+            } else if (type === 'tRNS') {
+                transparency = data;
+            } else if (type === 'IDAT') {
+                idat.push(data);
+            } else if (type === 'IEND') {
+                break;
+            }
+        }
+
+        if (!width || !height || width * height > 1024 * 1024 || (colorType === 3 && !palette)) {
+            return null;
+        }
+
+        const bpp = CHANNELS[colorType];
+        const stride = width * bpp;
+        const raw = zlib.inflateSync(Buffer.concat(idat));
+        if (raw.length < (stride + 1) * height) {
+            return null;
+        }
+
+        const pixels = Buffer.alloc(stride * height);
+        for (let y = 0; y < height; y++) {
+            const filter = raw[y * (stride + 1)];
+            const line = y * (stride + 1) + 1;
+            for (let x = 0; x < stride; x++) {
+                const value = raw[line + x];
+                const left = x >= bpp ? pixels[y * stride + x - bpp] : 0;
+                const up = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+                const upLeft = x >= bpp && y > 0 ? pixels[(y - 1) * stride + x - bpp] : 0;
+
+                let predictor = 0;
+                if (filter === 1) predictor = left;
+                else if (filter === 2) predictor = up;
+                else if (filter === 3) predictor = (left + up) >> 1;
+                else if (filter === 4) predictor = paeth(left, up, upLeft);
+
+                pixels[y * stride + x] = (value + predictor) & 0xff;
+            }
+        }
+
+        const rgba = new Uint8Array(width * height * 4);
+        for (let i = 0; i < width * height; i++) {
+            const p = i * bpp;
+            const o = i * 4;
+            if (colorType === 6) {
+                rgba.set(pixels.subarray(p, p + 4), o);
+            } else if (colorType === 2) {
+                rgba.set(pixels.subarray(p, p + 3), o);
+                rgba[o + 3] = 255;
+            } else if (colorType === 3) {
+                const index = pixels[p];
+                rgba.set(palette.subarray(index * 3, index * 3 + 3), o);
+                rgba[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+            } else {
+                rgba[o] = rgba[o + 1] = rgba[o + 2] = pixels[p];
+                rgba[o + 3] = colorType === 4 ? pixels[p + 1] : 255;
+            }
+        }
+
+        return { width, height, data: rgba };
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = { encodePng, decodePng, crc32 };
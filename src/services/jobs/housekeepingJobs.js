@@ -0,0 +1,93 @@
+'use strict'
+
+/**
+ * Housekeeping job definitions for the scheduler
+ * Schedules are cron expressions evaluated in Europe/Vilnius time
+ */
+function createHousekeepingJobs({ voteStatsRepository, serverDataRepository, loginLogRepository, authSessionRepository, userTokenRepository, serverRepository, faviconUtils, rateLimitRepository, configService }) {
+    const getRetentionDays = async (key, defaultValue) => {
+        const days = configService ? await configService.get(key, defaultValue) : defaultValue;
+        return Number.isInteger(days) && days > 0 ? days : defaultValue;
+    };
+
+    return [
+        {
+            name: 'votes.reset_daily',
+            description: 'Nunulina dienos balsų skaitliukus',
+            schedule: '0 0 * * *',
+            handler: async () => ({ reset: await voteStatsRepository.resetDailyVotes() })
+        },
+        {
+            name: 'votes.reset_weekly',
+            description: 'Nunulina savaitės balsų skaitliukus (pirmadienį)',
+            schedule: '0 0 * * 1',
+            handler: async () => ({ reset: await voteStatsRepository.resetWeeklyVotes() })
+        },
+        {
+            name: 'votes.reset_monthly',
+            description: 'Nunulina mėnesio balsų skaitliukus',
+            schedule: '0 0 1 * *',
+            handler: async () => ({ reset: await voteStatsRepository.resetMonthlyVotes() })
+        },
+        {
+            // 04:xx avoids the 03:00-04:00 DST transition hour
+            name: 'server_data.cleanup',
+            description: 'Ištrina senus serverių būsenos įrašus, jau įtrauktus į suvestines',
+            schedule: '15 4 * * *',
+            handler: async () => {
+                const days = await getRetentionDays('jobs.server_data_retention_days', 30);
+                return { deleted: await serverDataRepository.cleanupOldData(days), days };
+            }
+        },
+        {
+            name: 'server_status.prune_hourly',
+            description: 'Ištrina senas valandines serverių būsenos suvestines',
+            schedule: '20 4 * * *',
+            handler: async () => {
+                const days = await getRetentionDays('jobs.server_status_hourly_retention_days', 90);
+                return { deleted: await serverDataRepository.pruneHourlyRollups(days), days };
+            }
+        },
+        {
+            name: 'login_logs.cleanup',
+            description: 'Ištrina senus prisijungimų žurnalo įrašus',
+            schedule: '30 4 * * *',
+            handler: async () => {
+                const days = await getRetentionDays('jobs.login_logs_retention_days', 90);
+                return { deleted: await loginLogRepository.cleanupOldLogs(days), days };
+            }
+        },
+        {
+            name: 'auth_sessions.cleanup',
+            description: 'Ištrina pasibaigusias ir atšauktas prisijungimo sesijas',
+            schedule: '35 4 * * *',
+            handler: async () => {
+                const days = await getRetentionDays('jobs.auth_sessions_retention_days', 30);
+                return { deleted: await authSessionRepository.cleanupOldSessions(days), days };
+            }
+        },
+        {
+            name: 'user_tokens.cleanup',
+            description: 'Ištrina panaudotus ir pasibaigusius el. pašto patvirtinimo bei slaptažodžio atkūrimo žetonus',
+            schedule: '40 4 * * *',
+            handler: async () => ({ deleted: await userTokenRepository.cleanupOldTokens(7), days: 7 })
+        },
+        {
+            name: 'rate_limits.cleanup',
+            description: 'Ištrina pasibaigusius užklausų ribojimo skaitliukus',
+            schedule: '*/15 * * * *',
+            handler: async () => ({ deleted: await rateLimitRepository.cleanupExpired() })
+        },
+        {
+            name: 'favicons.cleanup',
+            description: 'Ištrina serverių ikonų failus, kurių nebenaudoja joks serveris',
+            schedule: '45 4 * * 0',
+            handler: async () => {
+                const referenced = await serverRepository.getReferencedFaviconPaths();
+                return { deleted: await faviconUtils.deleteUnreferenced(referenced), referenced: referenced.size };
+            }
+        }
+    ];
+}
+
+module.exports = { createHousekeepingJobs };
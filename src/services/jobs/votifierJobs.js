@@ -0,0 +1,19 @@
+'use strict'
+
+/**
+ * Votifier delivery job definitions for the scheduler
+ */
+function createVotifierJobs({ votifierQueueService }) {
+    return [
+        {
+            name: 'votifier.deliver',
+            description: 'Pristato eilėje laukiančius balsus per Votifier',
+            schedule: '* * * * *',
+            // Queue state lives in server_votes, so missed minutes need no replay
+            catchUp: false,
+            handler: () => votifierQueueService.processQueue()
+        }
+    ];
+}
+
+module.exports = { createVotifierJobs };
@@ -0,0 +1,41 @@
+'use strict'
+
+const fs = require('fs').promises;
+const path = require('path');
+const { buildMimeMessage } = require('./MimeMessage');
+
+/**
+ * Local development transport
+ * Writes each message as an .eml file, or only logs it when no directory is set (console mode)
+ */
+class FileTransport {
+    constructor(options = {}, logger) {
+        this.directory = options.directory || null;
+        this.logger = logger;
+        this.name = this.directory ? 'file' : 'console';
+    }
+
+    async send(message) {
+        const { messageId, raw } = buildMimeMessage(message);
+
+        if (!this.directory) {
+            this.logger?.info({
+                messageId,
+                to: message.to,
+                subject: message.subject,
+                text: message.text
+            }, 'Mail (console transport)');
+            return { messageId, response: 'logged' };
+        }
+
+        await fs.mkdir(this.directory, { recursive: true });
+        const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${messageId.slice(1, 9)}.eml`;
+        const filePath = path.join(this.directory, filename);
+        await fs.writeFile(filePath, raw);
+
+        this.logger?.info({ messageId, to: message.to, file: filePath }, 'Mail written to file');
+        return { messageId, response: filePath };
+    }
+}
+
+module.exports = FileTransport;
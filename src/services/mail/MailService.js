@@ -0,0 +1,106 @@
+'use strict'
+
+const path = require('path');
+const SmtpTransport = require('./SmtpTransport');
+const FileTransport = require('./FileTransport');
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Mail Service
+ * Renders transactional emails and hands them to the configured transport
+ */
+class MailService {
+    constructor(transport, options = {}, logger) {
+        this.transport = transport;
+        this.from = options.from || 'MCList <no-reply@mclist.lt>';
+        this.frontendUrl = (options.frontendUrl || 'https://mclist.lt').replace(/\/+$/, '');
+        this.siteName = options.siteName || 'MCList';
+        this.logger = logger;
+    }
+
+    /**
+     * Pick a transport from MAIL_TRANSPORT (smtp, file or console)
+     */
+    static createTransport(env = process.env, logger) {
+        const type = (env.MAIL_TRANSPORT || 'console').toLowerCase();
+
+        if (type !== 'smtp' && env.NODE_ENV === 'production') {
+            logger?.warn({ transport: type }, 'MAIL_TRANSPORT is not smtp, emails will not be delivered');
+        }
+
+        switch (type) {
+            case 'smtp':
+                return new SmtpTransport({
+                    host: env.SMTP_HOST,
+                    port: parseInt(env.SMTP_PORT) || 587,
+                    secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : undefined,
+                    user: env.SMTP_USER,
+                    pass: env.SMTP_PASS
+                }, logger);
+            case 'file':
+                return new FileTransport({ directory: env.MAIL_FILE_DIR || path.join(process.cwd(), 'logs', 'mail') }, logger);
+            default:
+                return new FileTransport({}, logger);
+        }
+    }
+
+    async send(message) {
+        return this.transport.send({ from: this.from, ...message });
+    }
+
+    /**
+     * Render a single-action email (text and HTML versions)
+     */
+    renderActionMail({ heading, intro, actionLabel, url, footer }) {
+        const text = [heading, '', intro, '', url, '', footer].join('\n');
+        const html = `<!DOCTYPE html>
+<html lang="lt"><body style="font-family:Arial,sans-serif;color:#222;line-height:1.5">
+<h2>${escapeHtml(heading)}</h2>
+<p>${escapeHtml(intro)}</p>
+<p><a href="${escapeHtml(url)}" style="display:inline-block;padding:10px 18px;background:#3b82f6;color:#fff;text-decoration:none;border-radius:4px">${escapeHtml(actionLabel)}</a></p>
+<p style="font-size:12px;color:#666">${escapeHtml(url)}</p>
+<p style="font-size:12px;color:#666">${escapeHtml(footer)}</p>
+</body></html>`;
+
+        return { text, html };
+    }
+
+    async sendEmailVerification(email, token, ttlHours) {
+        const url = `${this.frontendUrl}/verify-email?token=${encodeURIComponent(token)}`;
+        return this.send({
+            to: email,
+            subject: `${this.siteName}: patvirtinkite el. pašto adresą`,
+            ...this.renderActionMail({
+                heading: 'El. pašto patvirtinimas',
+                intro: `Norėdami patvirtinti šį el. pašto adresą, paspauskite nuorodą. Ji galioja ${ttlHours} val.`,
+                actionLabel: 'Patvirtinti el. paštą',
+                url,
+                footer: 'Jei nesiregistravote, šį laišką galite ignoruoti.'
+            })
+        });
+    }
+
+    async sendPasswordReset(email, token, ttlMinutes) {
+        const url = `${this.frontendUrl}/reset-password?token=${encodeURIComponent(token)}`;
+        return this.send({
+            to: email,
+            subject: `${this.siteName}: slaptažodžio atkūrimas`,
+            ...this.renderActionMail({
+                heading: 'Slaptažodžio atkūrimas',
+                intro: `Gavome prašymą pakeisti jūsų slaptažodį. Nuoroda galioja ${ttlMinutes} min. ir gali būti panaudota tik vieną kartą.`,
+                actionLabel: 'Nustatyti naują slaptažodį',
+                url,
+                footer: 'Jei slaptažodžio keisti neprašėte, šį laišką galite ignoruoti - slaptažodis nepasikeis.'
+            })
+        });
+    }
+}
+
+module.exports = MailService;
@@ -0,0 +1,94 @@
+'use strict'
+
+const crypto = require('crypto');
+
+/**
+ * Minimal RFC 5322 / MIME message builder for transactional mail
+ */
+
+// Header values must never carry line breaks (header injection)
+function cleanHeader(value) {
+    return String(value).replace(/[\r\n]+/g, ' ').trim();
+}
+
+// RFC 2047 encoded-word for non-ASCII header text
+function encodeWord(value) {
+    const text = cleanHeader(value);
+    return /^[\x20-\x7e]*$/.test(text)
+        ? text
+        : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Split "Name <user@host>" into its parts
+ */
+function parseAddress(value) {
+    const text = cleanHeader(value);
+    const match = text.match(/^(.*)<([^<>\s]+@[^<>\s]+)>$/);
+    if (match) {
+        return { name: match[1].trim().replace(/^"|"$/g, ''), address: match[2] };
+    }
+    return { name: '', address: text };
+}
+
+function formatAddress(value) {
+    const { name, address } = parseAddress(value);
+    return name ? `${encodeWord(name)} <${address}>` : address;
+}
+
+function base64Body(content) {
+    return Buffer.from(content, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+function part(type, content) {
+    return [
+        `Content-Type: ${type}; charset=utf-8`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Body(content)
+    ].join('\r\n');
+}
+
+/**
+ * Build the raw message
+ * @param {Object} message - { from, to, subject, text, html }
+ * @returns {Object} { messageId, raw }
+ */
+function buildMimeMessage({ from, to, subject, text, html }) {
+    const recipients = Array.isArray(to) ? to : [to];
+    const domain = parseAddress(from).address.split('@')[1] || 'localhost';
+    const messageId = `<${crypto.randomBytes(16).toString('hex')}@${domain}>`;
+
+    const headers = [
+        `From: ${formatAddress(from)}`,
+        `To: ${recipients.map(formatAddress).join(', ')}`,
+        `Subject: ${encodeWord(subject || '')}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: ${messageId}`,
+        'MIME-Version: 1.0'
+    ];
+
+    let body;
+    if (html && text) {
+        const boundary = `=_${crypto.randomBytes(12).toString('hex')}`;
+        headers.push(`Content-Type: multipart/alternative; boundary="${boundary}"`);
+        body = [
+            `--${boundary}`,
+            part('text/plain', text),
+            `--${boundary}`,
+            part('text/html', html),
+            `--${boundary}--`,
+            ''
+        ].join('\r\n');
+    } else {
+        headers.push(
+            `Content-Type: ${html ? 'text/html' : 'text/plain'}; charset=utf-8`,
+            'Content-Transfer-Encoding: base64'
+        );
+        body = base64Body(html || text || '');
+    }
+
+    return { messageId, raw: `${headers.join('\r\n')}\r\n\r\n${body}` };
+}
+
+module.exports = { buildMimeMessage, parseAddress };
@@ -0,0 +1,237 @@
+'use strict'
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const { buildMimeMessage, parseAddress } = require('./MimeMessage');
+
+/**
+ * Collects SMTP replies from a socket; a reply ends at the "NNN " line
+ */
+class ResponseReader {
+    constructor(timeout) {
+        this.timeout = timeout;
+        this.buffer = '';
+        this.lines = [];
+        this.responses = [];
+        this.waiter = null;
+        this.failure = null;
+        this.onData = this.onData.bind(this);
+        this.onError = this.onError.bind(this);
+        this.onClose = () => this.onError(new Error('SMTP serveris nutraukė ryšį'));
+    }
+
+    attach(socket) {
+        if (this.socket) {
+            this.socket.off('data', this.onData);
+            this.socket.off('error', this.onError);
+            this.socket.off('close', this.onClose);
+        }
+        this.socket = socket;
+        socket.on('data', this.onData);
+        socket.on('error', this.onError);
+        socket.on('close', this.onClose);
+    }
+
+    detach() {
+        this.attach({ on: () => {}, off: () => {} });
+    }
+
+    onData(chunk) {
+        this.buffer += chunk.toString('utf8');
+        let index;
+        while ((index = this.buffer.indexOf('\n')) >= 0) {
+            const line = this.buffer.slice(0, index).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(index + 1);
+            this.lines.push(line);
+
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const lines = this.lines;
+                this.lines = [];
+                this.deliver({
+                    code: parseInt(line.slice(0, 3)),
+                    text: lines.map(l => l.slice(4)).join('\n')
+                });
+            }
+        }
+    }
+
+    onError(error) {
+        if (this.failure) return;
+        this.failure = error;
+        if (this.waiter) {
+            this.waiter.reject(error);
+            this.waiter = null;
+        }
+    }
+
+    deliver(response) {
+        if (this.waiter) {
+            this.waiter.resolve(response);
+            this.waiter = null;
+        } else {
+            this.responses.push(response);
+        }
+    }
+
+    read() {
+        if (this.responses.length > 0) {
+            return Promise.resolve(this.responses.shift());
+        }
+        if (this.failure) {
+            return Promise.reject(this.failure);
+        }
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.waiter = null;
+                const error = new Error('SMTP serveris neatsakė laiku');
+                error.code = 'ETIMEDOUT';
+                reject(error);
+            }, this.timeout);
+
+            this.waiter = {
+                resolve: value => { clearTimeout(timer); resolve(value); },
+                reject: error => { clearTimeout(timer); reject(error); }
+            };
+        });
+    }
+}
+
+/**
+ * SMTP transport
+ * Speaks plain SMTP with STARTTLS or implicit TLS (port 465) and AUTH PLAIN
+ */
+class SmtpTransport {
+    constructor(options = {}, logger) {
+        this.host = options.host;
+        this.port = options.port || 587;
+        this.secure = options.secure ?? this.port === 465;
+        this.user = options.user || null;
+        this.pass = options.pass || '';
+        this.timeout = options.timeout || 15000;
+        this.clientName = options.clientName || os.hostname();
+        this.rejectUnauthorized = options.rejectUnauthorized !== false;
+        this.logger = logger;
+        this.name = 'smtp';
+    }
+
+    /**
+     * Deliver a message
+     * @param {Object} message - { from, to, subject, text, html }
+     * @returns {Promise<Object>} { messageId, response }
+     */
+    async send(message) {
+        if (!this.host) {
+            throw new Error('SMTP serveris nesukonfigūruotas (SMTP_HOST)');
+        }
+
+        const { messageId, raw } = buildMimeMessage(message);
+        const recipients = (Array.isArray(message.to) ? message.to : [message.to]).map(to => parseAddress(to).address);
+        const reader = new ResponseReader(this.timeout);
+        let socket = await this.connect();
+        reader.attach(socket);
+
+        try {
+            await this.expect(reader, socket, null, [220]);
+            let ehlo = await this.expect(reader, socket, `EHLO ${this.clientName}`, [250]);
+
+            if (!this.secure) {
+                if (/^STARTTLS$/im.test(ehlo.text)) {
+                    await this.expect(reader, socket, 'STARTTLS', [220]);
+                    reader.detach();
+                    socket = await this.upgrade(socket);
+                    reader.attach(socket);
+                    ehlo = await this.expect(reader, socket, `EHLO ${this.clientName}`, [250]);
+                } else if (this.user) {
+                    // Never send credentials in clear text
+                    throw new Error('SMTP serveris nepalaiko STARTTLS, prisijungimo duomenys nesiunčiami');
+                }
+            }
+
+            if (this.user) {
+                const credentials = Buffer.from(`\0${this.user}\0${this.pass}`, 'utf8').toString('base64');
+                await this.expect(reader, socket, `AUTH PLAIN ${credentials}`, [235], 'AUTH PLAIN ***');
+            }
+
+            await this.expect(reader, socket, `MAIL FROM:<${parseAddress(message.from).address}>`, [250]);
+            for (const recipient of recipients) {
+                await this.expect(reader, socket, `RCPT TO:<${recipient}>`, [250, 251]);
+            }
+            await this.expect(reader, socket, 'DATA', [354]);
+
+            // Dot-stuffing: lines starting with "." get an extra one
+            const data = raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+            const accepted = await this.expect(reader, socket, `${data}\r\n.`, [250], 'message body');
+
+            socket.write('QUIT\r\n');
+
+            this.logger?.info({ messageId, recipients: recipients.length }, 'Mail sent via SMTP');
+            return { messageId, response: accepted.text };
+        } finally {
+            socket.destroy();
+        }
+    }
+
+    /**
+     * Send a command (or only read, when command is null) and check the reply code
+     */
+    async expect(reader, socket, command, codes, label = command) {
+        if (command !== null) {
+            socket.write(`${command}\r\n`);
+        }
+
+        const response = await reader.read();
+        if (!codes.includes(response.code)) {
+            const error = new Error(`SMTP klaida (${label || 'greeting'}): ${response.code} ${response.text}`);
+            error.code = 'SMTP_REJECTED';
+            error.smtpCode = response.code;
+            throw error;
+        }
+        return response;
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = this.secure
+                ? tls.connect({ host: this.host, port: this.port, servername: this.host, rejectUnauthorized: this.rejectUnauthorized })
+                : net.connect({ host: this.host, port: this.port });
+
+            const timer = setTimeout(() => {
+                socket.destroy();
+                const error = new Error('Nepavyko prisijungti prie SMTP serverio laiku');
+                error.code = 'ETIMEDOUT';
+                reject(error);
+            }, this.timeout);
+
+            socket.once(this.secure ? 'secureConnect' : 'connect', () => {
+                clearTimeout(timer);
+                socket.off('error', onError);
+                resolve(socket);
+            });
+
+            const onError = (error) => {
+                clearTimeout(timer);
+                reject(error);
+            };
+            socket.once('error', onError);
+        });
+    }
+
+    upgrade(socket) {
+        return new Promise((resolve, reject) => {
+            const secureSocket = tls.connect({
+                socket,
+                servername: this.host,
+                rejectUnauthorized: this.rejectUnauthorized
+            });
+            secureSocket.once('secureConnect', () => {
+                secureSocket.off('error', reject);
+                resolve(secureSocket);
+            });
+            secureSocket.once('error', reject);
+        });
+    }
+}
+
+module.exports = SmtpTransport;
@@ -21,7 +21,8 @@ const privateUserSchema = {
         ...baseUserSchema.properties,
         email: { type: 'string' },
         updated_at: { type: 'string', format: 'date-time' },
-        last_login: { type: ['string', 'null'], format: 'date-time' }
+        last_login: { type: ['string', 'null'], format: 'date-time' },
+        email_verified_at: { type: ['string', 'null'], format: 'date-time' }
     }
 };
 
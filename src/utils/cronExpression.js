@@ -0,0 +1,182 @@
+'use strict';
+
+const FIELD_RANGES = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const MINUTE_MS = 60 * 1000;
+const SEARCH_LIMIT_MINUTES = 366 * 24 * 60;
+
+/**
+ * Minimal 5-field cron expression evaluated in a fixed IANA timezone
+ * Supports "*", lists, ranges and steps (e.g. "0 0 * * 1", "*\/15 8-20 * * *")
+ */
+class CronExpression {
+    constructor(expression, timeZone = 'Europe/Vilnius') {
+        this.expression = expression;
+        this.timeZone = timeZone;
+
+        const parts = String(expression).trim().split(/\s+/);
+        if (parts.length !== 5) {
+            throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+        }
+
+        this.fields = parts.map((part, index) => CronExpression.parseField(part, FIELD_RANGES[index]));
+
+        // Sunday may be written as 0 or 7
+        if (this.fields[4].values.has(7)) {
+            this.fields[4].values.add(0);
+        }
+
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short'
+        });
+    }
+
+    /**
+     * Parse one cron field into a set of allowed values
+     */
+    static parseField(field, range) {
+        const values = new Set();
+
+        field.split(',').forEach(part => {
+            const [rangePart, stepPart] = part.split('/');
+            const step = stepPart !== undefined ? parseInt(stepPart, 10) : 1;
+
+            if (!Number.isInteger(step) || step < 1) {
+                throw new Error(`Invalid step "${part}" in ${range.name} field`);
+            }
+
+            let start;
+            let end;
+            if (rangePart === '*') {
+                start = range.min;
+                end = range.max;
+            } else if (rangePart.includes('-')) {
+                [start, end] = rangePart.split('-').map(value => parseInt(value, 10));
+            } else {
+                start = parseInt(rangePart, 10);
+                end = stepPart !== undefined ? range.max : start;
+            }
+
+            if (!Number.isInteger(start) || !Number.isInteger(end) || start < range.min || end > range.max || start > end) {
+                throw new Error(`Invalid value "${part}" in ${range.name} field`);
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        });
+
+        return { values, wildcard: field === '*' };
+    }
+
+    /**
+     * Get wall-clock parts of a date in the expression timezone
+     */
+    getZonedParts(date) {
+        const parts = {};
+        this.formatter.formatToParts(date).forEach(({ type, value }) => {
+            parts[type] = value;
+        });
+
+        return {
+            minute: parseInt(parts.minute, 10),
+            hour: parseInt(parts.hour, 10),
+            dayOfMonth: parseInt(parts.day, 10),
+            month: parseInt(parts.month, 10),
+            dayOfWeek: WEEKDAYS[parts.weekday],
+            year: parseInt(parts.year, 10)
+        };
+    }
+
+    /**
+     * Check whether the day (month, day of month, day of week) matches
+     */
+    matchesDay(parts) {
+        const [, , dom, month, dow] = this.fields;
+        if (!month.values.has(parts.month)) return false;
+
+        const domMatch = dom.values.has(parts.dayOfMonth);
+        const dowMatch = dow.values.has(parts.dayOfWeek);
+
+        // Standard cron: when both day fields are restricted either may match
+        if (!dom.wildcard && !dow.wildcard) return domMatch || dowMatch;
+        return domMatch && dowMatch;
+    }
+
+    /**
+     * Check whether the expression matches the given minute
+     */
+    matches(date) {
+        const parts = this.getZonedParts(date);
+        return this.matchesDay(parts)
+            && this.fields[1].values.has(parts.hour)
+            && this.fields[0].values.has(parts.minute);
+    }
+
+    /**
+     * Next matching minute strictly after `from`
+     */
+    nextRun(from = new Date()) {
+        let time = Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+        const limit = time + SEARCH_LIMIT_MINUTES * MINUTE_MS;
+
+        while (time <= limit) {
+            const parts = this.getZonedParts(new Date(time));
+
+            // Whole hour cannot match - jump to the next hour boundary
+            if (!this.matchesDay(parts) || !this.fields[1].values.has(parts.hour)) {
+                time += (60 - parts.minute) * MINUTE_MS;
+                continue;
+            }
+
+            if (this.fields[0].values.has(parts.minute)) {
+                return new Date(time);
+            }
+            time += MINUTE_MS;
+        }
+
+        return null;
+    }
+
+    /**
+     * Latest matching minute at or before `from`
+     */
+    previousRun(from = new Date()) {
+        let time = Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS;
+        const limit = time - SEARCH_LIMIT_MINUTES * MINUTE_MS;
+
+        while (time >= limit) {
+            const parts = this.getZonedParts(new Date(time));
+
+            // Whole hour cannot match - jump to the last minute of the previous hour
+            if (!this.matchesDay(parts) || !this.fields[1].values.has(parts.hour)) {
+                time -= (parts.minute + 1) * MINUTE_MS;
+                continue;
+            }
+
+            if (this.fields[0].values.has(parts.minute)) {
+                return new Date(time);
+            }
+            time -= MINUTE_MS;
+        }
+
+        return null;
+    }
+}
+
+module.exports = CronExpression;
@@ -4,129 +4,142 @@ const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Vanilla icons are 64x64 PNGs, a few KB; anything far bigger is not a favicon
+const MAX_FAVICON_BYTES = 256 * 1024;
+
+// Content-addressed file names written by saveFavicon
+const FAVICON_FILE_PATTERN = /^[a-f0-9]{32}\.png$/;
+
+/**
+ * Favicon storage
+ * Server icons are stored once per content hash under public/favicons,
+ * so identical icons are shared and only the relative path is kept in the database
+ */
 class FaviconUtils {
-    constructor(logger) {
+    constructor(logger, options = {}) {
         this.logger = logger;
-        this.faviconDir = path.join(process.cwd(), 'public', 'favicons');
+        this.faviconDir = options.directory || path.join(process.cwd(), 'public', 'favicons');
         this.baseUrl = '/static/favicons';
     }
 
     /**
      * Save favicon from base64 data to file system
      * @param {string} faviconData - Base64 favicon data (with or without data URL prefix)
-     * @param {number} serverId - Server ID for filename
-     * @returns {Promise<string|null>} File path relative to static root, or null if failed
+     * @returns {Promise<Object|null>} { path, hash } with path relative to the static root, or null if invalid
      */
-    async saveFavicon(faviconData, serverId) {
+    async saveFavicon(faviconData) {
         if (!faviconData || typeof faviconData !== 'string') {
             return null;
         }
 
-        try {
-            // Ensure favicon directory exists
-            await fs.mkdir(this.faviconDir, { recursive: true });
-
-            // Parse the favicon data
-            const { base64Data, extension } = this.parseFaviconData(faviconData);
-            if (!base64Data) {
-                return null;
-            }
+        const buffer = this.parseFaviconData(faviconData);
+        if (!buffer) {
+            this.logger.debug({ faviconLength: faviconData.length }, 'Ignoring invalid favicon data');
+            return null;
+        }
 
-            // Create filename with hash to handle updates
-            const hash = crypto.createHash('md5').update(base64Data).digest('hex').substring(0, 8);
-            const filename = `server_${serverId}_${hash}.${extension}`;
-            const filePath = path.join(this.faviconDir, filename);
-            const relativePath = `favicons/${filename}`;
+        const hash = crypto.createHash('sha256').update(buffer).digest('hex').substring(0, 32);
+        const filename = `${hash}.png`;
+        const filePath = path.join(this.faviconDir, filename);
+        const relativePath = `favicons/${filename}`;
 
-            // Check if file already exists
-            try {
-                await fs.access(filePath);
-                // File exists, return the relative path
-                return relativePath;
-            } catch (error) {
-                // File doesn't exist, create it
-            }
-
-            // Delete old favicon files for this server
-            await this.deleteOldFavicons(serverId, filename);
+        try {
+            await fs.access(filePath);
+            return { path: relativePath, hash };
+        } catch (error) {
+            // Not stored yet
+        }
 
-            // Convert base64 to buffer and save
-            const buffer = Buffer.from(base64Data, 'base64');
-            await fs.writeFile(filePath, buffer);
+        try {
+            await fs.mkdir(this.faviconDir, { recursive: true });
 
-            this.logger.info({ serverId, filename, size: buffer.length }, 'Favicon saved successfully');
-            return relativePath;
+            // Write then rename so readers never see a partial file
+            const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+            await fs.writeFile(tempPath, buffer);
+            await fs.rename(tempPath, filePath);
 
+            this.logger.info({ filename, size: buffer.length }, 'Favicon saved successfully');
+            return { path: relativePath, hash };
         } catch (error) {
-            this.logger.error({ 
-                serverId, 
-                error: error.message,
-                faviconLength: faviconData.length 
-            }, 'Failed to save favicon');
+            this.logger.error({ filename, error: error.message }, 'Failed to save favicon');
             return null;
         }
     }
 
     /**
-     * Parse favicon data to extract base64 and determine extension
-     * @param {string} faviconData - Favicon data
-     * @returns {Object} Object with base64Data and extension
+     * Decode favicon data into a PNG buffer
+     * @param {string} faviconData - Data URL or bare base64
+     * @returns {Buffer|null} PNG bytes or null when not a usable PNG
      */
     parseFaviconData(faviconData) {
-        try {
-            let base64Data;
-            let extension = 'png'; // default
-
-            if (faviconData.startsWith('data:image/')) {
-                // Extract format and base64 data from data URL
-                const formatMatch = faviconData.match(/data:image\/([^;]+);base64,(.+)/);
-                if (formatMatch) {
-                    extension = formatMatch[1];
-                    base64Data = formatMatch[2];
-                } else {
-                    return { base64Data: null, extension: null };
-                }
-            } else if (faviconData.match(/^[A-Za-z0-9+/]+=*$/)) {
-                // Pure base64 data, assume PNG
-                base64Data = faviconData;
-                extension = 'png';
-            } else {
-                return { base64Data: null, extension: null };
+        let base64Data;
+
+        const dataUrl = faviconData.match(/^data:image\/([a-z0-9.+-]+);base64,(.+)$/is);
+        if (dataUrl) {
+            if (dataUrl[1].toLowerCase() !== 'png') {
+                return null;
             }
+            base64Data = dataUrl[2];
+        } else {
+            base64Data = faviconData;
+        }
 
-            // Validate base64
-            Buffer.from(base64Data, 'base64');
-            
-            return { base64Data, extension };
+        // Some servers wrap the base64 at 76 columns
+        base64Data = base64Data.replace(/\s+/g, '');
+        if (!/^[A-Za-z0-9+/]+=*$/.test(base64Data)) {
+            return null;
+        }
 
-        } catch (error) {
-            return { base64Data: null, extension: null };
+        const buffer = Buffer.from(base64Data, 'base64');
+        if (buffer.length === 0 || buffer.length > MAX_FAVICON_BYTES) {
+            return null;
+        }
+        if (!buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+            return null;
         }
+
+        return buffer;
+    }
+
+    /**
+     * Hash part of a stored favicon path (used as ETag)
+     * @param {string} faviconPath - Relative path, e.g. favicons/<hash>.png
+     * @returns {string|null}
+     */
+    static getHash(faviconPath) {
+        if (!faviconPath) return null;
+        const filename = path.basename(faviconPath);
+        return FAVICON_FILE_PATTERN.test(filename) ? filename.slice(0, -4) : null;
     }
 
     /**
-     * Delete old favicon files for a server
-     * @param {number} serverId - Server ID
-     * @param {string} currentFilename - Current filename to keep
+     * Absolute file path for a stored favicon path, or null if it points elsewhere
+     * @param {string} faviconPath - Relative path to favicon
      */
-    async deleteOldFavicons(serverId, currentFilename) {
+    resolvePath(faviconPath) {
+        const hash = FaviconUtils.getHash(faviconPath);
+        return hash ? path.join(this.faviconDir, `${hash}.png`) : null;
+    }
+
+    /**
+     * Read a stored favicon
+     * @param {string} faviconPath - Relative path to favicon
+     * @returns {Promise<Object|null>} { buffer, hash, mtime } or null when missing
+     */
+    async readFavicon(faviconPath) {
+        const filePath = this.resolvePath(faviconPath);
+        if (!filePath) return null;
+
         try {
-            const files = await fs.readdir(this.faviconDir);
-            const serverFiles = files.filter(file => 
-                file.startsWith(`server_${serverId}_`) && 
-                file !== currentFilename
-            );
-
-            for (const file of serverFiles) {
-                try {
-                    await fs.unlink(path.join(this.faviconDir, file));
-                    this.logger.debug({ serverId, file }, 'Deleted old favicon file');
-                } catch (error) {
-                    this.logger.warn({ serverId, file, error: error.message }, 'Failed to delete old favicon');
-                }
-            }
+            const [buffer, stat] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)]);
+            return { buffer, hash: FaviconUtils.getHash(faviconPath), mtime: stat.mtime };
         } catch (error) {
-            this.logger.warn({ serverId, error: error.message }, 'Failed to clean up old favicons');
+            if (error.code !== 'ENOENT') {
+                this.logger.warn({ faviconPath, error: error.message }, 'Failed to read favicon');
+            }
+            return null;
         }
     }
 
@@ -141,20 +154,43 @@ class FaviconUtils {
     }
 
     /**
-     * Delete favicon file
-     * @param {string} faviconPath - Relative path to favicon
+     * Delete stored favicons no server references any more.
+     * Recent files are kept: a ping may have written one and not stored its path yet.
+     * @param {Set<string>} referencedPaths - Relative paths still in use
+     * @param {number} minAgeMs - Skip files modified more recently than this
+     * @returns {Promise<number>} Deleted file count
      */
-    async deleteFavicon(faviconPath) {
-        if (!faviconPath) return;
-
+    async deleteUnreferenced(referencedPaths, minAgeMs = 60 * 60 * 1000) {
+        let files;
         try {
-            const fullPath = path.join(this.faviconDir, faviconPath.replace('favicons/', ''));
-            await fs.unlink(fullPath);
-            this.logger.debug({ faviconPath }, 'Deleted favicon file');
+            files = await fs.readdir(this.faviconDir);
         } catch (error) {
-            this.logger.warn({ faviconPath, error: error.message }, 'Failed to delete favicon');
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+
+        let deleted = 0;
+        for (const file of files) {
+            if (!FAVICON_FILE_PATTERN.test(file) || referencedPaths.has(`favicons/${file}`)) {
+                continue;
+            }
+
+            try {
+                const filePath = path.join(this.faviconDir, file);
+                const stat = await fs.stat(filePath);
+                if (Date.now() - stat.mtimeMs < minAgeMs) {
+                    continue;
+                }
+
+                await fs.unlink(filePath);
+                deleted++;
+            } catch (error) {
+                this.logger.warn({ file, error: error.message }, 'Failed to delete unused favicon');
+            }
         }
+
+        return deleted;
     }
 }
 
-module.exports = FaviconUtils;
\ No newline at end of file
+module.exports = FaviconUtils;
@@ -0,0 +1,357 @@
+'use strict'
+
+/**
+ * Minecraft MOTD formatting.
+ * Parses legacy § codes (including §x hex colors and <gradient> tags) and JSON
+ * chat components into lines of styled spans, and renders those spans as
+ * escaped HTML, plain text or § formatted text.
+ */
+
+const COLOR_HEX = {
+    '0': '#000000', '1': '#0000AA', '2': '#00AA00', '3': '#00AAAA',
+    '4': '#AA0000', '5': '#AA00AA', '6': '#FFAA00', '7': '#AAAAAA',
+    '8': '#555555', '9': '#5555FF', 'a': '#55FF55', 'b': '#55FFFF',
+    'c': '#FF5555', 'd': '#FF55FF', 'e': '#FFFF55', 'f': '#FFFFFF'
+};
+
+// Named chat colors mapped to their legacy § codes
+const COLOR_NAMES = {
+    black: '0', dark_blue: '1', dark_green: '2', dark_aqua: '3',
+    dark_red: '4', dark_purple: '5', gold: '6', gray: '7',
+    dark_gray: '8', blue: '9', green: 'a', aqua: 'b',
+    red: 'c', light_purple: 'd', yellow: 'e', white: 'f'
+};
+
+const FORMAT_CODES = {
+    bold: 'l', italic: 'o', underlined: 'n', strikethrough: 'm', obfuscated: 'k'
+};
+const FORMATS = Object.keys(FORMAT_CODES);
+const FORMAT_BY_CODE = Object.fromEntries(Object.entries(FORMAT_CODES).map(([format, code]) => [code, format]));
+
+const DEFAULT_STYLE = {
+    color: null, bold: false, italic: false, underlined: false, strikethrough: false, obfuscated: false
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const GRADIENT_TAG = /<gradient((?::#[0-9a-f]{6}){2,})>([\s\S]*?)<\/gradient>/gi;
+
+// Servers control these payloads; deeply nested components must not blow the stack
+const MAX_DEPTH = 32;
+// Translate placeholders may repeat the same argument, so output can grow exponentially
+// with nesting. One budget per parse caps visited components and rendered characters.
+const MAX_COMPONENTS = 2048;
+const MAX_TEXT_LENGTH = 4096;
+const MAX_INPUT_LENGTH = 65536;
+
+function createBudget() {
+    return { components: MAX_COMPONENTS, text: MAX_TEXT_LENGTH };
+}
+
+/**
+ * Hex color for a component color value (#RRGGBB or a named color)
+ */
+function resolveColor(value) {
+    if (typeof value !== 'string') return null;
+    if (HEX_COLOR.test(value)) return value.toUpperCase();
+    const code = COLOR_NAMES[value.toLowerCase()];
+    return code ? COLOR_HEX[code] : null;
+}
+
+function sameStyle(a, b) {
+    return a.color === b.color && FORMATS.every(format => a[format] === b[format]);
+}
+
+function pushSpan(spans, text, style) {
+    const last = spans[spans.length - 1];
+    if (last && sameStyle(last, style)) {
+        last.text += text;
+    } else {
+        spans.push({ text, ...style });
+    }
+}
+
+function hexCode(hex) {
+    return '§x' + hex.slice(1).split('').map(char => `§${char.toLowerCase()}`).join('');
+}
+
+/**
+ * Interpolate a color along evenly spaced gradient stops
+ */
+function gradientColor(stops, t) {
+    const position = t * (stops.length - 1);
+    const index = Math.min(Math.floor(position), stops.length - 2);
+    const local = position - index;
+    const from = stops[index];
+    const to = stops[index + 1];
+    return '#' + [0, 1, 2]
+        .map(i => Math.round(from[i] + (to[i] - from[i]) * local).toString(16).padStart(2, '0'))
+        .join('')
+        .toUpperCase();
+}
+
+/**
+ * Rewrite <gradient:#from:#to>text</gradient> into per-character §x colors.
+ * Format codes inside the tag carry over; color codes are replaced by the gradient,
+ * and the style resets after the closing tag.
+ */
+function expandGradients(text) {
+    return text.replace(GRADIENT_TAG, (match, stopList, inner) => {
+        const stops = stopList.slice(1).split(':')
+            .map(hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)));
+
+        const chars = [];
+        let formats = '';
+        const parts = Array.from(inner);
+        for (let i = 0; i < parts.length; i++) {
+            if (parts[i] === '§' && i + 1 < parts.length) {
+                const code = parts[++i].toLowerCase();
+                if (FORMAT_BY_CODE[code]) formats += `§${code}`;
+                else if (code === 'r') formats = '';
+                continue;
+            }
+            chars.push({ char: parts[i], formats });
+        }
+
+        return chars.map(({ char, formats: active }, i) => {
+            const color = gradientColor(stops, chars.length > 1 ? i / (chars.length - 1) : 0);
+            return hexCode(color) + active + char;
+        }).join('') + '§r';
+    });
+}
+
+/**
+ * Append spans for § formatted text, starting from (and resetting to) baseStyle
+ */
+function parseLegacy(text, baseStyle = DEFAULT_STYLE, spans = [], budget = createBudget()) {
+    const input = expandGradients(String(text).slice(0, MAX_INPUT_LENGTH));
+    let style = { ...baseStyle };
+    let buffer = '';
+
+    const flush = () => {
+        if (buffer) pushSpan(spans, buffer, style);
+        buffer = '';
+    };
+
+    for (let i = 0; i < input.length && budget.text > 0; i++) {
+        if (input[i] !== '§') {
+            buffer += input[i];
+            budget.text--;
+            continue;
+        }
+
+        // The client hides § together with the character after it, known code or not
+        const code = (input[i + 1] || '').toLowerCase();
+        const hex = input.slice(i + 2, i + 14);
+        if (code === 'x' && /^(?:§[0-9a-f]){6}$/i.test(hex)) {
+            flush();
+            style = { ...DEFAULT_STYLE, color: '#' + hex.replace(/§/g, '').toUpperCase() };
+            i += 13;
+            continue;
+        }
+
+        flush();
+        if (COLOR_HEX[code]) {
+            // A color code also clears formatting
+            style = { ...DEFAULT_STYLE, color: COLOR_HEX[code] };
+        } else if (FORMAT_BY_CODE[code]) {
+            style = { ...style, [FORMAT_BY_CODE[code]]: true };
+        } else if (code === 'r') {
+            style = { ...baseStyle };
+        }
+        i++;
+    }
+
+    flush();
+    return spans;
+}
+
+/**
+ * Text of a translate component: the fallback when given, otherwise the key with
+ * its %s / %1$s placeholders filled from "with"
+ */
+function parseTranslate(component, style, spans, depth, budget) {
+    if (typeof component.fallback === 'string') {
+        parseLegacy(component.fallback, style, spans, budget);
+        return;
+    }
+
+    const args = Array.isArray(component.with) ? component.with : [];
+    let next = 0;
+    String(component.translate).split(/(%(?:\d+\$)?s|%%)/).forEach(part => {
+        if (part === '%%') {
+            parseLegacy('%', style, spans, budget);
+        } else if (/^%(?:\d+\$)?s$/.test(part)) {
+            const position = part.length > 2 ? parseInt(part.slice(1), 10) - 1 : next++;
+            parseComponent(args[position] ?? '', style, spans, depth + 1, budget);
+        } else if (part) {
+            parseLegacy(part, style, spans, budget);
+        }
+    });
+}
+
+/**
+ * Append spans for a JSON chat component (object, array or plain string).
+ * Children inherit their parent's style unless they override it.
+ */
+function parseComponent(component, parentStyle = DEFAULT_STYLE, spans = [], depth = 0, budget = createBudget()) {
+    if (component == null || depth > MAX_DEPTH || budget.components <= 0 || budget.text <= 0) return spans;
+    budget.components--;
+
+    if (typeof component === 'string' || typeof component === 'number' || typeof component === 'boolean') {
+        return parseLegacy(String(component), parentStyle, spans, budget);
+    }
+    if (Array.isArray(component)) {
+        component.forEach(part => parseComponent(part, parentStyle, spans, depth + 1, budget));
+        return spans;
+    }
+    if (typeof component !== 'object') return spans;
+
+    const style = { ...parentStyle };
+    if (component.color === 'reset') {
+        style.color = null;
+    } else if (resolveColor(component.color)) {
+        style.color = resolveColor(component.color);
+    }
+    FORMATS.forEach(format => {
+        if (typeof component[format] === 'boolean') style[format] = component[format];
+    });
+
+    if (component.text != null) {
+        parseLegacy(String(component.text), style, spans, budget);
+    } else if (component.translate != null) {
+        parseTranslate(component, style, spans, depth, budget);
+    } else if (typeof component.keybind === 'string') {
+        parseLegacy(component.keybind, style, spans, budget);
+    }
+
+    if (Array.isArray(component.extra)) {
+        component.extra.forEach(part => parseComponent(part, style, spans, depth + 1, budget));
+    }
+
+    return spans;
+}
+
+/**
+ * Split spans into lines at newlines
+ */
+function splitLines(spans) {
+    const lines = [[]];
+    spans.forEach(({ text: spanText, ...style }) => {
+        spanText.replace(/\r/g, '').split('\n').forEach((text, index) => {
+            if (index > 0) lines.push([]);
+            if (text) pushSpan(lines[lines.length - 1], text, style);
+        });
+    });
+    return lines;
+}
+
+/**
+ * Parse a MOTD (§ formatted string or chat component) into lines of spans.
+ * Each span is { text, color, bold, italic, underlined, strikethrough, obfuscated };
+ * color is #RRGGBB or null for the client default.
+ */
+function parse(input) {
+    const spans = typeof input === 'string' ? parseLegacy(input) : parseComponent(input);
+    return splitLines(spans);
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function toPlainText(line) {
+    return line.map(span => span.text).join('');
+}
+
+/**
+ * Render one line as HTML. Text is always escaped and only validated colors reach
+ * style attributes, so server-controlled MOTDs cannot inject markup.
+ */
+function toHtml(line) {
+    return line.map(span => {
+        const styles = [];
+        if (span.color && HEX_COLOR.test(span.color)) styles.push(`color: ${span.color}`);
+        if (span.bold) styles.push('font-weight: bold');
+        if (span.italic) styles.push('font-style: italic');
+        const decorations = [span.underlined && 'underline', span.strikethrough && 'line-through'].filter(Boolean);
+        if (decorations.length) styles.push(`text-decoration: ${decorations.join(' ')}`);
+
+        const text = escapeHtml(span.text);
+        if (!styles.length && !span.obfuscated) return text;
+
+        const className = span.obfuscated ? ' class="motd-obfuscated"' : '';
+        const style = styles.length ? ` style="${styles.join('; ')}"` : '';
+        return `<span${className}${style}>${text}</span>`;
+    }).join('');
+}
+
+/**
+ * Serialize one line back to § codes, emitting only the codes that change
+ */
+function toLegacy(line) {
+    let current = DEFAULT_STYLE;
+    let result = '';
+
+    line.forEach(span => {
+        const reset = span.color !== current.color || FORMATS.some(format => current[format] && !span[format]);
+        if (reset) {
+            const code = Object.keys(COLOR_HEX).find(key => COLOR_HEX[key] === span.color);
+            result += span.color ? (code ? `§${code}` : hexCode(span.color)) : '§r';
+            current = { ...DEFAULT_STYLE, color: span.color };
+        }
+        FORMATS.forEach(format => {
+            if (span[format] && !current[format]) result += `§${FORMAT_CODES[format]}`;
+        });
+        current = span;
+        result += span.text;
+    });
+
+    return result;
+}
+
+/**
+ * Every stored representation of a MOTD: raw § lines, trimmed plain text,
+ * escaped HTML and span lines
+ */
+function buildMotd(input) {
+    const spans = parse(input ?? '');
+    return {
+        raw: typeof input === 'string' ? input.replace(/\r/g, '').split('\n') : spans.map(toLegacy),
+        clean: spans.map(line => toPlainText(line).trim()),
+        html: spans.map(toHtml),
+        spans
+    };
+}
+
+/**
+ * Rebuild a stored { raw, clean, html } MOTD from its raw lines so output never
+ * depends on HTML produced elsewhere (e.g. by mcsrvstat.us)
+ */
+function normalizeMotd(motd) {
+    if (!motd) return null;
+    if (typeof motd === 'string') return buildMotd(motd);
+
+    const lines = Array.isArray(motd.raw) && motd.raw.length
+        ? motd.raw
+        : (Array.isArray(motd.clean) ? motd.clean : []);
+    return buildMotd(lines.map(String).join('\n'));
+}
+
+module.exports = {
+    parse,
+    parseLegacy,
+    parseComponent,
+    toHtml,
+    toPlainText,
+    toLegacy,
+    buildMotd,
+    normalizeMotd,
+    resolveColor,
+    escapeHtml,
+    COLOR_HEX
+};
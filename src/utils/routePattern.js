@@ -0,0 +1,27 @@
+'use strict'
+
+/**
+ * Match a request against route patterns such as "POST /api/v1/votes/*" or "/api/v1/auth/*".
+ * Patterns are compared with Fastify route URLs (request.routeOptions.url), optionally
+ * prefixed with a method; * matches any characters and trailing slashes are ignored.
+ */
+function matchesRoute(patterns, method, url) {
+    const path = trimSlash(url);
+
+    return patterns.some(entry => {
+        const trimmed = String(entry).trim();
+        const [entryMethod, pattern] = trimmed.includes(' ') ? trimmed.split(/\s+/, 2) : ['*', trimmed];
+        if (entryMethod !== '*' && entryMethod.toUpperCase() !== method) {
+            return false;
+        }
+
+        const source = trimSlash(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${source}$`).test(path);
+    });
+}
+
+function trimSlash(path) {
+    return path.length > 1 && path.endsWith('/') ? path.slice(0, -1) : path;
+}
+
+module.exports = { matchesRoute };
@@ -0,0 +1,66 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+
+/**
+ * Authenticated encryption (AES-256-GCM) for secrets stored in the database.
+ * Ciphertext format: enc:v1:<iv>:<tag>:<data>, all base64url. The config key is
+ * bound as additional data, so a value copied to another row does not decrypt.
+ */
+class SecretCipher {
+    constructor(key) {
+        if (!Buffer.isBuffer(key) || key.length !== 32) {
+            throw new Error('Secret encryption key must be 32 bytes');
+        }
+        this.key = key;
+    }
+
+    /**
+     * Build from CONFIG_ENCRYPTION_KEY (32 bytes as hex or base64); null when unset
+     */
+    static fromEnv(env = process.env) {
+        const raw = (env.CONFIG_ENCRYPTION_KEY || '').trim();
+        if (!raw) {
+            return null;
+        }
+
+        const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+        if (key.length !== 32) {
+            throw new Error('CONFIG_ENCRYPTION_KEY must be 32 bytes encoded as hex or base64 (openssl rand -base64 32)');
+        }
+
+        return new SecretCipher(key);
+    }
+
+    static isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(PREFIX);
+    }
+
+    encrypt(plaintext, associatedData = '') {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+        cipher.setAAD(Buffer.from(associatedData));
+
+        const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+        const tag = cipher.getAuthTag();
+
+        return PREFIX + [iv, tag, data].map(part => part.toString('base64url')).join(':');
+    }
+
+    decrypt(payload, associatedData = '') {
+        if (!SecretCipher.isEncrypted(payload)) {
+            throw new Error('Value is not encrypted');
+        }
+
+        const [iv, tag, data] = payload.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64url'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, iv);
+        decipher.setAAD(Buffer.from(associatedData));
+        decipher.setAuthTag(tag);
+
+        return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+    }
+}
+
+module.exports = SecretCipher;
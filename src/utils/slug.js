@@ -0,0 +1,62 @@
+'use strict'
+
+const SLUG_MIN_LENGTH = 3;
+const SLUG_MAX_LENGTH = 80;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// toLowerCase() runs first, so only lowercase letters are mapped
+const LITHUANIAN_CHARS = {
+    'ą': 'a', 'č': 'c', 'ę': 'e', 'ė': 'e', 'į': 'i', 'š': 's', 'ų': 'u', 'ū': 'u', 'ž': 'z'
+};
+
+/**
+ * URL slug from a server name: Lithuanian letters are transliterated, other
+ * accents stripped and anything else collapsed into single hyphens
+ */
+function slugify(text, maxLength = SLUG_MAX_LENGTH) {
+    const slug = String(text || '')
+        .toLowerCase()
+        .replace(/[ąčęėįšųūž]/g, char => LITHUANIAN_CHARS[char])
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+
+    return slug.slice(0, maxLength).replace(/-+$/, '');
+}
+
+/**
+ * Validation message for an owner-chosen slug, or null when it is acceptable
+ */
+function validateSlug(slug) {
+    if (typeof slug !== 'string' || slug.length < SLUG_MIN_LENGTH || slug.length > SLUG_MAX_LENGTH) {
+        return `Nuoroda turi būti nuo ${SLUG_MIN_LENGTH} iki ${SLUG_MAX_LENGTH} simbolių`;
+    }
+    if (!SLUG_PATTERN.test(slug)) {
+        return 'Nuorodoje gali būti tik mažosios raidės be diakritikų, skaičiai ir brūkšneliai';
+    }
+    if (/^\d+$/.test(slug)) {
+        return 'Nuoroda negali būti vien skaičiai';
+    }
+    return null;
+}
+
+/**
+ * First free slug among base, base-2, base-3, ...
+ * @param {Set<string>} taken - Slugs already in use
+ */
+function uniqueSlug(base, taken) {
+    if (!taken.has(base)) {
+        return base;
+    }
+
+    for (let n = 2; ; n++) {
+        const suffix = `-${n}`;
+        const candidate = base.slice(0, SLUG_MAX_LENGTH - suffix.length).replace(/-+$/, '') + suffix;
+        if (!taken.has(candidate)) {
+            return candidate;
+        }
+    }
+}
+
+module.exports = { slugify, validateSlug, uniqueSlug, SLUG_MIN_LENGTH, SLUG_MAX_LENGTH };
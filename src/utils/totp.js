@@ -0,0 +1,122 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 s steps)
+ * as used by Google Authenticator, Authy and similar apps
+ */
+class Totp {
+    static DIGITS = 6;
+    static PERIOD = 30;
+
+    static base32Encode(buffer) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+
+        return output;
+    }
+
+    static base32Decode(input) {
+        const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+        let bits = 0;
+        let value = 0;
+        const bytes = [];
+
+        for (const char of clean) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error(`Invalid base32 character: ${char}`);
+            }
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * New random 160-bit secret, base32 encoded
+     */
+    static generateSecret() {
+        return Totp.base32Encode(crypto.randomBytes(20));
+    }
+
+    static getStep(now = Date.now()) {
+        return Math.floor(now / 1000 / Totp.PERIOD);
+    }
+
+    /**
+     * Code for a given time step
+     */
+    static generate(secret, step = Totp.getStep()) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+
+        const hmac = crypto.createHmac('sha1', Totp.base32Decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 15;
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+        return String(binary % (10 ** Totp.DIGITS)).padStart(Totp.DIGITS, '0');
+    }
+
+    /**
+     * Check a code allowing `window` steps of clock drift either way
+     * @returns {number|null} Matched time step, or null
+     */
+    static verify(secret, code, { window = 1, now = Date.now() } = {}) {
+        const normalized = String(code || '').replace(/\s/g, '');
+        if (!new RegExp(`^\\d{${Totp.DIGITS}}$`).test(normalized)) {
+            return null;
+        }
+
+        const current = Totp.getStep(now);
+        for (let step = current - window; step <= current + window; step++) {
+            const expected = Totp.generate(secret, step);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+                return step;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * otpauth:// URI for authenticator apps (usually shown as a QR code)
+     */
+    static buildOtpauthUrl({ secret, issuer, account }) {
+        const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+        // Encoded by hand: URLSearchParams turns spaces into '+', which some apps show literally
+        const params = Object.entries({
+            secret,
+            issuer,
+            algorithm: 'SHA1',
+            digits: Totp.DIGITS,
+            period: Totp.PERIOD
+        }).map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+
+        return `otpauth://totp/${label}?${params}`;
+    }
+}
+
+module.exports = Totp;
@@ -0,0 +1,48 @@
+'use strict'
+
+const t = require('tap')
+
+const AccountSecurityService = require('../src/domains/auth/services/AccountSecurityService')
+const LoginLogRepository = require('../src/domains/auth/repositories/LoginLogRepository')
+
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+t.test('admin filters are validated and become parameterized conditions', async t => {
+  t.throws(() => AccountSecurityService.parseFilters({ ip: '10.0.0.300' }), { statusCode: 400 })
+  t.throws(() => AccountSecurityService.parseFilters({ ip: '10.0.0.0/33' }), { statusCode: 400 })
+  t.throws(() => AccountSecurityService.parseFilters({ from: '2026-02-01T00:00:00Z', to: '2026-01-01T00:00:00Z' }), { statusCode: 400 })
+
+  const filters = AccountSecurityService.parseFilters({ email: 'steve_', ip: '2001:db8::/32', from: '2026-01-01T00:00:00Z' })
+  const { where, params } = new LoginLogRepository({}).buildFilters(filters)
+  t.equal(where, 'WHERE ll.email ILIKE $1 AND ll.ip_address <<= $2::inet AND ll.created_at >= $3::timestamptz')
+  t.same(params, ['%steve\\_%', '2001:db8::/32', new Date('2026-01-01T00:00:00Z')])
+})
+
+t.test('users see their sessions and admins can lift a lockout', async t => {
+  const logged = []
+  let locked = true
+  const loginLogRepository = {
+    isAccountLocked: async (email, minutes) => locked ? { locked: true, locked_at: new Date(), minutes } : { locked: false },
+    logUnlock: async (email, ip, reason) => { logged.push({ email, ip, reason }); locked = false }
+  }
+  const authSessionRepository = {
+    findActiveByUser: async () => [
+      { id: 'a', ip_address: '10.0.0.1', mfa: false },
+      { id: 'b', ip_address: '10.0.0.2', mfa: true }
+    ],
+    revokeUserSession: async (sessionId, userId) => sessionId === 'b' && userId === 7
+  }
+  const configService = { getLockoutDuration: async () => 3600 }
+  const service = new AccountSecurityService(loginLogRepository, authSessionRepository, configService, logger)
+
+  const sessions = await service.listSessions({ id: 7, sid: 'b' })
+  t.same(sessions.map(s => [s.id, s.current, s.two_factor_verified]), [['a', false, false], ['b', true, true]])
+  t.same(await service.revokeSession({ id: 7, sid: 'b' }, 'b'), { revoked: true, current: true })
+  await t.rejects(service.revokeSession({ id: 8, sid: 'x' }, 'b'), { statusCode: 404, errorCode: 'SESSION_NOT_FOUND' })
+
+  t.equal((await service.getLockStatus('steve@example.lt')).minutes, 60)
+  const result = await service.unlockAccount('steve@example.lt', { id: 1 }, '127.0.0.1')
+  t.equal(result.unlocked, true)
+  t.same(logged, [{ email: 'steve@example.lt', ip: '127.0.0.1', reason: 'Unlocked by admin #1' }])
+  await t.rejects(service.unlockAccount('steve@example.lt', { id: 1 }, '127.0.0.1'), { statusCode: 409, errorCode: 'ACCOUNT_NOT_LOCKED' })
+})
@@ -0,0 +1,255 @@
+'use strict'
+
+const t = require('tap')
+const Fastify = require('fastify')
+const fp = require('fastify-plugin')
+
+const ApiKeyService = require('../src/domains/auth/services/ApiKeyService')
+const RateLimitService = require('../src/services/RateLimitService')
+const MemoryRateLimitStore = require('../src/services/MemoryRateLimitStore')
+const ErrorHandler = require('../src/lib/ErrorHandler')
+const VotifierController = require('../src/domains/votifier/controllers/VotifierController')
+const { SuccessResponseSchema, ErrorResponseSchema } = require('../src/shared/schemas/components/ResponseSchemas')
+const { authenticate, optionalAuthenticate, requireRole } = require('../src/middleware/auth')
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} }
+
+// In-memory stand-in for ApiKeyRepository
+function createRepository () {
+  const keys = new Map()
+  const calls = { findActiveByHash: 0, touch: 0 }
+  let nextId = 1
+
+  const visible = row => {
+    const { key_hash: keyHash, ...rest } = row
+    return { ...rest }
+  }
+
+  const repository = {
+    keys,
+    calls,
+    create: async ({ userId, serverId, name, prefix, keyHash, scopes, expiresAt }) => {
+      const row = {
+        id: nextId++, user_id: userId, server_id: serverId, name, prefix, key_hash: keyHash, scopes,
+        created_at: new Date(), rotated_at: null, expires_at: expiresAt, last_used_at: null, last_used_ip: null, revoked_at: null
+      }
+      keys.set(row.id, row)
+      return visible(row)
+    },
+    findActiveByHash: async keyHash => {
+      calls.findActiveByHash++
+      const row = [...keys.values()].find(key => key.key_hash === keyHash)
+      if (!row || row.revoked_at || (row.expires_at && row.expires_at <= new Date())) return null
+      return { ...visible(row), user_email: `user${row.user_id}@example.lt` }
+    },
+    findByUser: async userId => [...keys.values()].filter(key => key.user_id === userId).map(visible),
+    countActiveByUser: async userId => [...keys.values()].filter(key => key.user_id === userId && !key.revoked_at).length,
+    rotate: async (keyId, userId, { prefix, keyHash }) => {
+      const row = keys.get(keyId)
+      if (!row || row.user_id !== userId || row.revoked_at) return null
+      Object.assign(row, { prefix, key_hash: keyHash, rotated_at: new Date() })
+      return visible(row)
+    },
+    revoke: async (keyId, userId) => {
+      const row = keys.get(keyId)
+      if (!row || row.user_id !== userId || row.revoked_at) return false
+      row.revoked_at = new Date()
+      return true
+    },
+    touch: async (keyId, ip) => {
+      calls.touch++
+      Object.assign(keys.get(keyId), { last_used_at: new Date(), last_used_ip: ip })
+    }
+  }
+  return repository
+}
+
+function createService ({ config = {} } = {}) {
+  const repository = createRepository()
+  const serverRepository = {
+    findById: async id => id === 7 ? { isOwnedBy: userId => userId === 1 } : null
+  }
+  const configService = { get: async (key, fallback) => key in config ? config[key] : fallback }
+  return { service: new ApiKeyService(repository, serverRepository, configService, logger), repository }
+}
+
+const owner = { id: 1, role: 'admin' }
+
+t.test('keys are shown once and stored hashed', async t => {
+  const { service, repository } = createService()
+  const created = await service.createKey(owner, { name: ' Plugin ', scopes: ['read:votes', 'read:votes'], server_id: 7 })
+
+  t.match(created.key, /^mcl_[A-Za-z0-9_-]{43}$/)
+  t.equal(created.prefix, created.key.slice(0, 12))
+  t.same(created.scopes, ['read:votes'])
+  t.equal(created.name, 'Plugin')
+  t.match(created.server, { id: 7 })
+  t.equal(created.active, true)
+
+  const stored = repository.keys.get(created.id)
+  t.equal(stored.key_hash, ApiKeyService.hashKey(created.key))
+  t.notOk(JSON.stringify(stored).includes(created.key))
+
+  const [listed] = await service.listKeys(1)
+  t.notOk('key' in listed, 'list never includes the key')
+})
+
+t.test('createKey validates scopes, server ownership and the per-user limit', async t => {
+  const { service } = createService({ config: { 'api_keys.max_per_user': 1 } })
+
+  await t.rejects(service.createKey(owner, { name: 'x', scopes: ['write:all'] }), { errorCode: 'VALIDATION_ERROR' })
+  await t.rejects(service.createKey(owner, { name: 'x', scopes: ['read:stats'], server_id: 8 }), { statusCode: 404 })
+  await t.rejects(service.createKey({ id: 2, role: 'admin' }, { name: 'x', scopes: ['read:stats'], server_id: 7 }),
+    { statusCode: 403 }, 'admins cannot bind keys to servers they do not own')
+
+  await service.createKey(owner, { name: 'first', scopes: ['read:stats'] })
+  await t.rejects(service.createKey(owner, { name: 'second', scopes: ['read:stats'] }), { statusCode: 409, errorCode: 'API_KEY_LIMIT_REACHED' })
+})
+
+t.test('authenticate enforces route scope and server binding', async t => {
+  const { service, repository } = createService()
+  const { key, id } = await service.createKey(owner, { name: 'Votifier', scopes: ['votifier:manage'], server_id: 7 })
+
+  const user = await service.authenticate(key, { scope: 'votifier:manage', serverId: 7, ipAddress: '10.0.0.5' })
+  t.same(user, {
+    id: 1,
+    email: 'user1@example.lt',
+    role: 'user',
+    mfa: false,
+    apiKey: { id, scopes: ['votifier:manage'], server_id: 7 }
+  }, 'keys act as their owner without admin rights')
+  t.equal(repository.keys.get(id).last_used_ip, '10.0.0.5')
+
+  await t.rejects(service.authenticate(key, { scope: null, serverId: 7 }), { statusCode: 403, errorCode: 'API_KEY_NOT_ALLOWED' })
+  await t.rejects(service.authenticate(key, { scope: 'read:votes', serverId: 7 }), { statusCode: 403, errorCode: 'INSUFFICIENT_SCOPE' })
+  await t.rejects(service.authenticate(key, { scope: 'votifier:manage', serverId: 8 }), { statusCode: 403, errorCode: 'API_KEY_SERVER_MISMATCH' })
+  await t.rejects(service.authenticate(key, { scope: 'votifier:manage', serverId: null }), { errorCode: 'API_KEY_SERVER_MISMATCH' })
+  await t.rejects(service.authenticate('mcl_unknown', { scope: 'votifier:manage' }), { statusCode: 401, errorCode: 'INVALID_API_KEY' })
+})
+
+t.test('rotation replaces the secret and revocation disables the key', async t => {
+  const { service } = createService()
+  const created = await service.createKey(owner, { name: 'Site', scopes: ['read:stats'] })
+  const context = { scope: 'read:stats' }
+
+  const rotated = await service.rotateKey(created.id, 1)
+  t.not(rotated.key, created.key)
+  t.ok(rotated.rotated_at)
+  await t.rejects(service.authenticate(created.key, context), { errorCode: 'INVALID_API_KEY' })
+  t.equal((await service.authenticate(rotated.key, context)).id, 1)
+
+  await t.rejects(service.rotateKey(created.id, 2), { statusCode: 404 }, 'other users cannot rotate the key')
+  await t.rejects(service.revokeKey(created.id, 2), { statusCode: 404 })
+
+  await service.revokeKey(created.id, 1)
+  await t.rejects(service.authenticate(rotated.key, context), { errorCode: 'INVALID_API_KEY' })
+  await t.rejects(service.rotateKey(created.id, 1), { statusCode: 404 })
+  t.equal((await service.listKeys(1))[0].active, false)
+})
+
+t.test('disabling API keys rejects existing keys', async t => {
+  const { service } = createService({ config: { 'api_keys.enabled': false } })
+  const { key } = await service.createKey(owner, { name: 'Site', scopes: ['read:stats'] })
+  t.equal(await service.findActiveKey(key), null)
+})
+
+t.test('requests with API keys pass through rate limiting and authenticate', async t => {
+  const { service: apiKeyService, repository } = createService()
+  const { key } = await apiKeyService.createKey(owner, { name: 'Plugin', scopes: ['read:votes'] })
+  const rateLimitService = new RateLimitService(new MemoryRateLimitStore(), {
+    get: async (name, fallback) => name === 'rate_limit.rules'
+      ? [{ name: 'api', routes: ['/api/*'], limit: 3, window: 60, key: 'user' }]
+      : fallback
+  })
+  const services = { apiKeyService, rateLimitService }
+
+  const app = Fastify()
+  await app.register(fp(async fastify => {
+    fastify.decorate('getService', name => services[name])
+  }, { name: 'container' }))
+  await app.register(fp(async fastify => {
+    fastify.decorate('jwtUtils', { verifyToken: async () => { throw new Error('invalid') } })
+  }, { name: 'jwt' }))
+  await app.register(require('../plugins/response'))
+  await app.register(require('../plugins/rate-limit'))
+  app.setErrorHandler((error, request, reply) => ErrorHandler.handleError(error, request, reply))
+
+  app.get('/api/votes/:id', { config: { apiKeyScope: 'read:votes' }, preHandler: [authenticate] }, async request => request.user)
+  app.get('/api/admin', { config: { apiKeyScope: 'read:votes' }, preHandler: [authenticate, requireRole('admin')] }, async () => ({ ok: true }))
+  app.put('/api/servers/:id', { preHandler: [authenticate] }, async () => ({ ok: true }))
+  app.get('/api/public', { preHandler: [optionalAuthenticate] }, async request => ({ user: request.user || null }))
+  t.teardown(() => app.close())
+
+  const ok = await app.inject({ method: 'GET', url: '/api/votes/7', headers: { 'x-api-key': key } })
+  t.equal(ok.statusCode, 200)
+  t.match(ok.json(), { id: 1, role: 'user', apiKey: { scopes: ['read:votes'] } })
+  t.equal(ok.headers['ratelimit-remaining'], '2')
+  t.equal(repository.calls.findActiveByHash, 1, 'the key is looked up once per request')
+
+  const admin = await app.inject({ method: 'GET', url: '/api/admin', headers: { authorization: `Bearer ${key}` } })
+  t.equal(admin.statusCode, 403, 'an admin\'s key is not an admin')
+  t.equal(admin.headers['ratelimit-remaining'], '1', 'Bearer keys count toward the owner\'s bucket')
+
+  const optional = await app.inject({ method: 'GET', url: '/api/public', headers: { 'x-api-key': key } })
+  t.same(optional.json(), { user: null }, 'optional authentication ignores API keys')
+
+  const limited = await app.inject({ method: 'PUT', url: '/api/servers/7', headers: { 'x-api-key': key } })
+  t.equal(limited.statusCode, 429)
+})
+
+t.test('routes without an apiKeyScope reject API keys', async t => {
+  const { service: apiKeyService } = createService()
+  const { key } = await apiKeyService.createKey(owner, { name: 'Plugin', scopes: ['read:stats', 'read:votes', 'votifier:manage'] })
+
+  const app = Fastify()
+  app.decorate('getService', () => apiKeyService)
+  app.decorate('jwtUtils', { verifyToken: async () => { throw new Error('invalid') } })
+  app.setErrorHandler((error, request, reply) => reply.status(error.statusCode || 500).send({ errorCode: error.errorCode }))
+  app.put('/servers/:id', { preHandler: [authenticate] }, async () => ({ ok: true }))
+  t.teardown(() => app.close())
+
+  const response = await app.inject({ method: 'PUT', url: '/servers/7', headers: { 'x-api-key': key } })
+  t.equal(response.statusCode, 403)
+  t.same(response.json(), { errorCode: 'API_KEY_NOT_ALLOWED' })
+})
+
+t.test('votifier keys only manage servers their owner owns', async t => {
+  const { service: apiKeyService } = createService()
+  const { key } = await apiKeyService.createKey({ id: 2, role: 'user' }, { name: 'Other', scopes: ['votifier:manage'] })
+
+  const changes = []
+  const votifierService = {
+    getVotifierByServerId: async () => ({ id: 5 }),
+    createVotifier: async data => { changes.push('create'); return { toJSON: () => data } },
+    updateVotifier: async () => { changes.push('update') },
+    deleteVotifier: async () => { changes.push('delete') },
+    toggleVotifierStatus: async () => { changes.push('toggle') }
+  }
+  const services = {
+    apiKeyService,
+    votifierController: new VotifierController(votifierService, logger),
+    serverService: { checkServerOwnership: async (serverId, userId) => userId === 1 }
+  }
+
+  const app = Fastify()
+  app.addSchema(SuccessResponseSchema)
+  app.addSchema(ErrorResponseSchema)
+  app.decorate('getService', name => services[name])
+  app.decorate('jwtUtils', { verifyToken: async () => { throw new Error('invalid') } })
+  await app.register(require('../plugins/response'))
+  app.setErrorHandler((error, request, reply) => ErrorHandler.handleError(error, request, reply))
+  await app.register(require('../routes/api/v1/votifier'))
+  t.teardown(() => app.close())
+
+  const config = { host: 'vote.example.lt', port: 8192, token: 'secret', protocol: 'nuvotifier-v2' }
+  for (const [method, url, payload] of [
+    ['POST', '/servers/7', config],
+    ['PUT', '/servers/7', { host: 'evil.example.lt' }],
+    ['DELETE', '/servers/7'],
+    ['POST', '/servers/7/toggle']
+  ]) {
+    const response = await app.inject({ method, url, payload, headers: { 'x-api-key': key } })
+    t.equal(response.statusCode, 403, `${method} ${url}`)
+  }
+  t.same(changes, [], 'nothing was changed')
+})
@@ -0,0 +1,100 @@
+'use strict'
+
+const t = require('tap')
+
+const AuthService = require('../src/domains/auth/services/AuthService')
+
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+function createService({ requireVerified = false } = {}) {
+  const users = new Map([[1, { id: 1, email: 'steve@example.lt', role: 'user', email_verified_at: null, password_hash: 'old' }]])
+  const tokens = []
+  const sent = []
+  const revoked = []
+
+  const userRepository = {
+    findById: async id => users.get(id) || null,
+    findByEmail: async email => [...users.values()].find(u => u.email === email) || null,
+    markEmailVerified: async (id, email) => {
+      const user = users.get(id)
+      if (!user || user.email !== email) return null
+      user.email_verified_at = user.email_verified_at || new Date()
+      return user.email_verified_at
+    },
+    updatePasswordHash: async (id, hash) => { users.get(id).password_hash = hash }
+  }
+  const userTokenRepository = {
+    db: { transaction: async callback => callback({}) },
+    create: async row => tokens.push({ ...row, used: false, created: Date.now() }),
+    consume: async (tokenHash, purpose) => {
+      const token = tokens.find(r => r.tokenHash === tokenHash && r.purpose === purpose && !r.used && r.expiresAt > new Date())
+      if (!token) return null
+      token.used = true
+      return { user_id: token.userId, email: token.email }
+    },
+    invalidateForUser: async (userId, purpose) => tokens.filter(r => r.userId === userId && r.purpose === purpose).forEach(r => { r.used = true }),
+    getSecondsSinceLastIssued: async (userId, purpose) => {
+      const last = tokens.filter(r => r.userId === userId && r.purpose === purpose).pop()
+      return last ? Math.floor((Date.now() - last.created) / 1000) : null
+    }
+  }
+  const mailService = {
+    sendEmailVerification: async (email, token) => sent.push({ type: 'verify', email, token }),
+    sendPasswordReset: async (email, token) => sent.push({ type: 'reset', email, token })
+  }
+  const configService = {
+    isVerifiedEmailRequired: async () => requireVerified,
+    getEmailVerificationTtlHours: async () => 48,
+    getPasswordResetTtlMinutes: async () => 60
+  }
+  const authSessionRepository = { revokeUserSessions: async (userId, reason) => revoked.push([userId, reason]) }
+
+  const service = new AuthService(userRepository, null, {}, null, configService, null, logger, authSessionRepository, userTokenRepository, mailService)
+  return { service, users, tokens, sent, revoked }
+}
+
+t.test('email verification token is single-use and bound to the address', async t => {
+  const { service, users, tokens, sent } = createService()
+
+  t.same(await service.requestEmailVerification(1), { email: 'steve@example.lt' })
+  t.equal(tokens[0].tokenHash, AuthService.hashToken(sent[0].token), 'only the hash is stored')
+  await t.rejects(service.requestEmailVerification(1), { statusCode: 429, errorCode: 'TOO_MANY_REQUESTS' })
+
+  const result = await service.verifyEmail(sent[0].token)
+  t.equal(result.email, 'steve@example.lt')
+  t.ok(users.get(1).email_verified_at)
+  await t.rejects(service.verifyEmail(sent[0].token), { statusCode: 400, errorCode: 'INVALID_TOKEN' })
+  await t.rejects(service.requestEmailVerification(1), { statusCode: 409 })
+})
+
+t.test('password reset changes the password and logs out every session', async t => {
+  const { service, users, sent, revoked } = createService()
+
+  await service.requestPasswordReset('nobody@example.lt')
+  t.equal(sent.length, 0, 'unknown address is silently ignored')
+
+  await service.requestPasswordReset('steve@example.lt')
+  await service.requestPasswordReset('steve@example.lt')
+  t.equal(sent.length, 1, 'repeat requests within a minute send nothing')
+
+  await t.rejects(service.resetPassword({ token: sent[0].token, password: 'naujas123', password_confirmation: 'kitas1234' }), { errorCode: 'VALIDATION_ERROR' })
+
+  await service.resetPassword({ token: sent[0].token, password: 'naujas123', password_confirmation: 'naujas123' })
+  t.ok(await service.verifyPassword('naujas123', users.get(1).password_hash))
+  t.same(revoked, [[1, 'password_reset']])
+  t.ok(users.get(1).email_verified_at, 'reset link also proves the address')
+
+  await t.rejects(service.resetPassword({ token: sent[0].token, password: 'naujas123', password_confirmation: 'naujas123' }), { errorCode: 'INVALID_TOKEN' })
+})
+
+t.test('verified email can be required for servers and votes', async t => {
+  const { service: optional } = createService()
+  await optional.assertEmailVerified(null)
+
+  const { service, users } = createService({ requireVerified: true })
+  await t.rejects(service.assertEmailVerified(null), { statusCode: 401, errorCode: 'AUTH_REQUIRED' })
+  await t.rejects(service.assertEmailVerified(1), { statusCode: 403, errorCode: 'EMAIL_NOT_VERIFIED' })
+
+  users.get(1).email_verified_at = new Date()
+  await service.assertEmailVerified(1)
+})
@@ -0,0 +1,141 @@
+'use strict'
+
+const t = require('tap')
+
+const AuthService = require('../src/domains/auth/services/AuthService')
+
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+// In-memory stand-in for AuthSessionRepository
+function createStore() {
+  const sessions = new Map()
+  const tokens = new Map()
+  let nextId = 1
+
+  const repository = {
+    db: { transaction: async callback => callback({}) },
+    sessions,
+    tokens,
+    createSession: async (client, { id, userId, tokenHash, expiresAt }) => {
+      sessions.set(id, { id, user_id: userId, expires_at: expiresAt, revoked_at: null, revoked_reason: null })
+      await repository.insertRefreshToken(client, id, tokenHash, expiresAt)
+    },
+    insertRefreshToken: async (client, sessionId, tokenHash, expiresAt) => {
+      tokens.set(tokenHash, { id: nextId++, session_id: sessionId, expires_at: expiresAt, used_at: null })
+    },
+    findRefreshTokenForUpdate: async (client, tokenHash) => {
+      const token = tokens.get(tokenHash)
+      if (!token) return null
+      const session = sessions.get(token.session_id)
+      return { ...token, user_id: session.user_id, session_revoked_at: session.revoked_at, session_expires_at: session.expires_at }
+    },
+    rotateRefreshToken: async (client, { tokenId, sessionId, tokenHash, expiresAt }) => {
+      for (const token of tokens.values()) {
+        if (token.id === tokenId) token.used_at = new Date()
+      }
+      await repository.insertRefreshToken(client, sessionId, tokenHash, expiresAt)
+      sessions.get(sessionId).expires_at = expiresAt
+    },
+    revokeSession: async (sessionId, reason) => {
+      const session = sessions.get(sessionId)
+      if (!session || session.revoked_at) return false
+      Object.assign(session, { revoked_at: new Date(), revoked_reason: reason })
+      return true
+    },
+    revokeUserSessions: async (userId, reason) => {
+      let count = 0
+      for (const session of sessions.values()) {
+        if (session.user_id === userId && !session.revoked_at) {
+          Object.assign(session, { revoked_at: new Date(), revoked_reason: reason })
+          count++
+        }
+      }
+      return count
+    },
+    findActiveSessionUser: async (sessionId, userId) => {
+      const session = sessions.get(sessionId)
+      const user = users.get(userId)
+      return session && user && session.user_id === userId && !session.revoked_at ? user : null
+    }
+  }
+
+  return repository
+}
+
+const users = new Map([[1, { id: 1, email: 'steve@example.lt', role: 'admin' }]])
+
+const jwtUtils = {
+  accessTokenExpiresIn: '15m',
+  refreshTokenTtlMs: 7 * 24 * 3600 * 1000,
+  generateAccessToken: async payload => ({ ...payload })
+}
+
+function createService() {
+  const store = createStore()
+  const userRepository = { findById: async id => users.get(id) || null }
+  const service = new AuthService(userRepository, null, jwtUtils, null, null, null, logger, store)
+  return { service, store }
+}
+
+t.test('refresh rotates the token and keeps the session', async t => {
+  const { service, store } = createService()
+  const first = await service.createSession(users.get(1), { ipAddress: '84.15.1.2' })
+
+  t.equal(store.tokens.size, 1)
+  t.notOk(store.tokens.has(first.refreshToken), 'only the hash is stored')
+
+  const { tokens } = await service.refreshTokens(first.refreshToken)
+  t.not(tokens.refreshToken, first.refreshToken)
+  t.equal(tokens.accessToken.sid, first.accessToken.sid)
+  t.equal(store.tokens.size, 2)
+})
+
+t.test('reusing a rotated token revokes the whole family', async t => {
+  const { service, store } = createService()
+  const first = await service.createSession(users.get(1))
+  const { tokens } = await service.refreshTokens(first.refreshToken)
+
+  await t.rejects(service.refreshTokens(first.refreshToken), { statusCode: 401, errorCode: 'REFRESH_TOKEN_REUSED' })
+  t.equal(store.sessions.get(first.accessToken.sid).revoked_reason, 'token_reuse')
+
+  await t.rejects(service.refreshTokens(tokens.refreshToken), { statusCode: 401, errorCode: 'INVALID_REFRESH_TOKEN' })
+  await t.rejects(service.validateAccessToken(tokens.accessToken), { errorCode: 'SESSION_REVOKED' })
+})
+
+t.test('access tokens are not refresh tokens', async t => {
+  const { service } = createService()
+  const { accessToken } = await service.createSession(users.get(1))
+
+  await t.rejects(service.refreshTokens(JSON.stringify(accessToken)), { errorCode: 'INVALID_REFRESH_TOKEN' })
+  await t.rejects(service.refreshTokens(''), { statusCode: 400 })
+})
+
+t.test('logout revokes one session, logout-all every session', async t => {
+  const { service } = createService()
+  const phone = await service.createSession(users.get(1))
+  const laptop = await service.createSession(users.get(1))
+  const tablet = await service.createSession(users.get(1))
+
+  t.same(await service.logout(phone.accessToken), { revoked_sessions: 1 })
+  await t.rejects(service.validateAccessToken(phone.accessToken), { errorCode: 'SESSION_REVOKED' })
+  t.ok(await service.validateAccessToken(laptop.accessToken))
+
+  t.same(await service.logout(laptop.accessToken, { allDevices: true }), { revoked_sessions: 2 })
+  await t.rejects(service.validateAccessToken(tablet.accessToken), { errorCode: 'SESSION_REVOKED' })
+})
+
+t.test('demoted and deleted users are rejected', async t => {
+  const { service } = createService()
+  users.set(2, { id: 2, email: 'alex@example.lt', role: 'admin' })
+  const { accessToken, refreshToken } = await service.createSession(users.get(2))
+
+  users.set(2, { id: 2, email: 'alex@example.lt', role: 'user' })
+  await t.rejects(service.validateAccessToken(accessToken), { statusCode: 401, errorCode: 'ROLE_CHANGED' })
+
+  const { tokens } = await service.refreshTokens(refreshToken)
+  t.equal(tokens.accessToken.role, 'user', 'refresh picks up the new role')
+
+  users.delete(2)
+  await t.rejects(service.validateAccessToken(tokens.accessToken), { errorCode: 'SESSION_REVOKED' })
+  await t.rejects(service.validateAccessToken({ id: 1, role: 'admin' }), { errorCode: 'SESSION_REVOKED' }, 'tokens without a session')
+})
@@ -0,0 +1,66 @@
+'use strict'
+
+const t = require('tap')
+const dgram = require('dgram')
+
+const BedrockPingClient = require('../src/domains/server/services/BedrockPingClient')
+
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+const MAGIC = Buffer.from('00ffff00fefefefefdfdfdfd12345678', 'hex')
+
+function createPong(time, serverId) {
+  const header = Buffer.alloc(17)
+  header.writeUInt8(0x1C, 0)
+  header.writeBigInt64BE(time, 1)
+  header.writeBigInt64BE(123456789n, 9)
+  const id = Buffer.from(serverId, 'utf8')
+  const length = Buffer.alloc(2)
+  length.writeUInt16BE(id.length)
+  return Buffer.concat([header, MAGIC, length, id])
+}
+
+t.test('parses MCPE server id string', async t => {
+  const status = BedrockPingClient.parseServerId('MCPE;§aLietuva;712;1.21.20;7;50;1234;Survival world;Survival;1;19132;19133;')
+  t.equal(status.software, 'Bedrock')
+  t.equal(status.motd, '§aLietuva')
+  t.equal(status.protocol, 712)
+  t.equal(status.version, '1.21.20')
+  t.equal(status.online, 7)
+  t.equal(status.max, 50)
+  t.equal(status.subMotd, 'Survival world')
+  t.equal(status.gamemode, 'Survival')
+  t.throws(() => BedrockPingClient.parseServerId('MCPE;broken'), /Malformed/)
+})
+
+t.test('unconnected ping round trip', async t => {
+  const server = dgram.createSocket('udp4')
+  server.on('message', (message, rinfo) => {
+    t.equal(message[0], 0x01, 'unconnected ping id')
+    t.ok(message.subarray(9, 25).equals(MAGIC), 'offline magic present')
+    const pong = createPong(message.readBigInt64BE(1), 'MCPE;Test server;712;1.21.20;3;20;1;Line two;Creative;1;')
+    server.send(pong, rinfo.port, rinfo.address)
+  })
+  await new Promise(resolve => server.bind(0, '127.0.0.1', resolve))
+  t.teardown(() => server.close())
+
+  const client = new BedrockPingClient(logger, { timeout: 2000 })
+  const result = await client.ping('127.0.0.1', server.address().port)
+
+  t.equal(result.online, true)
+  t.equal(result.edition, 'bedrock')
+  t.equal(result.protocol.version, 712)
+  t.equal(result.version, '1.21.20')
+  t.same(result.players, { online: 3, max: 20 })
+  t.same(result.motd.clean, ['Test server', 'Line two'])
+  t.type(result.latency, 'number')
+})
+
+t.test('times out when no pong arrives', async t => {
+  const server = dgram.createSocket('udp4')
+  await new Promise(resolve => server.bind(0, '127.0.0.1', resolve))
+  t.teardown(() => server.close())
+
+  const client = new BedrockPingClient(logger, { timeout: 200 })
+  await t.rejects(client.ping('127.0.0.1', server.address().port), /timeout/)
+})
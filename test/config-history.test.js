@@ -0,0 +1,101 @@
+'use strict'
+
+const t = require('tap')
+
+const Validator = require('../src/lib/Validator')
+const ConfigDTO = require('../src/domains/config/dto/ConfigDTO')
+const ConfigService = require('../src/domains/config/services/ConfigService')
+
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+function setup (rows) {
+  const store = new Map(rows.map(row => [row.key, new ConfigDTO(row)]))
+  const history = []
+  const configRepository = {
+    db: {
+      // Writes are staged and only applied when the work succeeds, like a rollback
+      transaction: async work => {
+        const staged = new Map(store)
+        const entries = []
+        const result = await work({ staged, entries })
+        staged.forEach((value, key) => store.set(key, value))
+        history.push(...entries)
+        return result
+      }
+    },
+    findAll: async () => [...store.values()],
+    findByKey: async (key, client) => (client?.staged || store).get(key) || null,
+    updateByKey: async (key, data, client) => {
+      const config = new ConfigDTO({ ...client.staged.get(key), ...data })
+      client.staged.set(key, config)
+      return config
+    }
+  }
+  const configHistoryRepository = {
+    record: async (entry, client) => client.entries.push({ id: history.length + client.entries.length + 1, ...entry }),
+    findEntry: async id => {
+      const entry = history.find(item => item.id === id)
+      return entry && { id: entry.id, config_key: entry.key, action: entry.action, old_value: entry.oldValue }
+    }
+  }
+
+  const service = new ConfigService(configRepository, logger, null, {}, configHistoryRepository)
+  return { service, store, history }
+}
+
+t.test('values are checked against their type and rules', async t => {
+  t.equal(Validator.validateConfigValue('integer', '12', { min: 1, max: 100 }), null)
+  t.match(Validator.validateConfigValue('integer', '1.5'), /sveikasis/)
+  t.match(Validator.validateConfigValue('integer', '0', { min: 1 }), /ne mažesnė nei 1/)
+  t.match(Validator.validateConfigValue('boolean', 'yes'), /true arba false/)
+  t.match(Validator.validateConfigValue('json', '{oops'), /JSON/)
+  t.match(Validator.validateConfigValue('string', 'weekly', { enum: ['rolling', 'calendar'] }), /rolling, calendar/)
+  t.match(Validator.validateConfigValue('string', 'bad action', { pattern: '^[a-z]+$' }), /formato/)
+
+  t.equal(Validator.validateConfigRules({ min: 1, max: 5 }), null)
+  t.ok(Validator.validateConfigRules({ min: 5, max: 1 }))
+  t.ok(Validator.validateConfigRules({ pattern: '(' }))
+  t.ok(Validator.validateConfigRules({ maximum: 5 }))
+})
+
+t.test('bulk update saves everything or nothing', async t => {
+  const { service, store, history } = setup([
+    { key: 'auth.max_login_attempts', value: '5', type: 'integer', validation: { min: 1, max: 100 } },
+    { key: 'vote.reset_mode', value: 'rolling', type: 'string', validation: { enum: ['rolling', 'calendar'] } }
+  ])
+
+  await t.rejects(service.bulkUpdate([
+    { key: 'auth.max_login_attempts', value: '10' },
+    { key: 'vote.reset_mode', value: 'weekly' },
+    { key: 'missing.key', value: '1' }
+  ], 1), { statusCode: 400, validationResponse: { errors: { 'vote.reset_mode': /rolling/, 'missing.key': /nerasta/ } } })
+  t.equal(store.get('auth.max_login_attempts').value, '5')
+  t.equal(history.length, 0)
+
+  const results = await service.bulkUpdate([
+    { key: 'auth.max_login_attempts', value: '10' },
+    { key: 'vote.reset_mode', value: 'calendar' }
+  ], 1)
+  t.equal(results.length, 2)
+  t.equal(await service.get('auth.max_login_attempts'), 10)
+  t.same(history.map(entry => [entry.key, entry.oldValue, entry.newValue, entry.changedBy]), [
+    ['auth.max_login_attempts', '5', '10', 1],
+    ['vote.reset_mode', 'rolling', 'calendar', 1]
+  ])
+})
+
+t.test('changes are recorded and can be rolled back', async t => {
+  const { service, store, history } = setup([
+    { key: 'auth.lockout_duration', value: '3600', type: 'integer', validation: { min: 60 } }
+  ])
+
+  await t.rejects(service.update('auth.lockout_duration', { value: '10' }, 2), { statusCode: 400 })
+  await service.update('auth.lockout_duration', { value: '7200' }, 2)
+  t.same(history[0], { id: 1, key: 'auth.lockout_duration', action: 'update', oldValue: '3600', newValue: '7200', changedBy: 2 })
+
+  await service.rollback(1, 3)
+  t.equal(store.get('auth.lockout_duration').value, '3600')
+  t.match(history[1], { action: 'rollback', oldValue: '7200', newValue: '3600', changedBy: 3, rollbackOf: 1 })
+  await t.rejects(service.rollback(1, 3), { statusCode: 409, errorCode: 'CONFIG_UNCHANGED' })
+  await t.rejects(service.rollback(99, 3), { statusCode: 404, errorCode: 'HISTORY_NOT_FOUND' })
+})
@@ -0,0 +1,38 @@
+'use strict'
+
+const t = require('tap')
+
+const CronExpression = require('../src/utils/cronExpression')
+
+t.test('daily midnight in Vilnius time', async t => {
+  const cron = new CronExpression('0 0 * * *', 'Europe/Vilnius')
+
+  // 2026-01-15 12:00 UTC = 14:00 Vilnius (UTC+2)
+  const next = cron.nextRun(new Date('2026-01-15T12:00:00Z'))
+  t.equal(next.toISOString(), '2026-01-15T22:00:00.000Z', 'next midnight is 22:00 UTC in winter')
+
+  const previous = cron.previousRun(new Date('2026-07-15T12:00:00Z'))
+  t.equal(previous.toISOString(), '2026-07-14T21:00:00.000Z', 'previous midnight is 21:00 UTC in summer')
+})
+
+t.test('weekly and monthly schedules', async t => {
+  const weekly = new CronExpression('0 0 * * 1', 'Europe/Vilnius')
+  // 2026-10-19 is a Monday
+  t.equal(weekly.nextRun(new Date('2026-10-15T10:00:00Z')).toISOString(), '2026-10-18T21:00:00.000Z')
+
+  const monthly = new CronExpression('0 0 1 * *', 'Europe/Vilnius')
+  t.equal(monthly.nextRun(new Date('2026-10-15T10:00:00Z')).toISOString(), '2026-10-31T22:00:00.000Z', 'DST ends before November 1st')
+})
+
+t.test('field syntax', async t => {
+  const cron = new CronExpression('*/15 8-10 * * *', 'UTC')
+  t.ok(cron.matches(new Date('2026-05-01T08:45:00Z')))
+  t.notOk(cron.matches(new Date('2026-05-01T08:50:00Z')))
+  t.notOk(cron.matches(new Date('2026-05-01T11:00:00Z')))
+
+  const sunday = new CronExpression('0 12 * * 7', 'UTC')
+  t.ok(sunday.matches(new Date('2026-10-18T12:00:00Z')), '7 means Sunday')
+
+  t.throws(() => new CronExpression('* * *'), /expected 5 fields/)
+  t.throws(() => new CronExpression('61 * * * *'), /minute/)
+})
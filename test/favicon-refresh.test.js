@@ -0,0 +1,41 @@
+'use strict'
+
+const t = require('tap')
+
+const ServerRepository = require('../src/domains/server/repositories/ServerRepository')
+const ServerPingService = require('../src/domains/server/services/ServerPingService')
+
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+t.test('favicon refresh candidates skip Bedrock-only servers', async t => {
+  const queries = []
+  const repository = new ServerRepository({ query: async (sql, params) => { queries.push({ sql, params }); return { rows: [] } } })
+
+  await repository.findFaviconRefreshCandidates(50, 7)
+
+  const [{ sql, params }] = queries
+  t.match(sql, /edition <> 'bedrock'/)
+  t.match(sql, /SELECT id, host, port, edition, bedrock_port/, 'the edition reaches the ping')
+  t.same(params, [50, 7])
+})
+
+t.test('the favicon refresh pings each server the way its edition needs', async t => {
+  const rows = [
+    { id: 1, host: 'bedrock.example.lt', port: 19132, edition: 'bedrock', bedrock_port: 19132 },
+    { id: 2, host: 'both.example.lt', port: 25565, edition: 'both', bedrock_port: 19133 }
+  ]
+  const database = { query: async sql => ({ rows: /edition <> 'bedrock'/.test(sql) ? rows.filter(row => row.edition !== 'bedrock') : rows }) }
+  const service = new ServerPingService(new ServerRepository(database), null, null, logger)
+
+  const java = []
+  const bedrock = []
+  service.fetchServerStatus = async (host, port) => { java.push([host, port]); return { online: true } }
+  service.fetchBedrockStatus = async (host, port) => { bedrock.push([host, port]); return { online: true } }
+  service.processAndStoreServerData = async () => ({ favicon: null })
+
+  const { refreshed } = await service.refreshFavicons()
+
+  t.equal(refreshed, 1)
+  t.same(java, [['both.example.lt', 25565]], 'no Java ping on the Bedrock-only server')
+  t.same(bedrock, [['both.example.lt', 19133]])
+})
@@ -0,0 +1,71 @@
+'use strict'
+
+const t = require('tap')
+const fs = require('fs')
+const path = require('path')
+
+const FaviconUtils = require('../src/utils/faviconUtils')
+const ServerPingService = require('../src/domains/server/services/ServerPingService')
+
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+// 1x1 transparent PNG
+const PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg=='
+
+t.test('stores identical icons once under their content hash', async t => {
+  const directory = t.testdir()
+  const favicons = new FaviconUtils(logger, { directory })
+
+  const first = await favicons.saveFavicon(`data:image/png;base64,${PNG_BASE64}`)
+  const second = await favicons.saveFavicon(PNG_BASE64.replace(/(.{20})/g, '$1\n'))
+
+  t.match(first.path, /^favicons\/[a-f0-9]{32}\.png$/)
+  t.same(second, first, 'wrapped base64 resolves to the same file')
+  t.same(fs.readdirSync(directory), [path.basename(first.path)])
+
+  const file = await favicons.readFavicon(first.path)
+  t.equal(file.hash, first.hash)
+  t.same(file.buffer, Buffer.from(PNG_BASE64, 'base64'))
+})
+
+t.test('rejects data that is not a PNG', async t => {
+  const favicons = new FaviconUtils(logger, { directory: t.testdir() })
+
+  t.equal(await favicons.saveFavicon('data:image/jpeg;base64,/9j/4AAQSkZJRg=='), null)
+  t.equal(await favicons.saveFavicon(Buffer.from('GIF89a').toString('base64')), null)
+  t.equal(await favicons.saveFavicon('not base64 at all!'), null)
+  t.equal(await favicons.readFavicon('../../etc/passwd'), null, 'paths outside the store are ignored')
+})
+
+t.test('deletes only unreferenced content-addressed files', async t => {
+  const directory = t.testdir({ 'server_1_123.png': 'legacy' })
+  const favicons = new FaviconUtils(logger, { directory })
+
+  const kept = await favicons.saveFavicon(PNG_BASE64)
+  fs.writeFileSync(path.join(directory, `${'a'.repeat(32)}.png`), 'old')
+
+  t.equal(await favicons.deleteUnreferenced(new Set([kept.path])), 0, 'recent files are kept')
+  t.equal(await favicons.deleteUnreferenced(new Set([kept.path]), 0), 1)
+  t.same(fs.readdirSync(directory).sort(), [path.basename(kept.path), 'server_1_123.png'].sort())
+})
+
+t.test('ping pipeline stores the icon path instead of base64', async t => {
+  const favicons = new FaviconUtils(logger, { directory: t.testdir() })
+  const updates = []
+  const inserted = []
+  const serverRepository = {
+    updateFavicon: async (id, faviconPath) => updates.push([id, faviconPath]),
+    findById: async () => ({ id: 7, max_players: 20 })
+  }
+  const serverDataRepository = { insert: async row => inserted.push(row) }
+  const service = new ServerPingService(serverRepository, serverDataRepository, null, logger, favicons)
+
+  const result = await service.processAndStoreServerData(7, {
+    online: true,
+    players: { online: 1, max: 20 },
+    icon: `data:image/png;base64,${PNG_BASE64}`
+  })
+
+  t.equal(inserted[0].data.icon, undefined)
+  t.same(updates, [[7, result.favicon.path]])
+})
@@ -0,0 +1,130 @@
+'use strict'
+
+const t = require('tap')
+const net = require('net')
+
+const JavaPingClient = require('../src/domains/server/services/JavaPingClient')
+
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+function listen(handler) {
+  return new Promise(resolve => {
+    const server = net.createServer(handler)
+    server.listen(0, '127.0.0.1', () => resolve(server))
+  })
+}
+
+t.test('VarInt round-trips', async t => {
+  for (const value of [0, 1, 127, 128, 255, 25565, 2147483647, -1]) {
+    const encoded = JavaPingClient.encodeVarInt(value)
+    t.equal(JavaPingClient.decodeVarInt(encoded, 0).value, value, `value ${value}`)
+  }
+  t.equal(JavaPingClient.encodeVarInt(-1).length, 5, '-1 encodes as 5 bytes')
+  t.equal(JavaPingClient.decodeVarInt(Buffer.from([0x80]), 0), null, 'incomplete VarInt returns null')
+})
+
+t.test('modern status ping with pong', async t => {
+  const status = {
+    version: { name: 'Paper 1.21.4', protocol: 769 },
+    players: { max: 100, online: 3, sample: [{ name: 'Steve', id: 'abc' }] },
+    description: { text: 'Hello ', color: 'gold', extra: [{ text: 'world', bold: true }] },
+    favicon: 'data:image/png;base64,AAAA'
+  }
+
+  const server = await listen(socket => {
+    let buffer = Buffer.alloc(0)
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk])
+      let packet
+      while ((packet = JavaPingClient.readPacket(buffer)) !== null) {
+        buffer = buffer.subarray(packet.totalLength)
+        if (packet.id === 0x00 && packet.data.length === 0) {
+          socket.write(JavaPingClient.createPacket(0x00, JavaPingClient.encodeString(JSON.stringify(status))))
+        } else if (packet.id === 0x01) {
+          socket.write(JavaPingClient.createPacket(0x01, packet.data))
+        }
+      }
+    })
+  })
+  t.teardown(() => server.close())
+
+  const client = new JavaPingClient(logger, { timeout: 2000, resolveSrv: false })
+  const result = await client.ping('127.0.0.1', server.address().port)
+
+  t.equal(result.online, true)
+  t.equal(result.source, 'native')
+  t.equal(result.version, 'Paper 1.21.4')
+  t.equal(result.software, 'Paper')
+  t.equal(result.protocol.version, 769)
+  t.same(result.players, { online: 3, max: 100, list: [{ name: 'Steve', uuid: 'abc' }] })
+  t.same(result.motd.raw, ['§6Hello §lworld'])
+  t.same(result.motd.clean, ['Hello world'])
+  t.equal(result.icon, status.favicon)
+  t.type(result.latency, 'number')
+})
+
+t.test('falls back to legacy ping', async t => {
+  const server = await listen(socket => {
+    socket.once('data', chunk => {
+      if (chunk[0] !== 0xFE) {
+        // Pre-1.7 servers do not understand modern handshakes
+        socket.destroy()
+        return
+      }
+      const text = ['§1', '78', '1.6.4', 'Old server', '5', '20'].join('\u0000')
+      const body = Buffer.from(text, 'utf16le').swap16()
+      const header = Buffer.alloc(3)
+      header.writeUInt8(0xFF, 0)
+      header.writeUInt16BE(text.length, 1)
+      socket.end(Buffer.concat([header, body]))
+    })
+  })
+  t.teardown(() => server.close())
+
+  const client = new JavaPingClient(logger, { timeout: 2000, resolveSrv: false })
+  const result = await client.ping('127.0.0.1', server.address().port)
+
+  t.equal(result.source, 'legacy')
+  t.equal(result.version, '1.6.4')
+  t.equal(result.protocol.version, 78)
+  t.same(result.players, { online: 5, max: 20 })
+  t.same(result.motd.clean, ['Old server'])
+})
+
+t.test('rejects when nothing is listening', async t => {
+  const server = await listen(() => {})
+  const port = server.address().port
+  await new Promise(resolve => server.close(resolve))
+
+  const client = new JavaPingClient(logger, { timeout: 1000, resolveSrv: false })
+  await t.rejects(client.ping('127.0.0.1', port), /Native ping failed/)
+})
+
+t.test('oversized status responses are rejected', async t => {
+  t.throws(() => JavaPingClient.readPacket(JavaPingClient.encodeVarInt(512 * 1024 * 1024)), /Invalid packet length/)
+  t.throws(() => JavaPingClient.readPacket(JavaPingClient.encodeVarInt(-1)), /Invalid packet length/)
+
+  const server = await listen(socket => {
+    socket.on('error', () => {})
+    socket.once('data', chunk => {
+      if (chunk[0] === 0xFE) {
+        socket.destroy()
+        return
+      }
+      // Announce a huge packet and keep streaming
+      socket.write(JavaPingClient.encodeVarInt(512 * 1024 * 1024))
+      const junk = Buffer.alloc(64 * 1024, 0x61)
+      const flood = () => {
+        while (!socket.destroyed && socket.write(junk));
+        if (!socket.destroyed) socket.once('drain', flood)
+      }
+      flood()
+    })
+  })
+  t.teardown(() => server.close())
+
+  const client = new JavaPingClient(logger, { timeout: 5000, resolveSrv: false })
+  const started = Date.now()
+  await t.rejects(client.ping('127.0.0.1', server.address().port), /Invalid packet length/)
+  t.ok(Date.now() - started < 5000, 'fails before the timeout')
+})
@@ -0,0 +1,95 @@
+'use strict'
+
+const t = require('tap')
+const net = require('net')
+const fs = require('fs')
+
+const SmtpTransport = require('../src/services/mail/SmtpTransport')
+const FileTransport = require('../src/services/mail/FileTransport')
+const MailService = require('../src/services/mail/MailService')
+
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+// Scripted SMTP server recording the dialogue
+async function startSmtpServer(t, { starttls = false } = {}) {
+  const session = { commands: [], data: '' }
+  const server = net.createServer(socket => {
+    let buffer = ''
+    let inData = false
+    socket.write('220 test ESMTP\r\n')
+    socket.on('data', chunk => {
+      buffer += chunk.toString()
+      let index
+      while ((index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index)
+        buffer = buffer.slice(index + 2)
+        if (inData) {
+          if (line === '.') {
+            inData = false
+            socket.write('250 2.0.0 queued as ABC\r\n')
+          } else {
+            session.data += `${line}\r\n`
+          }
+          continue
+        }
+        session.commands.push(line)
+        if (line.startsWith('EHLO')) socket.write(`250-test\r\n${starttls ? '250-STARTTLS\r\n' : ''}250 8BITMIME\r\n`)
+        else if (line === 'DATA') { inData = true; socket.write('354 go ahead\r\n') }
+        else if (line.startsWith('RCPT TO:<blocked')) socket.write('550 5.1.1 no such user\r\n')
+        else if (line === 'QUIT') socket.end('221 bye\r\n')
+        else socket.write('250 OK\r\n')
+      }
+    })
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  t.teardown(() => server.close())
+  return { port: server.address().port, session }
+}
+
+t.test('delivers a multipart message over SMTP', async t => {
+  const { port, session } = await startSmtpServer(t)
+  const transport = new SmtpTransport({ host: '127.0.0.1', port, clientName: 'mclist.test', timeout: 2000 }, logger)
+
+  const result = await transport.send({
+    from: 'MCList <no-reply@mclist.lt>',
+    to: 'steve@example.lt',
+    subject: 'Slaptažodžio atkūrimas',
+    text: 'Sveiki',
+    html: '<p>Sveiki</p>'
+  })
+
+  t.match(result.messageId, /^<[a-f0-9]{32}@mclist\.lt>$/)
+  t.same(session.commands.slice(0, 4), ['EHLO mclist.test', 'MAIL FROM:<no-reply@mclist.lt>', 'RCPT TO:<steve@example.lt>', 'DATA'])
+  t.match(session.data, /Subject: =\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=/)
+  t.match(session.data, /multipart\/alternative/)
+})
+
+t.test('refuses to send credentials without TLS', async t => {
+  const { port, session } = await startSmtpServer(t)
+  const transport = new SmtpTransport({ host: '127.0.0.1', port, user: 'u', pass: 'p', timeout: 2000 }, logger)
+
+  await t.rejects(transport.send({ from: 'a@mclist.lt', to: 'b@example.lt', subject: 'x', text: 'x' }), /STARTTLS/)
+  t.notOk(session.commands.some(c => c.startsWith('AUTH')))
+})
+
+t.test('reports rejected recipients', async t => {
+  const { port } = await startSmtpServer(t)
+  const transport = new SmtpTransport({ host: '127.0.0.1', port, timeout: 2000 }, logger)
+
+  const error = await transport.send({ from: 'a@mclist.lt', to: 'blocked@example.lt', subject: 'x', text: 'x' }).catch(e => e)
+  t.equal(error.code, 'SMTP_REJECTED')
+  t.equal(error.smtpCode, 550)
+})
+
+t.test('file transport writes .eml files with the action link', async t => {
+  const directory = t.testdir()
+  const mail = new MailService(new FileTransport({ directory }, logger), { frontendUrl: 'https://mclist.lt/' }, logger)
+
+  await mail.sendPasswordReset('steve@example.lt', 'tok en', 60)
+
+  const [file] = fs.readdirSync(directory)
+  t.match(file, /\.eml$/)
+  const raw = fs.readFileSync(`${directory}/${file}`, 'utf8')
+  const textPart = raw.split('text/plain; charset=utf-8\r\nContent-Transfer-Encoding: base64\r\n\r\n')[1].split('\r\n--')[0]
+  t.match(Buffer.from(textPart, 'base64').toString(), 'https://mclist.lt/reset-password?token=tok%20en')
+})
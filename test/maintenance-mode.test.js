@@ -0,0 +1,64 @@
+'use strict'
+
+const t = require('tap')
+const Fastify = require('fastify')
+const fp = require('fastify-plugin')
+
+async function build (t, status, allowlist = ['POST /api/v1/auth/login']) {
+  const app = Fastify()
+  const services = {
+    configService: {
+      getMaintenanceStatus: async () => status,
+      getMaintenanceAllowedRoutes: async () => allowlist
+    },
+    authService: {
+      validateAccessToken: async decoded => ({ id: 1, role: decoded.role })
+    }
+  }
+
+  await app.register(fp(async fastify => {
+    fastify.decorate('getService', name => services[name])
+  }, { name: 'container' }))
+  await app.register(fp(async fastify => {
+    fastify.decorate('jwtUtils', { verifyToken: async token => ({ role: token }) })
+  }, { name: 'jwt' }))
+  await app.register(require('../plugins/response'))
+  await app.register(require('../plugins/maintenance'))
+
+  app.get('/api/v1/servers', async () => ({ ok: true }))
+  app.post('/api/v1/votes', async () => ({ ok: true }))
+  app.post('/api/v1/auth/login', async () => ({ ok: true }))
+
+  t.teardown(() => app.close())
+  return app
+}
+
+t.test('mutating requests get 503 with Retry-After while maintenance is on', async t => {
+  const eta = new Date(Date.now() + 10 * 60 * 1000).toISOString()
+  const app = await build(t, { enabled: true, message: 'Atnaujiname serverius', eta })
+
+  const blocked = await app.inject({ method: 'POST', url: '/api/v1/votes' })
+  t.equal(blocked.statusCode, 503)
+  t.ok(Math.abs(parseInt(blocked.headers['retry-after']) - 600) <= 1)
+  t.match(blocked.json(), { success: false, errorCode: 'MAINTENANCE_MODE', message: 'Atnaujiname serverius', maintenance: { eta } })
+
+  t.equal((await app.inject({ method: 'GET', url: '/api/v1/servers' })).statusCode, 200)
+  t.equal((await app.inject({ method: 'POST', url: '/api/v1/auth/login' })).statusCode, 200)
+
+  const asUser = await app.inject({ method: 'POST', url: '/api/v1/votes', headers: { authorization: 'Bearer user' } })
+  t.equal(asUser.statusCode, 503)
+  const asAdmin = await app.inject({ method: 'POST', url: '/api/v1/votes', headers: { authorization: 'Bearer admin' } })
+  t.equal(asAdmin.statusCode, 200)
+})
+
+t.test('requests pass when maintenance is off', async t => {
+  const app = await build(t, { enabled: false, message: null, eta: null })
+  t.equal((await app.inject({ method: 'POST', url: '/api/v1/votes' })).statusCode, 200)
+})
+
+t.test('without an ETA clients are asked to retry later', async t => {
+  const app = await build(t, { enabled: true, message: null, eta: null }, ['POST /api/v1/auth/*'])
+  const blocked = await app.inject({ method: 'POST', url: '/api/v1/votes' })
+  t.equal(blocked.headers['retry-after'], '300')
+  t.equal((await app.inject({ method: 'POST', url: '/api/v1/auth/login' })).statusCode, 200)
+})
@@ -0,0 +1,91 @@
+'use strict'
+
+const t = require('tap')
+
+const { parse, buildMotd, normalizeMotd, toLegacy } = require('../src/utils/motd')
+
+const plain = { bold: false, italic: false, underlined: false, strikethrough: false, obfuscated: false }
+
+t.test('legacy codes: colors reset formatting, §r resets everything', async t => {
+  t.same(parse('§6§lGold bold§a green§r plain'), [[
+    { text: 'Gold bold', ...plain, color: '#FFAA00', bold: true },
+    { text: ' green', ...plain, color: '#55FF55' },
+    { text: ' plain', ...plain, color: null }
+  ]])
+
+  t.same(parse('§x§1§2§a§b§c§dHex§zX§'), [[{ text: 'HexX', ...plain, color: '#12ABCD' }]], 'hex colors; unknown codes hidden')
+  t.same(buildMotd('one\r\ntwo').clean, ['one', 'two'])
+})
+
+t.test('JSON components inherit style and support hex colors and extra', async t => {
+  const motd = buildMotd({
+    text: '',
+    extra: [
+      { text: 'Lietuvos ', color: '#FF8800', bold: true, extra: [{ text: 'serveris', bold: false, italic: true }] },
+      '\n',
+      { text: '§cLegacy inside', underlined: true }
+    ]
+  })
+
+  t.same(motd.spans, [
+    [
+      { text: 'Lietuvos ', ...plain, color: '#FF8800', bold: true },
+      { text: 'serveris', ...plain, color: '#FF8800', italic: true }
+    ],
+    // As in the client, a § color code inside the text clears the component's formatting
+    [{ text: 'Legacy inside', ...plain, color: '#FF5555' }]
+  ])
+  t.same(motd.raw, ['§x§f§f§8§8§0§0§lLietuvos §x§f§f§8§8§0§0§oserveris', '§cLegacy inside'])
+  t.same(parse(motd.raw.join('\n')), motd.spans, 'serialized raw lines parse back to the same spans')
+})
+
+t.test('translate components use the fallback or fill their arguments', async t => {
+  t.same(buildMotd({ translate: 'custom.motd', fallback: 'Sveiki!' }).clean, ['Sveiki!'])
+  t.same(buildMotd({ translate: '%s ir %2$s 100%%', with: ['Steve', { text: 'Alex', color: 'aqua' }] }).clean, ['Steve ir Alex 100%'])
+  t.same(buildMotd({ translate: 'menu.title' }).clean, ['menu.title'])
+
+  let nested = { text: 'deep' }
+  for (let i = 0; i < 1000; i++) nested = { extra: [nested] }
+  t.same(buildMotd(nested).clean, [''], 'absurd nesting is cut off instead of overflowing the stack')
+})
+
+t.test('gradient tags become per-character colors', async t => {
+  const [line] = parse('<gradient:#FF0000:#0000FF>§lRGB</gradient> po')
+  t.same(line.map(span => [span.text, span.color, span.bold]), [
+    ['R', '#FF0000', true],
+    ['G', '#800080', true],
+    ['B', '#0000FF', true],
+    [' po', null, false]
+  ])
+  t.equal(toLegacy(line).startsWith('§x§f§f§0§0§0§0§lR'), true)
+})
+
+t.test('HTML output escapes server-controlled text', async t => {
+  const { html } = buildMotd({ text: '<img src=x onerror=alert(1)>', color: '"><script>', extra: [{ text: '"&\'', obfuscated: true }] })
+  t.equal(html[0], '&lt;img src=x onerror=alert(1)&gt;<span class="motd-obfuscated">&quot;&amp;&#39;</span>')
+
+  t.equal(buildMotd('§a§l§n§mA').html[0], '<span style="color: #55FF55; font-weight: bold; text-decoration: underline line-through">A</span>')
+})
+
+t.test('stored MOTDs are rebuilt from raw lines, ignoring foreign HTML', async t => {
+  const motd = normalizeMotd({ raw: ['§aHi'], clean: ['Hi'], html: ['<script>alert(1)</script>'] })
+  t.same(motd.html, ['<span style="color: #55FF55">Hi</span>'])
+  t.same(normalizeMotd({ raw: [], clean: ['Only clean'], html: [] }).raw, ['Only clean'])
+  t.equal(normalizeMotd(null), null)
+})
+
+t.test('nested translate arguments cannot blow up the output', async t => {
+  let component = { text: 'x' }
+  for (let i = 0; i < 9; i++) {
+    component = { translate: '%1$s%1$s%1$s%1$s', with: [component] }
+  }
+
+  const started = Date.now()
+  const { clean } = buildMotd(component)
+  t.ok(Date.now() - started < 1000, 'parses quickly')
+  t.ok(clean.join('').length <= 4096, 'output is capped')
+  t.match(clean[0], /^x+$/)
+
+  const legacy = buildMotd('a'.repeat(100000)).clean[0]
+  t.equal(legacy.length, 4096, 'long legacy text is cut too')
+})
@@ -0,0 +1,77 @@
+'use strict'
+
+const t = require('tap')
+const Fastify = require('fastify')
+const fp = require('fastify-plugin')
+
+const RateLimitService = require('../src/services/RateLimitService')
+const MemoryRateLimitStore = require('../src/services/MemoryRateLimitStore')
+
+function configService (rules) {
+  const values = { 'rate_limit.enabled': true, 'rate_limit.rules': rules }
+  return { get: async (key, defaultValue) => key in values ? values[key] : defaultValue }
+}
+
+const WINDOW_START = 1800000000 * 1000 // aligned to a 60s window
+
+t.test('requests are limited over a sliding window', async t => {
+  const service = new RateLimitService(new MemoryRateLimitStore(), configService([
+    { name: 'vote', routes: ['POST /api/v1/votes/*'], limit: 3, window: 60, key: 'ip' }
+  ]))
+  const vote = { method: 'POST', url: '/api/v1/votes/servers/:id(\\d+)', ip: '10.0.0.1' }
+
+  for (let i = 1; i <= 3; i++) {
+    const state = await service.consume(vote, WINDOW_START + 50 * 1000)
+    t.match(state, { limit: 3, remaining: 3 - i, exceeded: false, reset: 10 })
+  }
+  t.equal((await service.consume(vote, WINDOW_START + 55 * 1000)).exceeded, true)
+  t.equal((await service.consume({ ...vote, ip: '10.0.0.2' }, WINDOW_START + 55 * 1000)).exceeded, false)
+
+  // 15s into the next window, 75% of the 4 earlier hits still count
+  t.equal((await service.consume(vote, WINDOW_START + 75 * 1000)).exceeded, true)
+  // Once the first window has slid out only the hit at 75s still counts
+  t.match(await service.consume(vote, WINDOW_START + 120 * 1000), { exceeded: false, remaining: 1 })
+
+  t.equal(await service.consume({ method: 'GET', url: '/api/v1/servers', ip: '10.0.0.1' }), null)
+})
+
+t.test('rules can key by user or share one bucket per route', async t => {
+  const service = new RateLimitService(new MemoryRateLimitStore(), configService([
+    { name: 'ping', routes: ['POST /api/v1/servers/*/ping'], limit: 1, window: 60, key: 'user' },
+    { name: 'ping_total', routes: ['POST /api/v1/servers/*/ping'], limit: 2, window: 60, key: 'route' },
+    { name: 'broken', routes: ['*'], limit: 0, window: 60 }
+  ]))
+  const ping = { method: 'POST', url: '/api/v1/servers/:id(\\d+)/ping', ip: '10.0.0.1' }
+
+  t.match(await service.consume({ ...ping, userId: 1 }, WINDOW_START), { rule: 'ping', exceeded: false })
+  t.match(await service.consume({ ...ping, userId: 1 }, WINDOW_START), { rule: 'ping', exceeded: true })
+  t.match(await service.consume({ ...ping, userId: 2 }, WINDOW_START), { rule: 'ping_total', exceeded: true })
+})
+
+t.test('plugin sends RateLimit headers and a 429 envelope', async t => {
+  const rateLimitService = new RateLimitService(new MemoryRateLimitStore(), configService([
+    { name: 'global', routes: ['/api/*'], limit: 1, window: 60 }
+  ]))
+
+  const app = Fastify()
+  await app.register(fp(async fastify => {
+    fastify.decorate('getService', () => rateLimitService)
+  }, { name: 'container' }))
+  await app.register(fp(async fastify => {
+    fastify.decorate('jwtUtils', { verifyToken: async () => { throw new Error('invalid') } })
+  }, { name: 'jwt' }))
+  await app.register(require('../plugins/response'))
+  await app.register(require('../plugins/rate-limit'))
+  app.get('/api/v1/servers', async () => ({ ok: true }))
+  t.teardown(() => app.close())
+
+  const first = await app.inject({ method: 'GET', url: '/api/v1/servers' })
+  t.equal(first.statusCode, 200)
+  t.equal(first.headers['ratelimit-limit'], '1')
+  t.equal(first.headers['ratelimit-remaining'], '0')
+
+  const second = await app.inject({ method: 'GET', url: '/api/v1/servers' })
+  t.equal(second.statusCode, 429)
+  t.ok(parseInt(second.headers['retry-after']) > 0)
+  t.match(second.json(), { success: false, errorCode: 'RATE_LIMITED' })
+})
@@ -0,0 +1,84 @@
+'use strict'
+
+const t = require('tap')
+
+const SchedulerService = require('../src/services/SchedulerService')
+
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+// In-memory stand-in for ScheduledJobRepository and the database
+function createScheduler (state = {}) {
+  const row = { name: 'cleanup', last_slot: null, last_started_at: null, last_finished_at: null, ...state }
+  const db = { inTransaction: false, query: async () => ({ rows: [] }) }
+  db.transaction = async work => {
+    db.inTransaction = true
+    try {
+      return await work({})
+    } finally {
+      db.inTransaction = false
+    }
+  }
+
+  const repository = {
+    row,
+    tryLock: async () => true,
+    findForUpdate: async () => ({ ...row }),
+    claimRun: async (client, name, { slot, startedAt }) => {
+      Object.assign(row, { last_slot: slot || row.last_slot, last_started_at: startedAt })
+    },
+    recordRun: async (client, name, run) => {
+      t.equal(client, db, 'the outcome is stored outside the claim transaction')
+      Object.assign(row, { last_status: run.status, last_finished_at: run.finishedAt })
+    }
+  }
+
+  return { scheduler: new SchedulerService(repository, db, logger), repository, db }
+}
+
+t.test('the handler runs after the claim transaction commits', async t => {
+  const { scheduler, repository, db } = createScheduler()
+  const slot = new Date('2026-10-19T00:00:00Z')
+  let ranInTransaction = null
+
+  scheduler.registerJob({
+    name: 'cleanup',
+    schedule: '0 0 * * *',
+    handler: async () => {
+      ranInTransaction = db.inTransaction
+      t.same(repository.row.last_slot, slot, 'the slot is recorded before the handler starts')
+      return { removed: 3 }
+    }
+  })
+
+  const outcome = await scheduler.runJob('cleanup', { slot })
+  t.equal(ranInTransaction, false)
+  t.match(outcome, { name: 'cleanup', status: 'success', result: { removed: 3 } })
+  t.equal(repository.row.last_status, 'success')
+
+  t.match(await scheduler.runJob('cleanup', { slot }), { status: 'skipped', reason: 'already_ran' })
+})
+
+t.test('runs in progress on another instance are skipped until their lease ends', async t => {
+  const now = Date.now()
+  const { scheduler } = createScheduler({ last_started_at: new Date(now - 60 * 1000), last_finished_at: new Date(now - 24 * 3600 * 1000) })
+  let runs = 0
+  scheduler.registerJob({ name: 'cleanup', schedule: '0 0 * * *', handler: async () => { runs++ } })
+
+  t.match(await scheduler.runJob('cleanup', { manual: true }), { status: 'skipped', reason: 'already_running' })
+  t.equal(runs, 0)
+
+  t.notOk(SchedulerService.isRunInProgress({ last_started_at: new Date(now - 2 * 3600 * 1000), last_finished_at: null }, new Date(now)),
+    'a crashed run stops blocking after the lease')
+  t.notOk(SchedulerService.isRunInProgress({ last_started_at: new Date(now - 1000), last_finished_at: new Date(now) }, new Date(now)))
+})
+
+t.test('a failing handler is recorded and locked jobs are skipped', async t => {
+  const { scheduler, repository } = createScheduler()
+  scheduler.registerJob({ name: 'cleanup', schedule: '0 0 * * *', handler: async () => { throw new Error('boom') } })
+
+  t.match(await scheduler.runJob('cleanup', { manual: true }), { status: 'failed', error: 'boom' })
+  t.equal(repository.row.last_status, 'failed')
+
+  repository.tryLock = async () => false
+  t.match(await scheduler.runJob('cleanup', { manual: true }), { status: 'skipped', reason: 'locked' })
+})
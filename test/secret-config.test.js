@@ -0,0 +1,63 @@
+'use strict'
+
+const t = require('tap')
+const crypto = require('crypto')
+
+const SecretCipher = require('../src/utils/secretCipher')
+const ConfigDTO = require('../src/domains/config/dto/ConfigDTO')
+const ConfigService = require('../src/domains/config/services/ConfigService')
+
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+const cipher = new SecretCipher(crypto.randomBytes(32))
+
+function secretConfig (value, extra = {}) {
+  return new ConfigDTO({ key: 'recaptcha.secret_key', value, type: 'secret', env_var: 'RECAPTCHA_SECRET_KEY', ...extra })
+}
+
+t.test('cipher round-trips and rejects tampered or moved values', async t => {
+  const payload = cipher.encrypt('top-secret', 'recaptcha.secret_key')
+  t.ok(SecretCipher.isEncrypted(payload))
+  t.notOk(payload.includes('top-secret'))
+  t.equal(cipher.decrypt(payload, 'recaptcha.secret_key'), 'top-secret')
+  t.throws(() => cipher.decrypt(payload, 'security.ip_abusedbip_api_key'))
+
+  const parts = payload.split(':')
+  parts[4] = Buffer.from('tampered').toString('base64url')
+  t.throws(() => cipher.decrypt(parts.join(':'), 'recaptcha.secret_key'))
+
+  t.equal(SecretCipher.fromEnv({}), null)
+  t.throws(() => SecretCipher.fromEnv({ CONFIG_ENCRYPTION_KEY: 'short' }))
+  t.ok(SecretCipher.fromEnv({ CONFIG_ENCRYPTION_KEY: crypto.randomBytes(32).toString('base64') }))
+})
+
+t.test('secrets are masked for the API and never public', async t => {
+  const json = secretConfig(cipher.encrypt('x', 'recaptcha.secret_key'), { is_public: true }).toJSON()
+  t.equal(json.value, '********')
+  t.equal(json.env_var, 'RECAPTCHA_SECRET_KEY')
+  t.equal(secretConfig(null).toJSON().value, null)
+  t.equal(secretConfig('x', { is_public: true }).toPublicJSON(), null)
+})
+
+t.test('ConfigService decrypts for callers, prefers the environment and encrypts writes', async t => {
+  let stored = secretConfig(cipher.encrypt('from-db', 'recaptcha.secret_key'))
+  const configRepository = {
+    db: { transaction: async work => work({}) },
+    findAll: async () => [stored],
+    findByKey: async () => stored,
+    updateByKey: async (key, data) => { stored = secretConfig(data.value); return stored }
+  }
+
+  const service = new ConfigService(configRepository, logger, cipher, {})
+  t.equal(await service.get('recaptcha.secret_key'), 'from-db')
+
+  const overridden = new ConfigService(configRepository, logger, cipher, { RECAPTCHA_SECRET_KEY: 'from-env' })
+  t.equal(await overridden.get('recaptcha.secret_key'), 'from-env')
+
+  await service.update('recaptcha.secret_key', { value: 'rotated' })
+  t.ok(SecretCipher.isEncrypted(stored.value))
+  t.equal(await service.get('recaptcha.secret_key'), 'rotated')
+  await t.rejects(service.update('recaptcha.secret_key', { is_public: true }), { statusCode: 400, errorCode: 'SECRET_CANNOT_BE_PUBLIC' })
+
+  const keyless = new ConfigService(configRepository, logger, null, {})
+  await t.rejects(keyless.update('recaptcha.secret_key', { value: 'plain' }), { statusCode: 500, errorCode: 'ENCRYPTION_KEY_MISSING' })
+})
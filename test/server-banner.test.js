@@ -0,0 +1,157 @@
+'use strict'
+
+const t = require('tap')
+const zlib = require('zlib')
+
+const { encodePng, decodePng } = require('../src/services/banner/png')
+const { glyphPixels, measureText, fitText } = require('../src/services/banner/bitmapFont')
+const BannerService = require('../src/services/banner/BannerService')
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} }
+
+function pixelAt (image, x, y) {
+  const o = (y * image.width + x) * 4
+  return Array.from(image.data.subarray(o, o + 4))
+}
+
+function createService (row) {
+  const calls = { favicon: 0 }
+  const icon = new Uint8Array(16 * 16 * 4).fill(255)
+  const repository = {
+    findBannerData: async ({ id, slug }) => (id === row.id || slug === row.slug) ? { ...row } : null
+  }
+  const faviconUtils = {
+    readFavicon: async () => {
+      calls.favicon++
+      return { buffer: encodePng(16, 16, icon) }
+    }
+  }
+  return { service: new BannerService(repository, faviconUtils, logger), calls }
+}
+
+const row = {
+  id: 5,
+  name: 'Šiaulių Survival',
+  host: 'play.example.lt',
+  port: 25565,
+  edition: 'java',
+  max_players: 100,
+  favicon_path: `favicons/${'a'.repeat(32)}.png`,
+  updated_at: '2026-01-01T00:00:00Z',
+  is_active: true,
+  slug: 'siauliu-survival',
+  server_data_id: 41,
+  total_votes: 12,
+  vote_rank: 3,
+  data: {
+    online: true,
+    version: '1.20.4',
+    players: { online: 7, max: 100 },
+    motd: { raw: ['§aSveiki <atvykę> & §cgero žaidimo', '§rnumatyta spalva'], clean: [], html: [] }
+  }
+}
+
+t.test('PNG encoder output round-trips through the decoder', async t => {
+  const rgba = new Uint8Array(3 * 2 * 4)
+  rgba.set([255, 0, 0, 255, 0, 255, 0, 128, 0, 0, 255, 0], 0)
+  rgba.set([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], 12)
+
+  const decoded = decodePng(encodePng(3, 2, rgba))
+  t.equal(decoded.width, 3)
+  t.equal(decoded.height, 2)
+  t.same(Array.from(decoded.data), Array.from(rgba))
+
+  t.equal(decodePng(Buffer.from('not a png')), null)
+})
+
+t.test('decoder undoes scanline filters on RGB images', async t => {
+  // Two rows of RGB: Sub filter then Up filter
+  const raw = Buffer.from([1, 10, 20, 30, 5, 5, 5, 2, 1, 1, 1, 0, 0, 0])
+  const ihdr = Buffer.alloc(13)
+  ihdr.writeUInt32BE(2, 0)
+  ihdr.writeUInt32BE(2, 4)
+  ihdr[8] = 8
+  ihdr[9] = 2
+  const chunk = (type, data) => {
+    const head = Buffer.alloc(4)
+    head.writeUInt32BE(data.length)
+    return Buffer.concat([head, Buffer.from(type), data, Buffer.alloc(4)])
+  }
+  const png = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr), chunk('IDAT', zlib.deflateSync(raw)), chunk('IEND', Buffer.alloc(0))
+  ])
+
+  const image = decodePng(png)
+  t.same(pixelAt(image, 1, 0), [15, 25, 35, 255])
+  t.same(pixelAt(image, 1, 1), [15, 25, 35, 255])
+  t.same(pixelAt(image, 0, 1), [11, 21, 31, 255])
+})
+
+t.test('bitmap font covers Lithuanian letters and truncates with an ellipsis', async t => {
+  const question = glyphPixels('?')
+  for (const char of 'ąčęėįšųūžĄČĘĖĮŠŲŪŽ') {
+    t.not(glyphPixels(char), question, `${char} has its own glyph`)
+  }
+  t.ok(glyphPixels('Š').some(([, row]) => row < 0), 'capital marks sit above the glyph body')
+  t.same(glyphPixels('☃'), question)
+
+  t.equal(measureText('abc', 2), 34)
+  t.equal(fitText('Survival', 100), 'Survival')
+  t.equal(fitText('Survival Lietuva', 60), 'Surviva...')
+})
+
+t.test('banners render at each preset size', async t => {
+  const { service } = createService(row)
+
+  for (const [size, expected] of [['small', [468, 60]], ['medium', [560, 95]], ['large', [728, 90]]]) {
+    const image = await service.getBanner(5, { size })
+    t.equal(image.contentType, 'image/png')
+    const decoded = decodePng(image.body)
+    t.same([decoded.width, decoded.height], expected, size)
+  }
+
+  const og = decodePng((await service.getOgImage('siauliu-survival')).body)
+  t.same([og.width, og.height], [1200, 630])
+})
+
+t.test('SVG banners escape server text and embed the favicon', async t => {
+  const { service } = createService(row)
+  const svg = (await service.getBanner(5, { format: 'svg' })).body.toString()
+
+  t.equal((await service.getBanner(5, { format: 'svg' })).contentType, 'image/svg+xml; charset=utf-8')
+  t.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="728" height="90"/)
+  t.match(svg, '<tspan fill="#55ff55">Sveiki &lt;atvykę&gt; &amp; </tspan>')
+  t.match(svg, '<tspan fill="#aaaaaa">numatyta spalva</tspan>', 'uncolored MOTD text is gray')
+  t.match(svg, 'Šiaulių Survival')
+  t.match(svg, '7/100 žaidėjų')
+  t.match(svg, '>#3<')
+  t.match(svg, 'href="data:image/png;base64,')
+  t.notMatch(svg, '<atvykę>')
+})
+
+t.test('rendered images are cached until the latest ping changes', async t => {
+  const { service, calls } = createService(row)
+
+  const first = await service.getBanner(5)
+  const second = await service.getBanner(5)
+  t.equal(second, first, 'served from cache')
+  t.equal(calls.favicon, 1)
+  t.match(first.etag, /^"[a-f0-9]{27}"$/)
+
+  row.server_data_id = 42
+  const third = await service.getBanner(5)
+  t.not(third.etag, first.etag, 'a new server_data row renders again')
+  t.equal(calls.favicon, 2)
+  row.server_data_id = 41
+
+  t.not((await service.getBanner(5, { size: 'small' })).etag, first.etag)
+})
+
+t.test('unknown and inactive servers have no banner; unranked servers show no place', async t => {
+  t.equal(await createService(row).service.getBanner(6), null)
+  t.equal(await createService({ ...row, is_active: false }).service.getBanner(5), null)
+
+  const svg = (await createService({ ...row, total_votes: 0, vote_rank: 9 }).service.getBanner(5, { format: 'svg' })).body.toString()
+  t.notMatch(svg, '>#9<')
+})
@@ -0,0 +1,28 @@
+'use strict'
+
+const t = require('tap')
+
+const ServerService = require('../src/domains/server/services/ServerService')
+
+const service = new ServerService(null, null, null, null, null, null, null)
+
+t.test('Java and mixed servers keep their Java port', async t => {
+  t.same(service.resolveEditionPorts({}), { edition: 'java', port: 25565, bedrock_port: null })
+  t.same(service.resolveEditionPorts({ edition: 'both', port: 25570 }), { edition: 'both', port: 25570, bedrock_port: 19132 })
+})
+
+t.test('Bedrock-only servers take port as their Bedrock port', async t => {
+  t.same(service.resolveEditionPorts({ edition: 'bedrock' }), { edition: 'bedrock', port: 19132, bedrock_port: 19132 })
+  t.same(service.resolveEditionPorts({ edition: 'bedrock', port: 19140 }), { edition: 'bedrock', port: 19140, bedrock_port: 19140 })
+  t.same(service.resolveEditionPorts({ edition: 'bedrock', port: 19140, bedrock_port: 19140 }), { edition: 'bedrock', port: 19140, bedrock_port: 19140 })
+
+  const existing = { edition: 'bedrock', port: 19132, bedrock_port: 19132 }
+  t.same(service.resolveEditionPorts({ port: 19150 }, existing), { edition: 'bedrock', port: 19150, bedrock_port: 19150 }, 'updates move the Bedrock port')
+})
+
+t.test('a conflicting port for a Bedrock-only server is rejected', async t => {
+  t.throws(() => service.resolveEditionPorts({ edition: 'bedrock', port: 25565, bedrock_port: 19132 }), {
+    statusCode: 400,
+    errorCode: 'VALIDATION_ERROR'
+  })
+})
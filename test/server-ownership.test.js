@@ -0,0 +1,201 @@
+'use strict'
+
+const t = require('tap')
+const Fastify = require('fastify')
+
+const ServerOwnershipService = require('../src/domains/server/services/ServerOwnershipService')
+const ServerPingService = require('../src/domains/server/services/ServerPingService')
+const ServerDTO = require('../src/domains/server/dto/ServerDTO')
+const ErrorHandler = require('../src/lib/ErrorHandler')
+const { SuccessResponseSchema, ErrorResponseSchema } = require('../src/shared/schemas/components/ResponseSchemas')
+
+function createService ({ server = {}, txt = {} } = {}) {
+  const servers = new Map([[1, { id: 1, name: 'Test', host: 'play.example.lt', port: 25565, created_by: 10, verified_at: null, ...server }]])
+  const claims = []
+
+  const serverRepository = {
+    findById: async id => servers.has(id) ? ServerDTO.fromDatabase(servers.get(id)) : null
+  }
+
+  const withServer = claim => {
+    const row = servers.get(claim.server_id)
+    return { ...claim, server_name: row.name, host: row.host, port: row.port, current_owner_id: row.created_by }
+  }
+
+  const ownershipRepository = {
+    db: { transaction: async work => work({}) },
+    createClaim: async ({ serverId, userId, token, method, previousOwnerId, expiresAt }) => {
+      claims.filter(c => c.server_id === serverId && c.user_id === userId && c.status === 'pending')
+        .forEach(c => { c.status = 'expired' })
+      const claim = { id: claims.length + 1, server_id: serverId, user_id: userId, token, method, status: 'pending', previous_owner_id: previousOwnerId, expires_at: expiresAt, created_at: new Date() }
+      claims.push(claim)
+      return { ...claim }
+    },
+    findClaim: async id => {
+      const claim = claims.find(c => c.id === id)
+      return claim ? withServer(claim) : null
+    },
+    findLatestClaim: async (serverId, userId) => {
+      const claim = claims.filter(c => c.server_id === serverId && c.user_id === userId).pop()
+      return claim ? withServer(claim) : null
+    },
+    findPendingClaims: async (serverId, method) => claims.filter(c => c.server_id === serverId && c.status === 'pending' && c.method === method),
+    updateClaimStatus: async (id, { status, resolvedBy }) => {
+      const claim = claims.find(c => c.id === id)
+      Object.assign(claim, { status, resolved_by: resolvedBy, verified_at: status === 'verified' ? new Date() : claim.verified_at })
+      return { ...claim }
+    },
+    rejectOtherClaims: async (serverId, exceptId) => {
+      claims.filter(c => c.server_id === serverId && c.id !== exceptId && c.status === 'pending')
+        .forEach(c => { c.status = 'rejected' })
+    },
+    assignVerifiedOwner: async (serverId, userId) => {
+      Object.assign(servers.get(serverId), { created_by: userId, verified_at: new Date(), verified_by: userId })
+    }
+  }
+
+  const configService = { get: async (key, defaultValue) => defaultValue }
+  const dnsResolver = {
+    resolveTxt: async name => {
+      if (!txt[name]) throw new Error('ENOTFOUND')
+      return txt[name]
+    }
+  }
+
+  const service = new ServerOwnershipService(ownershipRepository, serverRepository, configService, null, dnsResolver)
+  return { service, servers, claims }
+}
+
+t.test('tokens are matched in clean or raw MOTD lines', async t => {
+  const token = ServerOwnershipService.generateToken()
+  t.match(token, /^mclist-verify-[0-9a-f]{16}$/)
+
+  t.ok(ServerOwnershipService.motdContainsToken({ clean: ['Sveiki!', `kodas ${token}`], raw: [] }, token))
+  t.ok(ServerOwnershipService.motdContainsToken({ clean: [], raw: [`§a${token.toUpperCase()}`] }, token))
+  t.notOk(ServerOwnershipService.motdContainsToken({ clean: ['Sveiki!'], raw: [] }, token))
+  t.notOk(ServerOwnershipService.motdContainsToken(null, token))
+})
+
+t.test('a verified MOTD claim by another user transfers the listing', async t => {
+  const { service, servers, claims } = createService()
+
+  const ownerClaim = await service.createClaim(1, 10, 'motd')
+  const claim = await service.createClaim(1, 20, 'motd')
+  t.equal(claim.is_transfer, true)
+  t.equal(claim.previous_owner_id, 10)
+  t.match(claim.instructions, claim.token)
+
+  t.equal(await service.detectMotdToken(1, { clean: ['Kitas tekstas'], raw: [] }), null)
+
+  const completed = await service.detectMotdToken(1, { clean: [`Sveiki! ${claim.token}`], raw: [] })
+  t.equal(completed.status, 'verified')
+  t.equal(servers.get(1).created_by, 20)
+  t.ok(servers.get(1).verified_at)
+  t.equal(claims.find(c => c.id === ownerClaim.id).status, 'rejected')
+
+  const status = await service.getOwnershipStatus(1, 20)
+  t.match(status, { is_verified: true, is_owner: true, claim: { status: 'verified' } })
+  t.equal(status.claim.token, undefined)
+
+  await t.rejects(service.createClaim(1, 20), { statusCode: 409, errorCode: 'ALREADY_VERIFIED' })
+})
+
+t.test('DNS claims are verified from the TXT record', async t => {
+  const txt = {}
+  const { service, servers } = createService({ txt })
+  const claim = await service.createClaim(1, 10, 'dns')
+
+  await t.rejects(service.verifyClaim(1, 10), { statusCode: 400, errorCode: 'TOKEN_NOT_FOUND' })
+  t.equal(servers.get(1).verified_at, null)
+
+  // Long TXT values arrive split into chunks
+  txt['_mclist-verify.play.example.lt'] = [['v=spf1 -all'], [claim.token.slice(0, 10), claim.token.slice(10)]]
+  t.match(await service.verifyClaim(1, 10), { status: 'verified', is_transfer: false })
+  t.equal(servers.get(1).created_by, 10)
+  t.ok(servers.get(1).verified_at)
+
+  await t.rejects(service.verifyClaim(1, 99), { statusCode: 404, errorCode: 'CLAIM_NOT_FOUND' })
+})
+
+t.test('DNS claims need a hostname and claims expire', async t => {
+  const { service: ipService } = createService({ server: { host: '192.0.2.10' } })
+  await t.rejects(ipService.createClaim(1, 10, 'dns'), { errorCode: 'DNS_NOT_AVAILABLE' })
+
+  const { service, claims } = createService()
+  await service.createClaim(1, 20)
+  claims[0].expires_at = new Date(Date.now() - 1000)
+  await t.rejects(service.verifyClaim(1, 20), { errorCode: 'CLAIM_EXPIRED' })
+  t.equal(claims[0].status, 'expired')
+})
+
+t.test('admins can reject a pending dispute', async t => {
+  const { service, servers } = createService()
+  const claim = await service.createClaim(1, 20)
+
+  t.match(await service.resolveClaim(claim.id, 1, false, 'Neįrodyta'), { status: 'rejected' })
+  t.equal(servers.get(1).created_by, 10)
+  await t.rejects(service.resolveClaim(claim.id, 1, true), { errorCode: 'CLAIM_CLOSED' })
+})
+
+async function createApp (t, serverOwnershipService, serverPingService) {
+  const services = {
+    serverOwnershipService,
+    serverPingService,
+    authService: { validateAccessToken: async decoded => ({ id: decoded.id, role: 'user' }) }
+  }
+  const app = Fastify()
+  app.addSchema(SuccessResponseSchema)
+  app.addSchema(ErrorResponseSchema)
+  app.decorate('getService', name => services[name])
+  app.decorate('jwtUtils', { verifyToken: async token => ({ id: parseInt(token) }) })
+  await app.register(require('../plugins/response'))
+  app.setErrorHandler((error, request, reply) => ErrorHandler.handleError(error, request, reply))
+  await app.register(require('../routes/api/v1/servers/ownership'))
+  t.teardown(() => app.close())
+  return app
+}
+
+t.test('verify only pings for a pending MOTD claim', async t => {
+  const { service } = createService()
+  const pinged = []
+  const app = await createApp(t, service, { pingServer: async (id, options) => { pinged.push([id, options]) } })
+  const verify = user => app.inject({ method: 'POST', url: '/1/ownership/verify', headers: { authorization: `Bearer ${user}` } })
+
+  const none = await verify(20)
+  t.equal(none.statusCode, 404)
+  t.same(pinged, [], 'no claim, no ping')
+
+  await service.createClaim(1, 10, 'dns')
+  t.equal((await verify(10)).statusCode, 400)
+  t.same(pinged, [], 'DNS claims are checked without a ping')
+
+  await service.createClaim(1, 20, 'motd')
+  const motd = await verify(20)
+  t.equal(motd.json().errorCode, 'TOKEN_NOT_FOUND')
+  t.same(pinged, [[1, { forceRefresh: true }]])
+})
+
+t.test('ping request errors keep their status codes', async t => {
+  const { service } = createService()
+  await service.createClaim(1, 20, 'motd')
+
+  const stored = []
+  const pingService = new ServerPingService(
+    { findById: async () => null },
+    { insert: async row => stored.push(row) },
+    null,
+    { debug () {}, info () {}, warn () {}, error () {} }
+  )
+  const app = await createApp(t, service, pingService)
+  const verify = () => app.inject({ method: 'POST', url: '/1/ownership/verify', headers: { authorization: 'Bearer 20' } })
+
+  const missing = await verify()
+  t.equal(missing.statusCode, 404)
+  t.equal(missing.json().errorCode, 'SERVER_NOT_FOUND')
+
+  pingService.maxConcurrentPings = 0
+  const limited = await verify()
+  t.equal(limited.statusCode, 429)
+  t.equal(limited.json().errorCode, 'PING_RATE_LIMITED')
+  t.same(stored, [], 'the server is not recorded as offline')
+})
@@ -0,0 +1,93 @@
+'use strict'
+
+const t = require('tap')
+
+const { slugify, validateSlug, uniqueSlug } = require('../src/utils/slug')
+const SeoService = require('../src/services/SeoService')
+
+const logger = { info () {}, warn () {}, error () {}, debug () {} }
+
+function createSeoService () {
+  const seo = new Map()
+  const history = new Map()
+
+  const repository = {
+    findSlugByServerId: async serverId => seo.get(serverId)?.slug || null,
+    findTakenSlugs: async (base, serverId) => {
+      const taken = new Set()
+      for (const [id, row] of seo) if (id !== serverId) taken.add(row.slug)
+      for (const [slug, id] of history) if (id !== serverId) taken.add(slug)
+      return new Set([...taken].filter(slug => slug === base || slug.startsWith(`${base}-`)))
+    },
+    isSlugTaken: async (slug, serverId) => (await repository.findTakenSlugs(slug, serverId)).has(slug),
+    findRedirectSlug: async oldSlug => history.has(oldSlug) ? seo.get(history.get(oldSlug)).slug : null,
+    changeSlug: async (serverId, oldSlug, newSlug) => {
+      if (!history.has(oldSlug)) history.set(oldSlug, serverId)
+      if (history.get(newSlug) === serverId) history.delete(newSlug)
+      seo.get(serverId).slug = newSlug
+    },
+    upsertByServerId: async (serverId, data) => {
+      const row = { ...seo.get(serverId), ...data, server_id: serverId }
+      seo.set(serverId, row)
+      return row
+    }
+  }
+
+  return { service: new SeoService(repository, logger), seo, history }
+}
+
+const server = (id, name) => ({ id, name, host: 'play.example.lt', port: 25565, server_types: [] })
+
+t.test('slugify transliterates every Lithuanian letter', async t => {
+  t.equal(slugify('ĄČĘĖĮŠŲŪŽ ąčęėįšųūž'), 'aceeisuuz-aceeisuuz')
+  t.equal(slugify('  Šiaulių „Žaidimai“ – Café!! '), 'siauliu-zaidimai-cafe')
+  t.equal(slugify('Survival LT'), 'survival-lt')
+  t.equal(slugify('!!!'), '')
+  t.ok(slugify('a'.repeat(200)).length <= 80)
+})
+
+t.test('slug rules and deterministic suffixes', async t => {
+  t.equal(validateSlug('survival-lt'), null)
+  t.ok(validateSlug('ab'))
+  t.ok(validateSlug('Survival'))
+  t.ok(validateSlug('double--hyphen'))
+  t.ok(validateSlug('12345'))
+
+  t.equal(uniqueSlug('survival-lt', new Set()), 'survival-lt')
+  t.equal(uniqueSlug('survival-lt', new Set(['survival-lt', 'survival-lt-2'])), 'survival-lt-3')
+  t.equal(uniqueSlug('a'.repeat(80), new Set(['a'.repeat(80)])).length, 80)
+})
+
+t.test('servers with the same name get distinct slugs that survive renames', async t => {
+  const { service, seo } = createSeoService()
+
+  await service.generateSeoForServer(server(1, 'Survival LT'))
+  await service.generateSeoForServer(server(2, 'Survival LT'))
+  await service.generateSeoForServer(server(3, '!!!'))
+  t.equal(seo.get(1).slug, 'survival-lt')
+  t.equal(seo.get(2).slug, 'survival-lt-2')
+  t.equal(seo.get(3).slug, 'serveris-3')
+
+  await service.generateSeoForServer(server(1, 'Kitas pavadinimas'))
+  t.equal(seo.get(1).slug, 'survival-lt')
+  t.equal(seo.get(1).canonical_url, 'https://mclist.lt/servers/survival-lt')
+})
+
+t.test('changed slugs keep redirecting and stay reserved', async t => {
+  const { service, seo } = createSeoService()
+  await service.generateSeoForServer(server(1, 'Survival LT'))
+  await service.generateSeoForServer(server(2, 'Skyblock'))
+
+  t.equal(await service.changeSlug(1, 'survival-lietuva', 7), true)
+  t.equal(seo.get(1).slug, 'survival-lietuva')
+  t.equal(await service.findRedirectSlug('survival-lt'), 'survival-lietuva')
+  t.equal(await service.changeSlug(1, 'survival-lietuva'), false)
+
+  await t.rejects(service.changeSlug(2, 'survival-lt'), { statusCode: 409, errorCode: 'SLUG_TAKEN' })
+  await t.rejects(service.changeSlug(2, 'Bad Slug'), { statusCode: 400, errorCode: 'VALIDATION_ERROR' })
+
+  // A server may take back its own former slug
+  t.equal(await service.changeSlug(1, 'survival-lt'), true)
+  t.equal(await service.findRedirectSlug('survival-lt'), null)
+  t.equal(await service.findRedirectSlug('survival-lietuva'), 'survival-lt')
+})
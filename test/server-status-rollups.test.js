@@ -0,0 +1,53 @@
+'use strict'
+
+const t = require('tap')
+
+const ServerDataRepository = require('../src/domains/server/repositories/ServerDataRepository')
+
+function createDatabase() {
+  const queries = []
+  const client = {
+    query: async (sql, params) => {
+      queries.push({ sql, params })
+      if (/INSERT INTO server_data/.test(sql)) {
+        return { rows: [{ id: 41, server_id: params[0], data: JSON.parse(params[1]), created_at: new Date('2026-10-19T10:17:00') }] }
+      }
+      return { rows: [], rowCount: 1 }
+    }
+  }
+  return { queries, db: { transaction: async (callback) => callback(client) } }
+}
+
+t.test('a ping updates latest status and both rollups in one transaction', async t => {
+  const { db, queries } = createDatabase()
+  const repository = new ServerDataRepository(db)
+
+  const row = await repository.insert({ server_id: 7, data: { online: true, players: { online: 12, max: 100 } } })
+
+  t.equal(row.id, 41)
+  t.equal(queries.length, 4)
+  t.match(queries[1].sql, /INSERT INTO latest_server_status/)
+  t.same(queries[1].params.slice(0, 6), [7, 41, JSON.stringify({ online: true, players: { online: 12, max: 100 } }), true, 12, 100])
+  t.match(queries[2].sql, /server_status_hourly[\s\S]*date_trunc\('hour'/)
+  t.match(queries[3].sql, /server_status_daily/)
+  t.same(queries[2].params.slice(2), [1, 12, 100], 'online sample with player count')
+})
+
+t.test('offline samples count towards uptime without players', async t => {
+  const { db, queries } = createDatabase()
+  const repository = new ServerDataRepository(db)
+
+  await repository.insert({ server_id: 7, data: { online: false, error: 'ETIMEDOUT' } })
+
+  t.same(queries[2].params.slice(2), [0, null, null])
+})
+
+t.test('initial placeholders only touch latest status', async t => {
+  const { db, queries } = createDatabase()
+  const repository = new ServerDataRepository(db)
+
+  await repository.insert({ server_id: 7, data: { online: false, players: { online: 0, max: 0 }, initial: true } })
+
+  t.equal(queries.length, 2)
+  t.match(queries[1].sql, /latest_server_status/)
+})
@@ -0,0 +1,130 @@
+'use strict'
+
+const t = require('tap')
+
+const Totp = require('../src/utils/totp')
+const TwoFactorService = require('../src/domains/auth/services/TwoFactorService')
+const AuthService = require('../src/domains/auth/services/AuthService')
+
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+t.test('TOTP matches the RFC 6238 test vectors', async t => {
+  const secret = Totp.base32Encode(Buffer.from('12345678901234567890'))
+  t.equal(secret, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ')
+  t.equal(Totp.generate(secret, Totp.getStep(59 * 1000)), '287082')
+  t.equal(Totp.generate(secret, Totp.getStep(1111111109 * 1000)), '081804')
+  t.same(Totp.base32Decode(secret), Buffer.from('12345678901234567890'))
+
+  const now = 1111111109 * 1000
+  t.equal(Totp.verify(secret, '081804', { now: now + 30 * 1000 }), Totp.getStep(now), 'one step of drift is accepted')
+  t.equal(Totp.verify(secret, '081804', { now: now + 90 * 1000 }), null)
+  t.equal(Totp.verify(secret, 'abcdef', { now }), null)
+
+  t.equal(
+    Totp.buildOtpauthUrl({ secret, issuer: 'MC List', account: 'steve@example.lt' }),
+    `otpauth://totp/MC%20List:steve%40example.lt?secret=${secret}&issuer=MC%20List&algorithm=SHA1&digits=6&period=30`
+  )
+})
+
+function createServices() {
+  const users = new Map([[1, { id: 1, email: 'admin@example.lt', role: 'admin' }]])
+  const records = new Map()
+  const codes = []
+  const attempts = []
+  const sessions = []
+
+  const twoFactorRepository = {
+    db: { transaction: async callback => callback({}) },
+    findByUserId: async userId => records.get(userId) || null,
+    savePendingSecret: async (userId, secret) => {
+      if (records.get(userId)?.enabled_at) return null
+      records.set(userId, { user_id: userId, secret, enabled_at: null, last_used_step: null })
+      return records.get(userId)
+    },
+    enable: async (userId, step) => Object.assign(records.get(userId), { enabled_at: new Date(), last_used_step: step }),
+    claimStep: async (userId, step) => {
+      const record = records.get(userId)
+      if (record.last_used_step !== null && record.last_used_step >= step) return false
+      record.last_used_step = step
+      return true
+    },
+    replaceRecoveryCodes: async (userId, hashes) => {
+      codes.length = 0
+      hashes.forEach(hash => codes.push({ hash, used: false }))
+    },
+    useRecoveryCode: async (userId, hash) => {
+      const code = codes.find(c => c.hash === hash && !c.used)
+      if (!code) return false
+      code.used = true
+      return true
+    },
+    countRemainingRecoveryCodes: async () => codes.filter(c => !c.used).length
+  }
+  const authSessionRepository = {
+    db: {},
+    setSessionMfa: async sid => sessions.push({ sid, upgraded: true }),
+    createSession: async (client, session) => sessions.push(session)
+  }
+  const configService = {
+    getSiteName: async () => 'MCList',
+    isTwoFactorRequiredForAdmins: async () => true,
+    getLockoutDuration: async () => 3600,
+    getMaxLoginAttempts: async () => 5,
+    getAttemptWindow: async () => 600
+  }
+  const loginLogRepository = {
+    logAttempt: async row => attempts.push(row),
+    isAccountLocked: async () => ({ locked: false }),
+    getFailedAttempts: async () => ({ count: attempts.filter(a => a.attempt_result === 'two_factor_failed').length })
+  }
+  const userRepository = { findById: async id => users.get(id) || null }
+  const jwtUtils = {
+    verifyToken: async token => JSON.parse(token),
+    generateAccessToken: async payload => JSON.stringify(payload),
+    refreshTokenTtlMs: 60000,
+    accessTokenExpiresIn: '24h'
+  }
+  const profiles = { getUserProfile: async id => ({ ...users.get(id) }) }
+
+  const twoFactorService = new TwoFactorService(twoFactorRepository, userRepository, authSessionRepository, configService, logger)
+  const authService = new AuthService(userRepository, profiles, jwtUtils, null, configService, loginLogRepository, logger, authSessionRepository, null, null, twoFactorService)
+  return { twoFactorService, authService, records, attempts, sessions }
+}
+
+t.test('enrollment, two-step login and recovery codes', async t => {
+  const { twoFactorService, authService, records, attempts, sessions } = createServices()
+  const admin = { id: 1, role: 'admin', sid: 'current-session' }
+
+  const { secret, otpauth_url } = await twoFactorService.startEnrollment(1)
+  t.match(otpauth_url, /^otpauth:\/\/totp\/MCList:admin%40example\.lt\?secret=/)
+  t.notOk(await twoFactorService.isEnabled(1), 'not enabled before confirmation')
+
+  await t.rejects(twoFactorService.confirmEnrollment(admin, Totp.generate(secret, Totp.getStep() + 5)), { errorCode: 'INVALID_TWO_FACTOR_CODE' })
+
+  // Codes from the previous step keep the test independent of the clock
+  const step = Totp.getStep() - 1
+  const { recovery_codes } = await twoFactorService.confirmEnrollment(admin, Totp.generate(secret, step))
+  t.equal(recovery_codes.length, 10)
+  t.match(recovery_codes[0], /^[a-z2-7]{5}-[a-z2-7]{5}$/)
+  t.same(sessions, [{ sid: 'current-session', upgraded: true }], 'enrolling session counts as verified')
+  await t.rejects(twoFactorService.startEnrollment(1), { statusCode: 409 })
+
+  const challenge = JSON.stringify({ id: 1, purpose: 'two_factor_challenge' })
+  await t.rejects(authService.verifyTwoFactorLogin({ challenge_token: JSON.stringify({ id: 1, sid: 'x' }), code: '123456' }), { errorCode: 'INVALID_CHALLENGE' })
+
+  const replayed = Totp.generate(secret, step)
+  await t.rejects(authService.verifyTwoFactorLogin({ challenge_token: challenge, code: replayed }), { statusCode: 401, errorCode: 'INVALID_TWO_FACTOR_CODE' })
+  t.equal(attempts.pop().attempt_result, 'two_factor_failed', 'a code already used for enrollment cannot be replayed')
+
+  const user = await authService.verifyTwoFactorLogin({ challenge_token: challenge, code: Totp.generate(secret, step + 1) })
+  t.ok(user.tokens.accessToken)
+  t.equal(sessions.pop().mfa, true)
+  t.equal(attempts.pop().attempt_result, 'success')
+
+  await authService.verifyTwoFactorLogin({ challenge_token: challenge, recovery_code: recovery_codes[3].toUpperCase() })
+  t.equal(attempts.pop().attempt_result, 'recovery_code_used')
+  await t.rejects(authService.verifyTwoFactorLogin({ challenge_token: challenge, recovery_code: recovery_codes[3] }), { errorCode: 'INVALID_TWO_FACTOR_CODE' })
+
+  const status = await twoFactorService.getStatus(admin)
+  t.same(status, { enabled: true, enabled_at: records.get(1).enabled_at, recovery_codes_remaining: 9, required: true, session_verified: false })
+})
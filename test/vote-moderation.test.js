@@ -0,0 +1,116 @@
+'use strict'
+
+const t = require('tap')
+
+const VoteService = require('../src/domains/vote/services/VoteService')
+
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+function createService(rows, { votifierEnabled = false } = {}) {
+  const recomputed = []
+  const applied = []
+  const enqueued = []
+  const cancelled = []
+  const client = {}
+  const voteRepository = {
+    db: { transaction: async (callback) => callback(client) },
+    findForModeration: async (c, ids) => rows.filter(row => ids.includes(row.id)),
+    cancelVotifierDelivery: async (c, ids) => {
+      t.equal(c, client, 'delivery cancelled inside the transaction')
+      cancelled.push(...ids)
+    },
+    applyModeration: async (c, votes, change) => {
+      applied.push({ ids: votes.map(vote => vote.id), ...change })
+      return votes.map(vote => ({ ...vote, moderation_status: change.status }))
+    }
+  }
+  const voteStatsRepository = {
+    recomputeForServer: async (serverId, c) => {
+      t.equal(c, client, 'stats rebuilt inside the transaction')
+      recomputed.push(serverId)
+    }
+  }
+  const votifierService = { getVotifierByServerId: async () => ({ is_enabled: votifierEnabled }) }
+  const votifierQueueService = { enqueue: async voteId => { enqueued.push(voteId) } }
+  const service = new VoteService(voteRepository, voteStatsRepository, votifierService, null, null, null, null, logger, votifierQueueService)
+  return { service, recomputed, applied, enqueued, cancelled }
+}
+
+t.test('moderation transitions', async t => {
+  t.ok(VoteService.canTransition('pending', 'flagged'))
+  t.ok(VoteService.canTransition('flagged', 'removed'))
+  t.ok(VoteService.canTransition('removed', 'verified'))
+  t.notOk(VoteService.canTransition('removed', 'flagged'))
+  t.notOk(VoteService.canTransition('verified', 'pending'))
+  t.notOk(VoteService.canTransition('flagged', 'flagged'))
+})
+
+t.test('bulk remove skips invalid votes and rebuilds stats per server', async t => {
+  const { service, recomputed, applied } = createService([
+    { id: 1, server_id: 10, moderation_status: 'pending' },
+    { id: 2, server_id: 10, moderation_status: 'flagged' },
+    { id: 3, server_id: 11, moderation_status: 'removed' }
+  ])
+
+  const result = await service.bulkModerate([1, 2, 3, 4], 'remove', { reason: 'botai', adminId: 7 })
+
+  t.same(result.updated.map(vote => vote.id), [1, 2])
+  t.same(result.skipped.map(skip => [skip.id, skip.code]), [
+    [3, 'INVALID_MODERATION_TRANSITION'],
+    [4, 'VOTE_NOT_FOUND']
+  ])
+  t.same(applied, [{ ids: [1, 2], status: 'removed', reason: 'botai', adminId: 7 }])
+  t.same(recomputed, [10])
+})
+
+t.test('restore only applies to removed votes', async t => {
+  const { service } = createService([
+    { id: 1, server_id: 10, moderation_status: 'flagged' },
+    { id: 2, server_id: 10, moderation_status: 'removed' }
+  ])
+
+  const result = await service.bulkModerate([1, 2], 'restore', { adminId: 7 })
+  t.same(result.updated.map(vote => [vote.id, vote.moderation_status]), [[2, 'verified']])
+  t.same(result.skipped.map(skip => skip.id), [1])
+})
+
+t.test('single vote errors map to status codes', async t => {
+  const { service } = createService([{ id: 1, server_id: 10, moderation_status: 'removed' }])
+
+  await t.rejects(service.flagVote(1, 'x', 7), { statusCode: 409, errorCode: 'INVALID_MODERATION_TRANSITION' })
+  await t.rejects(service.flagVote(99, 'x', 7), { statusCode: 404, errorCode: 'VOTE_NOT_FOUND' })
+})
+
+t.test('verifying a flagged vote queues it for Votifier delivery', async t => {
+  const { service, enqueued } = createService([
+    { id: 1, server_id: 10, moderation_status: 'flagged', votifier_status: null },
+    { id: 2, server_id: 10, moderation_status: 'removed', votifier_status: 'sent' },
+    { id: 3, server_id: 10, moderation_status: 'pending', votifier_status: null }
+  ], { votifierEnabled: true })
+
+  await service.bulkModerate([3], 'flag', { adminId: 7 })
+  t.same(enqueued, [], 'flagging never queues')
+
+  await service.bulkModerate([1, 2], 'verify', { adminId: 7 })
+  t.same(enqueued, [1], 'votes already delivered are not queued again')
+})
+
+t.test('verified votes are not queued when Votifier is disabled', async t => {
+  const { service, enqueued } = createService([{ id: 1, server_id: 10, moderation_status: 'flagged', votifier_status: null }])
+
+  await service.verifyVote(1, 7)
+  t.same(enqueued, [])
+})
+
+t.test('removing votes drops them from the Votifier queue', async t => {
+  const { service, cancelled } = createService([
+    { id: 1, server_id: 10, moderation_status: 'pending' },
+    { id: 2, server_id: 10, moderation_status: 'verified' }
+  ])
+
+  await service.bulkModerate([1], 'flag', { adminId: 7 })
+  t.same(cancelled, [], 'flagged votes stay queued until reviewed')
+
+  await service.bulkModerate([1, 2], 'remove', { reason: 'botai', adminId: 7 })
+  t.same(cancelled, [1, 2])
+})
@@ -0,0 +1,95 @@
+'use strict'
+
+const t = require('tap')
+
+const VoteService = require('../src/domains/vote/services/VoteService')
+const VoteRepository = require('../src/domains/vote/repositories/VoteRepository')
+
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+const config = (values = {}) => ({ get: async (key, defaultValue) => key in values ? values[key] : defaultValue })
+
+function createService(windows, { values, overrides = null } = {}) {
+  const queried = []
+  const voteRepository = {
+    db: {},
+    getVoteWindow: async (client, options) => {
+      queried.push(options)
+      return windows[options.field]
+    }
+  }
+  const votePolicyRepository = { findByServerId: async () => overrides }
+  const service = new VoteService(voteRepository, {}, null, null, config(values), null, null, logger, null, votePolicyRepository)
+  return { service, queried }
+}
+
+const free = { votes: 0, blocking_vote_at: null, next_reset_at: new Date(Date.now() + 3600 * 1000) }
+
+t.test('policy merges config with server overrides', async t => {
+  const { service } = createService({}, {
+    values: { 'vote.daily_limit': 2, 'vote.reset_mode': 'calendar' },
+    overrides: { limit_scope: 'username', reset_mode: null, period_hours: null, votes_per_period: 3 }
+  })
+
+  t.same(await service.getVotePolicy(5), {
+    limit_scope: 'username',
+    reset_mode: 'calendar',
+    period_hours: 24,
+    votes_per_period: 3,
+    source: 'server'
+  })
+  t.same(VoteService.normalizeVotePolicy({ limit_scope: 'nope', votes_per_period: 0 }).votes_per_period, 1)
+})
+
+t.test('username limit blocks another IP inside the rolling window', async t => {
+  const votedAt = new Date(Date.now() - 2 * 3600 * 1000)
+  const { service, queried } = createService({
+    ip: free,
+    username: { votes: 1, blocking_vote_at: votedAt, next_reset_at: null }
+  })
+
+  const policy = await service.getVotePolicy(5)
+  const result = await service.checkEligibility(5, { ipAddress: '84.15.1.2', username: 'Steve' }, policy)
+
+  t.same(queried.map(q => q.field), ['ip', 'username'])
+  t.equal(result.can_vote, false)
+  t.equal(result.limited_by, 'username')
+  t.equal(result.next_vote_time, new Date(votedAt.getTime() + 24 * 3600 * 1000).toISOString())
+  t.match(result.reason, /^Už šį serverį šiuo slapyvardžiu balsuoti galima tik vieną kartą per 24 val\., balsuoti galėsi už 2[12] val\./)
+
+  const error = service.createVoteLimitError(result)
+  t.equal(error.statusCode, 409)
+  t.equal(error.message, result.reason, 'same message as the can-vote check')
+  t.equal(error.details.next_vote_time, result.next_vote_time)
+})
+
+t.test('calendar reset and votes per period', async t => {
+  const midnight = new Date(Date.now() + 5 * 60 * 1000)
+  const { service } = createService({ ip: { votes: 1, blocking_vote_at: null, next_reset_at: midnight } }, {
+    values: { 'vote.limit_scope': 'ip', 'vote.reset_mode': 'calendar', 'vote.daily_limit': 2 }
+  })
+  const policy = await service.getVotePolicy(5)
+
+  const allowed = await service.checkEligibility(5, { ipAddress: '84.15.1.2', username: 'Steve' }, policy)
+  t.equal(allowed.can_vote, true)
+  t.equal(allowed.remaining_votes, 1)
+
+  const { service: limited } = createService({ ip: { votes: 2, blocking_vote_at: null, next_reset_at: midnight } }, {
+    values: { 'vote.limit_scope': 'ip', 'vote.reset_mode': 'calendar', 'vote.daily_limit': 2 }
+  })
+  const blocked = await limited.checkEligibility(5, { ipAddress: '84.15.1.2' }, policy)
+  t.equal(blocked.can_vote, false)
+  t.equal(blocked.next_vote_time, midnight.toISOString())
+  t.match(blocked.reason, /iš šio IP adreso balsuoti galima 2 kartus per dieną/)
+})
+
+t.test('removed votes do not count toward the limit', async t => {
+  const queries = []
+  const client = { query: async (sql, params) => { queries.push({ sql, params }); return { rows: [{ votes: 0 }] } } }
+  const repository = new VoteRepository(null)
+
+  await repository.getVoteWindow(client, { serverId: 7, field: 'username', value: 'Steve', resetMode: 'rolling', periodHours: 24, votesPerPeriod: 1 })
+
+  t.match(queries[0].sql, /window_votes AS \([\s\S]*moderation_status <> 'removed'[\s\S]*\)/)
+  t.same(queries[0].params, [7, 'Steve', 1, 24])
+})
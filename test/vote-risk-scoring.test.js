@@ -0,0 +1,88 @@
+'use strict'
+
+const t = require('tap')
+
+const SecurityService = require('../src/services/SecurityService')
+
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+const config = (values = {}) => ({ get: async (key, defaultValue) => key in values ? values[key] : defaultValue })
+
+const browserHeaders = {
+  accept: 'application/json',
+  'accept-language': 'lt-LT,lt;q=0.9',
+  origin: 'https://mclist.lt',
+  referer: 'https://mclist.lt/serveriai/survival',
+  'sec-fetch-mode': 'cors'
+}
+const chromeAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36'
+
+function createService(velocity, values) {
+  const db = { query: async () => ({ rows: [velocity] }) }
+  return new SecurityService(logger, db, config(values))
+}
+
+t.test('clean browser vote is allowed', async t => {
+  const service = createService({ ip_votes: 0, subnet_votes: 0, username_votes: 0 })
+  const risk = await service.assessVoteRisk({
+    serverId: 1,
+    ipAddress: '84.15.1.2',
+    username: 'Steve',
+    userAgent: chromeAgent,
+    headers: browserHeaders,
+    recaptcha: { success: true, score: 0.9 },
+    abuse: { abuseConfidenceScore: 0, usageType: 'Fixed Line ISP' }
+  })
+
+  t.equal(risk.score, 0)
+  t.equal(risk.action, 'allow')
+  t.same(Object.keys(risk.signals).sort(), ['abuse', 'headers', 'recaptcha', 'referrer', 'user_agent', 'velocity'])
+})
+
+t.test('scripted vote from a reported host is rejected', async t => {
+  const service = createService({ ip_votes: 12, subnet_votes: 0, username_votes: 0 })
+  const risk = await service.assessVoteRisk({
+    serverId: 1,
+    ipAddress: '45.1.1.1',
+    username: 'Steve',
+    userAgent: 'python-requests/2.31',
+    headers: {},
+    recaptcha: { success: true, score: 0.1 },
+    abuse: { abuseConfidenceScore: 90, usageType: 'Data Center/Web Hosting/Transit' }
+  })
+
+  t.equal(risk.action, 'reject')
+  t.equal(risk.level, 'critical')
+  t.equal(risk.signals.user_agent.points, 20)
+  t.same(risk.signals.velocity.reasons, ['ip_burst'])
+  t.same(risk.signals.referrer.reasons, ['missing'])
+})
+
+t.test('thresholds come from config', async t => {
+  const service = createService({ ip_votes: 0, subnet_votes: 0, username_votes: 0 }, {
+    'security.risk_flag_threshold': 10,
+    'security.risk_weights': { referrer: 40 }
+  })
+  const risk = await service.assessVoteRisk({
+    serverId: 1,
+    ipAddress: '84.15.1.2',
+    username: 'Steve',
+    userAgent: chromeAgent,
+    headers: { ...browserHeaders, referer: 'https://vote-farm.example/' },
+    recaptcha: { skipped: true, success: true, score: 0.5 },
+    abuse: null
+  })
+
+  t.equal(risk.signals.referrer.points, 40)
+  t.equal(risk.signals.recaptcha.points, 0, 'disabled reCAPTCHA is not held against the voter')
+  t.equal(risk.action, 'flag')
+})
+
+t.test('individual signals', async t => {
+  const service = new SecurityService(logger)
+  t.equal(service.scoreRecaptcha({ success: true, score: 0.25 }, 0.5).risk, 0.5)
+  t.equal(service.scoreRecaptcha({ success: false }, 0.5).risk, 1)
+  t.same(service.scoreHeaders({ accept: '*/*', 'accept-language': 'lt', origin: 'x' }, chromeAgent).reasons, ['spoofed_chrome'])
+  t.equal(service.scoreVelocity({ ip_votes: 0, subnet_votes: 3, username_votes: 0 }, { ipLimit: 5, subnetLimit: 3, usernameLimit: 2 }).risk, 0.5)
+  t.equal(service.scoreReferrer({ referer: 'https://www.mclist.lt/' }, []).risk, 0)
+})
@@ -0,0 +1,118 @@
+'use strict'
+
+const t = require('tap')
+const net = require('net')
+const crypto = require('crypto')
+
+const VotifierService = require('../src/domains/server/services/VotifierService')
+
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+const publicPem = publicKey.export({ type: 'spki', format: 'pem' }).toString()
+
+async function startServer(t, onConnection) {
+  const server = net.createServer(onConnection)
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  t.teardown(() => server.close())
+  return server.address().port
+}
+
+t.test('normalizes pasted public keys', async t => {
+  const bare = publicPem.replace(/-----[A-Z ]+-----/g, '').replace(/\s+/g, '')
+  t.equal(VotifierService.normalizePublicKey(bare), publicPem.trim(), 'bare base64 from public.key')
+  t.equal(VotifierService.normalizePublicKey(publicPem), publicPem.trim())
+  t.throws(() => VotifierService.normalizePublicKey('not a key!'), /base64/)
+  t.throws(() => VotifierService.normalizePublicKey('QUJD'), /nuskaityti/)
+})
+
+t.test('parses banners and resolves protocol', async t => {
+  const v2 = VotifierService.parseBanner('VOTIFIER 2 abc123')
+  t.same(v2, { version: '2', challenge: 'abc123', protocol: 'nuvotifier-v2' })
+  t.equal(VotifierService.parseBanner('VOTIFIER 1.9').protocol, 'v1-rsa')
+  t.throws(() => VotifierService.parseBanner('HTTP/1.1 400'), /Neatpažintas/)
+
+  t.equal(VotifierService.resolveProtocol('auto', v2, { token: 'x' }), 'nuvotifier-v2')
+  t.equal(VotifierService.resolveProtocol('auto', v2, { publicKey: publicPem }), 'v1-rsa')
+  t.throws(() => VotifierService.resolveProtocol('nuvotifier-v2', { protocol: 'v1-rsa' }, { token: 'x' }), /nepalaiko/)
+  t.throws(() => VotifierService.resolveProtocol('auto', { protocol: 'v1-rsa' }, { token: 'x' }), /viešasis RSA/)
+})
+
+t.test('sends a signed NuVotifier v2 frame', async t => {
+  const port = await startServer(t, socket => {
+    socket.write('VOTIFIER 2 challenge42\n')
+    socket.once('data', data => {
+      t.equal(data.readUInt16BE(0), 0x733A, 'frame magic')
+      t.equal(data.readUInt16BE(2), data.length - 4, 'frame length')
+      const message = JSON.parse(data.subarray(4).toString())
+      const payload = JSON.parse(message.payload)
+      t.equal(payload.challenge, 'challenge42')
+      t.equal(payload.username, 'Steve')
+      t.equal(message.signature, crypto.createHmac('sha256', 'token123').update(message.payload).digest('base64'))
+      socket.end('{"status":"ok"}\r\n')
+    })
+  })
+
+  const client = new VotifierService(logger, { timeout: 2000 })
+  const result = await client.sendVote({ host: '127.0.0.1', port, token: 'token123', username: 'Steve', address: '1.2.3.4', timestamp: 1 })
+  t.equal(result.protocol, 'nuvotifier-v2')
+  t.equal(result.success, true)
+})
+
+t.test('reports NuVotifier rejections', async t => {
+  const port = await startServer(t, socket => {
+    socket.write('VOTIFIER 2 abc\n')
+    socket.once('data', () => socket.end('{"status":"error","cause":"CorruptedFrameException","error":"Signature is not valid (invalid token?)"}\r\n'))
+  })
+
+  const client = new VotifierService(logger, { timeout: 2000 })
+  await t.rejects(client.sendVote({ host: '127.0.0.1', port, token: 'wrong', username: 'Steve', address: '1.2.3.4' }), /invalid token/)
+})
+
+t.test('sends an RSA encrypted v1 block', async t => {
+  const port = await startServer(t, socket => {
+    socket.write('VOTIFIER 1.9\n')
+    const chunks = []
+    socket.on('data', data => chunks.push(data))
+    socket.on('end', () => {
+      const block = Buffer.concat(chunks)
+      t.equal(block.length, 256)
+      // Node refuses PKCS#1 v1.5 private decryption, so strip the 00 02 ... 00 padding by hand
+      const padded = crypto.privateDecrypt({ key: privateKey, padding: crypto.constants.RSA_NO_PADDING }, block)
+      t.equal(padded[1], 0x02, 'PKCS#1 v1.5 encryption block')
+      const text = padded.subarray(padded.indexOf(0, 2) + 1).toString()
+      t.equal(text, 'VOTE\nMCServerList\nAlex\n1.2.3.4\n1000\n')
+      socket.end()
+    })
+  })
+
+  const client = new VotifierService(logger, { timeout: 2000 })
+  const result = await client.sendVote({ host: '127.0.0.1', port, protocol: 'v1-rsa', publicKey: publicPem, username: 'Alex', address: '1.2.3.4', timestamp: 1000 })
+  t.equal(result.protocol, 'v1-rsa')
+  t.equal(result.version, '1.9')
+})
+
+t.test('classifies failures with phase timings', async t => {
+  const port = await startServer(t, socket => socket.destroy())
+  const client = new VotifierService(logger, { timeout: 500 })
+
+  // Nothing listens on the freed port
+  const closed = net.createServer()
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve))
+  const freePort = closed.address().port
+  await new Promise(resolve => closed.close(resolve))
+
+  const refused = await client.sendVote({ host: '127.0.0.1', port: freePort, token: 'x', username: 'Steve', address: '1.2.3.4' }).catch(error => error)
+  t.equal(refused.phase, 'connect')
+  t.type(refused.timings.total_ms, 'number')
+  t.equal(VotifierService.classifyError(refused), 'refused')
+
+  const dropped = await client.sendVote({ host: '127.0.0.1', port, token: 'x', username: 'Steve', address: '1.2.3.4' }).catch(error => error)
+  t.equal(dropped.phase, 'handshake')
+
+  const rejected = VotifierService.createProtocolError('NuVotifier atmetė balsą: Signature is not valid (invalid token?)', 'VOTIFIER_REJECTED')
+  t.equal(VotifierService.classifyError(rejected), 'bad_token')
+  t.equal(VotifierService.classifyError({ code: 'ENOTFOUND' }), 'dns')
+  t.equal(VotifierService.classifyError({ code: 'ETIMEDOUT' }), 'timeout')
+  t.equal(VotifierService.classifyError({ code: 'VOTIFIER_INVALID_KEY' }), 'bad_key')
+})
@@ -0,0 +1,30 @@
+'use strict'
+
+const t = require('tap')
+
+const VotifierQueueRepository = require('../src/domains/votifier/repositories/VotifierQueueRepository')
+
+function createDatabase () {
+  const queries = []
+  return { queries, db: { query: async (sql, params) => { queries.push({ sql, params }); return { rows: [] } } } }
+}
+
+t.test('claimDue caps each server before limiting the batch', async t => {
+  const { db, queries } = createDatabase()
+  const repository = new VotifierQueueRepository(db)
+
+  await repository.claimDue({ limit: 100, perServer: 2, leaseSeconds: 30, excludeServerIds: [3] })
+
+  const [{ sql, params }] = queries
+  t.same(params, [100, 2, 30, null, [3]])
+
+  const rank = sql.indexOf('ROW_NUMBER() OVER (PARTITION BY server_id')
+  const cap = sql.indexOf('r.position <= $2')
+  const limit = sql.indexOf('LIMIT $1')
+  const lock = sql.indexOf('FOR UPDATE OF sv SKIP LOCKED')
+  t.ok(rank > -1 && cap > rank, 'rows are ranked per server first')
+  t.ok(limit > cap, 'the batch limit applies after the per-server cap')
+  t.ok(lock > limit, 'only the capped batch is locked')
+  t.notMatch(sql.slice(0, rank), /LIMIT/, 'due rows are not limited before ranking')
+  t.match(sql, /moderation_status IN \('pending', 'verified'\)/, 'flagged and removed votes are not delivered')
+})
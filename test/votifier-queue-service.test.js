@@ -0,0 +1,92 @@
+'use strict'
+
+const t = require('tap')
+
+const VotifierQueueService = require('../src/domains/votifier/services/VotifierQueueService')
+
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+function createRow(id, serverId, extra = {}) {
+  return {
+    id,
+    server_id: serverId,
+    username: `player${id}`,
+    ip_address: '10.0.0.1',
+    created_at: new Date('2026-10-19T10:00:00Z'),
+    votifier_attempts: 0,
+    votifier_host: 'mc.example.lt',
+    votifier_port: 8192,
+    votifier_token: 'secret',
+    votifier_enabled: true,
+    ...extra
+  }
+}
+
+function createRepository(rows) {
+  const repository = { sent: [], failed: [] }
+  repository.claimDue = async () => rows
+  repository.markSent = async (id, response) => { repository.sent.push({ id, response }) }
+  repository.markFailed = async (id, error, retryInSeconds) => { repository.failed.push({ id, error, retryInSeconds }) }
+  return repository
+}
+
+const config = (values = {}) => ({ get: async (key, defaultValue) => key in values ? values[key] : defaultValue })
+
+t.test('exponential backoff is capped', async t => {
+  t.equal(VotifierQueueService.getBackoffSeconds(1, 30, 3600), 30)
+  t.equal(VotifierQueueService.getBackoffSeconds(2, 30, 3600), 60)
+  t.equal(VotifierQueueService.getBackoffSeconds(4, 30, 3600), 240)
+  t.equal(VotifierQueueService.getBackoffSeconds(20, 30, 3600), 3600)
+})
+
+t.test('records sent, retried and dead outcomes', async t => {
+  const repository = createRepository([
+    createRow(1, 10),
+    createRow(2, 10, { votifier_attempts: 1 }),
+    createRow(3, 11, { votifier_attempts: 2 }),
+    createRow(4, 12, { votifier_enabled: false })
+  ])
+  const client = {
+    sendVote: async ({ username }) => {
+      if (username === 'player1') return { success: true, response: 'Vote accepted by server' }
+      throw new Error('Votifier connection failed: ECONNREFUSED')
+    }
+  }
+
+  const service = new VotifierQueueService(repository, null, client, config({ 'votifier.max_attempts': 3 }), logger)
+  const summary = await service.processQueue()
+
+  t.same(summary, { claimed: 4, sent: 1, retried: 1, dead: 2 })
+  t.same(repository.sent, [{ id: 1, response: 'Vote accepted by server' }])
+
+  const failed = Object.fromEntries(repository.failed.map(entry => [entry.id, entry]))
+  t.equal(failed[2].retryInSeconds, 60, 'second failure waits twice the base delay')
+  t.equal(failed[3].retryInSeconds, null, 'third failure reaches max attempts')
+  t.equal(failed[4].retryInSeconds, null, 'disabled votifier is not retried')
+  t.equal(service.serverSlots.size, 0, 'all slots released')
+})
+
+t.test('limits concurrent deliveries per server', async t => {
+  const rows = [createRow(1, 10), createRow(2, 10), createRow(3, 10), createRow(4, 20)]
+  const repository = createRepository(rows)
+  const active = new Map()
+  const peak = new Map()
+
+  const client = {
+    sendVote: async ({ username }) => {
+      const serverId = rows.find(row => row.username === username).server_id
+      active.set(serverId, (active.get(serverId) || 0) + 1)
+      peak.set(serverId, Math.max(peak.get(serverId) || 0, active.get(serverId)))
+      await new Promise(resolve => setTimeout(resolve, 10))
+      active.set(serverId, active.get(serverId) - 1)
+      return { success: true, response: 'OK' }
+    }
+  }
+
+  const service = new VotifierQueueService(repository, null, client, config({ 'votifier.per_server_concurrency': 1 }), logger)
+  const summary = await service.processQueue()
+
+  t.equal(summary.sent, 4)
+  t.equal(peak.get(10), 1, 'one delivery at a time for server 10')
+  t.equal(peak.get(20), 1)
+})